@@ -38,8 +38,8 @@ Datafeeds.UDFCompatibleDatafeed.prototype.defaultConfiguration = function() {
 		supports_search: false,
 		supports_group_request: true,
 		supported_resolutions: ['1', '5', '15', '30', '60', '1D', '1W', '1M'],
-		supports_marks: false,
-		supports_timescale_marks: false
+		supports_marks: true,
+		supports_timescale_marks: true
 	};
 };
 
@@ -1,27 +1,25 @@
 /**
  * 黄金历史数据抓取脚本
  *
- * 使用 Playwright 请求 tvc4.investing.com 的 history API。为规避 Cloudflare：
- * - 使用系统安装的 Chrome（channel: 'chrome'）并持久化用户目录，首次可用 --no-headless 弹窗通过验证，后续复用 Cookie
- * - 或从浏览器 Network 复制 history 请求 URL 中的 token 更新 TVC_API_CONFIG
+ * 直接用 HTTP 请求 tvc4.investing.com 的 UDF history 接口（无需浏览器），按30天分批拉取1小时K线，
+ * 合并后写入当前品种的历史数据文件（现货黄金为 gold_1year_data_real.json；其他品种用 WAVE_SYMBOL 选择，
+ * 并用 TVC_SYMBOL 指定 investing.com 品种 ID）。接口地址、token 与认证请求头在 src/config/config.js 的
+ * TVC_HISTORY_CONFIG 中配置，均可用环境变量覆盖：
+ * - TVC_TOKEN_PART1 / TVC_TOKEN_PART2：history 请求 URL 中的两段 token（会过期，从浏览器 Network 面板复制）
+ * - TVC_COOKIE：被 Cloudflare 拦截（HTTP 403 / "Just a moment..."）时复制浏览器 Cookie
+ * - TVC_HEADERS：其他请求头（JSON），如 '{"Authorization":"Bearer xxx"}'
+ * - TVC_HISTORY_URL：接口根地址，可指向本地替身服务（npm run stub:udf）
  *
- * 前置：npm install playwright && npx playwright install chromium
- *       使用原生 Chrome 时需已安装 Chrome 浏览器
+ * 中途失败（网络中断、限流）时已完成的批次保存在断点文件中，再次运行从未完成的批次继续。
  *
- * 用法：node fetch_year_data.js [开始日期] [--no-headless]
+ * 用法：node fetch_year_data.js [开始日期]
  * 示例：node fetch_year_data.js 2025-01-01
- *       node fetch_year_data.js 2025-01-01 --no-headless   # 首次建议用可见浏览器通过 Cloudflare
+ *       TVC_HISTORY_URL='http://127.0.0.1:18081/{tokenPart1}/{tokenPart2}/6/6/28' node fetch_year_data.js 2025-01-01
  */
 const fs = require('fs');
-const path = require('path');
-
-// Investing.com TVC API 配置
-// token 会过期，若请求失败请从浏览器 Network 面板复制最新 history 请求 URL 中的 token 更新
-const TVC_API_CONFIG = {
-    tokenPart1: '8ec1d14e6f65b8b2460e786b59a7ba71',
-    tokenPart2: '1770517558',
-    referer: 'https://tvc-cncdn-cf.investing.com/',
-};
+const { TVC_HISTORY_CONFIG, GOLD_HISTORY_DATA_FILE, INSTRUMENT_CONFIG } = require('./src/config/config');
+const { getBatchRanges, fetchUdfHistory, barsToUdfBatch } = require('./src/udf-history/udf-history');
+const { writeFileAtomic, withFileLock } = require('./src/file-lock/file-lock');
 
 function parseStartDate(dateString) {
     const date = new Date(dateString);
@@ -29,18 +27,6 @@ function parseStartDate(dateString) {
     return Math.floor(date.getTime() / 1000);
 }
 
-function getBatchRanges(from, to) {
-    const ranges = [];
-    const batchSize = 30 * 24 * 60 * 60;
-    let currentFrom = from;
-    while (currentFrom < to) {
-        const currentTo = Math.min(currentFrom + batchSize, to);
-        ranges.push({ from: currentFrom, to: currentTo });
-        currentFrom = currentTo + 1;
-    }
-    return ranges;
-}
-
 function convertToChinaTime(timestamp) {
     const date = new Date(timestamp * 1000);
     date.setHours(date.getHours() + 8);
@@ -84,7 +70,7 @@ function generateMockData(from, to) {
     return dataPoints;
 }
 
-function processData(allData) {
+function processData(allData, meta = {}) {
     const mergedData = { t: [], c: [], o: [], h: [], l: [], v: [] };
     allData.forEach(batch => {
         if (batch && batch.t && batch.t.length > 0) {
@@ -110,8 +96,8 @@ function processData(allData) {
         };
     });
     return {
-        symbol: 68,
-        resolution: 60,
+        symbol: meta.symbol !== undefined ? meta.symbol : 68,
+        resolution: meta.resolution !== undefined ? meta.resolution : 60,
         from: mergedData.t[0] || 0,
         to: mergedData.t[mergedData.t.length - 1] || 0,
         data: timePriceObjects
@@ -120,132 +106,88 @@ function processData(allData) {
 
 function parseArgs() {
     const argv = process.argv.slice(2);
-    const noHeadless = argv.includes('--no-headless') || argv.includes('--visible');
+    if (argv.includes('--no-headless') || argv.includes('--visible')) {
+        console.warn('⚠️  已改为直接 HTTP 请求，--no-headless 不再需要；被 Cloudflare 拦截时请设置 TVC_COOKIE');
+    }
     const startDate = argv.find(a => !a.startsWith('--')) || '2025-01-01';
-    return { noHeadless, startDate };
+    return { startDate };
 }
 
-async function fetchDataViaPlaywright(ranges, options = {}) {
-    const { noHeadless = false } = options;
-    let playwright;
-    try {
-        playwright = require('playwright');
-    } catch (e) {
-        throw new Error('请先安装 playwright: npm install playwright --save-dev && npx playwright install chromium');
-    }
-
-    const { tokenPart1, tokenPart2, referer } = TVC_API_CONFIG;
-    const userDataDir = path.join(__dirname, '.investing-playwright-profile');
-    const contextOptions = {
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        viewport: { width: 1280, height: 720 },
-        locale: 'zh-CN',
-        extraHTTPHeaders: { Referer: referer },
-        headless: !noHeadless,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    };
-
-    let context;
-    let browserToClose = null;
-    try {
-        context = await playwright.chromium.launchPersistentContext(userDataDir, {
-            channel: 'chrome',
-            ...contextOptions
-        });
-    } catch (e) {
-        console.warn('未找到系统 Chrome，改用 Chromium:', e.message);
-        browserToClose = await playwright.chromium.launch({
-            headless: !noHeadless,
-            args: contextOptions.args
-        });
-        context = await browserToClose.newContext({
-            userAgent: contextOptions.userAgent,
-            viewport: contextOptions.viewport,
-            locale: contextOptions.locale,
-            extraHTTPHeaders: contextOptions.extraHTTPHeaders
-        });
-    }
-
-    const allData = [];
-    try {
-        const page = await context.newPage();
-
-        for (let i = 0; i < ranges.length; i++) {
-            const { from: f, to: t } = ranges[i];
-            const url = `https://tvc4.investing.com/${tokenPart1}/${tokenPart2}/6/6/28/history?symbol=68&resolution=60&from=${f}&to=${t}`;
-            console.log(`[${i + 1}/${ranges.length}] 请求 ${url.substring(0, 90)}...`);
-
-            let batch = null;
-            let responseStatus = null;
-            let responseBodyPreview = '';
-            try {
-                const response = await page.goto(url, {
-                    waitUntil: 'domcontentloaded',
-                    timeout: 30000
-                });
-                if (response) {
-                    responseStatus = response.status();
-                    const text = await response.text();
-                    responseBodyPreview = text.slice(0, 600);
-                    // 注意：Investing 的 history 接口常见返回 content-type: text/plain，但正文依然是 JSON。
-                    // 之前仅在 content-type=application/json 时才解析，会把真实数据误判成“无数据”。
-                    // 这里改为：只要 response.ok() 且正文“看起来像 JSON”就尝试解析。
-                    if (response.ok()) {
-                        const trimmed = (text || '').trim();
-                        const looksLikeJson =
-                            (trimmed.startsWith('{') && trimmed.endsWith('}')) ||
-                            (trimmed.startsWith('[') && trimmed.endsWith(']'));
-                        if (looksLikeJson) {
-                            try {
-                                batch = JSON.parse(trimmed);
-                            } catch (parseErr) {
-                                console.warn(`  JSON 解析失败: ${parseErr.message}`);
-                            }
-                        }
-                    }
-                    if (!response.ok() || !(batch && batch.t && batch.t.length > 0)) {
-                        console.warn(`  无数据 [HTTP ${responseStatus}]`);
-                        console.warn(`  响应预览: ${responseBodyPreview.replace(/\n/g, ' ')}`);
-                    }
-                }
-            } catch (e) {
-                console.warn(`  请求失败: ${e.message}`);
-            }
-
-            if (batch && batch.t && batch.t.length > 0) {
-                allData.push(batch);
-                console.log(`  成功: ${batch.t.length} 条`);
-            }
+/**
+ * 拼接 history 接口根地址（替换 {tokenPart1}/{tokenPart2} 等占位符）
+ * @param {Object} config - TVC_HISTORY_CONFIG
+ * @returns {string}
+ */
+function resolveBaseUrl(config) {
+    return config.BASE_URL.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = config.TOKENS[name];
+        if (!value) throw new Error(`TVC_HISTORY_CONFIG.TOKENS 缺少 ${name}`);
+        return encodeURIComponent(value);
+    });
+}
 
-            await page.waitForTimeout(800);
+/**
+ * 合并认证请求头：config 中的 HEADERS + 环境变量 TVC_HEADERS（JSON）
+ * @param {Object} config - TVC_HISTORY_CONFIG
+ * @returns {Object}
+ */
+function resolveHeaders(config) {
+    const headers = { ...config.HEADERS };
+    if (process.env.TVC_HEADERS) {
+        try {
+            Object.assign(headers, JSON.parse(process.env.TVC_HEADERS));
+        } catch (e) {
+            throw new Error(`TVC_HEADERS 不是有效 JSON: ${e.message}`);
         }
-    } finally {
-        await context.close();
-        if (browserToClose) await browserToClose.close();
     }
-    return allData;
+    return headers;
+}
+
+/**
+ * 通过 HTTP 分批获取 UDF history 数据
+ * @param {number} from - 开始时间（秒）
+ * @param {number} to - 结束时间（秒）
+ * @param {Object} [config] - 接口配置，默认 TVC_HISTORY_CONFIG
+ * @returns {Promise<Array>} UDF 批次数据数组（供 processData 合并）
+ */
+async function fetchDataViaHttp(from, to, config = TVC_HISTORY_CONFIG) {
+    const bars = await fetchUdfHistory({
+        baseUrl: resolveBaseUrl(config),
+        symbol: config.SYMBOL,
+        resolution: config.RESOLUTION,
+        headers: resolveHeaders(config),
+        checkpointFile: config.CHECKPOINT_FILE,
+        from,
+        to
+    });
+    // 断点续传时部分批次来自断点文件，这里统一按合并去重后的结果交给 processData
+    return bars.length > 0 ? [barsToUdfBatch(bars)] : [];
 }
 
 async function main() {
     try {
-        const { noHeadless, startDate: startDateString } = parseArgs();
-        console.log('Starting to fetch gold data (Playwright)...');
-        if (noHeadless) console.log('使用可见浏览器（--no-headless），首次可手动通过 Cloudflare 验证，会话将保存到 .investing-playwright-profile');
+        const { startDate: startDateString } = parseArgs();
+        if (!TVC_HISTORY_CONFIG.SYMBOL) {
+            throw new Error(`${INSTRUMENT_CONFIG.NAME}（${INSTRUMENT_CONFIG.SYMBOL}）未配置 investing.com 品种 ID，请设置环境变量 TVC_SYMBOL`);
+        }
+        console.log(`Starting to fetch ${INSTRUMENT_CONFIG.SYMBOL} data (HTTP)...`);
 
         const from = parseStartDate(startDateString);
         const to = Math.floor(Date.now() / 1000);
 
         console.log(`时间范围: ${new Date(from * 1000).toISOString()} ~ ${new Date(to * 1000).toISOString()}`);
+        console.log(`共 ${getBatchRanges(from, to).length} 批`);
 
-        const ranges = getBatchRanges(from, to);
-        console.log(`共 ${ranges.length} 批`);
-
-        const allData = await fetchDataViaPlaywright(ranges, { noHeadless });
+        const allData = await fetchDataViaHttp(from, to);
 
         if (allData.length > 0) {
-            const finalData = processData(allData);
-            const outputPath = 'gold_1year_data_real.json';
-            fs.writeFileSync(outputPath, JSON.stringify(finalData, null, 2));
+            const finalData = processData(allData, {
+                symbol: /^\d+$/.test(TVC_HISTORY_CONFIG.SYMBOL) ? Number(TVC_HISTORY_CONFIG.SYMBOL) : TVC_HISTORY_CONFIG.SYMBOL,
+                resolution: Number(TVC_HISTORY_CONFIG.RESOLUTION)
+            });
+            const outputPath = GOLD_HISTORY_DATA_FILE;
+            // 原子写入并持有文件锁：中途崩溃不会留下不完整的 JSON，也不会与其他写入者互相覆盖
+            withFileLock(outputPath, () => writeFileAtomic(outputPath, JSON.stringify(finalData, null, 2)));
             console.log(`\n数据已保存: ${outputPath}`);
             console.log(`共 ${finalData.data.length} 条`);
             if (finalData.data.length > 0) {
@@ -253,16 +195,33 @@ async function main() {
             }
         } else {
             console.error('未获取到有效数据，不生成模拟数据。请检查：');
-            console.error('  若上方响应预览为 "Just a moment..." 则为 Cloudflare 拦截（常见 HTTP 403）：用本机浏览器打开 https://www.investing.com 黄金历史数据，通过验证后，在 Network 里找到 tvc4.investing.com 的 history 请求，复制 URL 中两段 token 更新本文件 TVC_API_CONFIG 的 tokenPart1、tokenPart2；或把 launch 里 headless 改为 false 用可见浏览器跑一次。');
-            console.error('  1) 更新 TVC_API_CONFIG 的 tokenPart1/tokenPart2（从浏览器 history 请求 URL 复制）');
+            console.error('  1) token 是否过期：从浏览器 Network 找到 tvc4.investing.com 的 history 请求，复制 URL 中两段 token 设置 TVC_TOKEN_PART1 / TVC_TOKEN_PART2');
             console.error('  2) 请求时间范围是否合理（from/to 为 Unix 秒）');
-            console.error('  3) 根据上方「响应预览」确认接口实际返回内容');
             process.exit(1);
         }
     } catch (error) {
         console.error('Error:', error.message);
+        if (/HTTP 403/.test(error.message)) {
+            console.error('  HTTP 403 多为 Cloudflare 拦截：在浏览器通过验证后复制 Cookie 设置 TVC_COOKIE，或更新 TVC_TOKEN_PART1 / TVC_TOKEN_PART2');
+        }
+        if (fs.existsSync(TVC_HISTORY_CONFIG.CHECKPOINT_FILE)) {
+            console.error('  已完成的批次保存在断点文件中，再次运行将从失败的批次继续');
+        }
         process.exit(1);
     }
 }
 
-main();
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseStartDate,
+    convertToChinaTime,
+    formatChinaTimeString,
+    generateMockData,
+    processData,
+    resolveBaseUrl,
+    resolveHeaders,
+    fetchDataViaHttp
+};
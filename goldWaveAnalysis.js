@@ -10,11 +10,30 @@
  *   node goldWaveAnalysis.js --price 4820 --timeframe d1          # 按日线推理
  *   node goldWaveAnalysis.js --price 4820 --from "2026-01-22 16:00:00"
  *   node goldWaveAnalysis.js --wave --timeframe 4h                # 波浪模式用4小时
+ *   node goldWaveAnalysis.js --validate --timeframe h1             # K线数据质量检查
+ *   node goldWaveAnalysis.js --repair --timeframe h1               # 修复K线数据（统一结构、排序、去重）
+ *   node goldWaveAnalysis.js --serve --port 8090                   # 启动 UDF 数据源服务（K线 + 波浪标注）
+ *   node goldWaveAnalysis.js --symbol XAGUSD --price 32.5          # 分析其他品种（见 INSTRUMENT_CATALOG）
  */
 
+// --symbol 须在加载配置前写入环境变量：配置按 WAVE_SYMBOL 解析当前品种的数据文件与价格源
+if (require.main === module) {
+  const symbolIdx = process.argv.indexOf('--symbol');
+  if (symbolIdx !== -1 && process.argv[symbolIdx + 1]) {
+    process.env.WAVE_SYMBOL = process.argv[symbolIdx + 1];
+  }
+  try {
+    require('./src/config/config');
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
 // 导入所有模块
-const { DATA_FILE, FIBONACCI_RATIOS, DATA_CONFIG, REFERENCE_POINTS, TIMEFRAME_CONFIG } = require('./src/config/config');
+const { DATA_FILE, FIBONACCI_RATIOS, DATA_CONFIG, REFERENCE_POINTS, TIMEFRAME_CONFIG, INSTRUMENT_CONFIG } = require('./src/config/config');
 const {
+  getCurrentQuote,
   getCurrentGoldPrice,
   fetchFromURL,
   fetchFromAPI,
@@ -48,7 +67,8 @@ const {
   buildElliottChannel,
   validateWaveInternalStructure,
   validateImpulseRules,
-  identifyWXY
+  identifyWXY,
+  waveResultToStructure
 } = require('./src/wave/wave');
 const { judgeTrend } = require('./src/trend/trend');
 const {
@@ -57,7 +77,33 @@ const {
   analyzeSingleTimeframe,
   judgeMultiTimeframeTrend
 } = require('./src/multi-timeframe/multi-timeframe');
-const { formatOutputCompact, formatOutput, formatWavePointsOutput } = require('./src/output/output');
+const {
+  formatOutputCompact,
+  formatOutput,
+  formatWavePointsOutput,
+  buildLedgerLines,
+  buildInvalidationLines,
+  buildWaveCountLines,
+  buildWaveDegreeLines
+} = require('./src/output/output');
+const { rankWaveCounts, linkAlternateCounts } = require('./src/wave-count/wave-count');
+const { buildWaveDegreeTree } = require('./src/wave-degree/wave-degree');
+const { fetchUsdCnyRate, toUsdPerOunce, toCnyPerGram, computePositionPnl } = require('./src/valuation/valuation');
+const { loadLedger, summarizeLedger, recordTrade } = require('./src/position-ledger/position-ledger');
+const { buildTradePlan } = require('./src/risk/risk');
+const {
+  validateKlineData,
+  repairKlineData,
+  formatQualityReport,
+  summarizeQualityReport
+} = require('./src/data-quality/data-quality');
+const { resampleBars, updateResampledBars } = require('./src/resample/resample');
+const { assertNormalizedBars, getBarTime } = require('./src/kline/kline');
+const { startUdfServer } = require('./src/udf-server/udf-server');
+const { getStoreDir, storeExists, openKlineStore, readBars, readLastBars, writeBars, withStoreLock } = require('./src/kline-store/kline-store');
+const { readKlineFile, detectIntervalMinutes, formatKlineCsv } = require('./src/kline-csv/kline-csv');
+const { mergeBars } = require('./src/udf-history/udf-history');
+const { writeFileAtomic } = require('./src/file-lock/file-lock');
 const { GOLD_HISTORY_DATA_FILE } = require('./src/config/config');
 const fs = require('fs');
 const path = require('path');
@@ -80,20 +126,18 @@ function parseTimeToMs(str) {
 
 /**
  * 获取 K 线数据条目的时间（毫秒）
- * 支持 timestamp（秒/ISO字符串）和 time（毫秒）
+ * 保留原有接口，转调 src/kline 的 getBarTime（秒/毫秒/ISO/日期字符串统一解析）；无法解析时返回 0
+ * @param {Object} d - 原始或标准 K 线
+ * @returns {number}
  */
 function getKlineTimeMs(d) {
-  if (d.timestamp != null) {
-    if (typeof d.timestamp === 'string') return new Date(d.timestamp).getTime();
-    return d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000;
-  }
-  const t = d.time;
-  return t != null && t > 1e12 ? t : (t || 0) * 1000;
+  const ms = getBarTime(d);
+  return isNaN(ms) ? 0 : ms;
 }
 
 /**
  * 按时间范围过滤 K 线数据
- * @param {Array} klineData - K 线数据数组
+ * @param {Array} klineData - 标准 K 线数组
  * @param {number} startMs - 起始时间（毫秒）
  * @param {number} [endMs] - 结束时间（毫秒），不传则到最新
  * @returns {Array} 过滤后的 K 线数据
@@ -101,10 +145,8 @@ function getKlineTimeMs(d) {
 function filterKlineByTimeRange(klineData, startMs, endMs) {
   if (!klineData || klineData.length === 0) return [];
   const end = endMs ?? Infinity;
-  return klineData.filter(d => {
-    const t = getKlineTimeMs(d);
-    return !isNaN(t) && t >= startMs && t <= end;
-  });
+  assertNormalizedBars(klineData, 'filterKlineByTimeRange');
+  return klineData.filter(d => d.time >= startMs && d.time <= end);
 }
 
 /**
@@ -163,24 +205,338 @@ function parseTimeframeFromArgs() {
 }
 
 /**
- * 将 identifyWaves12345AndABC 的返回结果转换为 waveStructure 格式（供 analyzeWave2 使用）
- * 支持识别出的推动浪 1-2-3-4-5 和调整浪 a-b-c
- * @param {Object} waveResult - identifyWaves12345AndABC 的返回值
- * @returns {Object|null} { wave1: { start, end }, wave2: { currentLow }, keyPoints }
+ * 从命令行解析手动输入价格
+ * 支持：--price 4820 或 -p 4820
+ * @returns {number|null} 手动价格，未指定或无效返回 null
  */
-function waveResultToStructure(waveResult) {
-  if (!waveResult || !waveResult.impulse || !waveResult.impulse.wave1) return null;
-  const imp = waveResult.impulse;
-  const corr = waveResult.corrective || {};
-  const w1Start = imp.wave1?.startPrice ?? imp.wave1?.start?.price;
-  const w1End = imp.wave5?.endPrice ?? imp.wave3?.endPrice ?? imp.wave1?.endPrice;
-  if (!w1Start || !w1End) return null;
-  const currentLow = corr.waveC?.endPrice ?? corr.waveA?.endPrice ?? imp.wave4?.endPrice ?? imp.wave2?.endPrice ?? w1End;
-  return {
-    wave1: { start: w1Start, end: w1End, range: w1End - w1Start },
-    wave2: { start: w1End, currentLow },
-    keyPoints: waveResult.keyPoints || []
-  };
+function parseManualPriceFromArgs() {
+  const args = process.argv.slice(2);
+  const idx = args.findIndex(a => a === '--price' || a === '-p');
+  if (idx === -1 || !args[idx + 1]) return null;
+  const v = parseFloat(args[idx + 1]);
+  return isNaN(v) ? null : v;
+}
+
+/**
+ * 从命令行解析正数参数（如 --cost-usd 4800）
+ * @param {Array<string>} args - 命令行参数
+ * @param {Array<string>} names - 参数名（含别名）
+ * @returns {number|null} 未指定或不是正数返回 null
+ */
+function parsePositiveArg(args, names) {
+  const idx = args.findIndex(arg => names.includes(arg));
+  if (idx === -1 || !args[idx + 1]) return null;
+  const v = parseFloat(args[idx + 1]);
+  return !isNaN(v) && v > 0 ? v : null;
+}
+
+// ==================== 数据质量模式 ====================
+
+/**
+ * 数据质量模式：检查或修复K线数据文件
+ * - --validate：报告重复、乱序、非周末缺口、零波幅、尖刺、时间单位混用
+ * - --repair：统一为标准K线结构（见 src/kline/kline.js）、排序、去重，修复前备份为 .bak；
+ *   由其他周期重采样的周期（H4/D1）用修复后的源周期数据重建
+ * 用法：node goldWaveAnalysis.js --validate [--timeframe h1|4h|d1|all] [--file 路径]
+ *       node goldWaveAnalysis.js --repair [--timeframe h1|4h|d1|all]
+ */
+function runQualityMode() {
+  const args = process.argv.slice(2);
+  const repair = args.includes('--repair');
+  const fileIdx = args.indexOf('--file');
+  const tfIdx = args.findIndex(a => a === '--timeframe' || a === '-T');
+  const all = tfIdx !== -1 && String(args[tfIdx + 1]).toLowerCase() === 'all';
+
+  // 指定任意文件：只做检查（兼容 { data: [...] } 包装格式）
+  if (fileIdx !== -1 && args[fileIdx + 1]) {
+    const filePath = path.resolve(args[fileIdx + 1]);
+    if (!fs.existsSync(filePath)) {
+      console.error(`❌ 文件不存在: ${filePath}`);
+      process.exit(1);
+    }
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const bars = Array.isArray(raw) ? raw : (raw.data || []);
+    const intervalMinutes = raw.resolution || TIMEFRAME_CONFIG[parseTimeframeFromArgs()].INTERVAL;
+    console.log(formatQualityReport(validateKlineData(bars, { intervalMinutes }), { title: filePath }));
+    return;
+  }
+
+  // 尚未迁移到分段目录时检查原始 JSON 文件内容（loadKlineDataFromFile 会统一转换为标准K线并迁移，掩盖格式问题）
+  const readRawBars = (cfg) => (storeExists(getStoreDir(cfg.FILE_PATH))
+    ? loadKlineDataFromFile(cfg.FILE_PATH)
+    : JSON.parse(fs.readFileSync(cfg.FILE_PATH, 'utf-8')));
+
+  // 源周期在前，保证重采样周期用修复后的数据重建
+  const keys = (all ? Object.keys(TIMEFRAME_CONFIG) : [parseTimeframeFromArgs()])
+    .sort((a, b) => (TIMEFRAME_CONFIG[a].RESAMPLE_FROM ? 1 : 0) - (TIMEFRAME_CONFIG[b].RESAMPLE_FROM ? 1 : 0));
+  keys.forEach(key => {
+    const cfg = TIMEFRAME_CONFIG[key];
+    const storeDir = getStoreDir(cfg.FILE_PATH);
+    const migrated = storeExists(storeDir);
+    if (!migrated && !fs.existsSync(cfg.FILE_PATH)) {
+      console.warn(`⚠️ ${cfg.NAME}数据文件不存在，跳过: ${cfg.FILE_PATH}`);
+      return;
+    }
+    const bars = readRawBars(cfg);
+    const report = validateKlineData(bars, { intervalMinutes: cfg.INTERVAL });
+    console.log(formatQualityReport(report, { title: `${cfg.NAME}（${path.basename(cfg.FILE_PATH)}）` }));
+    if (!repair) return;
+
+    let repaired;
+    if (cfg.RESAMPLE_FROM) {
+      const sourceCfg = TIMEFRAME_CONFIG[cfg.RESAMPLE_FROM];
+      const { bars: sourceBars } = repairKlineData(readRawBars(sourceCfg), { intervalMinutes: sourceCfg.INTERVAL, align: true });
+      repaired = resampleBars(sourceBars, cfg.INTERVAL);
+      console.log(`🔧 由${sourceCfg.NAME}K线重建${cfg.NAME}K线: ${bars.length} → ${repaired.length} 条`);
+    } else {
+      const result = repairKlineData(bars, { intervalMinutes: cfg.INTERVAL, align: true });
+      repaired = result.bars;
+      const { stats } = result;
+      console.log(`🔧 修复${cfg.NAME}K线: ${stats.input} → ${stats.output} 条（丢弃无效 ${stats.dropped}，合并重复 ${stats.merged}，统一格式 ${stats.reformatted}，修正高低价 ${stats.fixedRange}）`);
+    }
+    const backupPath = migrated ? `${storeDir}.bak` : `${cfg.FILE_PATH}.bak`;
+    if (migrated) {
+      fs.rmSync(backupPath, { recursive: true, force: true });
+      fs.cpSync(storeDir, backupPath, { recursive: true });
+    } else {
+      fs.copyFileSync(cfg.FILE_PATH, backupPath);
+    }
+    saveKlineDataToFile(repaired, cfg.FILE_PATH);
+    const after = summarizeQualityReport(validateKlineData(repaired, { intervalMinutes: cfg.INTERVAL }));
+    console.log(`✅ 已写入 ${storeDir}（原数据备份为 ${path.basename(backupPath)}）${after ? `，剩余需人工核对: ${after}` : ''}\n`);
+  });
+}
+
+// ==================== CSV / MetaTrader 导入导出 ====================
+
+/**
+ * 读取命令行中某个选项的值
+ * @param {Array<string>} args - 命令行参数
+ * @param {string} name - 选项名
+ * @returns {string|undefined}
+ */
+function readOptionValue(args, name) {
+  const idx = args.indexOf(name);
+  return idx !== -1 && args[idx + 1] && !args[idx + 1].startsWith('--') ? args[idx + 1] : undefined;
+}
+
+/**
+ * 解析 --scale 参数
+ * @param {Array<string>} args - 命令行参数
+ * @returns {number|undefined}
+ */
+function parseScaleFromArgs(args) {
+  const value = readOptionValue(args, '--scale');
+  if (value === undefined) return undefined;
+  const scale = parseFloat(value);
+  if (!(scale > 0)) {
+    console.error(`❌ 无效的价格系数: ${value}`);
+    process.exit(1);
+  }
+  return scale;
+}
+
+/**
+ * 导入模式：把 CSV / MT4 / MT5 / HST 历史数据转换为标准K线并写入周期数据（见 src/kline-csv）
+ * - 比目标周期细的K线（如 M1、M15）按时段锚点合成为目标周期，比目标周期粗的拒绝导入
+ * - 默认与已有数据合并（同一时间以导入数据为准），--replace 时替换全部
+ * - 导入源周期（1小时）后，由其重建 4小时 / 日线
+ * 用法：node goldWaveAnalysis.js --import <文件> [--format auto|csv|mt4|mt5|hst] [--columns "date=Date,open=3"]
+ *         [--tz Europe/Athens] [--scale 0.01] [--timeframe h1] [--replace]
+ */
+function runImportMode() {
+  const args = process.argv.slice(2);
+  const filePath = readOptionValue(args, '--import');
+  if (!filePath) {
+    console.error('❌ 请指定导入文件: --import <文件>');
+    process.exit(1);
+  }
+  const timeframe = parseTimeframeFromArgs();
+  const cfg = TIMEFRAME_CONFIG[timeframe];
+  if (cfg.RESAMPLE_FROM) {
+    const sourceName = TIMEFRAME_CONFIG[cfg.RESAMPLE_FROM].NAME;
+    console.error(`❌ ${cfg.NAME}K线由${sourceName}K线重采样生成，请导入${sourceName}或更细周期的数据（--timeframe ${cfg.RESAMPLE_FROM.toLowerCase()}）`);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = readKlineFile(path.resolve(filePath), {
+      format: readOptionValue(args, '--format'),
+      columns: readOptionValue(args, '--columns'),
+      tz: readOptionValue(args, '--tz'),
+      scale: parseScaleFromArgs(args)
+    });
+  } catch (e) {
+    console.error(`❌ 导入失败: ${e.message}`);
+    process.exit(1);
+  }
+  const { bars, skipped, format } = result;
+  if (bars.length === 0) {
+    console.error(`❌ ${path.basename(filePath)} 中没有可导入的K线${skipped ? `（${skipped} 行无法解析，检查 --columns / --format）` : ''}`);
+    process.exit(1);
+  }
+  const sourceInterval = detectIntervalMinutes(bars);
+  console.log(`📥 读取 ${path.basename(filePath)}（${format}）: ${bars.length} 条${skipped ? `，跳过无法解析的行 ${skipped}` : ''}${sourceInterval ? `，周期约 ${sourceInterval} 分钟` : ''}`);
+  console.log(`   时间范围: ${new Date(bars[0].time).toISOString()} ~ ${new Date(bars[bars.length - 1].time).toISOString()}`);
+
+  let imported = bars;
+  if (sourceInterval && sourceInterval > cfg.INTERVAL) {
+    console.error(`❌ 文件周期（约 ${sourceInterval} 分钟）比${cfg.NAME}粗，无法导入为${cfg.NAME}K线`);
+    process.exit(1);
+  }
+  if (sourceInterval && sourceInterval < cfg.INTERVAL) {
+    imported = resampleBars(bars, cfg.INTERVAL);
+    console.log(`🔧 合成为${cfg.NAME}K线: ${bars.length} → ${imported.length} 条`);
+  }
+
+  const replace = args.includes('--replace');
+  const storeDir = openKlineStore(cfg.FILE_PATH);
+  const total = withStoreLock(storeDir, () => {
+    const merged = replace ? imported : mergeBars([readBars(storeDir), imported]);
+    writeBars(storeDir, merged);
+    return merged.length;
+  });
+  console.log(`✅ 已${replace ? '替换' : '合并'}写入${cfg.NAME}K线: 导入 ${imported.length} 条，现共 ${total} 条`);
+  const qualitySummary = summarizeQualityReport(validateKlineData(imported, { intervalMinutes: cfg.INTERVAL }));
+  if (qualitySummary) {
+    console.warn(`   ⚠️ 导入数据质量: ${qualitySummary}（详情: node goldWaveAnalysis.js --validate --timeframe ${timeframe.toLowerCase()}）`);
+  }
+
+  // 由导入的源周期重建派生周期
+  Object.values(TIMEFRAME_CONFIG)
+    .filter(derived => derived.RESAMPLE_FROM === timeframe)
+    .forEach(derived => {
+      const rebuilt = resampleBars(loadKlineDataFromFile(cfg.FILE_PATH), derived.INTERVAL);
+      saveKlineDataToFile(rebuilt, derived.FILE_PATH);
+      console.log(`🔧 由${cfg.NAME}K线重建${derived.NAME}K线: ${rebuilt.length} 条`);
+    });
+}
+
+/**
+ * 导出模式：把任意周期的K线写成 CSV（Excel 可直接打开）或 MT4 / MT5 导入格式
+ * 用法：node goldWaveAnalysis.js --export <文件.csv> [--timeframe h1|4h|d1] [--from ...] [--to ...]
+ *         [--format csv|mt4|mt5] [--tz Asia/Shanghai] [--scale 1] [--digits 2]
+ */
+function runExportMode() {
+  const args = process.argv.slice(2);
+  const filePath = readOptionValue(args, '--export');
+  if (!filePath) {
+    console.error('❌ 请指定导出文件: --export <文件.csv>');
+    process.exit(1);
+  }
+  const timeframe = parseTimeframeFromArgs();
+  const cfg = TIMEFRAME_CONFIG[timeframe];
+  const timeRange = parseTimeRangeFromArgs();
+  const range = timeRange ? { fromMs: timeRange.startMs, toMs: timeRange.endMs } : undefined;
+
+  let bars;
+  if (cfg.RESAMPLE_FROM) {
+    // 派生周期按源周期补齐到最新（与 UDF 服务一致），不触发联网抓取
+    const sourceBars = loadKlineDataFromFile(TIMEFRAME_CONFIG[cfg.RESAMPLE_FROM].FILE_PATH);
+    bars = updateResampledBars(loadKlineDataFromFile(cfg.FILE_PATH), sourceBars, cfg.INTERVAL);
+    if (timeRange) bars = filterKlineByTimeRange(bars, timeRange.startMs, timeRange.endMs);
+  } else {
+    bars = loadKlineDataFromFile(cfg.FILE_PATH, range);
+  }
+  if (bars.length === 0) {
+    console.error(`❌ ${cfg.NAME}K线为空，没有可导出的数据`);
+    process.exit(1);
+  }
+
+  const digitsArg = readOptionValue(args, '--digits');
+  let content;
+  try {
+    content = formatKlineCsv(bars, {
+      format: readOptionValue(args, '--format'),
+      tz: readOptionValue(args, '--tz'),
+      scale: parseScaleFromArgs(args),
+      digits: digitsArg !== undefined ? parseInt(digitsArg, 10) : undefined
+    });
+  } catch (e) {
+    console.error(`❌ 导出失败: ${e.message}`);
+    process.exit(1);
+  }
+  const outputPath = path.resolve(filePath);
+  writeFileAtomic(outputPath, content);
+  console.log(`✅ 已导出${cfg.NAME}K线 ${bars.length} 条: ${outputPath}`);
+  console.log(`   时间范围: ${new Date(bars[0].time).toISOString()} ~ ${new Date(bars[bars.length - 1].time).toISOString()}`);
+}
+
+// ==================== 持仓台账模式 ====================
+
+/**
+ * 记录买入/卖出到持仓台账（数量单位为克）
+ * 用法：node goldWaveAnalysis.js --buy <克> [--at 价格] [--fx 汇率] [--time "2026-02-01 10:00"]
+ *       node goldWaveAnalysis.js --sell <克> [--at 价格] [--fx 汇率] [--time ...]
+ * 未指定 --at 时取 --price 或实时价格；未指定 --fx 时取 --usdcny 或汇率数据源（取不到则不记录汇率）
+ * @param {'buy'|'sell'} side - 交易方向
+ */
+async function runTradeMode(side) {
+  const args = process.argv.slice(2);
+  const flag = side === 'buy' ? '--buy' : '--sell';
+  const quantity = parsePositiveArg(args, [flag]);
+  if (!quantity) {
+    console.error(`❌ 请指定交易数量（克）: ${flag} <克>`);
+    process.exit(1);
+  }
+  const timeArg = readOptionValue(args, '--time');
+  const time = timeArg ? parseTimeToMs(timeArg) : Date.now();
+  if (!time) {
+    console.error(`❌ 无法解析交易时间: ${timeArg}`);
+    process.exit(1);
+  }
+
+  try {
+    // 只取价：记录交易不应向K线数据写入行情
+    const price = parsePositiveArg(args, ['--at']) ||
+      await getCurrentGoldPrice({ manualPrice: parseManualPriceFromArgs(), readOnly: true });
+    const manualRate = parsePositiveArg(args, ['--fx']) || parsePositiveArg(args, ['--usdcny']);
+    const fx = await fetchUsdCnyRate({ manualRate, silent: true });
+    const record = recordTrade({ side, quantity, price, time, rate: fx ? fx.rate : null });
+    console.log(`✅ 已记录${side === 'buy' ? '买入' : '卖出'} #${record.id}: ${quantity} 克 @ ${price.toFixed(2)} ${INSTRUMENT_CONFIG.UNIT}` +
+      `${record.rate ? `（USD/CNY ${record.rate.toFixed(4)}）` : ''}，${new Date(record.time).toLocaleString('zh-CN')}`);
+    const summary = summarizeLedger(loadLedger().trades, { price, rate: record.rate });
+    buildLedgerLines(summary).forEach(line => console.log(line));
+  } catch (e) {
+    console.error(`❌ 记录交易失败: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * 列出持仓台账的全部交易与汇总（按 --price 或最近K线收盘价估值，不联网取价）
+ * 用法：node goldWaveAnalysis.js --positions [--price 4820] [--usdcny 7.1]
+ */
+async function runPositionsMode() {
+  const args = process.argv.slice(2);
+  let ledger;
+  try {
+    ledger = loadLedger();
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  if (ledger.trades.length === 0) {
+    console.log(`📒 ${INSTRUMENT_CONFIG.NAME}持仓台账为空，使用 --buy <克> --at <价格> 记录买入`);
+    return;
+  }
+
+  console.log(`\n📒 ${INSTRUMENT_CONFIG.NAME}持仓台账（${ledger.trades.length} 笔交易）`);
+  ledger.trades.forEach(t => {
+    console.log(`   #${t.id} ${new Date(t.time).toLocaleString('zh-CN')} ${t.side === 'buy' ? '买入' : '卖出'} ` +
+      `${t.quantity} 克 @ ${t.price.toFixed(2)}${t.rate ? `（USD/CNY ${t.rate.toFixed(4)}）` : ''}`);
+  });
+
+  const latestBars = readLastBars(openKlineStore(TIMEFRAME_CONFIG.H1.FILE_PATH), 1);
+  const price = parseManualPriceFromArgs() || (latestBars.length > 0 ? latestBars[0].close : null);
+  if (!price) {
+    console.log('   没有可用于估值的价格，请使用 --price 指定');
+    return;
+  }
+  const fx = await fetchUsdCnyRate({ manualRate: parsePositiveArg(args, ['--usdcny']), silent: true });
+  console.log(`\n💰 估值价格: ${price.toFixed(2)} ${INSTRUMENT_CONFIG.UNIT}${fx ? ` | USD/CNY ${fx.rate.toFixed(4)}` : ''}`);
+  buildLedgerLines(summarizeLedger(ledger.trades, { price, rate: fx ? fx.rate : null })).forEach(line => console.log(line));
 }
 
 // ==================== 波浪点位模式（基于 gold_1year_data_real.json） ====================
@@ -236,28 +592,23 @@ async function runWaveMode() {
       }
       klineData = loadGoldDataFromFile();
     } else {
-      // 不抓取时，直接使用 gold_price_1h.json
-      klineData = loadKlineDataFromFile(TIMEFRAME_CONFIG.H1.FILE_PATH);
+      // 不抓取时，直接使用 gold_price_1h 分段数据（只读取所需时间范围的分段）
+      const range = timeRange
+        ? { fromMs: timeRange.startMs, toMs: timeRange.endMs }
+        : { fromMs: new Date(startDate).getTime() };
+      klineData = loadKlineDataFromFile(TIMEFRAME_CONFIG.H1.FILE_PATH, range);
     }
   } else {
-    // H4 / D1：从对应周期文件加载
-    const filePath = cfg?.FILE_PATH;
-    klineData = filePath && fs.existsSync(filePath) ? loadKlineDataFromFile(filePath) : [];
-    if (klineData.length > 0) {
-      klineData = klineData.map(d => ({
-        ...d,
-        price: d.close ?? d.price,
-        timestamp: d.timestamp ?? (d.time ? d.time / 1000 : null)
-      }));
-    }
+    // H4 / D1：由 H1 K线按时段锚点重采样（增量更新对应周期文件）
+    klineData = cfg ? await updateKlineData(cfg, false, true) : [];
   }
 
   if (klineData.length > 0) {
     if (timeRange) {
       klineData = filterKlineByTimeRange(klineData, timeRange.startMs, timeRange.endMs);
     } else if (timeframe === 'H1') {
-      const startTs = new Date(startDate).getTime() / 1000;
-      klineData = klineData.filter(d => (d.timestamp || d.time / 1000) >= startTs);
+      const startMs = new Date(startDate).getTime();
+      klineData = klineData.filter(d => d.time >= startMs);
     }
   }
 
@@ -268,6 +619,10 @@ async function runWaveMode() {
   }
 
   console.log(`   加载 ${klineData.length} 条 ${tfName} K 线数据`);
+  const qualitySummary = summarizeQualityReport(validateKlineData(klineData, { intervalMinutes: cfg?.INTERVAL }));
+  if (qualitySummary) {
+    console.warn(`   ⚠️ 数据质量: ${qualitySummary}（详情: node goldWaveAnalysis.js --validate --timeframe ${timeframe.toLowerCase()}）`);
+  }
 
   // 波浪识别：始终用最近 5 天数据，保证驱动浪/调整浪一致（排除更早的回调浪如 1-29，无论显示范围如何）
   const BARS_PER_DAY = timeframe === 'H1' ? 24 : timeframe === 'H4' ? 6 : 1;
@@ -281,6 +636,15 @@ async function runWaveMode() {
   }
 
   formatWavePointsOutput(waveResult);
+  // 贪心识别只给出一个计数，另行枚举全部可行计数并排序，保留备选计数；失效位注明由哪个备选计数接替
+  const ranking = rankWaveCounts(waveResult.keyPoints, { subPoints: identifyKeyPoints(waveData, 1) });
+  const lastClose = waveData[waveData.length - 1].close;
+  buildInvalidationLines(linkAlternateCounts(waveResult.invalidation, ranking), lastClose).forEach(line => console.log(line));
+  console.log('');
+  buildWaveCountLines(ranking).forEach(line => console.log(line));
+  // 首选计数的各浪在更细的关键点上逐级细分，得到多级别标注
+  console.log('');
+  buildWaveDegreeLines(buildWaveDegreeTree(waveData)).forEach(line => console.log(line));
 
   if (genChart) {
     const chartPath = path.join(__dirname, 'wave_chart.html');
@@ -293,12 +657,13 @@ async function runWaveMode() {
  * 生成波浪图表 HTML 文件（含 X/Y 轴、悬停显示时间与价格）
  */
 function generateWaveChartHTML(klineData, waveResult, outputPath) {
-  const sorted = [...klineData].sort((a, b) => (a.time || a.timestamp) - (b.time || b.timestamp));
+  assertNormalizedBars(klineData, 'generateWaveChartHTML');
+  const sorted = [...klineData].sort((a, b) => a.time - b.time);
   // 图表Y轴应覆盖K线的完整范围（high/low），而非仅 close
-  const highs = sorted.map(d => d.high ?? d.close ?? d.price);
-  const lows = sorted.map(d => d.low ?? d.close ?? d.price);
-  const prices = sorted.map(d => d.close || d.price);
-  const times = sorted.map(d => d.time || d.timestamp * 1000);
+  const highs = sorted.map(d => d.high);
+  const lows = sorted.map(d => d.low);
+  const prices = sorted.map(d => d.close);
+  const times = sorted.map(d => d.time);
   const minP = Math.min(...lows);
   const maxP = Math.max(...highs);
   const range = maxP - minP || 1;
@@ -313,7 +678,7 @@ function generateWaveChartHTML(klineData, waveResult, outputPath) {
   // 不再依赖 assignWaveLabelsToKeyPoints 间接匹配（因为 lookback 参数不同、浪2/浪5可能从K线直接搜索而非关键点）
   const addWavePoint = (pt, label, opts = {}) => {
     if (!pt) return;
-    const t = pt.time || (pt.timestamp != null ? (pt.timestamp > 1e12 ? pt.timestamp : pt.timestamp * 1000) : null);
+    const t = pt.time;
     const p = pt.price ?? pt.close;
     if (t == null || p == null) return;
     // 在 K 线时间轴上找最近的索引，计算 X 坐标
@@ -363,13 +728,13 @@ function generateWaveChartHTML(klineData, waveResult, outputPath) {
     const tTol = 60000; // 1分钟容差
     const isDup = (wxyWave, abcWave) => {
       if (!wxyWave?.end || !abcWave?.end) return false;
-      const t1 = wxyWave.end.time || (wxyWave.end.timestamp > 1e12 ? wxyWave.end.timestamp : (wxyWave.end.timestamp || 0) * 1000);
-      const t2 = abcWave.end.time || (abcWave.end.timestamp > 1e12 ? abcWave.end.timestamp : (abcWave.end.timestamp || 0) * 1000);
-      return Math.abs(t1 - t2) < tTol;
+      return Math.abs(wxyWave.end.time - abcWave.end.time) < tTol;
     };
     if (!isDup(waveResult.wxy.waveW, corrective.waveA) && waveResult.wxy.waveW?.end) addWavePoint(waveResult.wxy.waveW.end, '浪W');
     if (!isDup(waveResult.wxy.waveX, corrective.waveB) && waveResult.wxy.waveX?.end) addWavePoint(waveResult.wxy.waveX.end, '浪X');
     if (!isDup(waveResult.wxy.waveY, corrective.waveC) && waveResult.wxy.waveY?.end) addWavePoint(waveResult.wxy.waveY.end, '浪Y');
+    if (waveResult.wxy.waveXX?.end) addWavePoint(waveResult.wxy.waveXX.end, '浪XX');
+    if (waveResult.wxy.waveZ?.end) addWavePoint(waveResult.wxy.waveZ.end, '浪Z');
   }
   // 浪c 之后无实际延续浪时，添加预测性点位（基于黄金分割）
   const hasContinuation = continuation && (continuation.wave1 || continuation.wave2 || continuation.wave3);
@@ -396,7 +761,7 @@ function generateWaveChartHTML(klineData, waveResult, outputPath) {
   points.sort((a, b) => (a.t ?? 0) - (b.t ?? 0));
 
   const pathStr = sorted.map((d, i) => {
-    const p = d.close || d.price;
+    const p = d.close;
     const x = padding.left + (i / Math.max(sorted.length - 1, 1)) * chartWidth;
     const y = padding.top + chartHeight - ((p - minP) / range) * chartHeight;
     return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
@@ -521,7 +886,7 @@ function generateWaveChartHTML(klineData, waveResult, outputPath) {
     if (pt.isPredicted) return '#ff9800';
     if (pt.isStart) return '#ff9800';
     const label = pt.label;
-    if (label.includes('a') || label.includes('b') || label.includes('c') || label.includes('W') || label.includes('X') || label.includes('Y')) return '#42a5f5';
+    if (label.includes('a') || label.includes('b') || label.includes('c') || label.includes('W') || label.includes('X') || label.includes('Y') || label.includes('Z')) return '#42a5f5';
     // 判断涨跌：与前一个点比较
     if (idx > 0) {
       return pt.p < points[idx - 1].p ? '#ef5350' : '#26a69a';
@@ -543,12 +908,12 @@ function generateWaveChartHTML(klineData, waveResult, outputPath) {
 
   // 完整 K 线数据（用于整图悬停时显示最近点位的时间与价格）
   const chartData = sorted.map((d, i) => ({
-    time: new Date(d.time || d.timestamp * 1000).toLocaleString('zh-CN'),
-    price: (d.close ?? d.price).toFixed(2),
-    open: d.open != null ? d.open.toFixed(2) : null,
-    high: d.high != null ? d.high.toFixed(2) : null,
-    low: d.low != null ? d.low.toFixed(2) : null,
-    close: (d.close ?? d.price).toFixed(2)
+    time: new Date(d.time).toLocaleString('zh-CN'),
+    price: d.close.toFixed(2),
+    open: d.open.toFixed(2),
+    high: d.high.toFixed(2),
+    low: d.low.toFixed(2),
+    close: d.close.toFixed(2)
   }));
 
   // 底部数据面板：波浪幅度信息
@@ -568,7 +933,7 @@ function generateWaveChartHTML(klineData, waveResult, outputPath) {
 
   const html = `<!DOCTYPE html>
 <html>
-<head><meta charset="utf-8"><title>黄金波浪点位图</title>
+<head><meta charset="utf-8"><title>${INSTRUMENT_CONFIG.NAME}波浪点位图</title>
 <style>
   * { box-sizing: border-box; margin: 0; padding: 0; }
   html, body { height: 100%; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; overflow: hidden; background: #1a1d23; color: #e0e0e0; }
@@ -608,8 +973,8 @@ function generateWaveChartHTML(klineData, waveResult, outputPath) {
 <body>
 <div id="header">
   <div class="title-area">
-    <h2>黄金1小时K线 - 艾略特波浪点位</h2>
-    <span class="badge">XAUUSD H1</span>
+    <h2>${INSTRUMENT_CONFIG.NAME}1小时K线 - 艾略特波浪点位</h2>
+    <span class="badge">${INSTRUMENT_CONFIG.SYMBOL} H1</span>
   </div>
   <div class="info">数据范围: ${new Date(times[0]).toLocaleString('zh-CN')} ~ ${new Date(times[times.length - 1]).toLocaleString('zh-CN')}</div>
 </div>
@@ -771,75 +1136,63 @@ function generateWaveChartHTML(klineData, waveResult, outputPath) {
  */
 async function main(compactMode = false) {
   try {
-    // 获取当前价格（优先级：命令行参数 > 环境变量 > API > K线数据）
+    // 获取当前价格（优先级：按 PRICE_SOURCE_CONFIG 配置的数据源顺序 > K线数据）
     const args = process.argv.slice(2);
-    const hasManualPrice = args.includes('--price') || args.includes('-p') || process.env.GOLD_PRICE;
-
-    // 可选：用户持仓信息（成本价 & 金额）
-    let userCostUsd = null;
-    let userAmountCny = null;
-
-    const costIdx = args.findIndex(arg => arg === '--cost-usd' || arg === '--costUsd');
-    if (costIdx !== -1 && args[costIdx + 1]) {
-      const costVal = parseFloat(args[costIdx + 1]);
-      if (!isNaN(costVal) && costVal > 0) {
-        userCostUsd = costVal;
-      }
+    const manualPrice = parseManualPriceFromArgs();
+    if (manualPrice === null && (args.includes('--price') || args.includes('-p'))) {
+      console.warn('⚠️  --price 的值不是有效价格，改为从数据源获取');
     }
 
-    const amtIdx = args.findIndex(arg => arg === '--amount-cny' || arg === '--amountCny');
-    if (amtIdx !== -1 && args[amtIdx + 1]) {
-      const amtVal = parseFloat(args[amtIdx + 1]);
-      if (!isNaN(amtVal) && amtVal > 0) {
-        userAmountCny = amtVal;
-      }
-    }
+    // 可选：用户持仓信息（成本价 & 金额）
+    // 成本价可按美元/盎司（--cost-usd）或人民币/克（--cost-cny）输入，--cost-fx 为买入时 USD/CNY 汇率
+    const userCostUsd = parsePositiveArg(args, ['--cost-usd', '--costUsd']);
+    const userCostCny = parsePositiveArg(args, ['--cost-cny', '--costCny']);
+    const userCostRate = parsePositiveArg(args, ['--cost-fx', '--costFx']);
+    const userAmountCny = parsePositiveArg(args, ['--amount-cny', '--amountCny']);
+    const manualRate = parsePositiveArg(args, ['--usdcny']);
+    // 可选：交易计划的账户规模（报价币种或人民币）与单笔风险%
+    const accountSize = parsePositiveArg(args, ['--account']);
+    const accountCny = parsePositiveArg(args, ['--account-cny']);
+    const riskPct = parsePositiveArg(args, ['--risk']);
     
     let currentPrice;
     let priceSource = '';
-    if (hasManualPrice) {
-      // 如果手动指定了价格，直接使用（会处理命令行参数和环境变量）
-      currentPrice = await getCurrentGoldPrice();
-      priceSource = '手动输入';
-      // 手动输入的价格也追加到文件（静默模式）
-      appendCurrentPriceToFile(currentPrice, true);
-    } else {
-      // 否则必须从API获取真实价格
+    if (!compactMode && manualPrice === null && !process.env[INSTRUMENT_CONFIG.QUOTE.PRICE_ENV]) {
+      console.log('🔄 未指定手动价格，尝试从API获取真实价格...');
+    }
+    try {
+      // 是否为手动价格以实际给出报价的数据源为准（--price 的值无效时会回退到实时数据源）
+      // 手动输入的价格也追加到文件（静默模式，未通过合理性检查的除外）；实时价格由 getCurrentQuote 内部追加
+      const quote = await getCurrentQuote({ manualPrice, appendManual: true });
+      currentPrice = quote.price;
+      priceSource = quote.live ? 'API' : quote.label;
+      if (quote.live && !compactMode) {
+        console.log(`✅ 从API获取当前价格: ${currentPrice.toFixed(2)} ${INSTRUMENT_CONFIG.UNIT}`);
+      }
+    } catch (error) {
+      // API获取失败（含报价未通过合理性检查），尝试从K线数据获取最近收盘价
       if (!compactMode) {
-        console.log('🔄 未指定手动价格，尝试从API获取真实价格...');
+        console.warn(`⚠️  API获取失败，尝试从K线数据获取...（${error.message}）`);
       }
-      try {
-        currentPrice = await getCurrentGoldPrice();
-        // 注意：getCurrentGoldPrice 内部已经自动追加了价格，这里不需要再次追加
-        priceSource = 'API';
+      // 先获取1小时数据
+      const h1Data = await updateKlineData(TIMEFRAME_CONFIG.H1, false, true);
+      const klinePrice = getLatestClosePrice(h1Data);
+      if (klinePrice > 0) {
+        currentPrice = klinePrice;
+        priceSource = 'K线数据';
+        // 从K线数据获取的价格不追加（因为已经是历史数据）
         if (!compactMode) {
-          console.log(`✅ 从API获取当前价格: ${currentPrice.toFixed(2)} USD/盎司`);
-        }
-      } catch (error) {
-        // API获取失败，尝试从K线数据获取（但必须是合理范围）
-        if (!compactMode) {
-          console.warn('⚠️  API获取失败，尝试从K线数据获取...');
-        }
-        // 先获取1小时数据
-        const h1Data = await updateKlineData(TIMEFRAME_CONFIG.H1, false, true);
-        const klinePrice = getLatestClosePrice(h1Data);
-        if (klinePrice && klinePrice >= 4000 && klinePrice <= 6000) {
-          currentPrice = klinePrice;
-          priceSource = 'K线数据';
-          // 从K线数据获取的价格不追加（因为已经是历史数据）
-          if (!compactMode) {
-            console.log(`✅ 从K线数据获取价格: ${currentPrice.toFixed(2)} USD/盎司`);
-          }
-        } else {
-          // K线数据价格也不合理，必须手动输入
-          throw new Error('无法获取真实价格，请使用 --price 参数手动输入价格');
+          console.log(`✅ 从K线数据获取价格: ${currentPrice.toFixed(2)} ${INSTRUMENT_CONFIG.UNIT}`);
         }
+      } else {
+        // 没有可用的K线数据，必须手动输入
+        throw new Error('无法获取真实价格，请使用 --price 参数手动输入价格');
       }
     }
     
-    // 验证价格合理性
-    if (!currentPrice || currentPrice < 4000 || currentPrice > 6000) {
-      throw new Error(`价格${currentPrice}不在合理范围(4000-6000)，请检查数据源或使用 --price 参数`);
+    // 价格合理性已按最近K线的 ATR 检查（见 src/price-sanity），这里只校验数值有效
+    if (!(currentPrice > 0)) {
+      throw new Error(`价格${currentPrice}无效，请检查数据源或使用 --price 参数`);
     }
     
     // 获取多周期数据
@@ -873,6 +1226,16 @@ async function main(compactMode = false) {
       }
     }
     
+    // 数据质量提示：脏数据会让波浪识别悄悄出错，分析前先提示
+    if (!compactMode) {
+      const tf = parseTimeframeFromArgs();
+      const report = validateKlineData(multiTimeframeData[tf] || [], { intervalMinutes: TIMEFRAME_CONFIG[tf]?.INTERVAL });
+      const qualitySummary = summarizeQualityReport(report);
+      if (qualitySummary) {
+        console.warn(`⚠️  ${TIMEFRAME_CONFIG[tf]?.NAME ?? tf}数据质量: ${qualitySummary}（详情: node goldWaveAnalysis.js --validate --timeframe ${tf.toLowerCase()}）`);
+      }
+    }
+    
     // 多周期综合分析（watch 模式下仅分析 H1，避免 H4/D1 数据不足告警）
     if (!compactMode) {
       console.log('\n🔍 正在进行多周期综合分析...');
@@ -903,6 +1266,9 @@ async function main(compactMode = false) {
           waveResult = identifyWaves12345AndABC(inferenceData);
           const converted = waveResultToStructure(waveResult);
           if (converted) {
+            // 计数失效位注明接替的备选计数
+            const ranking = rankWaveCounts(waveResult.keyPoints, { subPoints: identifyKeyPoints(inferenceData, 1) });
+            converted.invalidation = linkAlternateCounts(converted.invalidation, ranking);
             waveStructure = converted;
             if (!compactMode && waveResult?.wxy?.waveW && waveResult.wxy.waveX && waveResult.wxy.waveY) {
               wxyStructure = waveResult.wxy;
@@ -924,16 +1290,53 @@ async function main(compactMode = false) {
     const dailyStats = computeDailyChangeStats(multiTimeframeData.H1, currentPrice);
     let stats = dailyStats ? { ...dailyStats } : null;
 
-    if (userCostUsd && userAmountCny) {
-      const ratio = currentPrice / userCostUsd;
-      const pnlPct = (ratio - 1) * 100;
-      const pnlCny = userAmountCny * (ratio - 1);
-
+    // 汇率与人民币/克折算（有持仓信息时汇率缺失会提示，否则静默跳过）
+    const hasPosition = Boolean(userAmountCny && (userCostUsd || userCostCny));
+    const fx = await fetchUsdCnyRate({ manualRate, silent: !hasPosition });
+    const rate = fx ? fx.rate : null;
+    if (rate || INSTRUMENT_CONFIG.CURRENCY === 'CNY') {
       if (!stats) stats = {};
-      stats.costUsd = userCostUsd;
-      stats.amountCny = userAmountCny;
-      stats.pnlCny = pnlCny;
-      stats.pnlPct = pnlPct;
+      stats.usdCny = rate;
+      stats.priceUsdPerOz = toUsdPerOunce(currentPrice, rate);
+      stats.priceCnyPerGram = toCnyPerGram(currentPrice, rate);
+    }
+
+    // 交易计划：按波浪失效位止损、按账户风险计算仓位（人民币账户规模按汇率折算为报价币种）
+    const planAccount = accountSize || (accountCny && INSTRUMENT_CONFIG.CURRENCY === 'CNY' ? accountCny : null) ||
+      (accountCny && rate ? accountCny / rate : null);
+    if (accountCny && !planAccount && !compactMode) {
+      console.warn('⚠️  未获取到汇率，无法把 --account-cny 折算为美元账户规模（可用 --usdcny 指定汇率）');
+    }
+    if (!stats) stats = {};
+    stats.tradePlan = buildTradePlan({ analysis, trend, price: currentPrice, accountSize: planAccount || undefined, riskPct: riskPct || undefined });
+
+    // 持仓台账汇总（无交易记录时不显示）
+    try {
+      const ledgerSummary = summarizeLedger(loadLedger().trades, { price: currentPrice, rate });
+      if (ledgerSummary) {
+        if (!stats) stats = {};
+        stats.ledger = ledgerSummary;
+      }
+    } catch (e) {
+      console.warn(`⚠️  ${e.message}`);
+    }
+
+    if (hasPosition) {
+      const pnl = computePositionPnl({
+        price: currentPrice,
+        rate,
+        amountCny: userAmountCny,
+        costUsd: userCostUsd,
+        costCny: userCostCny,
+        costRate: userCostRate
+      });
+      if (pnl) {
+        if (!stats) stats = {};
+        stats.amountCny = userAmountCny;
+        Object.assign(stats, pnl);
+      } else if (!compactMode) {
+        console.warn('⚠️  成本价币种与报价不同且未获取到汇率，无法计算持仓收益（可用 --usdcny 指定汇率）');
+      }
     }
     
     // 输出结果（根据模式选择详细或简洁输出）
@@ -945,13 +1348,8 @@ async function main(compactMode = false) {
     
     // 显示K线数据统计（仅在非简洁模式）
     if (!compactMode && inferenceData && inferenceData.length > 0) {
-      const sorted = [...inferenceData].sort((a, b) => {
-        const timeA = getKlineTimeMs(a);
-        const timeB = getKlineTimeMs(b);
-        return timeA - timeB;
-      });
-      const firstTime = new Date(getKlineTimeMs(sorted[0]));
-      const lastTime = new Date(getKlineTimeMs(sorted[sorted.length - 1]));
+      const firstTime = new Date(inferenceData[0].time);
+      const lastTime = new Date(inferenceData[inferenceData.length - 1].time);
       console.log(`\n📊 数据统计:`);
       console.log(`   推理周期: ${timeframeName}，K线数据条数: ${inferenceData.length}`);
       console.log(`   数据时间范围: ${firstTime.toLocaleString('zh-CN')} 至 ${lastTime.toLocaleString('zh-CN')}`);
@@ -975,8 +1373,8 @@ async function main(compactMode = false) {
       });
     }
     
-    // 对比参考点位和推理点位（仅在非简洁模式）
-    if (!compactMode && waveStructure && analysis && analysis.inferred) {
+    // 对比参考点位和推理点位（仅在非简洁模式，且当前品种配置了参考点位）
+    if (!compactMode && REFERENCE_POINTS && waveStructure && analysis && analysis.inferred) {
       console.log(`\n📊 参考点位对比:`);
       console.log(`   参考第一浪: ${REFERENCE_POINTS.WAVE_1.START} → ${REFERENCE_POINTS.WAVE_1.END}`);
       console.log(`   推理第一浪: ${analysis.wave1.start.toFixed(2)} → ${analysis.wave1.end.toFixed(2)}`);
@@ -1015,7 +1413,24 @@ function startPeriodicAnalysis(intervalMinutes = 5) {
 if (require.main === module) {
   const args = process.argv.slice(2);
 
-  if (args.includes('--wave') || args.includes('-W')) {
+  if (args.includes('--validate') || args.includes('--repair')) {
+    runQualityMode();
+  } else if (args.includes('--import')) {
+    runImportMode();
+  } else if (args.includes('--export')) {
+    runExportMode();
+  } else if (args.includes('--buy') || args.includes('--sell')) {
+    runTradeMode(args.includes('--buy') ? 'buy' : 'sell');
+  } else if (args.includes('--positions')) {
+    runPositionsMode();
+  } else if (args.includes('--serve')) {
+    const portIdx = args.indexOf('--port');
+    const port = portIdx !== -1 ? parseInt(args[portIdx + 1], 10) : undefined;
+    startUdfServer({ port }).catch(e => {
+      console.error('❌ UDF 数据源服务启动失败:', e.message);
+      process.exit(1);
+    });
+  } else if (args.includes('--wave') || args.includes('-W')) {
     runWaveMode();
   } else if (args.includes('--watch') || args.includes('-w')) {
     const interval = parseInt(args[args.indexOf('--interval') + 1] || args[args.indexOf('-i') + 1] || '5');
@@ -1027,6 +1442,7 @@ if (require.main === module) {
 
 // 导出函数供其他模块使用
 module.exports = {
+  getCurrentQuote,
   getCurrentGoldPrice,
   fetchFromURL,
   fetchFromAPI,
@@ -1054,6 +1470,7 @@ module.exports = {
   validateContractingTriangle,
   buildElliottChannel,
   validateWaveInternalStructure,
+  rankWaveCounts,
   judgeTrend,
   fetchMultiTimeframeData,
   analyzeMultiTimeframe,
@@ -1067,8 +1484,14 @@ module.exports = {
   filterKlineByTimeRange,
   parseTimeRangeFromArgs,
   parseTimeframeFromArgs,
+  parseManualPriceFromArgs,
   main,
   runWaveMode,
+  runQualityMode,
+  runImportMode,
+  runExportMode,
+  runTradeMode,
+  runPositionsMode,
   startPeriodicAnalysis,
   generateWaveChartHTML,
   DATA_FILE,
@@ -0,0 +1,76 @@
+/**
+ * K线合成模块
+ * 把轮询到的实时价格合并进当前未收盘的K线（更新最高/最低/收盘），
+ * 到达周期边界时开启新K线，保证实时数据与抓取的历史数据结构一致
+ */
+
+const { createNormalizedBar } = require('../kline/kline');
+
+/**
+ * 计算某时刻所属K线的起始时间（按周期边界对齐）
+ * @param {number} timeMs - 时间（毫秒）
+ * @param {number} intervalMinutes - 周期（分钟）
+ * @param {number} [anchorOffsetMinutes] - 边界偏移（分钟），如日线以 UTC 22:00 为界则为 1320
+ * @returns {number} K线起始时间（毫秒）
+ */
+function getBarStartTime(timeMs, intervalMinutes, anchorOffsetMinutes = 0) {
+  const intervalMs = intervalMinutes * 60000;
+  const offsetMs = anchorOffsetMinutes * 60000;
+  return Math.floor((timeMs - offsetMs) / intervalMs) * intervalMs + offsetMs;
+}
+
+/**
+ * 创建新K线（标准K线结构，开高低收均为该价格）
+ * @param {number} barStart - K线起始时间（毫秒）
+ * @param {number} price - 开盘价
+ * @returns {Object} K线
+ */
+function createBar(barStart, price) {
+  return createNormalizedBar(barStart, price, price, price, price, 0);
+}
+
+/**
+ * 把一个实时价格合并进K线数组（原地修改）
+ * - 价格落在最后一根K线所属周期内：更新 high/low/close
+ * - 价格跨过周期边界：追加一根新K线
+ * - 价格时间早于最后一根K线所属周期（时钟回拨等）：跳过
+ * @param {Array} bars - 标准K线数组（按时间升序）
+ * @param {number} price - 实时价格
+ * @param {number} timeMs - 价格时间（毫秒）
+ * @param {number} intervalMinutes - 周期（分钟）
+ * @param {number} [anchorOffsetMinutes] - 边界偏移（分钟）
+ * @returns {{ action: 'update'|'new'|'skip', bar: Object|null }}
+ */
+function foldPriceIntoBars(bars, price, timeMs, intervalMinutes, anchorOffsetMinutes = 0) {
+  const barStart = getBarStartTime(timeMs, intervalMinutes, anchorOffsetMinutes);
+  const last = bars[bars.length - 1];
+
+  if (last) {
+    const lastStart = getBarStartTime(last.time, intervalMinutes, anchorOffsetMinutes);
+
+    if (lastStart === barStart) {
+      // 旧版追加的K线时间未对齐（任意毫秒），合并时统一对齐到周期起点
+      last.timestamp = Math.floor(barStart / 1000);
+      last.time = barStart;
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+      last.price = price;
+      return { action: 'update', bar: last };
+    }
+
+    if (lastStart > barStart) {
+      return { action: 'skip', bar: null };
+    }
+  }
+
+  const bar = createBar(barStart, price);
+  bars.push(bar);
+  return { action: 'new', bar };
+}
+
+module.exports = {
+  getBarStartTime,
+  createBar,
+  foldPriceIntoBars
+};
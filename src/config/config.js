@@ -5,8 +5,113 @@
 
 const path = require('path');
 
+// 现货黄金参考点位（仅作为参考，实际点位从K线数据推理得出）
+const XAUUSD_REFERENCE_POINTS = {
+  WAVE_1: {
+    START: 4300,          // 起点（0点），约4300-4400，取4300
+    END: 5600,            // 第一浪终点（V）
+    RANGE: 1300           // 涨幅约1300
+  },
+  WAVE_2: {
+    START: 5600,          // 第二浪起点（第一浪终点）
+    W_LOW: 5100,          // W浪低点
+    X_HIGH: 5450,         // X浪高点
+    Y_LOW: 4600,          // Y浪低点
+    RISE_V_HIGH: 5150,    // 上升5浪(v)浪高点
+    CURRENT_LOW: 4600     // 当前低点
+  },
+  LIFE_LINE: 4540        // 生命线（蓝线0.8位置）- 参考值
+};
+
+// 1 金衡盎司 = 31.1034768 克（国际金价按盎司报价，国内账户按克计价）
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+// 品种目录：每个品种独立的数据文件、实时价格源、最小变动价位与价格合理区间
+// 当前品种由环境变量 WAVE_SYMBOL 选择（goldWaveAnalysis.js --symbol 会设置它），默认现货黄金
+// FILE_PREFIX：数据文件前缀（<前缀>_price_1h.json、<前缀>_1year_data_real.json 等），现货黄金沿用原有的 gold_*
+// PRICE_BOUNDS：冷启动价格区间，仅在没有足够历史K线做 ATR 合理性检查时使用（见 PRICE_SANITY_CONFIG）
+// QUOTE.JIJINHAO_CODE：金投网行情代码，未确认的品种留空（该数据源跳过），可用环境变量 JIJINHAO_CODE 指定
+// QUOTE.PRICE_ENV：手动价格环境变量（--price 之外的另一种手动输入方式），每个品种各用一个，避免切换品种时误用其他品种的价格
+// TVC_SYMBOL：fetch_year_data.js 使用的 investing.com 品种 ID，未确认的品种留空，可用环境变量 TVC_SYMBOL 指定
+// CURRENCY / GRAMS_PER_UNIT：报价货币与每个报价单位对应的克数（按盎司报价为 31.1034768，按克报价为 1），用于 CNY/克 折算
+// MARKET_HOURS：休市判定规则（见 src/data-quality），FX 为外汇/国际贵金属时段，SGE 为上海黄金交易所时段
+const INSTRUMENT_CATALOG = {
+  XAUUSD: {
+    NAME: '现货黄金',
+    UNIT: 'USD/盎司',
+    CURRENCY: 'USD',
+    GRAMS_PER_UNIT: GRAMS_PER_TROY_OUNCE,
+    FILE_PREFIX: 'gold',
+    TICK_SIZE: 0.01,
+    PRICE_BOUNDS: { MIN: 4000, MAX: 6000 },
+    QUOTE: { JIJINHAO_CODE: 'JO_92233', TICK_FILE: 'price_ticks.log', PRICE_ENV: 'GOLD_PRICE' },
+    HISTORY_SYMBOL: 'XAUUSD',
+    TVC_SYMBOL: '68',
+    UDF: { DESCRIPTION: '现货黄金（美元/盎司）', EXCHANGE: 'FX', TIMEZONE: 'America/New_York', SESSION: '1800-1700' },
+    SESSION_ANCHOR: 'NY_CLOSE',
+    MARKET_HOURS: 'FX',
+    REFERENCE_POINTS: XAUUSD_REFERENCE_POINTS
+  },
+  XAGUSD: {
+    NAME: '现货白银',
+    UNIT: 'USD/盎司',
+    CURRENCY: 'USD',
+    GRAMS_PER_UNIT: GRAMS_PER_TROY_OUNCE,
+    FILE_PREFIX: 'silver',
+    TICK_SIZE: 0.001,
+    PRICE_BOUNDS: { MIN: 20, MAX: 150 },
+    QUOTE: { JIJINHAO_CODE: null, TICK_FILE: 'silver_ticks.log', PRICE_ENV: 'SILVER_PRICE' },
+    HISTORY_SYMBOL: 'XAGUSD',
+    TVC_SYMBOL: null,
+    UDF: { DESCRIPTION: '现货白银（美元/盎司）', EXCHANGE: 'FX', TIMEZONE: 'America/New_York', SESSION: '1800-1700' },
+    SESSION_ANCHOR: 'NY_CLOSE',
+    MARKET_HOURS: 'FX',
+    REFERENCE_POINTS: null
+  },
+  AU9999: {
+    NAME: '上海金Au99.99',
+    UNIT: 'CNY/克',
+    CURRENCY: 'CNY',
+    GRAMS_PER_UNIT: 1,
+    FILE_PREFIX: 'au9999',
+    TICK_SIZE: 0.01,
+    PRICE_BOUNDS: { MIN: 700, MAX: 1600 },
+    QUOTE: { JIJINHAO_CODE: null, TICK_FILE: 'au9999_ticks.log', PRICE_ENV: 'AU9999_PRICE' },
+    HISTORY_SYMBOL: 'AU9999',
+    TVC_SYMBOL: null,
+    UDF: { DESCRIPTION: '上海黄金交易所 Au99.99（元/克）', EXCHANGE: 'SGE', TIMEZONE: 'Asia/Shanghai', SESSION: '2000-0230,0900-1130,1330-1530' },
+    SESSION_ANCHOR: 'SGE_NIGHT',
+    MARKET_HOURS: 'SGE',
+    REFERENCE_POINTS: null
+  }
+};
+
+/**
+ * 解析当前品种（环境变量 WAVE_SYMBOL，不区分大小写）
+ * @returns {Object} 品种配置，附带 SYMBOL 字段
+ */
+function resolveInstrument() {
+  const symbol = (process.env.WAVE_SYMBOL || 'XAUUSD').trim().toUpperCase();
+  const instrument = INSTRUMENT_CATALOG[symbol];
+  if (!instrument) {
+    throw new Error(`未知品种: ${symbol}，可用品种: ${Object.keys(INSTRUMENT_CATALOG).join(', ')}`);
+  }
+  return { SYMBOL: symbol, ...instrument };
+}
+
+const INSTRUMENT_CONFIG = resolveInstrument();
+
+/**
+ * 当前品种的数据文件路径（项目根目录下）
+ * @param {string} suffix - 前缀之后的文件名部分，如 'price_1h.json'
+ * @returns {string}
+ */
+function instrumentFile(suffix) {
+  return path.join(__dirname, '..', '..', `${INSTRUMENT_CONFIG.FILE_PREFIX}_${suffix}`);
+}
+
 // 数据文件路径
-const DATA_FILE = path.join(__dirname, '..', '..', 'gold_price_1h.json');
+const DATA_FILE = instrumentFile('price_1h.json');
 
 // 黄金分割比率常量
 const FIBONACCI_RATIOS = {
@@ -22,57 +127,339 @@ const DATA_CONFIG = {
   UPDATE_INTERVAL: 3600000   // 更新间隔：1小时（毫秒）
 };
 
+// 交易日时段锚点（4小时/日线/周线K线由1小时K线重采样时的交易日边界）
+// 默认取当前品种的 SESSION_ANCHOR，可用环境变量 SESSION_ANCHOR 切换，如 SESSION_ANCHOR=BEIJING_MIDNIGHT
+const SESSION_CONFIG = {
+  ANCHOR: process.env.SESSION_ANCHOR || INSTRUMENT_CONFIG.SESSION_ANCHOR,
+  ANCHORS: {
+    NY_CLOSE: { NAME: '纽约17:00收盘', TIME_ZONE: 'America/New_York', HOUR: 17 },
+    BEIJING_MIDNIGHT: { NAME: '北京时间0点', TIME_ZONE: 'Asia/Shanghai', HOUR: 0 },
+    UTC_MIDNIGHT: { NAME: 'UTC 0点', TIME_ZONE: 'UTC', HOUR: 0 },
+    SGE_NIGHT: { NAME: '上金所20:00夜盘开盘', TIME_ZONE: 'Asia/Shanghai', HOUR: 20 }
+  }
+};
+
 // 多周期配置
+// RESAMPLE_FROM：该周期由哪个周期的K线重采样生成（不单独抓取）
 const TIMEFRAME_CONFIG = {
   H1: {
     NAME: '1小时',
-    FILE_PATH: path.join(__dirname, '..', '..', 'gold_price_1h.json'),
+    FILE_PATH: instrumentFile('price_1h.json'),
     INTERVAL: 60,            // 分钟
     DAYS_TO_FETCH: 365,
     UPDATE_INTERVAL: 3600000
   },
   H4: {
     NAME: '4小时',
-    FILE_PATH: path.join(__dirname, '..', '..', 'gold_price_4h.json'),
+    FILE_PATH: instrumentFile('price_4h.json'),
     INTERVAL: 240,           // 分钟
     DAYS_TO_FETCH: 365,
-    UPDATE_INTERVAL: 14400000
+    UPDATE_INTERVAL: 14400000,
+    RESAMPLE_FROM: 'H1'
   },
   D1: {
     NAME: '日线',
-    FILE_PATH: path.join(__dirname, '..', '..', 'gold_price_d1.json'),
+    FILE_PATH: instrumentFile('price_d1.json'),
     INTERVAL: 1440,          // 分钟
     DAYS_TO_FETCH: 365,
-    UPDATE_INTERVAL: 86400000
+    UPDATE_INTERVAL: 86400000,
+    RESAMPLE_FROM: 'H1'
   }
 };
 
-// 黄金历史数据文件（1小时K线，由 fetch_year_data.js 生成）
-const GOLD_HISTORY_DATA_FILE = path.join(__dirname, '..', '..', 'gold_1year_data_real.json');
+// K线分段存储配置（见 src/kline-store）
+// 每个周期的 FILE_PATH（如 gold_price_1h.json）对应一个分段目录（gold_price_1h.kline/），按月存为 NDJSON
+const KLINE_STORE_CONFIG = {
+  DIR_SUFFIX: '.kline',          // 分段目录后缀
+  COMPACT_THRESHOLD: 200,        // 分段中被覆盖的行超过该数量时重写分段
+  RETENTION_DAYS: 365,           // 实时追加时保留约 N 天的K线数（N × 每天K线数，超出时删除最早的K线）
+  SNAPSHOT_DIR: '.snapshot',     // 分段快照子目录（每次整段写入后保存，分段损坏时用于恢复）
+  META_FILE: 'meta.json',        // 分段统计文件（各分段行数、K线数，追加与限制数量时无需重读分段）
+  CORRUPT_SUFFIX: '.corrupt'     // 损坏分段恢复前的留存副本后缀
+};
 
-// 参考点位（仅作为参考，实际点位从K线数据推理得出）
-const REFERENCE_POINTS = {
-  WAVE_1: {
-    START: 4300,          // 起点（0点），约4300-4400，取4300
-    END: 5600,            // 第一浪终点（V）
-    RANGE: 1300           // 涨幅约1300
+// CSV / MetaTrader 导入导出配置（见 src/kline-csv），均可用命令行参数覆盖
+const KLINE_CSV_CONFIG = {
+  TIMEZONE: process.env.KLINE_CSV_TZ || 'UTC',  // 导入时 CSV 时间所在时区 / 导出时间所用时区（--tz）
+  PRICE_SCALE: 1,                                // 价格系数（--scale）
+  PRICE_DIGITS: 2                                // 导出价格小数位（--digits）
+};
+
+// 文件锁配置（见 src/file-lock）：多个进程写同一数据文件时互斥
+const FILE_LOCK_CONFIG = {
+  TIMEOUT_MS: 10000,  // 等待锁的最长时间
+  RETRY_MS: 50,       // 重试间隔
+  STALE_MS: 60000     // 锁持有超过该时间视为残留（写入都是秒级操作）
+};
+
+// K线数据质量检查配置
+const DATA_QUALITY_CONFIG = {
+  ATR_PERIOD: 14,            // 尖刺判定使用的 ATR 周期
+  SPIKE_ATR_MULTIPLE: 5,     // 真实波幅超过 N×ATR 视为尖刺
+  MAX_SAMPLES: 5             // 报告中每类问题最多列出的样例数
+};
+
+// 历史数据文件（1小时K线，由 fetch_year_data.js 生成；现货黄金为 gold_1year_data_real.json）
+const GOLD_HISTORY_DATA_FILE = instrumentFile('1year_data_real.json');
+
+// 历史K线接口配置（TradingView UDF /history 协议，与 datafeed.js 相同）
+// URL 为 UDF 服务根地址，请求 `${URL}/history?symbol=&resolution=&from=&to=`；未配置时不从接口获取历史数据
+// 可用 `npm run stub:udf` 启动本地替身服务，再设置 HISTORY_API_URL=http://127.0.0.1:18081 测试
+const HISTORY_API_CONFIG = {
+  URL: process.env.HISTORY_API_URL || null,
+  SYMBOL: process.env.HISTORY_API_SYMBOL || INSTRUMENT_CONFIG.HISTORY_SYMBOL,
+  HEADERS: {},
+  BATCH_DAYS: 30,              // 每批请求的天数
+  REQUEST_INTERVAL_MS: 800,    // 两次请求的最小间隔（毫秒）
+  MAX_RETRIES: 3,              // 单批最大重试次数（网络错误、429、5xx）
+  RETRY_BASE_DELAY_MS: 1000,   // 重试退避基数（毫秒），第 n 次重试等待 基数×2^(n-1)
+  TIMEOUT_MS: 15000,           // 单次请求超时（毫秒）
+  CHECKPOINT_FILE: path.join(__dirname, '..', '..', '.history_checkpoint.json')  // 断点续传文件
+};
+
+// investing.com TVC 历史K线接口配置（fetch_year_data.js 使用，同为 UDF /history 协议）
+// BASE_URL 中的 {tokenPart1}/{tokenPart2} 由 TOKENS 替换；token 会过期，
+// 请从浏览器 Network 面板复制 history 请求 URL 中的两段 token，通过环境变量或 config 更新
+// HEADERS 为附加的认证请求头：Referer 必需；被 Cloudflare 拦截时可设置 TVC_COOKIE（复制浏览器 Cookie），
+// 其他请求头可用 TVC_HEADERS 传入 JSON，如 TVC_HEADERS='{"Authorization":"Bearer xxx"}'
+const TVC_HISTORY_CONFIG = {
+  BASE_URL: process.env.TVC_HISTORY_URL || 'https://tvc4.investing.com/{tokenPart1}/{tokenPart2}/6/6/28',
+  TOKENS: {
+    tokenPart1: process.env.TVC_TOKEN_PART1 || '8ec1d14e6f65b8b2460e786b59a7ba71',
+    tokenPart2: process.env.TVC_TOKEN_PART2 || '1770517558'
   },
-  WAVE_2: {
-    START: 5600,          // 第二浪起点（第一浪终点）
-    W_LOW: 5100,          // W浪低点
-    X_HIGH: 5450,         // X浪高点
-    Y_LOW: 4600,          // Y浪低点
-    RISE_V_HIGH: 5150,    // 上升5浪(v)浪高点
-    CURRENT_LOW: 4600     // 当前低点
+  SYMBOL: process.env.TVC_SYMBOL || INSTRUMENT_CONFIG.TVC_SYMBOL,
+  RESOLUTION: '60',
+  HEADERS: {
+    'Referer': process.env.TVC_REFERER || 'https://tvc-cncdn-cf.investing.com/',
+    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+    ...(process.env.TVC_COOKIE ? { 'Cookie': process.env.TVC_COOKIE } : {})
   },
-  LIFE_LINE: 4540        // 生命线（蓝线0.8位置）- 参考值
+  CHECKPOINT_FILE: path.join(__dirname, '..', '..', '.tvc_history_checkpoint.json')
+};
+
+// 实时价格数据源配置
+// ORDER 为依次尝试的数据源名称，前一个失败时自动回退到下一个；
+// 可用环境变量 PRICE_SOURCE_ORDER 覆盖（逗号分隔，如 "json-http,jijinhao"）
+// PROVIDERS 中每个数据源的 TYPE 对应 src/price-source 中注册的实现
+const PRICE_SOURCE_CONFIG = {
+  ORDER: (process.env.PRICE_SOURCE_ORDER || 'manual,jijinhao,file-tail')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean),
+  MANUAL_HINT: `请使用 --price 或 ${INSTRUMENT_CONFIG.QUOTE.PRICE_ENV} 手动指定${INSTRUMENT_CONFIG.NAME}价格`,
+  PROVIDERS: {
+    // 手动/固定价格：--price 参数 > 当前品种的 PRICE_ENV 环境变量（现货黄金为 GOLD_PRICE）> PRICE
+    manual: {
+      TYPE: 'fixed',
+      ENV_VAR: INSTRUMENT_CONFIG.QUOTE.PRICE_ENV,
+      PRICE: null
+    },
+    // 金投网 jijinhao.com（var hq_str 格式，必须带 Referer，否则返回 666 状态码）
+    jijinhao: {
+      TYPE: 'jijinhao',
+      URL: process.env.JIJINHAO_QUOTE_URL || 'https://api.jijinhao.com/sQuoteCenter/realTime.htm',
+      CODE: process.env.JIJINHAO_CODE || INSTRUMENT_CONFIG.QUOTE.JIJINHAO_CODE,
+      HEADERS: {
+        'Referer': 'https://quote.cngold.org/gjs/',
+        'Origin': 'https://quote.cngold.org',
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/144.0.0.0 Safari/537.36',
+        'Accept': '*/*',
+        'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8,en-US;q=0.7'
+      }
+    },
+    // 通用 JSON HTTP 接口：PRICE_PATH 为价格字段路径（如 "data.price"），TIME_PATH 可选
+    'json-http': {
+      TYPE: 'json-http',
+      URL: process.env.PRICE_JSON_URL || null,
+      PRICE_PATH: process.env.PRICE_JSON_PATH || 'price',
+      TIME_PATH: null,
+      HEADERS: {}
+    },
+    // 文件尾部读取：其他进程持续写入的行情文件，取最后一行（JSON / "时间,价格" / 纯数字）
+    'file-tail': {
+      TYPE: 'file-tail',
+      FILE_PATH: process.env.PRICE_TAIL_FILE || path.join(__dirname, '..', '..', INSTRUMENT_CONFIG.QUOTE.TICK_FILE),
+      MAX_AGE_MS: 10 * 60 * 1000   // 最后一行超过10分钟视为过期
+    }
+  }
+};
+
+// 实时报价合理性检查（见 src/price-sanity）
+// 以1小时K线的最近收盘价与 ATR 为基准：偏离超过 MAX_ATR_MULTIPLE×ATR×√(距最近K线的小时数) 或报价时间过旧的视为坏报价；
+// 最近K线早于 MAX_REFERENCE_AGE_MS 时按品种的 PRICE_BOUNDS 检查；
+// 实时数据源的坏报价被丢弃并回退到下一个数据源，手动输入的价格只提示不拒绝
+const PRICE_SANITY_CONFIG = {
+  ATR_PERIOD: 14,                      // ATR 周期
+  MAX_ATR_MULTIPLE: 8,                 // 允许偏离的 ATR 倍数（1小时内）
+  MAX_QUOTE_AGE_MS: 15 * 60 * 1000,    // 报价时间早于15分钟视为过期
+  MAX_REFERENCE_AGE_MS: 4 * 86400000  // 最近K线早于4天（超过周末与长假休市）时不再按 ATR 放宽，退回 PRICE_BOUNDS
 };
 
+// USD/CNY 汇率数据源（见 src/valuation），结构与 PRICE_SOURCE_CONFIG 相同，复用 src/price-source 的数据源类型
+// 手动汇率：--usdcny 参数 > USD_CNY 环境变量；接口如 FX_RATE_URL=https://open.er-api.com/v6/latest/USD（PRICE_PATH 默认 rates.CNY）；
+// 本地文件每行一个汇率（JSON / "时间,汇率" / 纯数字），取最后一行
+const FX_RATE_CONFIG = {
+  ORDER: (process.env.FX_RATE_SOURCE_ORDER || 'manual,json-http,file-tail')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean),
+  MANUAL_HINT: '请使用 --usdcny 或 USD_CNY 手动指定汇率',
+  PROVIDERS: {
+    manual: {
+      TYPE: 'fixed',
+      ENV_VAR: 'USD_CNY',
+      PRICE: null
+    },
+    'json-http': {
+      TYPE: 'json-http',
+      URL: process.env.FX_RATE_URL || null,
+      PRICE_PATH: process.env.FX_RATE_PATH || 'rates.CNY',
+      TIME_PATH: null,
+      HEADERS: {}
+    },
+    'file-tail': {
+      TYPE: 'file-tail',
+      FILE_PATH: process.env.FX_RATE_FILE || path.join(__dirname, '..', '..', 'usdcny_rate.log'),
+      MAX_AGE_MS: 24 * 60 * 60 * 1000   // 汇率日内变化小，一天内有效
+    }
+  }
+};
+
+// 持仓台账（见 src/position-ledger）：--buy / --sell 记录交易，每次分析与监控自动显示持仓汇总
+// 每个品种一个台账文件（现货黄金为 gold_positions.json），数量单位为克
+const POSITION_LEDGER_CONFIG = {
+  FILE_PATH: process.env.POSITION_LEDGER_FILE || instrumentFile('positions.json')
+};
+
+// 交易计划（见 src/risk）：按波浪失效位止损、按账户风险计算仓位
+// 账户规模可用 --account（报价币种）/ --account-cny 或环境变量 RISK_ACCOUNT_SIZE 指定，未指定时只给出止损、盈亏比与保本价
+const RISK_CONFIG = {
+  ACCOUNT_SIZE: parseFloat(process.env.RISK_ACCOUNT_SIZE) || null,  // 账户规模（报价币种）
+  MAX_RISK_PCT: parseFloat(process.env.RISK_MAX_PCT) || 1,          // 单笔最大风险（账户的百分比，--risk）
+  STOP_BUFFER_TICKS: 50,     // 止损放在失效位下方 N 个最小变动价位
+  SPREAD_TICKS: 30,          // 买卖价差（最小变动价位数）
+  FEE_RATE: 0.0005           // 单边手续费率
+};
+
+// 调整浪形态识别（见 src/corrective），比率与时间规则摘自 波浪理论核心算法提炼/01-核心概念与算法基础.md（单锯齿验证手册）、
+// 02-调整浪之平台形.md、03-调整浪之收缩三角形.md
+// 各浪的"运行总量"以相邻转折点之间的价差近似
+const CORRECTIVE_PATTERN_CONFIG = {
+  ZIGZAG: {
+    MIN_B_RATIO: 0.2,          // b浪 ≥ a浪的20% 且 ≤ a浪（b浪不能越过a浪起点）
+    MAX_B_RATIO: 1,
+    MIN_C_TO_B: 0.9,           // c浪 ≥ b浪的90%（90%-100% 为"失败的c浪"）且 < b浪的5倍
+    MAX_C_TO_B: 5,
+    MAX_C_TO_A: 5,             // c浪 < a浪的5倍
+    MAX_TIME_RATIO: 10,        // b浪、c浪时间不超过a浪的10倍；c浪时间不超过b浪的10倍
+    FLAT_HINT_B_RATIO: 0.86,   // b浪超过a浪的86%时倾向于平台形
+    IMPULSE_HINT_C_RATIO: 1.618  // c浪超过a浪的1.618倍时可能是推动浪
+  },
+  FLAT: {
+    MIN_B_RATIO: 0.9,          // b浪至少回撤a浪的90%（文档硬性下限为70%，调为 0.7 可放宽）
+    MAX_B_RATIO: 2,            // b浪必须小于a浪的2倍
+    MAX_C_TO_LONGER: 2,        // c浪不超过a、b中较长一浪的2倍
+    MAX_C_TO_A: 3,             // c浪不超过a浪的3倍
+    MAX_TIME_RATIO: 10         // b浪时间不超过a浪的10倍；c浪时间不超过a、b中较短一浪的10倍
+  },
+  TRIANGLE: {
+    MIN_B_RATIO: 0.5,          // 收缩三角形：b浪 ≥ a浪的50% 且 < 2倍
+    MAX_B_RATIO: 2,
+    MIN_C_RATIO: 0.5,          // c浪 < b浪 且 ≥ b浪的50%
+    MIN_D_RATIO: 0.5,          // d浪 ≤ c浪 且 ≥ c浪的50%
+    MIN_E_RATIO: 0.25,         // e浪 < d浪 且 ≥ d浪的25%
+    MAX_E_OVERSHOOT: 0.1,      // e浪越过 a-c 通道线不超过d浪的10%
+    MAX_TIME_RATIO: 4,         // d浪、e浪时间不超过c浪的4倍
+    BARRIER_TOLERANCE: 0.03,   // b、d终点相差不超过a浪的3%视为水平线（障碍三角形）
+    EXPANDING_MIN_E_RATIO: 0.618  // 扩散三角形：a→d 逐浪放大，e浪 ≥ d浪的61.8%
+  },
+  COMBINATION: {
+    MAX_LEGS: 3,               // 最多 w-x-y-xx-z 三个简单调整浪
+    MAX_X_RATIO: 1.5,          // x浪的运行总量最多到达前一浪的1.5倍
+    MAX_X_TIME_RATIO: 5        // x浪时间不超过前一浪的5倍
+  }
+};
+
+// 波浪计数枚举（见 src/wave-count）：在最近的摆动点上枚举所有可行的 0-1-2-3-4-5-a-b-c 标注，
+// 剔除违反铁律的计数后按指引吻合度打分排序
+const WAVE_COUNT_CONFIG = {
+  MAX_SWINGS: 24,            // 只在最近 N 个摆动点上枚举
+  MAX_SEGMENTS: 5,           // 每一浪最多跨越的摆动段数（1、3、5）
+  MIN_WAVES: 2,              // 计数至少包含的浪数（0-1-2）
+  MAX_COUNTS: 5,             // 输出的计数个数（首选 + 备选），置信度在这些计数之间归一化
+  FIB_TOLERANCE: 0.25,       // 比率与斐波那契目标的相对误差达到25%时该项得0分
+  ALTERNATION_DEPTH: 0.2,    // 2浪、4浪回撤比率相差20%以上视为深浅交替
+  CHANNEL_TOLERANCE: 0.382,  // 5浪终点偏离 2-4 平行通道线达到3浪长度的38.2%时该项得0分
+  LABEL_CONFLICT_PENALTY: 0.8, // 同一组摆动点的推动浪/调整浪两种标注中，与前一段走势不符的一种得分乘以该系数
+  WEIGHTS: {
+    FIBONACCI: 0.4,
+    ALTERNATION: 0.15,
+    CHANNEL: 0.15,
+    COVERAGE: 0.3            // 计数覆盖的摆动段占比（解释的走势越完整越好）
+  }
+};
+
+// 多级别波浪标注配置（文档 1.5.1 节级别表，由高到低取其中五级）
+// 推动浪标注：WRAP 为括号样式，NUMERALS 为阿拉伯数字或小写罗马数字；调整浪字母在阿拉伯数字级别用大写，罗马数字级别用小写
+const WAVE_DEGREE_CONFIG = {
+  DEGREES: [
+    { KEY: 'PRIMARY', NAME: '大浪', WRAP: '[]', NUMERALS: 'arabic' },         // [1] [A]
+    { KEY: 'INTERMEDIATE', NAME: '中浪', WRAP: '()', NUMERALS: 'arabic' },    // (1) (A)
+    { KEY: 'MINOR', NAME: '小浪', WRAP: '', NUMERALS: 'arabic' },             // 1 A
+    { KEY: 'MINUTE', NAME: '小细浪', WRAP: '()', NUMERALS: 'roman' },         // (i) (a)
+    { KEY: 'MINUETTE', NAME: '亚小细浪', WRAP: '', NUMERALS: 'roman' }        // i a
+  ],
+  TOP_DEGREE: 'INTERMEDIATE',  // 最高一级计数的级别，向下每细分一层降一级
+  MIN_LOOKBACK: 1              // 每细分一层关键点回看周期减半，低于该值时停止细分
+};
+
+// UDF 数据源服务配置（node goldWaveAnalysis.js --serve）
+// 按 TradingView UDF 协议提供本地K线文件与波浪标注，图表前端通过 datafeed.js 接入
+const UDF_SERVER_CONFIG = {
+  HOST: process.env.UDF_HOST || '127.0.0.1',
+  PORT: parseInt(process.env.UDF_PORT || '8090', 10),
+  SYMBOL: {
+    NAME: INSTRUMENT_CONFIG.SYMBOL,
+    DESCRIPTION: INSTRUMENT_CONFIG.UDF.DESCRIPTION,
+    EXCHANGE: INSTRUMENT_CONFIG.UDF.EXCHANGE,
+    TYPE: 'commodity',
+    TIMEZONE: INSTRUMENT_CONFIG.UDF.TIMEZONE,
+    SESSION: INSTRUMENT_CONFIG.UDF.SESSION,               // 现货黄金为纽约18:00开盘至次日17:00收盘
+    PRICE_SCALE: Math.round(1 / INSTRUMENT_CONFIG.TICK_SIZE)  // 价格精度（最小变动价位的倒数）
+  },
+  WAVE_DAYS: 5,                // 波浪标注使用最近 N 天K线（与 --wave 模式一致）
+  WAVE_MIN_BARS: 120           // 波浪标注至少使用 N 根K线（4小时/日线5天的K线数不足以识别）
+};
+
+// 当前品种的参考点位（无参考点位的品种为 null）
+const REFERENCE_POINTS = INSTRUMENT_CONFIG.REFERENCE_POINTS;
+
 module.exports = {
+  INSTRUMENT_CATALOG,
+  INSTRUMENT_CONFIG,
   DATA_FILE,
   FIBONACCI_RATIOS,
   DATA_CONFIG,
   TIMEFRAME_CONFIG,
+  SESSION_CONFIG,
+  KLINE_STORE_CONFIG,
+  FILE_LOCK_CONFIG,
+  KLINE_CSV_CONFIG,
+  DATA_QUALITY_CONFIG,
   REFERENCE_POINTS,
-  GOLD_HISTORY_DATA_FILE
+  GOLD_HISTORY_DATA_FILE,
+  HISTORY_API_CONFIG,
+  TVC_HISTORY_CONFIG,
+  PRICE_SOURCE_CONFIG,
+  PRICE_SANITY_CONFIG,
+  FX_RATE_CONFIG,
+  GRAMS_PER_TROY_OUNCE,
+  POSITION_LEDGER_CONFIG,
+  RISK_CONFIG,
+  CORRECTIVE_PATTERN_CONFIG,
+  WAVE_COUNT_CONFIG,
+  WAVE_DEGREE_CONFIG,
+  UDF_SERVER_CONFIG
 };
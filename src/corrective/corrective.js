@@ -0,0 +1,696 @@
+/**
+ * 调整浪形态识别模块
+ * 在关键点位（identifyKeyPoints 的高低点）上识别调整浪的具体形态：
+ * - 锯齿类：单锯齿（5-3-5）、双锯齿 w-x-y、三锯齿 w-x-y-xx-z（波浪理论核心算法提炼/01-核心概念与算法基础.md 1.6.2）
+ * - 平台形（3-3-5）：规则平台形、扩散平台形、顺势平台形（波浪理论核心算法提炼/02-调整浪之平台形.md）
+ * - 三角形（3-3-3-3-3）：规则/顺势收缩三角形、障碍三角形、扩散三角形（03-调整浪之收缩三角形.md）
+ * - 联合形：双重横向整理 w-x-y、三重横向整理 w-x-y-xx-z，各浪为上述简单调整浪（01-核心概念与算法基础.md 1.6.2.6）
+ * 各形态返回结构化的子浪点位与目标位，供 identifyWaves12345AndABC 作为调整浪候选
+ */
+
+const { CORRECTIVE_PATTERN_CONFIG } = require('../config/config');
+
+const ZIGZAG_TYPE_LABELS = {
+  single: '单锯齿',
+  double: '双锯齿',
+  triple: '三锯齿'
+};
+
+const COMBINATION_TYPE_LABELS = {
+  double: '双重横向整理',
+  triple: '三重横向整理'
+};
+
+// 联合形各浪名称：w-x-y-xx-z
+const COMBINATION_WAVE_NAMES = ['w', 'y', 'z'];
+const CONNECTOR_WAVE_NAMES = ['x', 'xx'];
+const LEG_WAVE_KEYS = ['waveA', 'waveB', 'waveC', 'waveD', 'waveE'];
+
+const FLAT_TYPE_LABELS = {
+  regular: '规则平台形',
+  expanded: '扩散平台形',
+  running: '顺势平台形'
+};
+
+const TRIANGLE_TYPE_LABELS = {
+  regular: '规则收缩三角形',
+  running: '顺势收缩三角形',
+  barrier: '障碍三角形',
+  expanding: '扩散三角形'
+};
+
+/**
+ * 把关键点位整理为高低交替的摆动点：相邻同类点只保留更极端的一个
+ * @param {Array} points - 关键点位数组 [{type: 'high'|'low', price, time}]
+ * @returns {Array} 按时间排序、高低交替的摆动点
+ */
+function toSwings(points) {
+  const swings = [];
+  [...points].sort((a, b) => a.time - b.time).forEach(p => {
+    const last = swings[swings.length - 1];
+    if (last && last.type === p.type) {
+      const moreExtreme = p.type === 'high' ? p.price > last.price : p.price < last.price;
+      if (moreExtreme) swings[swings.length - 1] = p;
+      return;
+    }
+    swings.push(p);
+  });
+  return swings;
+}
+
+/**
+ * 统计一段浪内部的子浪数（按更细的关键点位）
+ * @param {Object} start - 起点
+ * @param {Object} end - 终点
+ * @param {Array} subPoints - 更细级别的关键点位（如 lookback=1 识别的高低点）
+ * @returns {number|null} 5 或 3；内部转折不足以判断时返回 null
+ */
+function countSubwaves(start, end, subPoints) {
+  const inner = subPoints.filter(p => p.time > start.time && p.time < end.time);
+  const segments = toSwings([start, ...inner, end]).length - 1;
+  if (segments >= 5) return 5;
+  if (segments >= 3) return 3;
+  return null;
+}
+
+/**
+ * 由起止点构造一段浪
+ * @param {Object} start - 起点
+ * @param {Object} end - 终点
+ * @returns {Object} { start, end, startPrice, endPrice }
+ */
+function toWave(start, end) {
+  return { start, end, startPrice: start.price, endPrice: end.price };
+}
+
+/**
+ * 按单锯齿规则验证 0-a-b-c 四个点（01-核心概念与算法基础.md 单锯齿验证手册）
+ * - b浪 ≥ MIN_B_RATIO×a 且 ≤ a（b浪不能越过a浪起点）
+ * - c浪 ≥ MIN_C_TO_B×b 且 < MAX_C_TO_B×b，c浪 < MAX_C_TO_A×a；c浪短于b浪为"失败的c浪"
+ * - b浪、c浪时间不超过a浪的 MAX_TIME_RATIO 倍，c浪时间不超过b浪的 MAX_TIME_RATIO 倍
+ * 传入 subPoints 时统计各浪子浪数，单锯齿应为 5-3-5
+ * @param {Array} points - [origin, a, b, c] 四个关键点（origin 为a浪起点）
+ * @param {Object} [options] - { subPoints } 及覆盖 CORRECTIVE_PATTERN_CONFIG.ZIGZAG 的对应小驼峰字段
+ * @returns {Object|null} 单锯齿结构，不满足规则时返回 null
+ */
+function classifyZigzag(points, options = {}) {
+  if (!points || points.length !== 4) return null;
+  const cfg = CORRECTIVE_PATTERN_CONFIG.ZIGZAG;
+  const minBRatio = options.minBRatio ?? cfg.MIN_B_RATIO;
+  const maxBRatio = options.maxBRatio ?? cfg.MAX_B_RATIO;
+  const minCToB = options.minCToB ?? cfg.MIN_C_TO_B;
+  const maxCToB = options.maxCToB ?? cfg.MAX_C_TO_B;
+  const maxCToA = options.maxCToA ?? cfg.MAX_C_TO_A;
+  const maxTimeRatio = options.maxTimeRatio ?? cfg.MAX_TIME_RATIO;
+
+  const [origin, a, b, c] = points;
+  const dir = Math.sign(a.price - origin.price);
+  if (dir === 0 || Math.sign(b.price - a.price) !== -dir || Math.sign(c.price - b.price) !== dir) return null;
+
+  const aLen = Math.abs(a.price - origin.price);
+  const bLen = Math.abs(b.price - a.price);
+  const cLen = Math.abs(c.price - b.price);
+  if (bLen < minBRatio * aLen || bLen > maxBRatio * aLen) return null;
+  if (cLen < minCToB * bLen || cLen >= maxCToB * bLen || cLen >= maxCToA * aLen) return null;
+
+  const aTime = a.time - origin.time;
+  const bTime = b.time - a.time;
+  const cTime = c.time - b.time;
+  if (bTime > maxTimeRatio * aTime || cTime > maxTimeRatio * Math.min(aTime, bTime)) return null;
+
+  const notes = [];
+  if (bLen > (options.flatHintBRatio ?? cfg.FLAT_HINT_B_RATIO) * aLen) notes.push('b浪回撤较深，也可能是平台形');
+  if (cLen > (options.impulseHintCRatio ?? cfg.IMPULSE_HINT_C_RATIO) * aLen) notes.push('c浪远长于a浪，可能是推动浪而非锯齿');
+
+  let subwaves = null;
+  let structure = null;
+  if (options.subPoints && options.subPoints.length > 0) {
+    subwaves = [[origin, a], [a, b], [b, c]].map(([s, t]) => countSubwaves(s, t, options.subPoints));
+    if (subwaves[0] !== null || subwaves[2] !== null) {
+      structure = subwaves[0] !== 3 && subwaves[2] !== 3 ? '5-3-5' : '3-3-5';
+      if (structure !== '5-3-5') notes.push(`内部结构近似 ${structure}，不是典型的单锯齿 5-3-5`);
+    }
+  }
+
+  return {
+    pattern: 'zigzag',
+    type: 'single',
+    label: ZIGZAG_TYPE_LABELS.single,
+    direction: dir < 0 ? 'down' : 'up',
+    waveA: toWave(origin, a),
+    waveB: toWave(a, b),
+    waveC: toWave(b, c),
+    ratios: {
+      b: bLen / aLen,
+      c: cLen / aLen
+    },
+    failedC: cLen < bLen,
+    subwaves,
+    structure,
+    notes,
+    // c浪目标位（按文档中的常见程度排序）
+    targets: [
+      { label: 'c=a', price: b.price + dir * aLen },
+      { label: 'c=0.618a', price: b.price + dir * aLen * 0.618 },
+      { label: 'c=1.618a', price: b.price + dir * aLen * 1.618 },
+      { label: 'a终点外扩0.618a', price: a.price + dir * aLen * 0.618 }
+    ]
+  };
+}
+
+/**
+ * 识别从 origin 开始的锯齿类调整浪：三锯齿 w-x-y-xx-z、双锯齿 w-x-y、单锯齿 a-b-c
+ * 在 origin 之后的摆动点上依次尝试（先尝试更复杂的形态）：
+ * - w、y、z 各自为单锯齿（各占3个摆动），y 越过 w 终点，z 越过 y 终点
+ * - x浪、xx浪为连接浪，不能折返前一个锯齿的100%
+ * @param {Array} keyPoints - 关键点位数组
+ * @param {Object} origin - 调整浪起点（如推动浪5浪终点）
+ * @param {Object} [options] - 同 classifyZigzag
+ * @returns {Object|null} 锯齿类结构 { pattern: 'zigzag', type: 'single'|'double'|'triple', label, ... }
+ */
+function identifyZigzag(keyPoints, origin, options = {}) {
+  if (!keyPoints || !origin) return null;
+  const swings = toSwings(keyPoints.filter(p => p.time > origin.time));
+  const s = swings.slice(swings.length > 0 && swings[0].type === origin.type ? 1 : 0);
+
+  // 由若干个单锯齿与连接浪组成：legCount=1 单锯齿，2 双锯齿，3 三锯齿
+  const build = legCount => {
+    if (s.length < legCount * 4 - 1) return null;
+    const legs = [];
+    let start = origin;
+    for (let i = 0; i < legCount; i++) {
+      const zigzag = classifyZigzag([start, s[i * 4], s[i * 4 + 1], s[i * 4 + 2]], options);
+      if (!zigzag) return null;
+      const prev = legs[legs.length - 1];
+      if (prev) {
+        const dir = zigzag.direction === 'down' ? -1 : 1;
+        // 后一个锯齿必须越过前一个锯齿的终点，连接浪不能折返前一个锯齿的100%
+        if ((zigzag.waveC.endPrice - prev.zigzag.waveC.endPrice) * dir <= 0) return null;
+        if (zigzag.direction !== prev.zigzag.direction) return null;
+        const prevLen = Math.abs(prev.zigzag.waveC.endPrice - prev.start.price);
+        if (Math.abs(start.price - prev.zigzag.waveC.endPrice) >= prevLen) return null;
+      }
+      legs.push({ start, zigzag });
+      start = s[i * 4 + 3];
+      if (i < legCount - 1 && !start) return null;
+    }
+    return legs;
+  };
+
+  for (const legCount of [3, 2]) {
+    const legs = build(legCount);
+    if (!legs) continue;
+    const dir = legs[0].zigzag.direction === 'down' ? -1 : 1;
+    const [w, y, z] = legs;
+    const wLen = Math.abs(w.zigzag.waveC.endPrice - origin.price);
+    const yLen = Math.abs(y.zigzag.waveC.endPrice - y.start.price);
+    const result = {
+      pattern: 'zigzag',
+      type: legCount === 3 ? 'triple' : 'double',
+      label: ZIGZAG_TYPE_LABELS[legCount === 3 ? 'triple' : 'double'],
+      direction: legs[0].zigzag.direction,
+      waveW: toWave(origin, w.zigzag.waveC.end),
+      waveX: toWave(w.zigzag.waveC.end, y.start),
+      waveY: toWave(y.start, y.zigzag.waveC.end),
+      legs: legs.map(l => l.zigzag),
+      ratios: { y: yLen / wLen },
+      // y浪常见等于w浪（以 0-w-x 三点作扩展）
+      targets: [
+        { label: 'y=w', price: y.start.price + dir * wLen },
+        { label: 'y=0.618w', price: y.start.price + dir * wLen * 0.618 },
+        { label: 'y=1.618w', price: y.start.price + dir * wLen * 1.618 }
+      ]
+    };
+    if (z) {
+      const zLen = Math.abs(z.zigzag.waveC.endPrice - z.start.price);
+      result.waveXX = toWave(y.zigzag.waveC.end, z.start);
+      result.waveZ = toWave(z.start, z.zigzag.waveC.end);
+      result.ratios.z = zLen / wLen;
+      // z浪以 x-y-xx 三点作扩展
+      result.targets = [
+        { label: 'z=y', price: z.start.price + dir * yLen },
+        { label: 'z=0.618y', price: z.start.price + dir * yLen * 0.618 },
+        { label: 'z=1.618y', price: z.start.price + dir * yLen * 1.618 }
+      ];
+    }
+    return result;
+  }
+
+  // 单锯齿：c浪取b浪之后、价格越过b浪终点之前最远的同向摆动点
+  if (s.length < 3) return null;
+  const [a, b] = s;
+  const beyond = (p, ref) => (p.type === 'low' ? p.price < ref.price : p.price > ref.price);
+  let c = null;
+  for (let j = 2; j < s.length; j++) {
+    const p = s[j];
+    if (p.type === a.type) {
+      if (!c || beyond(p, c)) c = p;
+    } else if (beyond(p, b)) {
+      break;
+    }
+  }
+  return classifyZigzag([origin, a, b, c], options);
+}
+
+/**
+ * 按平台形规则验证 0-a-b-c 四个点并分类
+ * - b浪运行总量 ≥ MIN_B_RATIO×a 且 < MAX_B_RATIO×a
+ * - c浪必须与a浪重叠（越过0点）；c浪 ≤ MAX_C_TO_LONGER×max(a, b) 且 ≤ MAX_C_TO_A×a
+ * - b浪时间 ≤ MAX_TIME_RATIO×a浪时间；c浪时间 ≤ MAX_TIME_RATIO×min(a, b)浪时间
+ * 分类：b ≤ a 为规则平台形；b > a 时 c 越过a浪终点为扩散平台形，否则（c 介于a、b终点之间）为顺势平台形
+ * @param {Array} points - [origin, a, b, c] 四个关键点（origin 为a浪起点）
+ * @param {Object} [options] - 覆盖 CORRECTIVE_PATTERN_CONFIG.FLAT 的 { minBRatio, maxBRatio, maxCToLonger, maxCToA, maxTimeRatio }
+ * @returns {Object|null} 平台形结构，不满足规则时返回 null
+ */
+function classifyFlat(points, options = {}) {
+  if (!points || points.length !== 4) return null;
+  const cfg = CORRECTIVE_PATTERN_CONFIG.FLAT;
+  const minBRatio = options.minBRatio ?? cfg.MIN_B_RATIO;
+  const maxBRatio = options.maxBRatio ?? cfg.MAX_B_RATIO;
+  const maxCToLonger = options.maxCToLonger ?? cfg.MAX_C_TO_LONGER;
+  const maxCToA = options.maxCToA ?? cfg.MAX_C_TO_A;
+  const maxTimeRatio = options.maxTimeRatio ?? cfg.MAX_TIME_RATIO;
+
+  const [origin, a, b, c] = points;
+  // dir：a浪方向（-1 下跌平台形，1 上涨平台形）
+  const dir = Math.sign(a.price - origin.price);
+  if (dir === 0 || Math.sign(b.price - a.price) !== -dir || Math.sign(c.price - b.price) !== dir) return null;
+
+  const aLen = Math.abs(a.price - origin.price);
+  const bLen = Math.abs(b.price - a.price);
+  const cLen = Math.abs(c.price - b.price);
+  const bRatio = bLen / aLen;
+  if (bRatio < minBRatio || bRatio >= maxBRatio) return null;
+
+  // c浪必须与a浪重叠：c 终点回到0点的另一侧
+  if ((c.price - origin.price) * dir <= 0) return null;
+  const cMaxLen = Math.min(maxCToLonger * Math.max(aLen, bLen), maxCToA * aLen);
+  if (cLen > cMaxLen) return null;
+
+  const aTime = a.time - origin.time;
+  const bTime = b.time - a.time;
+  const cTime = c.time - b.time;
+  if (bTime > maxTimeRatio * aTime || cTime > maxTimeRatio * Math.min(aTime, bTime)) return null;
+
+  const beyondA = (c.price - a.price) * dir > 0;
+  const type = bRatio <= 1 ? 'regular' : (beyondA ? 'expanded' : 'running');
+
+  // c浪目标位（按文档中的常见程度排序），以及"%a"外扩：从a浪终点按a浪的涨跌百分比继续运动
+  const targets = [
+    { label: 'c=a', price: b.price + dir * aLen },
+    { label: 'a浪终点', price: a.price },
+    { label: 'c=1.618a', price: b.price + dir * aLen * 1.618 },
+    { label: 'a终点外扩0.618a', price: a.price + dir * aLen * 0.618 },
+    { label: '%a外扩', price: a.price * (a.price / origin.price) }
+  ];
+
+  // 平台形的艾略特通道：0点与b点连线，过a点作平行线；c=a 时恰好到达平行线
+  const slope = (b.price - origin.price) / (b.time - origin.time);
+
+  return {
+    pattern: 'flat',
+    type,
+    label: FLAT_TYPE_LABELS[type],
+    direction: dir < 0 ? 'down' : 'up',
+    waveA: toWave(origin, a),
+    waveB: toWave(a, b),
+    waveC: toWave(b, c),
+    ratios: {
+      b: bRatio,
+      c: cLen / aLen
+    },
+    targets,
+    cLimit: b.price + dir * cMaxLen,
+    channel: {
+      base: { start: origin, end: b },
+      parallel: a,
+      slope,
+      priceAtC: a.price + slope * (c.time - a.time)
+    }
+  };
+}
+
+/**
+ * 识别从 origin 开始的平台形
+ * 依次以 origin 之后创新极值的摆动点作为a浪终点，紧随其后的摆动点作为b浪终点，
+ * 在价格越过b浪终点之前的同向摆动点中由远及近尝试c浪终点，返回第一个满足规则的平台形
+ * @param {Array} keyPoints - 关键点位数组
+ * @param {Object} origin - a浪起点（如推动浪5浪终点）
+ * @param {Object} [options] - 同 classifyFlat
+ * @returns {Object|null} 平台形结构（见 classifyFlat），未识别到时返回 null
+ */
+function identifyFlat(keyPoints, origin, options = {}) {
+  if (!keyPoints || !origin) return null;
+  const aType = origin.type === 'high' ? 'low' : 'high';
+  const bType = origin.type;
+  const beyond = (p, ref, type) => (type === 'low' ? p.price < ref.price : p.price > ref.price);
+  const swings = toSwings(keyPoints.filter(p => p.time > origin.time));
+
+  let aExtreme = null;
+  for (let i = 0; i < swings.length - 2; i++) {
+    const a = swings[i];
+    if (a.type !== aType) continue;
+    // a浪终点必须是自 origin 以来的新极值
+    if (aExtreme && !beyond(a, aExtreme, aType)) continue;
+    aExtreme = a;
+    const b = swings[i + 1];
+
+    const cCandidates = [];
+    for (let j = i + 2; j < swings.length; j++) {
+      const p = swings[j];
+      if (p.type === aType) cCandidates.push(p);
+      else if (beyond(p, b, bType)) break;
+    }
+    cCandidates.sort((x, y) => (aType === 'low' ? x.price - y.price : y.price - x.price));
+    for (const c of cCandidates) {
+      const flat = classifyFlat([origin, a, b, c], options);
+      if (flat) return flat;
+    }
+
+    // b浪已越过 origin：之后的摆动不再属于同一个a浪
+    if (beyond(b, origin, bType)) break;
+  }
+  return null;
+}
+
+/**
+ * 通道线在指定时间的价格
+ * @param {Object} line - { start, slope }（buildElliottChannel 返回的 ac / bd）
+ * @param {number} time - 时间（毫秒）
+ * @returns {number} 价格
+ */
+function priceOnLine(line, time) {
+  return line.start.price + line.slope * (time - line.start.time);
+}
+
+/**
+ * 构建三角形的艾略特通道：a浪终点与c浪终点连线（ac），b浪终点与d浪终点连线（bd）
+ * 两线间距向右缩小为收缩，扩大为扩散；不平行时给出两线交点（收缩三角形的顶点）
+ * @param {Array} points - [a, b, c, d] 四个浪的终点
+ * @returns {Object|null} { ac, bd, upper, lower, isParallel, isContracting, isExpanding, apex: { time, price }|null }
+ */
+function buildElliottChannel(points) {
+  if (!points || points.length < 4) {
+    return null;
+  }
+
+  const [a, b, c, d] = points;
+  const line = (start, end) => ({ start, end, slope: (end.price - start.price) / (end.time - start.time) });
+  const ac = line(a, c);
+  const bd = line(b, d);
+
+  // d 点处两线的间距及其变化率；间距在 a→d 期间变化不足 1% 视为平行
+  const gap = d.price - priceOnLine(ac, d.time);
+  const gapRate = bd.slope - ac.slope;
+  const isParallel = Math.abs(gapRate * (d.time - a.time)) < Math.abs(gap) * 0.01;
+  const apexTime = isParallel ? null : d.time - gap / gapRate;
+
+  return {
+    ac,
+    bd,
+    upper: gap > 0 ? bd : ac,
+    lower: gap > 0 ? ac : bd,
+    isParallel,
+    isContracting: !isParallel && gap * gapRate < 0,
+    isExpanding: !isParallel && gap * gapRate > 0,
+    apex: isParallel ? null : { time: apexTime, price: priceOnLine(ac, apexTime) }
+  };
+}
+
+/**
+ * 按三角形规则验证 0-a-b-c-d-e 六个点并分类
+ * 收缩三角形（含障碍三角形）：
+ * - b浪 ≥ MIN_B_RATIO×a 且 < MAX_B_RATIO×a；c < b 且 ≥ MIN_C_RATIO×b；d ≤ c 且 ≥ MIN_D_RATIO×c；e < d 且 ≥ MIN_E_RATIO×d
+ * - e浪终点在a浪价格范围内，越过 a-c 线不超过 MAX_E_OVERSHOOT×d
+ * - 通道收缩，顶点在e浪终点右侧且价格在a、b中最长一浪的范围内
+ * - d浪、e浪时间不超过c浪的 MAX_TIME_RATIO 倍
+ * - 只允许突破方向的 b-d 线水平（障碍三角形），a-c 线水平则否定
+ * a浪最长为规则收缩三角形，b浪最长为顺势收缩三角形
+ * 扩散三角形：通道扩散，a→d 逐浪放大，e浪 ≥ EXPANDING_MIN_E_RATIO×d（文档认为这类形态多为双重横向整理）
+ * 突破目标：从e浪终点沿原趋势（与a浪相反）运行三角形最宽处的高度——收缩三角形在0点处，扩散三角形在e浪终点处
+ * @param {Array} points - [origin, a, b, c, d, e] 六个关键点（origin 为a浪起点）
+ * @param {Object} [options] - 覆盖 CORRECTIVE_PATTERN_CONFIG.TRIANGLE 的对应小驼峰字段
+ * @returns {Object|null} 三角形结构，不满足规则时返回 null
+ */
+function classifyTriangle(points, options = {}) {
+  if (!points || points.length !== 6) return null;
+  const cfg = CORRECTIVE_PATTERN_CONFIG.TRIANGLE;
+  const minBRatio = options.minBRatio ?? cfg.MIN_B_RATIO;
+  const maxBRatio = options.maxBRatio ?? cfg.MAX_B_RATIO;
+  const minCRatio = options.minCRatio ?? cfg.MIN_C_RATIO;
+  const minDRatio = options.minDRatio ?? cfg.MIN_D_RATIO;
+  const minERatio = options.minERatio ?? cfg.MIN_E_RATIO;
+  const maxEOvershoot = options.maxEOvershoot ?? cfg.MAX_E_OVERSHOOT;
+  const maxTimeRatio = options.maxTimeRatio ?? cfg.MAX_TIME_RATIO;
+  const barrierTolerance = options.barrierTolerance ?? cfg.BARRIER_TOLERANCE;
+  const expandingMinERatio = options.expandingMinERatio ?? cfg.EXPANDING_MIN_E_RATIO;
+
+  const [origin, a, b, c, d, e] = points;
+  const dir = Math.sign(a.price - origin.price);
+  const legs = [[origin, a], [a, b], [b, c], [c, d], [d, e]];
+  if (dir === 0 || legs.some(([s, t], i) => Math.sign(t.price - s.price) !== (i % 2 === 0 ? dir : -dir))) return null;
+  const [aLen, bLen, cLen, dLen, eLen] = legs.map(([s, t]) => Math.abs(t.price - s.price));
+
+  const channel = buildElliottChannel([a, b, c, d]);
+  let type = null;
+  if (channel.isContracting) {
+    if (bLen < minBRatio * aLen || bLen >= maxBRatio * aLen) return null;
+    if (cLen >= bLen || cLen < minCRatio * bLen) return null;
+    // 障碍三角形的 b、d 终点持平，d浪约等于c浪
+    const isBarrier = Math.abs(d.price - b.price) <= barrierTolerance * aLen;
+    if (dLen > cLen + (isBarrier ? barrierTolerance * aLen : 0) || dLen < minDRatio * cLen) return null;
+    if (eLen >= dLen || eLen < minERatio * dLen) return null;
+    if (e.price < Math.min(origin.price, a.price) || e.price > Math.max(origin.price, a.price)) return null;
+    if ((e.price - priceOnLine(channel.ac, e.time)) * dir > maxEOvershoot * dLen) return null;
+
+    const cTime = c.time - b.time;
+    if (d.time - c.time > maxTimeRatio * cTime || e.time - d.time > maxTimeRatio * cTime) return null;
+
+    // 顶点在e浪终点右侧，且在a、b中最长一浪的价格范围内
+    const [longStart, longEnd] = aLen >= bLen ? [origin, a] : [a, b];
+    const { apex } = channel;
+    if (apex.time <= e.time) return null;
+    if (apex.price < Math.min(longStart.price, longEnd.price) || apex.price > Math.max(longStart.price, longEnd.price)) return null;
+
+    if (Math.abs(c.price - a.price) <= barrierTolerance * aLen) return null;
+    if (isBarrier) type = 'barrier';
+    else type = aLen >= bLen ? 'regular' : 'running';
+  } else if (channel.isExpanding) {
+    if (bLen <= aLen || cLen <= bLen || dLen <= cLen || eLen < expandingMinERatio * dLen) return null;
+    type = 'expanding';
+  } else {
+    return null;
+  }
+
+  // 三角形最宽处的高度
+  const widestTime = type === 'expanding' ? e.time : origin.time;
+  const width = Math.abs(priceOnLine(channel.bd, widestTime) - priceOnLine(channel.ac, widestTime));
+
+  return {
+    pattern: 'triangle',
+    type,
+    label: TRIANGLE_TYPE_LABELS[type],
+    direction: dir < 0 ? 'down' : 'up',
+    longest: aLen >= bLen ? 'a' : 'b',
+    waveA: toWave(origin, a),
+    waveB: toWave(a, b),
+    waveC: toWave(b, c),
+    waveD: toWave(c, d),
+    waveE: toWave(d, e),
+    ratios: {
+      b: bLen / aLen,
+      c: cLen / bLen,
+      d: dLen / cLen,
+      e: eLen / dLen
+    },
+    channel,
+    apex: type === 'expanding' ? null : channel.apex,
+    width,
+    thrust: {
+      direction: dir < 0 ? 'up' : 'down',
+      target: e.price - dir * width
+    }
+  };
+}
+
+/**
+ * 识别三角形
+ * 传入 origin 时只检查其后紧接的5个摆动点（如5浪之后的调整浪）；
+ * 否则在全部摆动点中由近及远扫描连续6个点，返回最近的一个
+ * @param {Array} keyPoints - 关键点位数组
+ * @param {Object|null} [origin] - a浪起点
+ * @param {Object} [options] - 同 classifyTriangle，另可用 types 限定识别的类型
+ * @returns {Object|null} 三角形结构（见 classifyTriangle），未识别到时返回 null
+ */
+function identifyTriangle(keyPoints, origin = null, options = {}) {
+  if (!keyPoints || keyPoints.length < 5) return null;
+  const accept = t => t && (!options.types || options.types.includes(t.type));
+
+  if (origin) {
+    const swings = toSwings(keyPoints.filter(p => p.time > origin.time));
+    // 跳过紧随 origin 的同向摆动点（未越过 origin 的小幅波动）
+    const ends = swings.slice(swings.length > 0 && swings[0].type === origin.type ? 1 : 0).slice(0, 5);
+    if (ends.length < 5) return null;
+    const triangle = classifyTriangle([origin, ...ends], options);
+    return accept(triangle) ? triangle : null;
+  }
+
+  const swings = toSwings(keyPoints);
+  for (let i = swings.length - 6; i >= 0; i--) {
+    const triangle = classifyTriangle(swings.slice(i, i + 6), options);
+    if (accept(triangle)) return triangle;
+  }
+  return null;
+}
+
+/**
+ * 识别收缩三角形（含障碍三角形，不含扩散三角形）
+ * @param {Array} keyPoints - 关键点位数组
+ * @returns {Object|null} 最近的收缩三角形结构（见 classifyTriangle）
+ */
+function identifyContractingTriangle(keyPoints) {
+  return identifyTriangle(keyPoints, null, { types: ['regular', 'running', 'barrier'] });
+}
+
+/**
+ * 验证收缩三角形
+ * @param {Array} points - [origin, a, b, c, d, e] 六个关键点
+ * @returns {boolean} 是否为有效的收缩三角形（含障碍三角形）
+ */
+function validateContractingTriangle(points) {
+  const triangle = classifyTriangle(points);
+  return !!triangle && triangle.type !== 'expanding';
+}
+
+/**
+ * 一段调整浪的运行总量（区间内最高点与最低点的价差）
+ * @param {Object} leg - 联合形中的一浪（classifyZigzag / classifyFlat / classifyTriangle 返回值）
+ * @returns {number}
+ */
+function legRange(leg) {
+  const prices = LEG_WAVE_KEYS.filter(k => leg[k]).flatMap(k => [leg[k].startPrice, leg[k].endPrice]);
+  return Math.max(...prices) - Math.min(...prices);
+}
+
+/**
+ * 联合形中一浪的起点与终点
+ * @param {Object} leg - 联合形中的一浪
+ * @returns {{ start: Object, end: Object }}
+ */
+function legBounds(leg) {
+  const last = leg.pattern === 'triangle' ? leg.waveE : leg.waveC;
+  return { start: leg.waveA.start, end: last.end };
+}
+
+/**
+ * 识别从 origin 开始的联合形：由 x浪 连接的若干个简单调整浪，最多 w-x-y-xx-z
+ * - w、y、z 各自为单锯齿、平台形或三角形（按平台形 → 单锯齿 → 三角形的顺序尝试），方向一致
+ * - 三角形只出现在联合形的最后一浪；x浪、xx浪为单个摆动，不能是三角形
+ * - x浪的运行总量不超过前一浪的 MAX_X_RATIO 倍，时间不超过前一浪的 MAX_X_TIME_RATIO 倍
+ * 在所有可行的划分中取浪数最多的一个。y（或 z）浪目标按文档 1.14.21 节：y浪以 0-w-x 作扩展，z浪以 x-y-xx 作扩展；
+ * 只有 w-x-y 时，若 y浪之后已出现符合 xx浪条件的反向摆动，给出 z浪的预期终点
+ * @param {Array} keyPoints - 关键点位数组
+ * @param {Object} origin - 调整浪起点（如推动浪5浪终点）
+ * @param {Object} [options] - { maxLegs, maxXRatio, maxXTimeRatio }，其余传给各形态的 classify 函数
+ * @returns {Object|null} { pattern: 'combination', type: 'double'|'triple', label, legs, waveW, waveX, waveY, waveXX, waveZ, targets, zTargets }
+ */
+function identifyCombination(keyPoints, origin, options = {}) {
+  if (!keyPoints || !origin) return null;
+  const cfg = CORRECTIVE_PATTERN_CONFIG.COMBINATION;
+  const maxLegs = Math.min(options.maxLegs ?? cfg.MAX_LEGS, COMBINATION_WAVE_NAMES.length);
+  const maxXRatio = options.maxXRatio ?? cfg.MAX_X_RATIO;
+  const maxXTimeRatio = options.maxXTimeRatio ?? cfg.MAX_X_TIME_RATIO;
+
+  const swings = toSwings(keyPoints.filter(p => p.time > origin.time));
+  const s = swings.slice(swings.length > 0 && swings[0].type === origin.type ? 1 : 0);
+
+  // x浪是否可作为 leg 之后的连接浪
+  const isConnector = (leg, x) => {
+    const { start, end } = legBounds(leg);
+    return Math.abs(x.price - end.price) <= maxXRatio * legRange(leg) &&
+      x.time - end.time <= maxXTimeRatio * (end.time - start.time);
+  };
+  // 从 start 开始、占用 s[i..] 的一浪的所有可能形态
+  const legsAt = (start, i) => [
+    s.length >= i + 3 && classifyFlat([start, s[i], s[i + 1], s[i + 2]], options),
+    s.length >= i + 3 && classifyZigzag([start, s[i], s[i + 1], s[i + 2]], options),
+    s.length >= i + 5 && classifyTriangle([start, ...s.slice(i, i + 5)], options)
+  ].filter(Boolean);
+
+  let best = null;
+  const walk = (start, i, legs) => {
+    for (const leg of legsAt(start, i)) {
+      if (legs.length > 0 && leg.direction !== legs[0].direction) continue;
+      const next = legs.concat(leg);
+      if (!best || next.length > best.length) best = next;
+      const used = leg.pattern === 'triangle' ? 5 : 3;
+      const x = s[i + used];
+      if (leg.pattern !== 'triangle' && next.length < maxLegs && x && isConnector(leg, x)) {
+        walk(x, i + used + 1, next);
+      }
+    }
+  };
+  walk(origin, 0, []);
+  if (!best || best.length < 2) return null;
+
+  const type = best.length === 3 ? 'triple' : 'double';
+  const allZigzag = best.every(leg => leg.pattern === 'zigzag');
+  const dir = best[0].direction === 'down' ? -1 : 1;
+  const bounds = best.map(legBounds);
+  const result = {
+    pattern: 'combination',
+    type,
+    label: allZigzag ? ZIGZAG_TYPE_LABELS[type] : COMBINATION_TYPE_LABELS[type],
+    direction: best[0].direction,
+    legs: best.map((leg, i) => ({ wave: COMBINATION_WAVE_NAMES[i], pattern: leg.pattern, label: leg.label, structure: leg })),
+    waveXX: null,
+    waveZ: null,
+    zTargets: null
+  };
+  bounds.forEach((b, i) => {
+    result[`wave${COMBINATION_WAVE_NAMES[i].toUpperCase()}`] = toWave(b.start, b.end);
+    if (i > 0) result[`wave${CONNECTOR_WAVE_NAMES[i - 1].toUpperCase()}`] = toWave(bounds[i - 1].end, b.start);
+  });
+
+  // 扩展：以前一浪长度从连接浪终点外扩
+  const project = (from, len, name, base) => [1, 0.618, 1.618].map(k => ({
+    label: k === 1 ? `${name}=${base}` : `${name}=${k}${base}`,
+    price: from + dir * len * k
+  }));
+  const wLen = Math.abs(bounds[0].end.price - bounds[0].start.price);
+  result.targets = project(bounds[1].start.price, wLen, 'y', 'w');
+  const yLen = Math.abs(bounds[1].end.price - bounds[1].start.price);
+  if (type === 'triple') {
+    result.targets = project(bounds[2].start.price, yLen, 'z', 'y');
+    result.zTargets = result.targets;
+  } else {
+    // y浪之后的反向摆动可作为 xx浪时，预期 z浪终点
+    const lastLeg = best[best.length - 1];
+    const used = s.indexOf(bounds[1].end) + 1;
+    const xx = s[used];
+    if (lastLeg.pattern !== 'triangle' && used > 0 && xx && isConnector(lastLeg, xx)) {
+      result.zTargets = project(xx.price, yLen, 'z', 'y');
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  ZIGZAG_TYPE_LABELS,
+  COMBINATION_TYPE_LABELS,
+  FLAT_TYPE_LABELS,
+  TRIANGLE_TYPE_LABELS,
+  toSwings,
+  countSubwaves,
+  classifyZigzag,
+  identifyZigzag,
+  classifyFlat,
+  identifyFlat,
+  priceOnLine,
+  buildElliottChannel,
+  classifyTriangle,
+  identifyTriangle,
+  identifyContractingTriangle,
+  validateContractingTriangle,
+  identifyCombination
+};
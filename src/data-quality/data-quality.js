@@ -0,0 +1,318 @@
+/**
+ * K线数据质量模块
+ * 校验K线数据：重复、乱序、非周末缺口、零波幅K线、超过 N×ATR 的尖刺、时间单位混用；
+ * 修复模式把所有K线统一为标准K线结构（见 src/kline/kline.js），排序、去重并对齐周期
+ */
+
+const { DATA_QUALITY_CONFIG, INSTRUMENT_CONFIG } = require('../config/config');
+const { getBarStartTime } = require('../bar-builder/bar-builder');
+const { readBarTime, normalizeBar, createNormalizedBar } = require('../kline/kline');
+const { getTimezoneOffsetMs } = require('../resample/resample');
+
+/**
+ * 取某时刻在指定时区的星期、小时与当日分钟数
+ * @param {number} timeMs - 时间（毫秒）
+ * @param {string} timeZone - IANA 时区
+ * @returns {{ day: number, hour: number, minutes: number }}
+ */
+function getLocalClock(timeMs, timeZone) {
+  const local = new Date(timeMs + getTimezoneOffsetMs(timeMs, timeZone));
+  const hour = local.getUTCHours();
+  return { day: local.getUTCDay(), hour, minutes: hour * 60 + local.getUTCMinutes() };
+}
+
+// 休市判定规则：规则名（INSTRUMENT_CATALOG 中的 MARKET_HOURS）→ (timeMs) => boolean
+const MARKET_HOURS = {
+  // 外汇/国际贵金属（纽约时间：周五17:00 至 周日18:00，以及每日17:00-18:00）
+  FX(timeMs) {
+    const { day, hour } = getLocalClock(timeMs, 'America/New_York');
+    if (day === 6) return true;
+    if (day === 5 && hour >= 17) return true;
+    if (day === 0 && hour < 18) return true;
+    return hour === 17;
+  },
+  // 上海黄金交易所（北京时间：周一至周五 9:00-11:30、13:30-15:30，周一至周四夜盘 20:00-次日2:30；不含法定节假日）
+  SGE(timeMs) {
+    const { day, minutes } = getLocalClock(timeMs, 'Asia/Shanghai');
+    const weekday = day >= 1 && day <= 5;
+    if (weekday && minutes >= 540 && minutes < 690) return false;
+    if (weekday && minutes >= 810 && minutes < 930) return false;
+    if (day >= 1 && day <= 4 && minutes >= 1200) return false;
+    if (day >= 2 && day <= 5 && minutes < 150) return false;
+    return true;
+  }
+};
+
+/**
+ * 判断某时刻市场是否休市
+ * @param {number} timeMs - 时间（毫秒）
+ * @param {string} [market] - 休市规则名（FX | SGE），默认取当前品种的 MARKET_HOURS
+ * @returns {boolean}
+ */
+function isMarketClosed(timeMs, market = INSTRUMENT_CONFIG.MARKET_HOURS) {
+  const rule = MARKET_HOURS[market];
+  if (!rule) {
+    throw new Error(`未知的休市规则: ${market}，可用规则: ${Object.keys(MARKET_HOURS).join(', ')}`);
+  }
+  return rule(timeMs);
+}
+
+/**
+ * 计算每根K线之前 period 根的平均真实波幅（不含当前K线）
+ * @param {Array<{high: number, low: number, close: number}>} bars - 已排序的K线
+ * @param {number} period - ATR 周期
+ * @returns {{ trueRanges: Array<number>, atr: Array<number|null> }} 与 bars 等长，数据不足时 atr 为 null
+ */
+function computeTrailingATR(bars, period) {
+  const trueRanges = bars.map((bar, i) => {
+    const prevClose = i > 0 ? bars[i - 1].close : bar.close;
+    return Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+  });
+  const result = new Array(bars.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < bars.length; i++) {
+    if (i >= period) {
+      result[i] = sum / period;
+      sum -= trueRanges[i - period];
+    }
+    sum += trueRanges[i];
+  }
+  return { trueRanges, atr: result };
+}
+
+/**
+ * 格式化时间（北京时间，用于报告）
+ * @param {number} timeMs - 时间（毫秒）
+ * @returns {string}
+ */
+function formatTime(timeMs) {
+  if (isNaN(timeMs)) return '无效时间';
+  return new Date(timeMs).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai', hour12: false });
+}
+
+/**
+ * 校验K线数据质量
+ * @param {Array} bars - K线数组（按文件中原始顺序）
+ * @param {Object} [options] - 选项
+ * @param {number} [options.intervalMinutes] - K线周期（分钟），默认60
+ * @param {number} [options.atrPeriod] - ATR 周期
+ * @param {number} [options.spikeAtrMultiple] - 尖刺判定倍数
+ * @returns {Object} 质量报告 { total, valid, issues: { invalid, duplicates, outOfOrder, gaps, zeroRange, spikes, mixedUnits }, issueCount }
+ */
+function validateKlineData(bars, options = {}) {
+  const intervalMinutes = options.intervalMinutes || 60;
+  const atrPeriod = options.atrPeriod || DATA_QUALITY_CONFIG.ATR_PERIOD;
+  const spikeAtrMultiple = options.spikeAtrMultiple || DATA_QUALITY_CONFIG.SPIKE_ATR_MULTIPLE;
+  const intervalMs = intervalMinutes * 60000;
+
+  const issues = {
+    invalid: [],
+    duplicates: [],
+    outOfOrder: [],
+    gaps: [],
+    zeroRange: [],
+    spikes: [],
+    mixedUnits: []
+  };
+  const signatures = {};
+  const parsed = [];
+
+  (bars || []).forEach((bar, index) => {
+    const { timeMs, signature } = readBarTime(bar || {});
+    signatures[signature] = (signatures[signature] || 0) + 1;
+    const normalized = normalizeBar(bar);
+    if (!normalized) {
+      issues.invalid.push({ index, reason: isNaN(timeMs) ? '时间无法解析' : '缺少价格字段' });
+      return;
+    }
+    const { open, high, low, close } = normalized;
+    parsed.push({ index, timeMs, signature, open, high, low, close });
+  });
+
+  // 时间单位混用：同一文件中出现多种时间字段格式组合
+  const signatureList = Object.entries(signatures).sort((a, b) => b[1] - a[1]);
+  if (signatureList.length > 1) {
+    signatureList.forEach(([signature, count]) => issues.mixedUnits.push({ signature, count }));
+  }
+
+  // 乱序：时间早于文件中前一根有效K线
+  for (let i = 1; i < parsed.length; i++) {
+    if (parsed[i].timeMs < parsed[i - 1].timeMs) {
+      issues.outOfOrder.push({ index: parsed[i].index, time: parsed[i].timeMs, prevTime: parsed[i - 1].timeMs });
+    }
+  }
+
+  const sorted = [...parsed].sort((a, b) => a.timeMs - b.timeMs || a.index - b.index);
+  sorted.forEach((bar, i) => {
+    const prev = sorted[i - 1];
+    // 重复：时间相同
+    if (prev && prev.timeMs === bar.timeMs) {
+      issues.duplicates.push({ index: bar.index, firstIndex: prev.index, time: bar.timeMs });
+      return;
+    }
+    // 缺口：相邻K线间隔超过一个周期，且缺失周期的中点处于开市时段（夏令时切换日的25小时交易日不算缺口）
+    if (prev && bar.timeMs - prev.timeMs > intervalMs) {
+      let missing = 0;
+      for (let t = prev.timeMs + intervalMs; t + intervalMs <= bar.timeMs; t += intervalMs) {
+        if (!isMarketClosed(t + intervalMs / 2)) missing++;
+      }
+      if (missing > 0) {
+        issues.gaps.push({ from: prev.timeMs, to: bar.timeMs, missingBars: missing });
+      }
+    }
+    // 零波幅：最高价等于最低价（多为轮询价格写入的平K线）
+    if (bar.high === bar.low) {
+      issues.zeroRange.push({ index: bar.index, time: bar.timeMs, price: bar.close });
+    }
+  });
+
+  // 尖刺：真实波幅超过前 N 根 ATR 的若干倍
+  const unique = sorted.filter((bar, i) => i === 0 || bar.timeMs !== sorted[i - 1].timeMs);
+  const { trueRanges, atr } = computeTrailingATR(unique, atrPeriod);
+  unique.forEach((bar, i) => {
+    if (atr[i] && trueRanges[i] > atr[i] * spikeAtrMultiple) {
+      issues.spikes.push({
+        index: bar.index,
+        time: bar.timeMs,
+        range: trueRanges[i],
+        atr: atr[i],
+        multiple: trueRanges[i] / atr[i]
+      });
+    }
+  });
+
+  const issueCount = Object.values(issues).reduce((sum, list) => sum + (list === issues.mixedUnits ? (list.length > 0 ? 1 : 0) : list.length), 0);
+  return {
+    total: (bars || []).length,
+    valid: parsed.length,
+    intervalMinutes,
+    atrPeriod,
+    spikeAtrMultiple,
+    firstTime: sorted.length > 0 ? sorted[0].timeMs : null,
+    lastTime: sorted.length > 0 ? sorted[sorted.length - 1].timeMs : null,
+    issues,
+    issueCount
+  };
+}
+
+/**
+ * 修复K线数据：统一为标准结构、按时间排序、去重，并可对齐到周期起点
+ * - 标准结构见 src/kline/kline.js：{ time: 毫秒, timestamp: 秒, open, high, low, close, volume, price }
+ * - 同一时间（或对齐后同一周期）的多根K线合并：首根开盘、最高/最低取极值、末根收盘
+ * - high/low 修正为包含 open/close
+ * - 尖刺和零波幅K线无法判断真实价格，不修改，仅在报告中提示
+ * @param {Array} bars - K线数组
+ * @param {Object} [options] - 选项
+ * @param {number} [options.intervalMinutes] - 周期（分钟），传入 align 时用于对齐
+ * @param {boolean} [options.align] - 是否把时间对齐到周期起点（按 UTC 整点，仅适用于1小时等小周期）
+ * @returns {{ bars: Array, stats: { input: number, output: number, dropped: number, merged: number, reformatted: number, fixedRange: number } }}
+ */
+function repairKlineData(bars, options = {}) {
+  const { intervalMinutes = 60, align = false } = options;
+  const stats = { input: (bars || []).length, output: 0, dropped: 0, merged: 0, reformatted: 0, fixedRange: 0 };
+
+  const normalized = [];
+  (bars || []).forEach((raw, index) => {
+    const bar = normalizeBar(raw);
+    if (!bar) {
+      stats.dropped++;
+      return;
+    }
+    const time = align ? getBarStartTime(bar.time, intervalMinutes) : bar.time;
+    if (readBarTime(raw).signature !== 'timestamp:s,time:ms' || time !== bar.time) stats.reformatted++;
+    let { open, high, low, close } = bar;
+    if (high < Math.max(open, close) || low > Math.min(open, close)) {
+      high = Math.max(high, open, close);
+      low = Math.min(low, open, close);
+      stats.fixedRange++;
+    }
+    normalized.push({ index, time, open, high, low, close, volume: bar.volume });
+  });
+
+  normalized.sort((a, b) => a.time - b.time || a.index - b.index);
+
+  const result = [];
+  normalized.forEach(item => {
+    const last = result[result.length - 1];
+    if (last && last.time === item.time) {
+      last.high = Math.max(last.high, item.high);
+      last.low = Math.min(last.low, item.low);
+      last.close = item.close;
+      last.price = item.close;
+      last.volume += item.volume;
+      stats.merged++;
+      return;
+    }
+    result.push(createNormalizedBar(item.time, item.open, item.high, item.low, item.close, item.volume));
+  });
+
+  stats.output = result.length;
+  return { bars: result, stats };
+}
+
+/**
+ * 生成质量报告文本
+ * @param {Object} report - validateKlineData 的返回值
+ * @param {Object} [options] - { title: 标题, maxSamples: 每类问题最多列出的样例数 }
+ * @returns {string}
+ */
+function formatQualityReport(report, options = {}) {
+  const maxSamples = options.maxSamples || DATA_QUALITY_CONFIG.MAX_SAMPLES;
+  const { issues } = report;
+  const lines = [];
+  lines.push(`🔍 K线数据质量检查${options.title ? `: ${options.title}` : ''}`);
+  lines.push(`   共 ${report.total} 条，有效 ${report.valid} 条，周期 ${report.intervalMinutes} 分钟`);
+  if (report.firstTime) {
+    lines.push(`   时间范围: ${formatTime(report.firstTime)} ~ ${formatTime(report.lastTime)}（北京时间）`);
+  }
+
+  const section = (icon, title, list, describe) => {
+    if (list.length === 0) return;
+    lines.push(`   ${icon} ${title}: ${list.length}`);
+    list.slice(0, maxSamples).forEach(item => lines.push(`      - ${describe(item)}`));
+    if (list.length > maxSamples) lines.push(`      ... 另有 ${list.length - maxSamples} 处`);
+  };
+
+  section('❌', '无效K线', issues.invalid, i => `第 ${i.index} 条：${i.reason}`);
+  section('⚠️ ', '时间单位混用（时间字段格式组合）', issues.mixedUnits, i => `${i.signature}: ${i.count} 条`);
+  section('⚠️ ', '重复K线', issues.duplicates, i => `第 ${i.index} 条与第 ${i.firstIndex} 条时间相同（${formatTime(i.time)}）`);
+  section('⚠️ ', '乱序K线', issues.outOfOrder, i => `第 ${i.index} 条 ${formatTime(i.time)} 早于前一条 ${formatTime(i.prevTime)}`);
+  section('⚠️ ', '非周末缺口', issues.gaps, i => `${formatTime(i.from)} → ${formatTime(i.to)}，缺 ${i.missingBars} 根`);
+  section('⚠️ ', '零波幅K线（最高=最低）', issues.zeroRange, i => `第 ${i.index} 条 ${formatTime(i.time)} @ ${i.price.toFixed(2)}`);
+  section('⚠️ ', `尖刺（真实波幅 > ${report.spikeAtrMultiple}×ATR${report.atrPeriod}）`, issues.spikes,
+    i => `第 ${i.index} 条 ${formatTime(i.time)} 波幅 ${i.range.toFixed(2)} = ${i.multiple.toFixed(1)}×ATR(${i.atr.toFixed(2)})`);
+
+  if (report.issueCount === 0) {
+    lines.push('   ✅ 未发现问题');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 生成一行质量摘要（用于分析前提示）
+ * @param {Object} report - validateKlineData 的返回值
+ * @returns {string|null} 无问题返回 null
+ */
+function summarizeQualityReport(report) {
+  if (report.issueCount === 0) return null;
+  const { issues } = report;
+  const parts = [
+    [issues.invalid.length, '无效'],
+    [issues.duplicates.length, '重复'],
+    [issues.outOfOrder.length, '乱序'],
+    [issues.gaps.length, '缺口'],
+    [issues.zeroRange.length, '零波幅'],
+    [issues.spikes.length, '尖刺'],
+    [issues.mixedUnits.length > 0 ? issues.mixedUnits.length : 0, '种时间格式混用']
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count}${label}`);
+  return parts.join('、');
+}
+
+module.exports = {
+  isMarketClosed,
+  computeTrailingATR,
+  validateKlineData,
+  repairKlineData,
+  formatQualityReport,
+  summarizeQualityReport
+};
@@ -3,232 +3,114 @@
  * 包含获取实时价格和历史K线数据的函数
  */
 
-const https = require('https');
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-const { TIMEFRAME_CONFIG, GOLD_HISTORY_DATA_FILE } = require('../config/config');
+const { TIMEFRAME_CONFIG, GOLD_HISTORY_DATA_FILE, HISTORY_API_CONFIG, KLINE_STORE_CONFIG, INSTRUMENT_CONFIG, PRICE_SANITY_CONFIG } = require('../config/config');
+const { fetchFromURL, fetchFromAPI } = require('../http/http');
+const { fetchQuoteFromSources } = require('../price-source/price-source');
+const { buildPriceReference, checkQuotePlausibility } = require('../price-sanity/price-sanity');
+const { foldPriceIntoBars } = require('../bar-builder/bar-builder');
+const { updateResampledBars, resampleBars, getResampleBucketStart } = require('../resample/resample');
+const { normalizeBars, assertNormalizedBars } = require('../kline/kline');
+const { fetchUdfHistory, intervalToResolution } = require('../udf-history/udf-history');
+const {
+  openKlineStore,
+  klineDataExists,
+  readBars,
+  readLastBars,
+  writeBars,
+  upsertBars,
+  deleteBars,
+  trimOldestBars,
+  getStoreMtime,
+  withStoreLock
+} = require('../kline-store/kline-store');
 
 /**
- * 获取实时黄金价格（支持API获取和手动输入）
- * 
- * 优先级：
- * 1. 命令行参数 --price 或 -p
- * 2. 环境变量 GOLD_PRICE
- * 3. 从 jijinhao.com API 获取（需要Referrer头）
- * 
- * 注意：如果API获取失败，必须使用 --price 参数或 GOLD_PRICE 环境变量手动输入价格
+ * 读取报价合理性检查的基准（最近的1小时K线收盘价与 ATR）
+ * @returns {Object|null} 无法读取或K线不足时返回 null（按冷启动区间检查）
  */
-async function getCurrentGoldPrice() {
-  // 方案1：从命令行参数获取（最高优先级）
-  const args = process.argv.slice(2);
-  const priceArgIndex = args.findIndex(arg => arg === '--price' || arg === '-p');
-  if (priceArgIndex !== -1 && args[priceArgIndex + 1]) {
-    const manualPrice = parseFloat(args[priceArgIndex + 1]);
-    if (!isNaN(manualPrice) && manualPrice > 0 && manualPrice < 10000) {
-      console.log(`📌 使用手动输入价格: ${manualPrice.toFixed(2)} USD/盎司`);
-      // 手动输入的价格不在这里追加，由调用者决定是否追加
-      return manualPrice;
-    }
-  }
-  
-  // 方案2：从环境变量获取
-  if (process.env.GOLD_PRICE) {
-    const envPrice = parseFloat(process.env.GOLD_PRICE);
-    if (!isNaN(envPrice) && envPrice > 0) {
-      console.log(`📌 使用环境变量价格: ${envPrice}`);
-      // 环境变量的价格不在这里追加，由调用者决定是否追加
-      return envPrice;
-    }
-  }
-  
-  // 方案3：从 jijinhao.com API 获取真实价格
-  // 注意：此API需要Referrer头，必须从 quote.cngold.org 域名访问
+function loadPriceReference() {
+  const h1 = TIMEFRAME_CONFIG.H1;
   try {
-    // 生成时间戳（避免缓存）
-    const timestamp = Date.now();
-    const url = `https://api.jijinhao.com/sQuoteCenter/realTime.htm?code=JO_92233&_=${timestamp}`;
-    
-    // 必须设置Referrer，否则API返回666状态码
-    const headers = {
-      'Referer': 'https://quote.cngold.org/gjs/',
-      'Origin': 'https://quote.cngold.org',
-      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/144.0.0.0 Safari/537.36',
-      'Accept': '*/*',
-      'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8,en-US;q=0.7'
-    };
-    
-    const response = await fetchFromURL(url, headers);
-    
-    // 响应格式: var hq_str = "现货黄金,0,4775.63,4965.87,4971.42,4654.29,0,0,708.0,0.0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2026-02-07,05:59:59,00,2,190.2402,3.9836,0.0,0.0,4776.99,120,2026-02-07,05:59:07,";
-    let price = null;
-    if (typeof response === 'string' && response.startsWith('var hq_str = ')) {
-      // 提取字符串部分
-      const hqStr = response.replace(/^var hq_str = /, '').replace(/;$/, '').replace(/^"|"$/g, '');
-      // 按逗号分割
-      const dataArray = hqStr.split(',');
-      
-      // 解析价格数据（根据用户提供的字段对应关系）
-      // 字段索引：
-      // 2: 昨收
-      // 3: 当前价格
-      // 4: 最高
-      // 5: 最低
-      // 38: 今开
-      
-      if (dataArray.length >= 39) {
-        price = dataArray[3]; // 当前价格
-      }
-    } else {
-      throw new Error('jijinhao API响应格式异常');
-    }
-    
-    if (price && !isNaN(price) && price > 0 && price < 10000) {
-      const finalPrice = parseFloat(price);
-      
-      // 实时追加价格到K线数据文件（静默模式，避免刷屏）
-      appendCurrentPriceToFile(finalPrice, true);
-      
-      return finalPrice;
-    }
-    
-    throw new Error('jijinhao响应中未找到有效的价格字段');
-
-  } catch (error) {
-    // API获取失败，提示用户使用手动输入
-    throw new Error(`无法从jijinhao获取真实价格：${error.message}。请使用 --price 或 GOLD_PRICE 手动指定价格`);
+    const bars = readLastBars(openKlineStore(h1.FILE_PATH), PRICE_SANITY_CONFIG.ATR_PERIOD + 1);
+    return buildPriceReference(bars, { intervalMinutes: h1.INTERVAL });
+  } catch (e) {
+    console.warn(`⚠️ 读取1小时K线失败，报价合理性检查改用冷启动区间: ${e.message}`);
+    return null;
   }
 }
 
 /**
- * 从指定URL获取价格（支持HTTPS和HTTP）
+ * 获取实时报价
+ * 
+ * 按 PRICE_SOURCE_CONFIG.ORDER 依次尝试各数据源（默认：手动/固定价格 → jijinhao → 行情文件），
+ * 前一个失败时自动回退到下一个；更换数据源只需修改配置或设置 PRICE_SOURCE_ORDER 环境变量
+ * 每个报价按最近1小时K线做合理性检查（src/price-sanity），偏离过大或过期的实时报价被丢弃并回退
+ * 
+ * 注意：如果所有数据源都失败，必须使用 --price 参数或当前品种的手动价格环境变量（QUOTE.PRICE_ENV，现货黄金为 GOLD_PRICE）手动输入价格
+ * @param {Object} [options] - 选项
+ * @param {number} [options.manualPrice] - 手动输入价格（由调用者从命令行解析）
+ * @param {boolean} [options.appendManual] - 手动/固定价格通过合理性检查时是否追加到K线数据
+ * @param {boolean} [options.readOnly] - 只取价，实时价格也不追加到K线数据（如记录交易时）
+ * @returns {Promise<Object>} 报价 { price, time, label, source, live, suspect }，source 为实际给出报价的数据源
  */
-function fetchFromURL(url, customHeaders = {}) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const isHttps = urlObj.protocol === 'https:';
-    const httpModule = isHttps ? https : http;
-    
-    const options = {
-      hostname: urlObj.hostname,
-      port: urlObj.port || (isHttps ? 443 : 80),
-      path: urlObj.pathname + urlObj.search,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json',
-        ...customHeaders
-      }
-    };
-
-    const req = httpModule.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        try {
-          // 如果响应不是JSON，尝试解析为数字
-          if (res.headers['content-type'] && res.headers['content-type'].includes('application/json')) {
-            const json = JSON.parse(data);
-            // 尝试多种可能的响应格式
-            const price = json.price || 
-                         json.data?.price || 
-                         json.spot || 
-                         json.close ||
-                         json.last ||
-                         json.value ||
-                         json.rate ||
-                         json.rates?.USD ||
-                         json.USD ||
-                         (json.metals && json.metals.gold) ||
-                         (Array.isArray(json) && json[0]?.price) ||
-                         null;
-            
-            if (price !== null && price !== undefined) {
-              const numPrice = typeof price === 'string' ? parseFloat(price) : price;
-              if (typeof numPrice === 'number' && numPrice > 0 && numPrice < 10000) {
-                resolve(numPrice);
-                return;
-              }
-            }
-            // 如果找到了JSON但没有价格，返回整个JSON对象供调用者处理
-            resolve(json);
-          } else {
-            // 尝试直接解析为数字
-            const numPrice = parseFloat(data.trim());
-            if (!isNaN(numPrice) && numPrice > 0 && numPrice < 10000) {
-              resolve(numPrice);
-            } else {
-              // 如果无法解析为数字，返回原始字符串供调用者处理
-              // 这对于处理 var quote_json = {...} 格式的响应很有用
-              resolve(data);
-            }
-          }
-        } catch (e) {
-          reject(new Error(`API响应解析失败: ${e.message}`));
-        }
-      });
-    });
-
-    req.on('error', (err) => {
-      reject(err);
-    });
+async function getCurrentQuote(options = {}) {
+  const reference = loadPriceReference();
+  const quote = await fetchQuoteFromSources({
+    manualPrice: options.manualPrice,
+    checkQuote: q => checkQuotePlausibility(q, reference)
+  });
 
-    req.setTimeout(8000, () => {
-      req.destroy();
-      reject(new Error('API请求超时'));
-    });
+  if (!quote.live) {
+    // 手动输入的价格由调用者决定是否追加；未通过合理性检查的不追加，避免污染后续检查的基准
+    console.log(`📌 使用${quote.label}价格: ${quote.price.toFixed(2)} ${INSTRUMENT_CONFIG.UNIT}`);
+    if (options.appendManual && quote.suspect) {
+      console.warn('⚠️ 该价格未通过合理性检查，不写入K线数据');
+    } else if (options.appendManual) {
+      appendCurrentPriceToFile(quote.price, true, quote.time);
+    }
+    return quote;
+  }
 
-    req.end();
-  });
+  // 实时追加价格到K线数据文件（静默模式，避免刷屏）
+  if (!options.readOnly) {
+    appendCurrentPriceToFile(quote.price, true, quote.time);
+  }
+  return quote;
 }
 
 /**
- * 从指定API获取价格（保留向后兼容）
+ * 获取实时黄金价格（选项同 getCurrentQuote）
+ * @param {Object} [options] - 选项
+ * @returns {Promise<number>} 当前价格
  */
-function fetchFromAPI(hostname, path, headers) {
-  const protocol = hostname.includes('localhost') ? 'http' : 'https';
-  const url = `${protocol}://${hostname}${path}`;
-  return fetchFromURL(url, headers);
+async function getCurrentGoldPrice(options = {}) {
+  return (await getCurrentQuote(options)).price;
 }
 
 /**
- * 从API获取历史K线数据（尝试多个数据源）
+ * 从 UDF 历史K线接口分页获取历史K线（HISTORY_API_CONFIG）
+ * 未配置接口地址时返回 null，由调用者回退到本地数据文件
  * @param {number} days - 天数
  * @param {number} interval - 时间间隔（分钟）
- * @returns {Promise<Array>} K线数据数组
+ * @returns {Promise<Array|null>} 标准K线数组
  */
 async function fetchHistoricalKlineFromAPI(days, interval = 60) {
-  const endTime = new Date();
-  const startTime = new Date();
-  startTime.setDate(startTime.getDate() - days);
-  
-  // 尝试从多个API获取历史数据
-  // 注意：大多数免费API不支持获取365天的历史数据
-  // 这里提供一个框架，实际使用时需要配置相应的API密钥
-  
-  // 方案1: 使用Alpha Vantage API（需要API密钥）
-  const alphaVantageKey = process.env.ALPHA_VANTAGE_API_KEY;
-  if (alphaVantageKey) {
-    try {
-      // 根据时间间隔选择合适的API参数
-      let apiInterval = '60min';
-      if (interval === 240) {
-        apiInterval = '4h';
-      } else if (interval === 1440) {
-        apiInterval = 'daily';
-      }
-      
-      // Alpha Vantage API示例（需要配置）
-      // const url = `https://www.alphavantage.co/query?function=FX_INTRADAY&from_symbol=XAU&to_symbol=USD&interval=${apiInterval}&apikey=${alphaVantageKey}`;
-      // 这里需要实现具体的API调用逻辑
-    } catch (e) {
-      console.warn('⚠️  Alpha Vantage API获取失败:', e.message);
-    }
+  if (!HISTORY_API_CONFIG.URL) {
+    return null;
   }
-  
-  // 如果所有API都无法获取历史数据，返回null
-  return null;
+  const to = Math.floor(Date.now() / 1000);
+  const from = to - days * 24 * 3600;
+  console.log(`🔍 从 UDF 接口获取 ${days} 天历史K线: ${HISTORY_API_CONFIG.URL}`);
+  const bars = await fetchUdfHistory({
+    resolution: intervalToResolution(interval),
+    from,
+    to
+  });
+  console.log(`✅ UDF 接口返回 ${bars.length} 条K线`);
+  return bars;
 }
 
 /**
@@ -245,20 +127,21 @@ async function fetchKlineData(timeframeConfig, days = 365) {
   
   const FILE_PATH = timeframeConfig.FILE_PATH;
   
-  // 步骤1: 尝试从本地文件读取
-  if (fs.existsSync(FILE_PATH)) {
+  // 由其他周期重采样生成的周期（H4/D1 ← H1）：在已有数据基础上增量重算
+  if (timeframeConfig.RESAMPLE_FROM) {
+    const sourceConfig = TIMEFRAME_CONFIG[timeframeConfig.RESAMPLE_FROM];
+    const sourceData = await fetchKlineData(sourceConfig, days);
+    const existing = klineDataExists(FILE_PATH) ? loadKlineDataFromFile(FILE_PATH) : [];
+    return updateResampledBars(existing, sourceData, timeframeConfig.INTERVAL);
+  }
+  
+  // 步骤1: 尝试从本地分段存储读取
+  if (klineDataExists(FILE_PATH)) {
     try {
-      const data = JSON.parse(fs.readFileSync(FILE_PATH, 'utf-8'));
-      if (data && data.length > 0) {
+      const data = readBars(openKlineStore(FILE_PATH));
+      if (data.length > 0) {
         // 检查数据是否足够（至少需要days天的数据）
-        const sortedData = [...data].sort((a, b) => {
-          const timeA = a.time || new Date(a.timestamp).getTime();
-          const timeB = b.time || new Date(b.timestamp).getTime();
-          return timeA - timeB;
-        });
-        
-        const oldestData = sortedData[0];
-        const oldestTime = oldestData.time || new Date(oldestData.timestamp).getTime();
+        const oldestTime = data[0].time;
         const requiredTime = startTime.getTime();
         
         // 如果数据足够新，直接返回
@@ -286,19 +169,8 @@ async function fetchKlineData(timeframeConfig, days = 365) {
       // H1: 使用 fetch_year_data.js 生成的真实数据
       klineData = loadGoldDataFromFile(GOLD_HISTORY_DATA_FILE);
       if (klineData.length > 0) {
-        klineData = klineData.map(d => ({
-          timestamp: d.timestamp,
-          time: d.time || (d.timestamp ? (typeof d.timestamp === 'number' && d.timestamp < 1e12 ? d.timestamp * 1000 : new Date(d.timestamp).getTime()) : null),
-          open: d.open,
-          high: d.high,
-          low: d.low,
-          close: d.close,
-          price: d.close || d.price
-        })).filter(d => d.time || d.timestamp);
-        if (klineData.length > 0) {
-          saveKlineDataToFile(klineData, FILE_PATH);
-          console.log(`📌 使用 ${GOLD_HISTORY_DATA_FILE} 的真实数据（共 ${klineData.length} 条）`);
-        }
+        saveKlineDataToFile(klineData, FILE_PATH);
+        console.log(`📌 使用 ${GOLD_HISTORY_DATA_FILE} 的真实数据（共 ${klineData.length} 条）`);
       }
     }
     if (!klineData || klineData.length === 0) {
@@ -324,10 +196,9 @@ async function updateKlineData(timeframeConfig, forceUpdate = false, silent = fa
   // 检查文件是否存在且是最新的
   let shouldUpdate = forceUpdate;
   
-  if (!forceUpdate && fs.existsSync(FILE_PATH)) {
+  if (!forceUpdate && klineDataExists(FILE_PATH)) {
     try {
-      const stat = fs.statSync(FILE_PATH);
-      const fileAge = Date.now() - stat.mtime.getTime();
+      const fileAge = Date.now() - getStoreMtime(openKlineStore(FILE_PATH));
       // 如果文件超过1小时（3600000毫秒），需要更新
       if (fileAge > timeframeConfig.UPDATE_INTERVAL) {
         shouldUpdate = true;
@@ -336,7 +207,7 @@ async function updateKlineData(timeframeConfig, forceUpdate = false, silent = fa
       console.warn('⚠️  检查K线数据文件状态失败:', e.message);
       shouldUpdate = true;
     }
-  } else if (!fs.existsSync(FILE_PATH)) {
+  } else if (!klineDataExists(FILE_PATH)) {
     shouldUpdate = true;
   }
   
@@ -368,34 +239,27 @@ async function updateKlineData(timeframeConfig, forceUpdate = false, silent = fa
 }
 
 /**
- * 保存K线数据到文件
+ * 保存K线数据（全量写入 filePath 对应的分段目录，统一为标准K线结构并按时间排序）
  * @param {Array} klineData - K线数据数组
- * @param {string} filePath - 文件路径
+ * @param {string} filePath - 周期数据文件路径（TIMEFRAME_CONFIG.*.FILE_PATH）
  */
 function saveKlineDataToFile(klineData, filePath) {
   try {
-    // 确保数据按时间排序
-    const sortedData = [...klineData].sort((a, b) => {
-      const timeA = a.time || new Date(a.timestamp).getTime();
-      const timeB = b.time || new Date(b.timestamp).getTime();
-      return timeA - timeB;
-    });
-    
-    fs.writeFileSync(filePath, JSON.stringify(sortedData, null, 2));
+    writeBars(openKlineStore(filePath), klineData);
   } catch (e) {
     console.error('❌ 保存K线数据到文件失败:', e.message);
   }
 }
 
 /**
- * 从文件加载K线数据
- * @param {string} filePath - 文件路径
- * @returns {Array} K线数据数组
+ * 加载K线数据（从 filePath 对应的分段目录读取，首次访问时自动导入旧 JSON 文件）
+ * @param {string} filePath - 周期数据文件路径（TIMEFRAME_CONFIG.*.FILE_PATH）
+ * @param {Object} [range] - { fromMs, toMs }，只读取该时间范围（毫秒，含两端），省略时读取全部
+ * @returns {Array} 标准K线数组（按时间升序）
  */
-function loadKlineDataFromFile(filePath) {
+function loadKlineDataFromFile(filePath, range) {
   try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-    return data;
+    return readBars(openKlineStore(filePath), range);
   } catch (e) {
     console.error('❌ 从文件加载K线数据失败:', e.message);
     return [];
@@ -403,65 +267,94 @@ function loadKlineDataFromFile(filePath) {
 }
 
 /**
- * 追加当前价格到K线数据文件
+ * 合并当前价格到K线数据文件
+ * 每个价格都会并入所属周期的当前K线（更新最高/最低/收盘），跨过周期边界时开启新K线，
+ * 未收盘的K线同样写入文件，使实时数据与抓取的历史数据结构一致；
+ * 只读取最后一根K线并向分段追加一行，不再重写整个文件；读-改-写期间持有分段目录的文件锁，
+ * 与其他进程（另一个监控进程、手动 --price、抓取脚本）的写入互斥；
+ * 配置了 RESAMPLE_FROM 的周期（H4/D1）不直接合并价格，而是由源周期增量重采样
  * @param {number} price - 当前价格
  * @param {boolean} silent - 是否静默模式
+ * @param {number} [timeMs] - 价格时间（毫秒），默认当前时间
  */
-function appendCurrentPriceToFile(price, silent = false) {
+function appendCurrentPriceToFile(price, silent = false, timeMs = Date.now()) {
   try {
-    // 追加到所有时间周期的文件
-    Object.values(TIMEFRAME_CONFIG).forEach(config => {
+    const updated = {};
+    const entries = Object.entries(TIMEFRAME_CONFIG);
+    // 先合并源周期，再重采样派生周期
+    const ordered = [
+      ...entries.filter(([, config]) => !config.RESAMPLE_FROM),
+      ...entries.filter(([, config]) => config.RESAMPLE_FROM)
+    ];
+    ordered.forEach(([key, config]) => {
       const FILE_PATH = config.FILE_PATH;
       
-      if (fs.existsSync(FILE_PATH)) {
+      if (config.RESAMPLE_FROM) {
+        const sourceStore = updated[config.RESAMPLE_FROM];
+        if (!sourceStore) return;
         try {
-          const data = JSON.parse(fs.readFileSync(FILE_PATH, 'utf-8'));
-          
-          // 创建新的K线数据点
-          const now = new Date();
-          const newDataPoint = {
-            timestamp: now.toISOString(),
-            time: now.getTime(),
-            price: price,
-            open: price,
-            high: price,
-            low: price,
-            close: price
-          };
-          
-          // 检查是否已经有相同时间的数据
-          const lastDataPoint = data[data.length - 1];
-          if (lastDataPoint) {
-            const lastTime = lastDataPoint.time || new Date(lastDataPoint.timestamp).getTime();
-            const timeDiff = now.getTime() - lastTime;
-            
-            // 如果时间差小于时间周期的一半，不追加
-            if (timeDiff < (config.INTERVAL * 60000) / 2) {
-              if (!silent) {
-                console.log(`⏰ 时间间隔不足，跳过追加价格到${config.NAME}数据文件`);
-              }
-              return;
+          const storeDir = openKlineStore(FILE_PATH);
+          withStoreLock(storeDir, () => {
+            const [last] = readLastBars(storeDir, 1);
+            const lastBucket = last ? getResampleBucketStart(last.time, config.INTERVAL) : null;
+            if (!last || lastBucket !== last.time) {
+              // 无数据或最后一根K线未对齐（旧版追加的K线）：由源周期全量重采样
+              writeBars(storeDir, resampleBars(readBars(sourceStore), config.INTERVAL));
+            } else {
+              // 只重算最后一个桶及之后的K线
+              upsertBars(storeDir, resampleBars(readBars(sourceStore, { fromMs: lastBucket }), config.INTERVAL));
             }
+          });
+          updated[key] = storeDir;
+          if (!silent) {
+            console.log(`✅ 已由${TIMEFRAME_CONFIG[config.RESAMPLE_FROM].NAME}K线重采样更新${config.NAME}数据文件`);
           }
-          
-          // 追加新数据
-          data.push(newDataPoint);
-          
-          // 限制数据量，只保留最近365天的数据
-          const maxDataPoints = (365 * 24 * 60) / config.INTERVAL;
-          if (data.length > maxDataPoints) {
-            data.splice(0, data.length - maxDataPoints);
+        } catch (e) {
+          if (!silent) {
+            console.warn(`⚠️  重采样${config.NAME}数据文件失败:`, e.message);
           }
-          
-          // 保存更新后的数据
-          fs.writeFileSync(FILE_PATH, JSON.stringify(data, null, 2));
+        }
+        return;
+      }
+      
+      if (klineDataExists(FILE_PATH)) {
+        try {
+          const storeDir = openKlineStore(FILE_PATH);
+          const action = withStoreLock(storeDir, () => {
+            const tail = readLastBars(storeDir, 1);
+            const previousTime = tail.length > 0 ? tail[0].time : null;
+            
+            const folded = foldPriceIntoBars(tail, price, timeMs, config.INTERVAL);
+            if (folded.action === 'skip') return folded.action;
+            
+            // 旧版追加的K线合并时会对齐到周期起点，删除原时间的那一行
+            if (folded.action === 'update' && folded.bar.time !== previousTime) {
+              deleteBars(storeDir, [previousTime]);
+            }
+            upsertBars(storeDir, [folded.bar]);
+            
+            // 限制数据量：按K线数保留约 RETENTION_DAYS 天，每开启一根新K线最多删除一根最早的K线
+            // （不按新K线的时间计算截止点，数据中断后的一次追加不会删掉大段历史）
+            if (folded.action === 'new') {
+              trimOldestBars(storeDir, KLINE_STORE_CONFIG.RETENTION_DAYS * 24 * 60 / config.INTERVAL, 1);
+            }
+            return folded.action;
+          });
+          if (action === 'skip') {
+            if (!silent) {
+              console.log(`⏰ 价格时间早于${config.NAME}最新K线，跳过`);
+            }
+            return;
+          }
+          updated[key] = storeDir;
           
           if (!silent) {
-            console.log(`✅ 已将当前价格 ${price.toFixed(2)} 追加到${config.NAME}数据文件`);
+            const verb = action === 'new' ? '开启新K线' : '并入当前K线';
+            console.log(`✅ 当前价格 ${price.toFixed(2)} 已${verb}（${config.NAME}）`);
           }
         } catch (e) {
           if (!silent) {
-            console.warn(`⚠️  追加价格到${config.NAME}数据文件失败:`, e.message);
+            console.warn(`⚠️  合并价格到${config.NAME}数据文件失败:`, e.message);
           }
         }
       } else {
@@ -479,23 +372,15 @@ function appendCurrentPriceToFile(price, silent = false) {
 
 /**
  * 获取最新收盘价
- * @param {Array} klineData - K线数据数组
+ * @param {Array} klineData - 标准K线数组（按时间升序）
  * @returns {number|null} 最新收盘价
  */
 function getLatestClosePrice(klineData) {
   if (!klineData || klineData.length === 0) {
     return null;
   }
-  
-  // 按时间排序，获取最后一条数据
-  const sortedData = [...klineData].sort((a, b) => {
-    const timeA = a.time || new Date(a.timestamp).getTime();
-    const timeB = b.time || new Date(b.timestamp).getTime();
-    return timeA - timeB;
-  });
-  
-  const lastData = sortedData[sortedData.length - 1];
-  return lastData.close || lastData.price || null;
+  assertNormalizedBars(klineData, 'getLatestClosePrice');
+  return klineData[klineData.length - 1].close;
 }
 
 /**
@@ -512,7 +397,7 @@ async function updateHourlyKlineData(forceUpdate = false, silent = false) {
  * 从 gold_1year_data_real.json 加载历史数据（1小时K线）
  * 数据格式：{ symbol, resolution, from, to, data: [{timestamp, time, open, high, low, close, volume}] }
  * @param {string} [filePath] - 文件路径，默认 GOLD_HISTORY_DATA_FILE
- * @returns {Array} K线数据数组，兼容 wave 模块格式
+ * @returns {Array} 标准K线数组（按时间升序）
  */
 function loadGoldDataFromFile(filePath = GOLD_HISTORY_DATA_FILE) {
   if (!fs.existsSync(filePath)) {
@@ -522,16 +407,7 @@ function loadGoldDataFromFile(filePath = GOLD_HISTORY_DATA_FILE) {
     const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
     const items = raw.data || raw;
     if (!Array.isArray(items) || items.length === 0) return [];
-    return items.map(item => ({
-      timestamp: item.timestamp,
-      time: item.timestamp ? item.timestamp * 1000 : (typeof item.time === 'string' ? new Date(item.time.replace(/\//g, '-')).getTime() : item.time),
-      open: item.open,
-      high: item.high,
-      low: item.low,
-      close: item.close,
-      price: item.close,
-      volume: item.volume
-    })).sort((a, b) => (a.time || a.timestamp * 1000) - (b.time || b.timestamp * 1000));
+    return normalizeBars(items);
   } catch (e) {
     console.error('❌ 加载黄金历史数据失败:', e.message);
     return [];
@@ -548,12 +424,9 @@ async function fetchOrLoadGoldData(startDate = '2025-01-01', endDate = null) {
   const filePath = GOLD_HISTORY_DATA_FILE;
   let data = loadGoldDataFromFile(filePath);
   if (data.length > 0) {
-    const startTs = new Date(startDate).getTime() / 1000;
-    const endTs = endDate ? new Date(endDate).getTime() / 1000 : Math.floor(Date.now() / 1000);
-    data = data.filter(d => {
-      const ts = d.timestamp || d.time / 1000;
-      return ts >= startTs && ts <= endTs;
-    });
+    const startMs = new Date(startDate).getTime();
+    const endMs = endDate ? new Date(endDate).getTime() : Date.now();
+    data = data.filter(d => d.time >= startMs && d.time <= endMs);
   }
   if (data.length < 100) {
     console.log('🔄 历史数据不足，正在调用 fetch_year_data.js 抓取...');
@@ -570,7 +443,7 @@ async function fetchOrLoadGoldData(startDate = '2025-01-01', endDate = null) {
 
 /**
  * 计算日内涨跌统计
- * @param {Array} klineData - K线数据数组
+ * @param {Array} klineData - 标准K线数组（按时间升序）
  * @param {number} currentPrice - 当前价格
  * @returns {Object|null} 日内涨跌统计
  */
@@ -578,13 +451,7 @@ function computeDailyChangeStats(klineData, currentPrice) {
   if (!klineData || klineData.length === 0 || !currentPrice) {
     return null;
   }
-  
-  // 按时间排序
-  const sortedData = [...klineData].sort((a, b) => {
-    const timeA = a.time || new Date(a.timestamp).getTime();
-    const timeB = b.time || new Date(b.timestamp).getTime();
-    return timeA - timeB;
-  });
+  assertNormalizedBars(klineData, 'computeDailyChangeStats');
   
   // 查找今天的开盘价
   const today = new Date();
@@ -593,18 +460,16 @@ function computeDailyChangeStats(klineData, currentPrice) {
   
   let dayOpen = null;
   
-  for (const item of sortedData) {
-    const itemTime = item.time || new Date(item.timestamp).getTime();
-    if (itemTime >= todayTimestamp) {
-      dayOpen = item.open || item.price;
+  for (const item of klineData) {
+    if (item.time >= todayTimestamp) {
+      dayOpen = item.open;
       break;
     }
   }
   
-  if (!dayOpen) {
+  if (dayOpen === null) {
     // 如果今天还没有K线（例如刚跨日），退而求其次：使用最新一根K线的开盘价
-    const lastBar = sortedData[sortedData.length - 1];
-    dayOpen = typeof lastBar.open === 'number' && lastBar.open > 0 ? lastBar.open : lastBar.price;
+    dayOpen = klineData[klineData.length - 1].open;
   }
 
   if (!dayOpen || dayOpen <= 0) {
@@ -624,6 +489,7 @@ function computeDailyChangeStats(klineData, currentPrice) {
 module.exports = {
   loadGoldDataFromFile,
   fetchOrLoadGoldData,
+  getCurrentQuote,
   getCurrentGoldPrice,
   fetchFromURL,
   fetchFromAPI,
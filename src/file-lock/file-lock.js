@@ -0,0 +1,190 @@
+/**
+ * 文件锁与原子写入模块
+ * 监控进程、手动 --price 运行与 fetch_year_data.js 可能同时写同一份数据，这里提供：
+ * - 原子写入：先写同目录临时文件并 fsync，再 rename 覆盖目标，崩溃时目标文件要么是旧内容、要么是新内容
+ * - 建议性文件锁：在目标旁创建 <目标>.lock（O_EXCL），记录持有者 PID 与时间；
+ *   持有进程已退出或超过 STALE_MS 的锁视为残留并清除；同一进程内可重入
+ *
+ * 所有写入方在读-改-写期间持有同一把锁，即可避免互相覆盖；读取方不需要加锁
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { FILE_LOCK_CONFIG } = require('../config/config');
+
+// 本进程持有的锁：lockPath → 重入次数
+const heldLocks = new Map();
+let exitHookInstalled = false;
+
+/**
+ * 同步休眠（锁等待用，所有写入路径均为同步调用）
+ * @param {number} ms - 毫秒
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * 原子写入文件：写入临时文件并 fsync 后 rename 覆盖目标
+ * @param {string} filePath - 目标文件路径
+ * @param {string} content - 文件内容
+ */
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * 锁文件路径
+ * @param {string} targetPath - 被保护的文件或目录
+ * @returns {string}
+ */
+function getLockPath(targetPath) {
+  return `${targetPath}.lock`;
+}
+
+/**
+ * 读取锁文件中的持有者信息
+ * @param {string} lockPath - 锁文件路径
+ * @returns {{ pid: number, host: string, time: number }|null} 锁文件不存在或内容不完整返回 null
+ */
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 判断锁是否为残留锁（持有进程已退出，或持有时间超过 STALE_MS）
+ * @param {string} lockPath - 锁文件路径
+ * @param {number} staleMs - 过期时间（毫秒）
+ * @returns {boolean}
+ */
+function isStaleLock(lockPath, staleMs) {
+  const owner = readLockOwner(lockPath);
+  if (!owner) {
+    // 创建锁的进程可能还没写完内容，按文件时间判断
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > staleMs;
+    } catch (e) {
+      return false;
+    }
+  }
+  if (Date.now() - owner.time > staleMs) return true;
+  if (owner.host !== os.hostname()) return false;
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (e) {
+    return e.code === 'ESRCH';
+  }
+}
+
+/**
+ * 进程退出时删除本进程仍持有的锁文件
+ */
+function installExitHook() {
+  if (exitHookInstalled) return;
+  exitHookInstalled = true;
+  process.on('exit', () => {
+    heldLocks.forEach((count, lockPath) => fs.rmSync(lockPath, { force: true }));
+    heldLocks.clear();
+  });
+}
+
+/**
+ * 获取建议性文件锁（同一进程内可重入）
+ * @param {string} targetPath - 被保护的文件或目录
+ * @param {Object} [options] - { timeoutMs, retryMs, staleMs }，默认取 FILE_LOCK_CONFIG
+ * @returns {string} 锁文件路径
+ */
+function acquireLock(targetPath, options = {}) {
+  const timeoutMs = options.timeoutMs ?? FILE_LOCK_CONFIG.TIMEOUT_MS;
+  const retryMs = options.retryMs ?? FILE_LOCK_CONFIG.RETRY_MS;
+  const staleMs = options.staleMs ?? FILE_LOCK_CONFIG.STALE_MS;
+  const lockPath = getLockPath(targetPath);
+
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    return lockPath;
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), time: Date.now() }));
+      fs.closeSync(fd);
+      heldLocks.set(lockPath, 1);
+      installExitHook();
+      return lockPath;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    if (isStaleLock(lockPath, staleMs)) {
+      const owner = readLockOwner(lockPath);
+      console.warn(`⚠️ 清除残留文件锁: ${lockPath}${owner ? `（PID ${owner.pid}）` : ''}`);
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const owner = readLockOwner(lockPath);
+      throw new Error(`获取文件锁超时: ${lockPath}${owner ? `（持有者 PID ${owner.pid}）` : ''}`);
+    }
+    sleepSync(retryMs);
+  }
+}
+
+/**
+ * 释放文件锁
+ * @param {string} targetPath - 被保护的文件或目录
+ */
+function releaseLock(targetPath) {
+  const lockPath = getLockPath(targetPath);
+  const count = heldLocks.get(lockPath);
+  if (!count) return;
+  if (count > 1) {
+    heldLocks.set(lockPath, count - 1);
+    return;
+  }
+  heldLocks.delete(lockPath);
+  fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * 在持有文件锁期间执行 fn（fn 须为同步函数）
+ * @param {string} targetPath - 被保护的文件或目录
+ * @param {function(): *} fn - 读-改-写操作
+ * @param {Object} [options] - 同 acquireLock
+ * @returns {*} fn 的返回值
+ */
+function withFileLock(targetPath, fn, options) {
+  acquireLock(targetPath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(targetPath);
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  getLockPath,
+  acquireLock,
+  releaseLock,
+  withFileLock
+};
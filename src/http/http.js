@@ -0,0 +1,115 @@
+/**
+ * HTTP 请求模块
+ * 包含数据获取共用的 HTTP/HTTPS 请求函数（实时价格、历史K线等）
+ */
+
+const https = require('https');
+const http = require('http');
+
+/**
+ * 发起 GET 请求并返回原始响应（支持HTTPS和HTTP）
+ * @param {string} url - 请求地址
+ * @param {Object} [customHeaders] - 自定义请求头
+ * @param {number} [timeoutMs] - 超时时间（毫秒）
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function requestURL(url, customHeaders = {}, timeoutMs = 8000) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const isHttps = urlObj.protocol === 'https:';
+    const httpModule = isHttps ? https : http;
+
+    const options = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept': 'application/json',
+        ...customHeaders
+      }
+    };
+
+    const req = httpModule.request(options, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+    });
+
+    req.on('error', (err) => {
+      reject(err);
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy();
+      reject(new Error('API请求超时'));
+    });
+
+    req.end();
+  });
+}
+
+/**
+ * 从指定URL获取价格（支持HTTPS和HTTP）
+ */
+async function fetchFromURL(url, customHeaders = {}) {
+  const res = await requestURL(url, customHeaders);
+  const data = res.body;
+  try {
+    // 如果响应不是JSON，尝试解析为数字
+    if (res.headers['content-type'] && res.headers['content-type'].includes('application/json')) {
+      const json = JSON.parse(data);
+      // 尝试多种可能的响应格式
+      const price = json.price ||
+                   json.data?.price ||
+                   json.spot ||
+                   json.close ||
+                   json.last ||
+                   json.value ||
+                   json.rate ||
+                   json.rates?.USD ||
+                   json.USD ||
+                   (json.metals && json.metals.gold) ||
+                   (Array.isArray(json) && json[0]?.price) ||
+                   null;
+
+      if (price !== null && price !== undefined) {
+        const numPrice = typeof price === 'string' ? parseFloat(price) : price;
+        if (typeof numPrice === 'number' && numPrice > 0) {
+          return numPrice;
+        }
+      }
+      // 如果找到了JSON但没有价格，返回整个JSON对象供调用者处理
+      return json;
+    }
+    // 尝试直接解析为数字
+    const numPrice = parseFloat(data.trim());
+    if (!isNaN(numPrice) && numPrice > 0) {
+      return numPrice;
+    }
+    // 如果无法解析为数字，返回原始字符串供调用者处理
+    // 这对于处理 var quote_json = {...} 格式的响应很有用
+    return data;
+  } catch (e) {
+    throw new Error(`API响应解析失败: ${e.message}`);
+  }
+}
+
+/**
+ * 从指定API获取价格（保留向后兼容）
+ */
+function fetchFromAPI(hostname, path, headers) {
+  const protocol = hostname.includes('localhost') ? 'http' : 'https';
+  const url = `${protocol}://${hostname}${path}`;
+  return fetchFromURL(url, headers);
+}
+
+module.exports = {
+  requestURL,
+  fetchFromURL,
+  fetchFromAPI
+};
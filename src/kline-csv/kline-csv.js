@@ -0,0 +1,413 @@
+/**
+ * K线 CSV / MetaTrader 导入导出模块
+ * 把 MT4/MT5 及券商终端导出的历史数据转换为标准K线，或把标准K线写成 CSV 供 Excel 使用：
+ *
+ *   csv   通用 CSV：首行为表头（time/date、open、high、low、close、volume 等，大小写不限），分隔符自动识别
+ *   mt4   MT4 历史中心导出：无表头，2024.01.02,00:00,2062.55,2065.10,2060.00,2063.40,1234
+ *   mt5   MT5 导出：制表符分隔，表头 <DATE> <TIME> <OPEN> <HIGH> <LOW> <CLOSE> <TICKVOL> <VOL> <SPREAD>
+ *   hst   MT4 history 目录下的 .hst 二进制文件（版本 400 / 401）
+ *
+ * - 列映射：{ date, time, open, high, low, close, volume } → 表头名或列号（从 1 开始），未指定的列按表头别名识别
+ * - 时区：MT 服务器时间多为 EET（UTC+2/+3），导入时按 tz 换算为 UTC；导出时按 tz 输出当地时间。
+ *   tz 可为 IANA 时区（Europe/Athens）或固定偏移（+02:00、UTC+8）；纯数字时间戳（秒/毫秒）视为 UTC
+ * - 价格系数：导入、导出时价格乘以 scale（如券商以点数导出时用 0.01）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { KLINE_CSV_CONFIG } = require('../config/config');
+const { createNormalizedBar, normalizeBars } = require('../kline/kline');
+const { getTimezoneOffsetMs } = require('../resample/resample');
+
+// 表头别名（按优先级，小写比较；MT5 的 <TICKVOL> 优先于通常为 0 的 <VOL>）
+const COLUMN_ALIASES = {
+  date: ['datetime', 'date time', 'date_time', 'timestamp', 'date', '<date>', 'day', 'time (utc)', 'gmt time', 'local time'],
+  time: ['time', '<time>', 'hour'],
+  open: ['open', '<open>', 'o'],
+  high: ['high', '<high>', 'h'],
+  low: ['low', '<low>', 'l'],
+  close: ['close', '<close>', 'c', 'last', 'price'],
+  volume: ['volume', '<tickvol>', 'tickvol', 'tick_volume', 'tick volume', '<vol>', 'vol', 'v']
+};
+
+// 无表头文件的列顺序（列号从 1 开始）：MT4 历史中心导出日期、时间分列；部分终端合为一列
+const MT4_COLUMNS = { date: 1, time: 2, open: 3, high: 4, low: 5, close: 6, volume: 7 };
+const HEADERLESS_DATETIME_COLUMNS = { date: 1, open: 2, high: 3, low: 4, close: 5, volume: 6 };
+
+const HST_HEADER_SIZE = 148;
+
+/**
+ * 解析时区偏移：固定偏移（+02:00、-0500、UTC+8、GMT+2）或 IANA 时区
+ * @param {number} timeMs - 时间（毫秒，UTC）
+ * @param {string} [tz] - 时区，默认 UTC
+ * @returns {number} 相对 UTC 的偏移（毫秒）
+ */
+function getOffsetMs(timeMs, tz) {
+  if (!tz || /^(utc|gmt|z)$/i.test(tz)) return 0;
+  const fixed = String(tz).match(/^(?:utc|gmt)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (fixed) {
+    const minutes = Number(fixed[2]) * 60 + Number(fixed[3] || 0);
+    return (fixed[1] === '-' ? -1 : 1) * minutes * 60000;
+  }
+  return getTimezoneOffsetMs(timeMs, tz);
+}
+
+/**
+ * 把时区当地时间（按 UTC 数值表示的墙上时间）换算为 UTC 毫秒
+ * @param {number} wallMs - 当地时间按 UTC 解释得到的毫秒数
+ * @param {string} [tz] - 时区
+ * @returns {number} UTC 毫秒
+ */
+function zonedWallTimeToUtc(wallMs, tz) {
+  const guess = wallMs - getOffsetMs(wallMs, tz);
+  return wallMs - getOffsetMs(guess, tz);
+}
+
+/**
+ * 把 UTC 毫秒格式化为时区当地时间的各部分
+ * @param {number} timeMs - UTC 毫秒
+ * @param {string} [tz] - 时区
+ * @returns {{ date: string, time: string }} date 为 YYYY-MM-DD，time 为 HH:mm:ss
+ */
+function formatZonedParts(timeMs, tz) {
+  const iso = new Date(timeMs + getOffsetMs(timeMs, tz)).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 19) };
+}
+
+/**
+ * 解析日期时间
+ * 支持：纯数字时间戳（秒/毫秒，UTC）、带 Z 或偏移的 ISO 字符串、
+ *       YYYY.MM.DD / YYYY-MM-DD / YYYY/MM/DD / YYYYMMDD / DD.MM.YYYY [HH:mm[:ss]]（按 tz 换算）
+ * @param {string} dateStr - 日期（或完整日期时间）
+ * @param {string} [timeStr] - 单独的时间列
+ * @param {string} [tz] - 当地时间所在时区
+ * @returns {number|null} UTC 毫秒，无法解析返回 null
+ */
+function parseDateTime(dateStr, timeStr, tz) {
+  const dateText = String(dateStr ?? '').trim();
+  const timeText = String(timeStr ?? '').trim();
+  if (!dateText) return null;
+
+  if (/^\d{9,13}(\.\d+)?$/.test(dateText) && !timeText) {
+    const n = Number(dateText);
+    return n > 1e12 ? Math.floor(n) : Math.floor(n * 1000);
+  }
+  if (/(z|[+-]\d{2}:?\d{2})$/i.test(dateText) && /[t ]\d{2}:\d{2}/i.test(dateText)) {
+    const ms = Date.parse(dateText);
+    return Number.isNaN(ms) ? null : ms;
+  }
+
+  const text = timeText ? `${dateText} ${timeText}` : dateText;
+  let m = text.match(/^(\d{4})[.\-/]?(\d{2})[.\-/]?(\d{2})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  let year;
+  let month;
+  let day;
+  if (m) {
+    [, year, month, day] = m;
+  } else {
+    m = text.match(/^(\d{2})[.\-/](\d{2})[.\-/](\d{4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!m) return null;
+    [, day, month, year] = m;
+  }
+  const [hour, minute, second] = [m[4], m[5], m[6]].map(v => Number(v || 0));
+  const wallMs = Date.UTC(Number(year), Number(month) - 1, Number(day), hour, minute, second);
+  return Number.isNaN(wallMs) ? null : zonedWallTimeToUtc(wallMs, tz);
+}
+
+/**
+ * 排序并按时间去重（同一时间保留文件中靠后的一行）
+ * @param {Array} bars - 标准K线
+ * @returns {Array} 按时间升序
+ */
+function sortUniqueBars(bars) {
+  const byTime = new Map();
+  normalizeBars(bars).forEach(bar => byTime.set(bar.time, bar));
+  return [...byTime.values()];
+}
+
+/**
+ * 识别分隔符（制表符、分号、逗号中出现次数最多的）
+ * @param {string} line - 首行
+ * @returns {string}
+ */
+function detectDelimiter(line) {
+  const counts = ['\t', ';', ','].map(d => [d, line.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * 解析一行 CSV（支持双引号包裹与 "" 转义）
+ * @param {string} line - 行内容
+ * @param {string} delimiter - 分隔符
+ * @returns {Array<string>}
+ */
+function parseCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * 解析列映射参数："date=Date,time=Time,open=3" → { date: 'Date', time: 'Time', open: 3 }
+ * @param {string|Object} [spec] - 映射字符串或对象
+ * @returns {Object}
+ */
+function parseColumnSpec(spec) {
+  if (!spec) return {};
+  if (typeof spec === 'object') return { ...spec };
+  const mapping = {};
+  String(spec).split(',').forEach(pair => {
+    const idx = pair.indexOf('=');
+    if (idx === -1) throw new Error(`列映射格式错误: ${pair}（应为 字段=列名 或 字段=列号）`);
+    const field = pair.slice(0, idx).trim().toLowerCase();
+    const column = pair.slice(idx + 1).trim();
+    if (!COLUMN_ALIASES[field]) {
+      throw new Error(`未知的列映射字段: ${field}（可选: ${Object.keys(COLUMN_ALIASES).join(', ')}）`);
+    }
+    mapping[field] = /^\d+$/.test(column) ? Number(column) : column;
+  });
+  return mapping;
+}
+
+/**
+ * 把列映射解析为列下标（从 0 开始）
+ * @param {Array<string>|null} header - 表头（无表头时为 null）
+ * @param {Object} mapping - 用户指定的列映射
+ * @returns {Object} { date, time, open, high, low, close, volume } → 下标，未找到为 -1
+ */
+function resolveColumnIndexes(header, mapping) {
+  const lower = header ? header.map(h => h.toLowerCase()) : [];
+  const used = new Set();
+  const indexes = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    const idx = typeof column === 'number' ? column - 1 : lower.indexOf(String(column).toLowerCase());
+    if (idx < 0) throw new Error(`找不到列映射 ${field}=${column}${header ? `（表头: ${header.join(', ')}）` : ''}`);
+    indexes[field] = idx;
+    used.add(idx);
+  });
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    if (indexes[field] !== undefined) return;
+    const alias = aliases.find(a => lower.includes(a) && !used.has(lower.indexOf(a)));
+    indexes[field] = alias ? lower.indexOf(alias) : -1;
+    if (indexes[field] >= 0) used.add(indexes[field]);
+  });
+  // 只有一列名为 time 的完整日期时间
+  if (indexes.date < 0 && indexes.time >= 0 && mapping.time === undefined) {
+    indexes.date = indexes.time;
+    indexes.time = -1;
+  }
+  return indexes;
+}
+
+/**
+ * 解析 CSV 文本为标准K线
+ * @param {string} content - CSV 文本
+ * @param {Object} [options] - { format: 'auto'|'csv'|'mt4'|'mt5', columns, tz, scale, delimiter }
+ * @returns {{ bars: Array, skipped: number, format: string }} bars 按时间升序、同一时间去重
+ */
+function parseKlineCsv(content, options = {}) {
+  const tz = options.tz || KLINE_CSV_CONFIG.TIMEZONE;
+  const scale = options.scale ?? KLINE_CSV_CONFIG.PRICE_SCALE;
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { bars: [], skipped: 0, format: options.format || 'csv' };
+
+  const delimiter = options.delimiter || detectDelimiter(lines[0]);
+  const firstFields = parseCsvLine(lines[0], delimiter);
+  // 首行第一列能解析为时间则认为没有表头（MT4 历史中心导出）
+  const splitTime = /^\d{1,2}:\d{2}/.test(firstFields[1] || '');
+  const headerless = parseDateTime(firstFields[0], splitTime ? firstFields[1] : undefined, tz) !== null;
+  let format = options.format && options.format !== 'auto' ? options.format : null;
+  if (!format) {
+    format = headerless ? 'mt4' : (firstFields[0].startsWith('<') ? 'mt5' : 'csv');
+  }
+
+  const userColumns = parseColumnSpec(options.columns);
+  const header = headerless ? null : firstFields;
+  let indexes;
+  if (header) {
+    indexes = resolveColumnIndexes(header, userColumns);
+  } else {
+    const layout = splitTime ? MT4_COLUMNS : HEADERLESS_DATETIME_COLUMNS;
+    indexes = { time: -1, volume: -1 };
+    Object.entries({ ...layout, ...userColumns }).forEach(([field, column]) => {
+      if (typeof column !== 'number') throw new Error(`文件没有表头，只能按列号映射: ${field}=${column}`);
+      indexes[field] = column - 1;
+    });
+  }
+  ['date', 'open', 'high', 'low', 'close'].forEach(field => {
+    if (indexes[field] < 0) {
+      throw new Error(`CSV 缺少 ${field} 列，请用 --columns 指定（如 --columns "${field}=列名"）；表头: ${(header || []).join(', ')}`);
+    }
+  });
+
+  const bars = [];
+  let skipped = 0;
+  lines.slice(header ? 1 : 0).forEach(line => {
+    const fields = parseCsvLine(line, delimiter);
+    const pick = (field) => (indexes[field] >= 0 ? fields[indexes[field]] : undefined);
+    const time = parseDateTime(pick('date'), pick('time'), tz);
+    const [open, high, low, close] = ['open', 'high', 'low', 'close'].map(f => parseFloat(pick(f)) * scale);
+    const volume = parseFloat(pick('volume')) || 0;
+    if (time === null || ![open, high, low, close].every(Number.isFinite)) {
+      skipped++;
+      return;
+    }
+    bars.push(createNormalizedBar(time, open, high, low, close, volume));
+  });
+  return { bars: sortUniqueBars(bars), skipped, format };
+}
+
+/**
+ * 解析 MT4 .hst 二进制历史文件
+ * 文件头 148 字节（版本、版权、品种、周期、小数位…），之后为定长记录：
+ *   版本 401：60 字节 { int64 时间, double 开, 高, 低, 收, int64 tick量, int32 点差, int64 真实成交量 }
+ *   版本 400：44 字节 { int32 时间, double 开, 低, 高, 收, 量 }
+ * 记录时间为服务器当地时间（按 tz 换算）
+ * @param {Buffer} buffer - 文件内容
+ * @param {Object} [options] - { tz, scale }
+ * @returns {{ bars: Array, skipped: number, format: string, symbol: string, period: number, digits: number }}
+ */
+function parseHst(buffer, options = {}) {
+  const tz = options.tz || KLINE_CSV_CONFIG.TIMEZONE;
+  const scale = options.scale ?? KLINE_CSV_CONFIG.PRICE_SCALE;
+  if (buffer.length < HST_HEADER_SIZE) throw new Error('HST 文件过短，缺少文件头');
+  const version = buffer.readInt32LE(0);
+  const symbol = buffer.toString('latin1', 68, 80).replace(/\0.*$/, '');
+  const period = buffer.readInt32LE(80);
+  const digits = buffer.readInt32LE(84);
+  const recordSize = version === 401 ? 60 : version === 400 ? 44 : 0;
+  if (!recordSize) throw new Error(`不支持的 HST 版本: ${version}（支持 400、401）`);
+
+  const bars = [];
+  let skipped = 0;
+  for (let offset = HST_HEADER_SIZE; offset + recordSize <= buffer.length; offset += recordSize) {
+    let wallSec;
+    let open;
+    let high;
+    let low;
+    let close;
+    let volume;
+    if (version === 401) {
+      wallSec = Number(buffer.readBigInt64LE(offset));
+      open = buffer.readDoubleLE(offset + 8);
+      high = buffer.readDoubleLE(offset + 16);
+      low = buffer.readDoubleLE(offset + 24);
+      close = buffer.readDoubleLE(offset + 32);
+      volume = Number(buffer.readBigInt64LE(offset + 40));
+    } else {
+      wallSec = buffer.readInt32LE(offset);
+      open = buffer.readDoubleLE(offset + 4);
+      low = buffer.readDoubleLE(offset + 12);
+      high = buffer.readDoubleLE(offset + 20);
+      close = buffer.readDoubleLE(offset + 28);
+      volume = buffer.readDoubleLE(offset + 36);
+    }
+    if (![wallSec, open, high, low, close].every(Number.isFinite) || wallSec <= 0) {
+      skipped++;
+      continue;
+    }
+    const time = zonedWallTimeToUtc(wallSec * 1000, tz);
+    bars.push(createNormalizedBar(time, open * scale, high * scale, low * scale, close * scale, volume || 0));
+  }
+  return { bars: sortUniqueBars(bars), skipped, format: 'hst', symbol, period, digits };
+}
+
+/**
+ * 读取 CSV / HST 历史文件为标准K线（format 为 auto 时 .hst 按二进制解析，其余按 CSV）
+ * @param {string} filePath - 文件路径
+ * @param {Object} [options] - 同 parseKlineCsv / parseHst
+ * @returns {{ bars: Array, skipped: number, format: string }}
+ */
+function readKlineFile(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) throw new Error(`文件不存在: ${filePath}`);
+  const format = (options.format || 'auto').toLowerCase();
+  if (format === 'hst' || (format === 'auto' && path.extname(filePath).toLowerCase() === '.hst')) {
+    return parseHst(fs.readFileSync(filePath), options);
+  }
+  if (!['auto', 'csv', 'mt4', 'mt5'].includes(format)) {
+    throw new Error(`未知的导入格式: ${format}（可选: auto, csv, mt4, mt5, hst）`);
+  }
+  return parseKlineCsv(fs.readFileSync(filePath, 'utf-8'), { ...options, format });
+}
+
+/**
+ * 估算K线周期（相邻K线时间差的中位数）
+ * @param {Array} bars - 标准K线（按时间升序）
+ * @returns {number|null} 分钟，K线不足两根返回 null
+ */
+function detectIntervalMinutes(bars) {
+  if (!bars || bars.length < 2) return null;
+  const diffs = [];
+  for (let i = 1; i < bars.length; i++) diffs.push(bars[i].time - bars[i - 1].time);
+  diffs.sort((a, b) => a - b);
+  return Math.round(diffs[Math.floor(diffs.length / 2)] / 60000);
+}
+
+/**
+ * 把标准K线格式化为 CSV 文本
+ * @param {Array} bars - 标准K线
+ * @param {Object} [options] - { format: 'csv'|'mt4'|'mt5', tz, scale, digits, delimiter }
+ * @returns {string}
+ */
+function formatKlineCsv(bars, options = {}) {
+  const format = (options.format || 'csv').toLowerCase();
+  const tz = options.tz || KLINE_CSV_CONFIG.TIMEZONE;
+  const scale = options.scale ?? KLINE_CSV_CONFIG.PRICE_SCALE;
+  const digits = options.digits ?? KLINE_CSV_CONFIG.PRICE_DIGITS;
+  const price = (v) => (v * scale).toFixed(digits);
+  const volume = (v) => String(Math.round(v || 0));
+
+  let header = null;
+  let delimiter = options.delimiter || ',';
+  let row;
+  if (format === 'mt4') {
+    row = (bar, { date, time }) => [date.replace(/-/g, '.'), time.slice(0, 5), price(bar.open), price(bar.high), price(bar.low), price(bar.close), volume(bar.volume)];
+  } else if (format === 'mt5') {
+    delimiter = options.delimiter || '\t';
+    header = ['<DATE>', '<TIME>', '<OPEN>', '<HIGH>', '<LOW>', '<CLOSE>', '<TICKVOL>', '<VOL>', '<SPREAD>'];
+    row = (bar, { date, time }) => [date.replace(/-/g, '.'), time, price(bar.open), price(bar.high), price(bar.low), price(bar.close), volume(bar.volume), '0', '0'];
+  } else if (format === 'csv') {
+    header = ['time', 'open', 'high', 'low', 'close', 'volume'];
+    row = (bar, { date, time }) => [`${date} ${time}`, price(bar.open), price(bar.high), price(bar.low), price(bar.close), volume(bar.volume)];
+  } else {
+    throw new Error(`未知的导出格式: ${format}（可选: csv, mt4, mt5）`);
+  }
+
+  const lines = header ? [header.join(delimiter)] : [];
+  bars.forEach(bar => lines.push(row(bar, formatZonedParts(bar.time, tz)).join(delimiter)));
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseDateTime,
+  parseCsvLine,
+  parseColumnSpec,
+  parseKlineCsv,
+  parseHst,
+  readKlineFile,
+  detectIntervalMinutes,
+  formatKlineCsv
+};
@@ -0,0 +1,591 @@
+/**
+ * K线分段存储模块
+ * 每个周期一个目录（gold_price_1h.json → gold_price_1h.kline/），按 UTC 月份分段存为 NDJSON：
+ *   gold_price_1h.kline/2026-02.ndjson
+ *   [1770789600000,5050.19,5057.43,5049.8,5055.1,0]    ← 每行一根K线：[time(毫秒), open, high, low, close, volume]
+ *   [1770789451000]                                    ← 只有时间的行表示删除该时间的K线
+ *
+ * - 追加友好：实时价格只向最后一个分段追加一行，同一时间的K线以最后一行为准；
+ *   分段中被覆盖的行超过 COMPACT_THRESHOLD 时重写该分段
+ * - 分段统计：<目录>/meta.json 记录各分段的行数、K线数与文件大小，追加时据此判断是否重写分段、
+ *   限制数量时据此计算总数，无需重读分段；文件大小与统计不符（统计之外的写入）时重新统计该分段
+ * - 按时间范围读取：只解析与范围重叠的月份分段，无需解析全年数据
+ * - 一次性导入：首次访问时把旧的 JSON 数组文件复制到分段目录，原文件保持不变（仍受版本管理，不会被改名或删除）；
+ *   meta.json 记录导入时原文件的内容摘要，之后原文件被修改（如 git pull 更新）时提示一次两者已不一致
+ * - 并发与崩溃保护：所有写入持有 <目录>.lock 文件锁（src/file-lock），整段写入为原子 rename；
+ *   整段写入后在 .snapshot/ 保存快照，读取时发现分段损坏（无法解析的行、空文件）则用快照 + 仍可解析的行恢复
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { KLINE_STORE_CONFIG } = require('../config/config');
+const { createNormalizedBar, normalizeBars } = require('../kline/kline');
+const { writeFileAtomic, withFileLock } = require('../file-lock/file-lock');
+
+const SEGMENT_EXT = '.ndjson';
+
+/**
+ * 由旧 JSON 文件路径得到分段目录路径
+ * @param {string} filePath - 周期数据文件路径（如 gold_price_1h.json）
+ * @returns {string} 分段目录路径（如 gold_price_1h.kline）
+ */
+function getStoreDir(filePath) {
+  return `${filePath.replace(/\.json$/, '')}${KLINE_STORE_CONFIG.DIR_SUFFIX}`;
+}
+
+/**
+ * 计算某时刻所属分段名（UTC 年月）
+ * @param {number} timeMs - 时间（毫秒）
+ * @returns {string} 如 "2026-02"
+ */
+function getSegmentName(timeMs) {
+  return new Date(timeMs).toISOString().slice(0, 7);
+}
+
+/**
+ * 列出分段（按时间升序）
+ * @param {string} storeDir - 分段目录
+ * @returns {Array<{ name: string, file: string, startMs: number, endMs: number }>} endMs 为下个月起点（不含）
+ */
+function listSegments(storeDir) {
+  if (!fs.existsSync(storeDir)) return [];
+  return fs.readdirSync(storeDir)
+    .filter(name => /^\d{4}-\d{2}\.ndjson$/.test(name))
+    .sort()
+    .map(fileName => {
+      const name = fileName.slice(0, 7);
+      const [year, month] = name.split('-').map(Number);
+      return {
+        name,
+        file: path.join(storeDir, fileName),
+        startMs: Date.UTC(year, month - 1, 1),
+        endMs: Date.UTC(year, month, 1)
+      };
+    });
+}
+
+/**
+ * 分段目录是否存在（已迁移或已写入过）
+ * @param {string} storeDir - 分段目录
+ * @returns {boolean}
+ */
+function storeExists(storeDir) {
+  return fs.existsSync(storeDir) && fs.statSync(storeDir).isDirectory();
+}
+
+/**
+ * K线序列化为一行
+ * @param {Object} bar - 标准K线
+ * @returns {string}
+ */
+function serializeBar(bar) {
+  return JSON.stringify([bar.time, bar.open, bar.high, bar.low, bar.close, bar.volume]);
+}
+
+/**
+ * 分段快照路径
+ * @param {string} file - 分段文件路径
+ * @returns {string}
+ */
+function getSnapshotFile(file) {
+  return path.join(path.dirname(file), KLINE_STORE_CONFIG.SNAPSHOT_DIR, path.basename(file));
+}
+
+/**
+ * 逐行解析分段内容并应用到 byTime（同一时间以最后一行为准）
+ * @param {string} content - 分段内容
+ * @param {Map<number, Object>} byTime - 时间 → 标准K线
+ * @returns {{ lineCount: number, badLines: number, torn: boolean }} torn 表示最后一行不完整（追加中途中断或正在写入）
+ */
+function applySegmentLines(content, byTime) {
+  const lines = content.split('\n');
+  const complete = content.endsWith('\n');
+  let lineCount = 0;
+  let badLines = 0;
+  let torn = false;
+  lines.forEach((line, i) => {
+    if (!line) return;
+    lineCount++;
+    const isLast = i === lines.length - 1;
+    try {
+      const fields = JSON.parse(line);
+      const [time, open, high, low, close, volume] = fields;
+      if (!Array.isArray(fields) || !Number.isFinite(time)) throw new Error('invalid');
+      if (fields.length === 1) {
+        byTime.delete(time);
+      } else if ([open, high, low, close].every(Number.isFinite)) {
+        byTime.set(time, createNormalizedBar(time, open, high, low, close, volume));
+      } else {
+        throw new Error('invalid');
+      }
+    } catch (e) {
+      if (isLast && !complete) {
+        torn = true;
+      } else {
+        badLines++;
+      }
+    }
+  });
+  return { lineCount, badLines, torn };
+}
+
+/**
+ * 解析分段文件
+ * @param {string} file - 分段文件路径
+ * @param {Array} [baseBars] - 作为起点的K线（恢复时传入快照K线，文件中的行覆盖其上）
+ * @returns {{ bars: Array, lineCount: number, damaged: boolean, torn: boolean }} bars 按时间升序；
+ *   damaged 表示存在无法解析的行或文件为空
+ */
+function readSegment(file, baseBars = []) {
+  const content = fs.readFileSync(file, 'utf-8');
+  const byTime = new Map(baseBars.map(bar => [bar.time, bar]));
+  const { lineCount, badLines, torn } = applySegmentLines(content, byTime);
+  const bars = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+  return { bars, lineCount, damaged: badLines > 0 || content.length === 0, torn };
+}
+
+/**
+ * 写入整个分段文件（原子覆盖），并保存为该分段的快照
+ * @param {string} file - 分段文件路径
+ * @param {Array} bars - 标准K线（按时间升序）
+ */
+function writeSegment(file, bars) {
+  const content = bars.map(serializeBar).join('\n') + '\n';
+  writeFileAtomic(file, content);
+  const snapshotFile = getSnapshotFile(file);
+  fs.mkdirSync(path.dirname(snapshotFile), { recursive: true });
+  writeFileAtomic(snapshotFile, content);
+}
+
+/**
+ * 删除分段文件及其快照
+ * @param {string} file - 分段文件路径
+ */
+function removeSegment(file) {
+  fs.rmSync(file, { force: true });
+  fs.rmSync(getSnapshotFile(file), { force: true });
+}
+
+/**
+ * 分段最后一行不完整或文件为空时先恢复（只读取最后一个字节），避免新行追加在不完整的行之后
+ * @param {string} file - 分段文件路径
+ */
+function repairSegmentTail(file) {
+  if (!fs.existsSync(file)) return;
+  const { size } = fs.statSync(file);
+  const last = Buffer.alloc(1);
+  if (size > 0) {
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, last, 0, 1, size - 1);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  if (size === 0 || last[0] !== 0x0a) loadSegment(file);
+}
+
+/**
+ * 读取分段统计
+ * @param {string} storeDir - 分段目录
+ * @returns {{ segments: Object<string, { size: number, lines: number, bars: number, lastTime: number|null }> }}
+ *   统计文件不存在或损坏时返回空统计（按需重新统计）
+ */
+function readMeta(storeDir) {
+  try {
+    const meta = JSON.parse(fs.readFileSync(path.join(storeDir, KLINE_STORE_CONFIG.META_FILE), 'utf-8'));
+    return { ...meta, segments: meta.segments || {} };
+  } catch (e) {
+    return { segments: {} };
+  }
+}
+
+/**
+ * 写入分段统计（去掉已不存在的分段）
+ * @param {string} storeDir - 分段目录
+ * @param {Object} meta - readMeta 的结果
+ */
+function writeMeta(storeDir, meta) {
+  const names = new Set(listSegments(storeDir).map(seg => seg.name));
+  Object.keys(meta.segments).forEach(name => {
+    if (!names.has(name)) delete meta.segments[name];
+  });
+  writeFileAtomic(path.join(storeDir, KLINE_STORE_CONFIG.META_FILE), JSON.stringify(meta));
+}
+
+/**
+ * 解析整个分段得到统计（损坏时先恢复）
+ * @param {string} file - 分段文件路径
+ * @returns {{ size: number, lines: number, bars: number, lastTime: number|null }}
+ */
+function countSegment(file) {
+  if (!fs.existsSync(file)) return { size: 0, lines: 0, bars: 0, lastTime: null };
+  const result = readSegment(file);
+  const bars = result.damaged || result.torn ? loadSegment(file) : result.bars;
+  return {
+    size: fs.statSync(file).size,
+    lines: result.damaged || result.torn ? bars.length : result.lineCount,
+    bars: bars.length,
+    lastTime: bars.length > 0 ? bars[bars.length - 1].time : null
+  };
+}
+
+/**
+ * 取分段统计，文件大小与统计不符时重新统计（结果记入 meta）
+ * @param {Object} meta - readMeta 的结果
+ * @param {string} name - 分段名
+ * @param {string} file - 分段文件路径
+ * @returns {{ size: number, lines: number, bars: number, lastTime: number|null }}
+ */
+function getSegmentStats(meta, name, file) {
+  const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  const cached = meta.segments[name];
+  if (!cached || cached.size !== size) {
+    meta.segments[name] = countSegment(file);
+  }
+  return meta.segments[name];
+}
+
+/**
+ * 在持有分段目录文件锁期间执行 fn（同一进程内可重入）
+ * 读-改-写（如 appendCurrentPriceToFile 读取最后一根K线再追加）须整体放在锁内，避免多个进程互相覆盖
+ * @param {string} storeDir - 分段目录
+ * @param {function(): *} fn - 同步操作
+ * @returns {*} fn 的返回值
+ */
+function withStoreLock(storeDir, fn) {
+  return withFileLock(storeDir, fn);
+}
+
+/**
+ * 恢复损坏的分段：以快照为基础，叠加损坏文件中仍可解析的行（快照之后追加的K线），原子重写，
+ * 损坏文件留存为 .corrupt 副本；只有最后一行不完整（追加中途崩溃）时去掉该行即可
+ * @param {string} file - 分段文件路径
+ * @param {Object} current - readSegment(file) 的结果
+ * @returns {Array} 恢复后的K线
+ */
+function recoverSegment(file, current) {
+  const name = `${path.basename(path.dirname(file))}/${path.basename(file)}`;
+  if (!current.damaged) {
+    writeSegment(file, current.bars);
+    console.warn(`⚠️ ${name} 最后一行不完整（写入中断），已去掉该行`);
+    return current.bars;
+  }
+
+  const snapshotFile = getSnapshotFile(file);
+  const hasSnapshot = fs.existsSync(snapshotFile);
+  const snapshotBars = hasSnapshot ? readSegment(snapshotFile).bars : [];
+  const { bars } = readSegment(file, snapshotBars);
+  const corruptFile = `${file}${KLINE_STORE_CONFIG.CORRUPT_SUFFIX}`;
+  fs.copyFileSync(file, corruptFile);
+  writeSegment(file, bars);
+  console.warn(`🔧 ${name} 已损坏，已由${hasSnapshot ? '快照与' : ''}可解析的行恢复（${bars.length} 条，损坏文件留存为 ${path.basename(corruptFile)}）`);
+  return bars;
+}
+
+/**
+ * 读取分段；发现损坏时加锁复查（排除正在追加的行），确认损坏后自动恢复
+ * @param {string} file - 分段文件路径
+ * @returns {Array} 标准K线（按时间升序）
+ */
+function loadSegment(file) {
+  const result = readSegment(file);
+  if (!result.damaged && !result.torn) return result.bars;
+  return withFileLock(path.dirname(file), () => {
+    const locked = readSegment(file);
+    if (!locked.damaged && !locked.torn) return locked.bars;
+    return recoverSegment(file, locked);
+  });
+}
+
+/**
+ * 按时间范围读取K线（只解析重叠的分段）
+ * @param {string} storeDir - 分段目录
+ * @param {Object} [range] - { fromMs, toMs }，均可省略
+ * @returns {Array} 标准K线数组（按时间升序）
+ */
+function readBars(storeDir, range = {}) {
+  const fromMs = range.fromMs != null ? range.fromMs : -Infinity;
+  const toMs = range.toMs != null ? range.toMs : Infinity;
+  const result = [];
+  listSegments(storeDir)
+    .filter(seg => seg.endMs > fromMs && seg.startMs <= toMs)
+    .forEach(seg => {
+      loadSegment(seg.file).forEach(bar => {
+        if (bar.time >= fromMs && bar.time <= toMs) result.push(bar);
+      });
+    });
+  return result;
+}
+
+/**
+ * 读取最近 count 根K线（从最后一个分段向前读）
+ * @param {string} storeDir - 分段目录
+ * @param {number} count - 数量
+ * @returns {Array} 标准K线数组（按时间升序）
+ */
+function readLastBars(storeDir, count) {
+  const segments = listSegments(storeDir);
+  let result = [];
+  for (let i = segments.length - 1; i >= 0 && result.length < count; i--) {
+    result = loadSegment(segments[i].file).concat(result);
+  }
+  return result.slice(-count);
+}
+
+/**
+ * 按分段分组
+ * @param {Array} bars - 标准K线
+ * @returns {Map<string, Array>}
+ */
+function groupBySegment(bars) {
+  const groups = new Map();
+  bars.forEach(bar => {
+    const name = getSegmentName(bar.time);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(bar);
+  });
+  return groups;
+}
+
+/**
+ * 全量写入（替换目录中的全部分段）
+ * @param {string} storeDir - 分段目录
+ * @param {Array} bars - K线（任意格式，写入前统一转换为标准K线）
+ */
+function writeBars(storeDir, bars) {
+  const groups = groupBySegment(normalizeBars(bars));
+  withStoreLock(storeDir, () => {
+    fs.mkdirSync(storeDir, { recursive: true });
+    const meta = readMeta(storeDir);
+    groups.forEach((segmentBars, name) => {
+      const file = path.join(storeDir, `${name}${SEGMENT_EXT}`);
+      writeSegment(file, segmentBars);
+      meta.segments[name] = {
+        size: fs.statSync(file).size,
+        lines: segmentBars.length,
+        bars: segmentBars.length,
+        lastTime: segmentBars[segmentBars.length - 1].time
+      };
+    });
+    listSegments(storeDir)
+      .filter(seg => !groups.has(seg.name))
+      .forEach(seg => removeSegment(seg.file));
+    writeMeta(storeDir, meta);
+  });
+}
+
+/**
+ * 追加或更新K线：每根K线向所属分段追加一行（同一时间以最后一行为准）
+ * 分段中被覆盖的行超过 COMPACT_THRESHOLD 时重写该分段；是否覆盖由分段统计判断：
+ * 晚于最后一根的K线为新增，与最后一根同一时间为覆盖，早于最后一根时无法判断，重新统计该分段
+ * @param {string} storeDir - 分段目录
+ * @param {Array} bars - 标准K线
+ */
+function upsertBars(storeDir, bars) {
+  if (!bars || bars.length === 0) return;
+  withStoreLock(storeDir, () => {
+    fs.mkdirSync(storeDir, { recursive: true });
+    const meta = readMeta(storeDir);
+    groupBySegment(bars).forEach((segmentBars, name) => {
+      const file = path.join(storeDir, `${name}${SEGMENT_EXT}`);
+      // 统计与文件不符时重新统计，同时恢复损坏的分段，避免新行追加在不完整的行之后
+      const stats = getSegmentStats(meta, name, file);
+      fs.appendFileSync(file, segmentBars.map(serializeBar).join('\n') + '\n');
+      let known = true;
+      stats.lines += segmentBars.length;
+      segmentBars.forEach(bar => {
+        if (stats.lastTime === null || bar.time > stats.lastTime) {
+          stats.bars++;
+          stats.lastTime = bar.time;
+        } else if (bar.time < stats.lastTime) {
+          known = false;
+        }
+      });
+      if (!known) Object.assign(stats, countSegment(file));
+      if (stats.lines - stats.bars > KLINE_STORE_CONFIG.COMPACT_THRESHOLD) {
+        writeSegment(file, readSegment(file).bars);
+        stats.lines = stats.bars;
+      }
+      stats.size = fs.statSync(file).size;
+    });
+    writeMeta(storeDir, meta);
+  });
+}
+
+/**
+ * 删除指定时间的K线（追加删除标记行）
+ * @param {string} storeDir - 分段目录
+ * @param {Array<number>} times - K线时间（毫秒）
+ */
+function deleteBars(storeDir, times) {
+  if (!times || times.length === 0) return;
+  withStoreLock(storeDir, () => {
+    fs.mkdirSync(storeDir, { recursive: true });
+    times.forEach(time => {
+      const file = path.join(storeDir, `${getSegmentName(time)}${SEGMENT_EXT}`);
+      repairSegmentTail(file);
+      fs.appendFileSync(file, `${JSON.stringify([time])}\n`);
+    });
+  });
+}
+
+/**
+ * 按数量限制K线：超出 maxBars 时从最早的K线开始删除
+ * 单次最多删除 maxRemove 根（追加时传入本次新增的根数），已超出上限的历史数据不会被一次性清空
+ * @param {string} storeDir - 分段目录
+ * @param {number} maxBars - 保留的最大K线数
+ * @param {number} [maxRemove] - 本次最多删除的根数，默认不限
+ * @returns {number} 删除的K线数
+ */
+function trimOldestBars(storeDir, maxBars, maxRemove = Infinity) {
+  return withStoreLock(storeDir, () => {
+    const meta = readMeta(storeDir);
+    const segments = listSegments(storeDir).map(seg => ({ ...seg, stats: getSegmentStats(meta, seg.name, seg.file) }));
+    const total = segments.reduce((sum, seg) => sum + seg.stats.bars, 0);
+    let excess = Math.min(total - maxBars, maxRemove);
+    let removed = 0;
+    for (const seg of segments) {
+      if (excess <= 0) break;
+      if (seg.stats.bars <= excess) {
+        // 整个分段都在删除范围内时直接删除分段文件
+        removeSegment(seg.file);
+        excess -= seg.stats.bars;
+        removed += seg.stats.bars;
+      } else {
+        // 只读取需要部分删除的这一个分段
+        deleteBars(storeDir, loadSegment(seg.file).slice(0, excess).map(bar => bar.time));
+        Object.assign(seg.stats, {
+          size: fs.statSync(seg.file).size,
+          lines: seg.stats.lines + excess,
+          bars: seg.stats.bars - excess
+        });
+        removed += excess;
+        excess = 0;
+      }
+    }
+    if (segments.length > 0) writeMeta(storeDir, meta);
+    return removed;
+  });
+}
+
+/**
+ * 分段目录的最后修改时间（各分段文件 mtime 的最大值）
+ * @param {string} storeDir - 分段目录
+ * @returns {number} 毫秒，目录不存在或为空返回 0
+ */
+function getStoreMtime(storeDir) {
+  return listSegments(storeDir).reduce((max, seg) => Math.max(max, fs.statSync(seg.file).mtimeMs), 0);
+}
+
+/**
+ * 周期数据是否存在（分段目录或尚未迁移的 JSON 文件）
+ * @param {string} filePath - 周期数据文件路径
+ * @returns {boolean}
+ */
+function klineDataExists(filePath) {
+  return storeExists(getStoreDir(filePath)) || fs.existsSync(filePath);
+}
+
+/**
+ * 计算文件内容摘要
+ * @param {string} filePath - 文件路径
+ * @returns {string} sha1 十六进制
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * 把旧的 JSON 数组文件导入分段目录（一次性），原文件保持不变
+ * 分段目录已存在时不再导入，之后的写入只作用于分段目录；导入时在 meta.json 记录原文件（source）
+ * @param {string} filePath - JSON 文件路径
+ * @returns {number|null} 导入的K线数，无需导入返回 null
+ */
+function migrateJsonFile(filePath) {
+  const storeDir = getStoreDir(filePath);
+  if (storeExists(storeDir) || !fs.existsSync(filePath)) return null;
+  // 加锁后复查，避免两个进程同时迁移
+  return withStoreLock(storeDir, () => {
+    if (storeExists(storeDir) || !fs.existsSync(filePath)) return null;
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+      throw new Error(`${path.basename(filePath)} 不是有效的 JSON（可能写入中断），无法迁移: ${e.message}`);
+    }
+    const bars = normalizeBars(Array.isArray(raw) ? raw : raw.data);
+    writeBars(storeDir, bars);
+    // 沿用原文件的修改时间，迁移不影响 updateKlineData 的过期判断
+    const { atime, mtime, mtimeMs, size } = fs.statSync(filePath);
+    listSegments(storeDir).forEach(seg => fs.utimesSync(seg.file, atime, mtime));
+    const sha1 = hashFile(filePath);
+    const meta = readMeta(storeDir);
+    meta.source = { file: path.basename(filePath), sha1, bars: bars.length, importedAt: Date.now(), seen: { size, mtimeMs, sha1 } };
+    writeMeta(storeDir, meta);
+    console.log(`🔧 已导入 ${path.basename(filePath)} → ${path.basename(storeDir)}/（${bars.length} 条，原文件保持不变）`);
+    return bars.length;
+  });
+}
+
+/**
+ * 检查导入后原 JSON 文件是否被修改
+ * source.seen 记录最近一次检查时原文件的大小、修改时间与摘要，两者不变时不再读取原文件
+ * @param {string} filePath - JSON 文件路径
+ * @returns {{ modified: boolean, changed: boolean }|null} modified 为内容与导入时不同，changed 为内容与上次检查时不同；
+ *   没有导入记录（早于记录导入的版本迁移）或原文件已删除返回 null
+ */
+function checkSourceFile(filePath) {
+  const storeDir = getStoreDir(filePath);
+  const { source } = readMeta(storeDir);
+  if (!source || !fs.existsSync(filePath)) return null;
+  const { size, mtimeMs } = fs.statSync(filePath);
+  if (size === source.seen.size && mtimeMs === source.seen.mtimeMs) {
+    return { modified: source.seen.sha1 !== source.sha1, changed: false };
+  }
+  const sha1 = hashFile(filePath);
+  withStoreLock(storeDir, () => {
+    const meta = readMeta(storeDir);
+    if (!meta.source) return;
+    meta.source.seen = { size, mtimeMs, sha1 };
+    writeMeta(storeDir, meta);
+  });
+  return { modified: sha1 !== source.sha1, changed: sha1 !== source.seen.sha1 };
+}
+
+/**
+ * 打开周期数据文件对应的分段目录（首次访问时自动导入旧 JSON 文件）
+ * 原文件在导入后被修改时提示一次（每次修改提示一次）：分段目录不会自动同步，两份数据已不一致
+ * @param {string} filePath - 周期数据文件路径（TIMEFRAME_CONFIG.*.FILE_PATH）
+ * @returns {string} 分段目录路径
+ */
+function openKlineStore(filePath) {
+  migrateJsonFile(filePath);
+  const storeDir = getStoreDir(filePath);
+  const source = checkSourceFile(filePath);
+  if (source && source.modified && source.changed) {
+    console.warn(`⚠️ ${path.basename(filePath)} 在导入 ${path.basename(storeDir)}/ 后被修改，分段目录不会自动同步；` +
+      `以分段目录为准可忽略此提示，以该文件为准请删除 ${path.basename(storeDir)}/ 后重新运行（将重新导入）`);
+  }
+  return storeDir;
+}
+
+module.exports = {
+  getStoreDir,
+  getSegmentName,
+  listSegments,
+  storeExists,
+  readBars,
+  readLastBars,
+  writeBars,
+  upsertBars,
+  deleteBars,
+  trimOldestBars,
+  withStoreLock,
+  getStoreMtime,
+  klineDataExists,
+  migrateJsonFile,
+  checkSourceFile,
+  openKlineStore
+};
@@ -0,0 +1,195 @@
+/**
+ * 标准K线结构模块
+ * 所有K线在加载时统一转换一次，分析函数只接受标准K线：
+ *   { time: 毫秒, timestamp: 秒, open, high, low, close, volume, price }
+ * - time 为唯一的时间依据（epoch 毫秒），timestamp 仅为兼容旧文件保留（= time / 1000）
+ * - open/high/low/close/volume 均为数值，price 与 close 相同（兼容旧文件）
+ * - 价格为 0 也是有效数值，不再用 `high || close || price` 回退
+ */
+
+/**
+ * 识别单个时间字段的格式
+ * @param {*} value - 字段值
+ * @returns {'ms'|'s'|'iso'|'datetime'|'invalid'|null} 字段不存在返回 null
+ */
+function detectTimeFormat(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') {
+    if (isNaN(value) || value <= 0) return 'invalid';
+    return value > 1e12 ? 'ms' : 's';
+  }
+  if (typeof value === 'string') {
+    if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return 'iso';
+    if (/^\d{4}[/-]\d{2}[/-]\d{2}( \d{2}:\d{2}(:\d{2})?)?$/.test(value)) return 'datetime';
+    return 'invalid';
+  }
+  return 'invalid';
+}
+
+/**
+ * 把任意格式的时间值转换为毫秒
+ * 无时区的 "YYYY/MM/DD HH:mm:ss" 按北京时间解析（fetch_year_data.js 的 time 字段）
+ * @param {*} value - 秒/毫秒数值、ISO 字符串或日期字符串
+ * @returns {number} 毫秒时间戳，无法解析返回 NaN
+ */
+function toEpochMs(value) {
+  const format = detectTimeFormat(value);
+  if (format === 'ms') return value;
+  if (format === 's') return value * 1000;
+  if (format === 'iso') return new Date(value).getTime();
+  if (format === 'datetime') {
+    const [date, time = '00:00:00'] = value.replace(/\//g, '-').split(' ');
+    return new Date(`${date}T${time.length === 5 ? `${time}:00` : time}+08:00`).getTime();
+  }
+  return NaN;
+}
+
+/**
+ * 读取原始K线的时间（毫秒）及各时间字段的格式签名
+ * 优先级：毫秒 > 秒 > ISO 字符串 > 日期字符串，同格式时 time 优先于 timestamp
+ * @param {Object} raw - 原始K线
+ * @returns {{ timeMs: number, signature: string }} signature 如 "timestamp:s,time:ms"
+ */
+function readBarTime(raw) {
+  const fields = ['timestamp', 'time'];
+  const formats = fields.map(f => detectTimeFormat(raw[f]));
+  const signature = fields
+    .map((f, i) => (formats[i] ? `${f}:${formats[i]}` : null))
+    .filter(Boolean)
+    .join(',') || '无时间字段';
+
+  const candidates = [];
+  fields.forEach((f, i) => {
+    const rank = { ms: 0, s: 1, iso: 2, datetime: 3 }[formats[i]];
+    if (rank !== undefined) candidates.push({ rank: rank * 2 + (f === 'time' ? 0 : 1), value: raw[f] });
+  });
+  candidates.sort((a, b) => a.rank - b.rank);
+  const timeMs = candidates.length > 0 ? toEpochMs(candidates[0].value) : NaN;
+  return { timeMs, signature };
+}
+
+/**
+ * 读取原始K线的时间（毫秒）
+ * @param {Object} raw - 原始K线
+ * @returns {number} 毫秒时间戳，无法解析返回 NaN
+ */
+function getBarTime(raw) {
+  return raw ? readBarTime(raw).timeMs : NaN;
+}
+
+/**
+ * 转为数值（数值字符串同样接受），无效返回 NaN
+ * @param {*} value - 原始值
+ * @returns {number}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * 把原始K线转换为标准K线
+ * OHLC 缺失时用 close（或 price）补齐，volume 缺失或非数值（如 'n/a'）记为 0
+ * @param {Object} raw - 原始K线（任意时间格式）
+ * @returns {Object|null} 标准K线，时间或价格无法解析返回 null
+ */
+function normalizeBar(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const time = getBarTime(raw);
+  if (isNaN(time)) return null;
+
+  let close = toNumber(raw.close);
+  if (!Number.isFinite(close)) close = toNumber(raw.price);
+  if (!Number.isFinite(close)) return null;
+  const open = Number.isFinite(toNumber(raw.open)) ? toNumber(raw.open) : close;
+  const high = Number.isFinite(toNumber(raw.high)) ? toNumber(raw.high) : Math.max(open, close);
+  const low = Number.isFinite(toNumber(raw.low)) ? toNumber(raw.low) : Math.min(open, close);
+  const volume = Number.isFinite(toNumber(raw.volume)) ? toNumber(raw.volume) : 0;
+
+  return createNormalizedBar(time, open, high, low, close, volume);
+}
+
+/**
+ * 按字段创建标准K线
+ * @param {number} time - 时间（毫秒）
+ * @param {number} open - 开盘价
+ * @param {number} high - 最高价
+ * @param {number} low - 最低价
+ * @param {number} close - 收盘价
+ * @param {number} [volume] - 成交量
+ * @returns {Object} 标准K线
+ */
+function createNormalizedBar(time, open, high, low, close, volume = 0) {
+  return {
+    timestamp: Math.floor(time / 1000),
+    time,
+    open,
+    high,
+    low,
+    close,
+    volume,
+    price: close
+  };
+}
+
+/**
+ * 批量转换为标准K线并按时间升序排列（无法解析的K线被丢弃）
+ * 已是标准K线的数组同样可以传入，结果与输入等价
+ * @param {Array} rawBars - 原始K线数组
+ * @returns {Array} 标准K线数组
+ */
+function normalizeBars(rawBars) {
+  if (!Array.isArray(rawBars)) return [];
+  const bars = [];
+  for (const raw of rawBars) {
+    const bar = normalizeBar(raw);
+    if (bar) bars.push(bar);
+  }
+  // Array.prototype.sort 为稳定排序，同一时间的K线保持原有先后
+  return bars.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 判断是否为标准K线
+ * @param {Object} bar - K线
+ * @returns {boolean}
+ */
+function isNormalizedBar(bar) {
+  return !!bar &&
+    Number.isFinite(bar.time) && bar.time > 1e12 &&
+    Number.isFinite(bar.open) &&
+    Number.isFinite(bar.high) &&
+    Number.isFinite(bar.low) &&
+    Number.isFinite(bar.close) &&
+    Number.isFinite(bar.volume);
+}
+
+/**
+ * 断言K线数组均为标准K线（分析函数入口调用，拒绝未经转换的原始数据）
+ * @param {Array} bars - K线数组
+ * @param {string} caller - 调用方名称（用于错误信息）
+ * @throws {Error} 存在非标准K线时抛出
+ */
+function assertNormalizedBars(bars, caller) {
+  if (!Array.isArray(bars)) {
+    throw new Error(`${caller}: K线数据必须是数组`);
+  }
+  for (let i = 0; i < bars.length; i++) {
+    if (!isNormalizedBar(bars[i])) {
+      throw new Error(`${caller}: 第 ${i} 条K线不是标准结构（加载时需先经 normalizeBars 转换）`);
+    }
+  }
+}
+
+module.exports = {
+  detectTimeFormat,
+  toEpochMs,
+  readBarTime,
+  getBarTime,
+  normalizeBar,
+  createNormalizedBar,
+  normalizeBars,
+  isNormalizedBar,
+  assertNormalizedBars
+};
@@ -3,8 +3,189 @@
  * 包含生成分析报告和格式化输出的函数
  */
 
+const { INSTRUMENT_CONFIG } = require('../config/config');
 const { calculateBounceLevels } = require('../fibonacci/fibonacci');
 
+/**
+ * 带正负号的金额/百分比
+ * @param {number} value - 数值
+ * @returns {string}
+ */
+function formatSigned(value) {
+  return `${value >= 0 ? '+' : '-'}${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * 生成持仓台账汇总的输出行（字段见 src/position-ledger 的 summarizeLedger）
+ * @param {Object} ledger - 台账汇总
+ * @returns {Array<string>}
+ */
+function buildLedgerLines(ledger) {
+  const currency = INSTRUMENT_CONFIG.CURRENCY;
+  const withCny = (amount, amountCny) => `${formatSigned(amount)} ${currency}` +
+    (typeof amountCny === 'number' && currency !== 'CNY' ? ` / ${formatSigned(amountCny)} CNY` : '');
+  const realized = `已实现: ${withCny(ledger.realized, ledger.realizedCny)}`;
+
+  if (ledger.quantity <= 0) {
+    return [`📒 持仓台账: 已清仓（${ledger.trades} 笔交易）| ${realized}`];
+  }
+  const avgCostCny = typeof ledger.avgCostCny === 'number' && currency !== 'CNY'
+    ? `（${ledger.avgCostCny.toFixed(2)} CNY/克）` : '';
+  const pct = typeof ledger.unrealizedPct === 'number' ? ` (${formatSigned(ledger.unrealizedPct)}%)` : '';
+  return [
+    `📒 持仓台账: ${ledger.quantity.toFixed(2)} 克 | 均价 ${ledger.avgCost.toFixed(2)} ${INSTRUMENT_CONFIG.UNIT}${avgCostCny}` +
+      ` | 持仓 ${ledger.holdingDays.toFixed(1)} 天（${ledger.trades} 笔交易）`,
+    `   浮动: ${withCny(ledger.unrealized, ledger.unrealizedCny)}${pct} | ${realized}`
+  ];
+}
+
+/**
+ * 生成交易计划的输出行（字段见 src/risk 的 buildTradePlan）
+ * @param {Object} plan - 交易计划
+ * @param {boolean} [compact] - 简洁模式只输出一行
+ * @returns {Array<string>}
+ */
+function buildTradePlanLines(plan, compact = false) {
+  if (!plan.valid) return [`🧮 交易计划: ${plan.reason}`];
+  const [currency, unit] = INSTRUMENT_CONFIG.UNIT.split('/');
+  const rr = plan.targets.map(t => (t.rewardRisk === null ? '-' : `${t.rewardRisk.toFixed(2)}R`));
+  const size = plan.units !== null
+    ? `${plan.units.toFixed(3)} ${unit}${unit !== '克' ? `（${plan.grams.toFixed(2)} 克）` : ''}`
+    : null;
+
+  if (compact) {
+    return [`🧮 止损 ${plan.stop.toFixed(2)} | 保本 ${plan.breakEven.toFixed(2)}` +
+      `${rr.length > 0 ? ` | 盈亏比 ${rr.join(' / ')}` : ''}${size ? ` | 仓位 ${size}` : ''}`];
+  }
+  const lines = [
+    `🧮 交易计划（做多，止损于${plan.invalidation.label} ${plan.invalidation.price.toFixed(2)} 下方）:`,
+    `   入场 ${plan.entry.toFixed(2)} | 止损 ${plan.stop.toFixed(2)}（-${plan.stopDistancePct.toFixed(2)}%）| 保本 ${plan.breakEven.toFixed(2)}`
+  ];
+  if (size) {
+    lines.push(`   仓位: 账户 ${plan.accountSize.toFixed(2)} ${currency} × ${plan.riskPct}% = 风险 ${plan.riskAmount.toFixed(2)} ${currency}` +
+      ` → ${size}，名义 ${plan.notional.toFixed(2)} ${currency}（${plan.leverage.toFixed(2)} 倍）`);
+  } else {
+    lines.push(`   仓位: 每${unit}止损亏损 ${plan.lossPerUnit.toFixed(2)} ${currency}（用 --account 指定账户规模计算仓位）`);
+  }
+  if (plan.targets.length > 0) {
+    lines.push(`   盈亏比: ${plan.targets.map((t, i) => `${t.label} ${t.price.toFixed(2)} → ${rr[i]}`).join(' | ')}`);
+  }
+  return lines;
+}
+
+/**
+ * 生成计数失效位的输出行（字段见 src/wave 的 buildInvalidationLevels）
+ * 距离为失效位与当前价之差（负数表示在当前价下方），价格已越过失效位时标记为已失效
+ * @param {Array} levels - 失效位（可含 linkAlternateCounts 注明的 alternate）
+ * @param {number} price - 当前价格
+ * @param {boolean} [compact] - 简洁模式只输出最近的一个失效位
+ * @returns {Array<string>}
+ */
+function buildInvalidationLines(levels, price, compact = false) {
+  if (!levels || levels.length === 0 || !Number.isFinite(price)) return [];
+  const describe = level => {
+    const broken = level.side === 'below' ? price < level.price : price > level.price;
+    const distance = level.price - price;
+    return {
+      broken,
+      text: `${level.price.toFixed(2)} ${level.side === 'below' ? '以下' : '以上'}` +
+        (broken ? ' ❌ 已失效' : ` | 距离 ${formatSigned(distance)}（${formatSigned(distance / price * 100)}%）`)
+    };
+  };
+  const sorted = [...levels].sort((a, b) => Math.abs(a.price - price) - Math.abs(b.price - price));
+
+  if (compact) {
+    const level = sorted[0];
+    return [`🚫 失效位: ${describe(level).text}（${level.rule}）`];
+  }
+  const lines = ['🚫 计数失效位（价格越过即当前计数错误）:'];
+  sorted.forEach(level => {
+    lines.push(`   ${level.rule}: ${describe(level).text}`);
+    const alternate = level.alternate ? `；接替计数 #${level.alternate.rank}: ${level.alternate.label}` : '';
+    lines.push(`      失效后: ${level.takeover}${alternate}`);
+  });
+  return lines;
+}
+
+/**
+ * 生成波浪计数排序的输出行（字段见 src/wave-count 的 rankWaveCounts）
+ * @param {Object} ranking - { primary, alternates, total }
+ * @returns {Array<string>}
+ */
+function buildWaveCountLines(ranking) {
+  if (!ranking || !ranking.primary) return ['🧮 波浪计数: 最近的摆动点上没有通过铁律检查的计数'];
+  const score = value => (value === null ? '—' : value.toFixed(2));
+  const lines = [`🧮 波浪计数（首选 + 备选，共 ${ranking.total} 个计数通过铁律检查）:`];
+  [ranking.primary, ...ranking.alternates].forEach(count => {
+    lines.push(`   ${count.rank}. [${count.rank === 1 ? '首选' : '备选'}] ${count.label}` +
+      ` | 置信度 ${(count.confidence * 100).toFixed(1)}%（得分 ${count.score.toFixed(3)}）`);
+    lines.push(`      点位: ${count.points.map(p => `${p.label} ${p.point.price.toFixed(2)}`).join(' → ')}`);
+    lines.push(`      指引: 斐波那契 ${score(count.scores.fibonacci)} | 交替 ${score(count.scores.alternation)}` +
+      ` | 通道 ${score(count.scores.channel)} | 覆盖 ${score(count.scores.coverage)}`);
+    (count.invalidation || []).forEach(level => {
+      lines.push(`      失效位: ${level.price.toFixed(2)} ${level.side === 'below' ? '以下' : '以上'}（${level.rule}）` +
+        ` → ${level.alternate ? `#${level.alternate.rank} 接替` : level.takeover}`);
+    });
+  });
+  return lines;
+}
+
+/**
+ * 生成多级别波浪标注树的输出行（字段见 src/wave-degree 的 buildWaveDegreeTree）
+ * @param {Object|null} tree - 标注树
+ * @returns {Array<string>} 每细分一级缩进一层
+ */
+function buildWaveDegreeLines(tree) {
+  if (!tree) return ['🌲 多级别标注: 没有可细分的波浪计数'];
+  const lines = [`🌲 多级别标注（${tree.degreeName}起，关键点回看 ${tree.lookbacks.join(' → ')}）: ${tree.label}`];
+  const walk = (node, indent) => {
+    const pattern = node.patternLabel ? `，内部为${node.patternLabel}` : '';
+    lines.push(`${indent}${node.label} ${node.startPrice.toFixed(2)} → ${node.endPrice.toFixed(2)}（${node.degreeName}${pattern}）`);
+    node.children.forEach(child => walk(child, `${indent}   `));
+  };
+  tree.children.forEach(node => walk(node, '   '));
+  return lines;
+}
+
+/**
+ * 生成汇率折算与持仓收益的输出行（字段见 src/valuation 的 computePositionPnl）
+ * @param {Object|null} stats - 账户和日内统计信息
+ * @returns {Array<string>}
+ */
+function buildAccountLines(stats) {
+  const lines = [];
+  if (!stats) return lines;
+
+  const quoted = [];
+  if (typeof stats.usdCny === 'number') quoted.push(`USD/CNY ${stats.usdCny.toFixed(4)}`);
+  if (typeof stats.priceUsdPerOz === 'number') quoted.push(`${stats.priceUsdPerOz.toFixed(2)} USD/盎司`);
+  if (typeof stats.priceCnyPerGram === 'number') quoted.push(`${stats.priceCnyPerGram.toFixed(2)} CNY/克`);
+  if (quoted.length > 0) lines.push(`💱 折合: ${quoted.join(' | ')}`);
+
+  if (stats.ledger) lines.push(...buildLedgerLines(stats.ledger));
+
+  if (typeof stats.amountCny !== 'number') return lines;
+  const cost = [];
+  if (typeof stats.costUsd === 'number') cost.push(`${stats.costUsd.toFixed(2)} USD/盎司`);
+  if (typeof stats.costCny === 'number') cost.push(`${stats.costCny.toFixed(2)} CNY/克`);
+  if (cost.length === 0) return lines;
+  const costRate = typeof stats.costRate === 'number'
+    ? `，买入汇率 ${stats.costRate.toFixed(4)}${stats.fxAssumed ? '（未指定，按当前汇率）' : ''}`
+    : '';
+  const grams = typeof stats.grams === 'number' ? `（${stats.grams.toFixed(2)} 克）` : '';
+  lines.push(`🧾 成本: ${cost.join(' / ')}${costRate} | 持仓: ${stats.amountCny.toFixed(2)} CNY${grams}`);
+
+  if (typeof stats.pnlCny === 'number' && typeof stats.pnlPct === 'number') {
+    lines.push(`💹 收益: ${formatSigned(stats.pnlCny)} CNY (${formatSigned(stats.pnlPct)}%)`);
+    if (typeof stats.goldPnlCny === 'number' && typeof stats.fxPnlCny === 'number') {
+      lines.push(`   其中金价: ${formatSigned(stats.goldPnlCny)} CNY | 汇率: ${formatSigned(stats.fxPnlCny)} CNY`);
+    } else {
+      lines.push('   未获取到汇率，按报价涨跌计算（假设汇率不变）');
+    }
+  }
+  return lines;
+}
+
 /**
  * 格式化输出分析结果（简洁版，用于定时监控）
  * @param {Object} analysis - 分析结果
@@ -31,18 +212,10 @@ function formatOutputCompact(analysis, trend, stats = null) {
 
   console.log(`   ${actionStr}`);
 
-  // 账户信息（成本、收益）
-  if (stats && typeof stats.costUsd === 'number' && typeof stats.amountCny === 'number') {
-    console.log(
-      `   🧾 成本: ${stats.costUsd.toFixed(2)} USD | 持仓: ${stats.amountCny.toFixed(2)} CNY`
-    );
-    if (typeof stats.pnlCny === 'number' && typeof stats.pnlPct === 'number') {
-      const pnlSign = stats.pnlCny >= 0 ? '+' : '';
-      console.log(
-        `   💹 收益: ${pnlSign}${Math.abs(stats.pnlCny).toFixed(2)} CNY ` +
-        `(${pnlSign}${Math.abs(stats.pnlPct).toFixed(2)}%)`
-      );
-    }
+  // 汇率折算与账户信息（成本、收益）
+  buildAccountLines(stats).forEach(line => console.log(`   ${line}`));
+  if (stats && stats.tradePlan) {
+    buildTradePlanLines(stats.tradePlan, true).forEach(line => console.log(`   ${line}`));
   }
 
   // 今日涨跌信息
@@ -72,6 +245,7 @@ function formatOutputCompact(analysis, trend, stats = null) {
     const distance = (trend.immediateTarget.price - price).toFixed(2);
     console.log(`   🎯 目标: ${trend.immediateTarget.price} (${distance}点)`);
   }
+  buildInvalidationLines(analysis?.invalidation, price, true).forEach(line => console.log(`   ${line}`));
 }
 
 /**
@@ -90,7 +264,7 @@ function formatOutput(analysis, trend, waveStructure = null, stats = null, analy
     return;
   }
   console.log('\n' + '='.repeat(80));
-  console.log('📊 黄金波浪理论实时分析报告（多周期分析）');
+  console.log(`📊 ${INSTRUMENT_CONFIG.NAME}（${INSTRUMENT_CONFIG.SYMBOL}）波浪理论实时分析报告（多周期分析）`);
   console.log('='.repeat(80));
   
   console.log(`\n💰 当前价格: ${analysis.currentPrice}`);
@@ -106,18 +280,12 @@ function formatOutput(analysis, trend, waveStructure = null, stats = null, analy
     );
   }
 
-  // 账户信息（成本、收益）
-  if (stats && typeof stats.costUsd === 'number' && typeof stats.amountCny === 'number') {
-    console.log(
-      `🧾 成本: ${stats.costUsd.toFixed(2)} USD | 持仓: ${stats.amountCny.toFixed(2)} CNY`
-    );
-    if (typeof stats.pnlCny === 'number' && typeof stats.pnlPct === 'number') {
-      const pnlSign = stats.pnlCny >= 0 ? '+' : '';
-      console.log(
-        `💹 收益: ${pnlSign}${Math.abs(stats.pnlCny).toFixed(2)} CNY ` +
-        `(${pnlSign}${Math.abs(stats.pnlPct).toFixed(2)}%)`
-      );
-    }
+  // 汇率折算与账户信息（成本、收益）
+  buildAccountLines(stats).forEach(line => console.log(line));
+  if (!analysis.wave1) {
+    console.log('\n⚠️ 未识别出波浪结构，无法给出波浪点位与交易计划');
+    console.log('='.repeat(80));
+    return;
   }
   console.log(`\n📈 波浪结构:${analysis.inferred ? ` (基于${timeframeName}K线推理)` : ' (使用参考点位)'}`);
   const wave1Range = analysis.wave1.range ?? (analysis.wave1.end - analysis.wave1.start);
@@ -138,7 +306,11 @@ function formatOutput(analysis, trend, waveStructure = null, stats = null, analy
     const wp = w.endPrice != null ? w.endPrice : w.end?.price;
     const xp = x.endPrice != null ? x.endPrice : x.end?.price;
     const yp = y.endPrice != null ? y.endPrice : y.end?.price;
-    console.log(`   W-X-Y联合形: W低点 ${wp?.toFixed(2) ?? '—'} | X高点 ${xp?.toFixed(2) ?? '—'} | Y低点 ${yp?.toFixed(2) ?? '—'}`);
+    const z = wxyStructure.waveZ;
+    const tail = z
+      ? ` | XX高点 ${wxyStructure.waveXX.endPrice.toFixed(2)} | Z低点 ${z.endPrice.toFixed(2)}`
+      : (wxyStructure.zTargets ? ` | Z预期 ${wxyStructure.zTargets[0].price.toFixed(2)}（${wxyStructure.zTargets[0].label}）` : '');
+    console.log(`   ${wxyStructure.label ? `W-X-Y联合形（${wxyStructure.label}）` : 'W-X-Y联合形'}: W低点 ${wp?.toFixed(2) ?? '—'} | X高点 ${xp?.toFixed(2) ?? '—'} | Y低点 ${yp?.toFixed(2) ?? '—'}${tail}`);
   }
   console.log(`\n📊 趋势状态: ${trend.trend}`);
   console.log(`\n${trend.action}`);
@@ -180,6 +352,17 @@ function formatOutput(analysis, trend, waveStructure = null, stats = null, analy
     const distance = (trend.immediateTarget.price - analysis.currentPrice).toFixed(2);
     console.log(`\n🎯 下一个目标位: ${trend.immediateTarget.price} - ${trend.immediateTarget.label} (距离${distance}点)`);
   }
+
+  const invalidationLines = buildInvalidationLines(analysis.invalidation, analysis.currentPrice);
+  if (invalidationLines.length > 0) {
+    console.log('');
+    invalidationLines.forEach(line => console.log(line));
+  }
+
+  if (stats && stats.tradePlan) {
+    console.log('');
+    buildTradePlanLines(stats.tradePlan).forEach(line => console.log(line));
+  }
   
   // 关键点位列表（按价格排序，区分支撑和压力）
   console.log('\n📋 关键点位列表（按价格排序）:');
@@ -261,6 +444,16 @@ function formatWavePointsOutput(waveResult) {
     if (ruleValidation.violations && ruleValidation.violations.length > 0) {
       ruleValidation.violations.forEach(v => console.log(`   ⚠️  ${v}`));
     }
+    const diagonal = ruleValidation.diagonal;
+    if (diagonal) {
+      console.log(`   📐 4浪切入1浪，符合${diagonal.label}（楔形的4浪必须切入2浪）`);
+      if (diagonal.structure) {
+        console.log(`   内部结构: ${diagonal.structure}（子浪数 ${diagonal.subwaves.map(n => n ?? '?').join('-')}）${diagonal.structureMatches ? '' : ' ⚠️ 终结楔形应为 3-3-3-3-3'}`);
+      }
+      if (diagonal.apex) {
+        console.log(`   通道顶点: ${new Date(diagonal.apex.time).toLocaleString('zh-CN')} @ ${diagonal.apex.price.toFixed(2)}`);
+      }
+    }
   }
 
   console.log('\n🔺 推动浪 1-2-3-4-5:');
@@ -277,7 +470,8 @@ function formatWavePointsOutput(waveResult) {
     }
   });
 
-  console.log('\n🔻 调整浪 a-b-c:');
+  const classification = corrective.classification;
+  console.log(classification ? `\n🔻 调整浪 a-b-c（${classification.label}）:` : '\n🔻 调整浪 a-b-c:');
   ['waveA', 'waveB', 'waveC'].forEach((key, i) => {
     const w = corrective[key];
     const label = ['a', 'b', 'c'][i];
@@ -323,17 +517,71 @@ function formatWavePointsOutput(waveResult) {
     }
   }
 
-  // W-X-Y 联合形（若识别到）
+  // W-X-Y(-XX-Z) 联合形（若识别到），各浪附子形态
   if (wxy && wxy.waveW && wxy.waveX && wxy.waveY) {
-    console.log('\n📐 联合形 W-X-Y:');
-    ['waveW', 'waveX', 'waveY'].forEach((key, i) => {
-      const w = wxy[key];
-      const label = ['W', 'X', 'Y'][i];
+    const legLabels = {};
+    (wxy.legs || []).forEach(leg => { legLabels[leg.wave.toUpperCase()] = leg.label; });
+    const names = wxy.waveZ ? ['W', 'X', 'Y', 'XX', 'Z'] : ['W', 'X', 'Y'];
+    console.log(`\n📐 联合形 ${names.join('-')}${wxy.label ? `（${wxy.label}）` : ''}:`);
+    names.forEach(label => {
+      const w = wxy[`wave${label}`];
       const startP = w.startPrice != null ? w.startPrice : w.start?.price;
       const endP = w.endPrice != null ? w.endPrice : w.end?.price;
       const range = endP != null && startP != null ? (endP - startP).toFixed(2) : '—';
-      console.log(`   浪${label}: ${startP?.toFixed(2) || '—'} → ${endP?.toFixed(2) || '—'} (幅度: ${range})`);
+      const sub = legLabels[label] ? ` [${legLabels[label]}]` : '';
+      console.log(`   浪${label}: ${startP?.toFixed(2) || '—'} → ${endP?.toFixed(2) || '—'} (幅度: ${range})${sub}`);
+    });
+    if (wxy.targets && !wxy.waveZ) {
+      console.log(`   y浪目标: ${wxy.targets.map(t => `${t.label}→${t.price.toFixed(2)}`).join(' | ')}`);
+    }
+    if (wxy.zTargets) {
+      console.log(`   z浪${wxy.waveZ ? '目标' : '预期终点（y浪之后已出现xx浪）'}: ${wxy.zTargets.map(t => `${t.label}→${t.price.toFixed(2)}`).join(' | ')}`);
+    }
+  }
+
+  // 锯齿类（若识别到）：单锯齿 a-b-c，双锯齿 w-x-y，三锯齿 w-x-y-xx-z
+  const zigzag = waveResult.zigzag;
+  if (zigzag) {
+    const legs = zigzag.type === 'single'
+      ? [['a', zigzag.waveA], ['b', zigzag.waveB], ['c', zigzag.waveC]]
+      : [['w', zigzag.waveW], ['x', zigzag.waveX], ['y', zigzag.waveY], ['xx', zigzag.waveXX], ['z', zigzag.waveZ]].filter(([, w]) => w);
+    const ratioText = Object.entries(zigzag.ratios)
+      .map(([k, v]) => `${k}/${zigzag.type === 'single' ? 'a' : 'w'} = ${(v * 100).toFixed(1)}%`)
+      .join('，');
+    console.log(`\n📐 ${zigzag.label} ${legs.map(([l]) => l).join('-')}（${ratioText}）:`);
+    legs.forEach(([label, w]) => {
+      console.log(`   浪${label}: ${w.startPrice.toFixed(2)} → ${w.endPrice.toFixed(2)} (幅度: ${(w.endPrice - w.startPrice).toFixed(2)})`);
+    });
+    const targetWave = zigzag.type === 'single' ? 'c' : legs[legs.length - 1][0];
+    console.log(`   ${targetWave}浪目标: ${zigzag.targets.map(t => `${t.label}→${t.price.toFixed(2)}`).join(' | ')}`);
+    if (zigzag.structure) console.log(`   内部结构: ${zigzag.structure}`);
+    (zigzag.notes || []).forEach(note => console.log(`   ⚠️  ${note}`));
+  }
+
+  // 平台形（若识别到）
+  const flat = waveResult.flat;
+  if (flat) {
+    console.log(`\n📐 ${flat.label} a-b-c（b/a = ${(flat.ratios.b * 100).toFixed(1)}%，c/a = ${(flat.ratios.c * 100).toFixed(1)}%）:`);
+    ['waveA', 'waveB', 'waveC'].forEach((key, i) => {
+      const w = flat[key];
+      console.log(`   浪${['a', 'b', 'c'][i]}: ${w.startPrice.toFixed(2)} → ${w.endPrice.toFixed(2)} (幅度: ${(w.endPrice - w.startPrice).toFixed(2)})`);
     });
+    console.log(`   c浪目标: ${flat.targets.map(t => `${t.label}→${t.price.toFixed(2)}`).join(' | ')}`);
+    console.log(`   c浪极限: ${flat.cLimit.toFixed(2)} | 通道平行线（c浪终点时）: ${flat.channel.priceAtC.toFixed(2)}`);
+  }
+
+  // 三角形（若识别到）
+  const triangle = waveResult.triangle;
+  if (triangle) {
+    console.log(`\n📐 ${triangle.label} a-b-c-d-e（最长子浪: 浪${triangle.longest}）:`);
+    ['waveA', 'waveB', 'waveC', 'waveD', 'waveE'].forEach((key, i) => {
+      const w = triangle[key];
+      console.log(`   浪${'abcde'[i]}: ${w.startPrice.toFixed(2)} → ${w.endPrice.toFixed(2)} (幅度: ${(w.endPrice - w.startPrice).toFixed(2)})`);
+    });
+    if (triangle.apex) {
+      console.log(`   顶点: ${new Date(triangle.apex.time).toLocaleString('zh-CN')} @ ${triangle.apex.price.toFixed(2)}`);
+    }
+    console.log(`   突破目标（${triangle.thrust.direction === 'up' ? '向上' : '向下'}，最宽处高度 ${triangle.width.toFixed(2)}）: ${triangle.thrust.target.toFixed(2)}`);
   }
 
   // 关键点位速查表（参考文档第八章，R = H - k×ΔP 回撤 / B = L + k×ΔP 反弹）
@@ -361,5 +609,10 @@ function formatWavePointsOutput(waveResult) {
 module.exports = {
   formatOutputCompact,
   formatOutput,
-  formatWavePointsOutput
+  formatWavePointsOutput,
+  buildLedgerLines,
+  buildTradePlanLines,
+  buildInvalidationLines,
+  buildWaveCountLines,
+  buildWaveDegreeLines
 };
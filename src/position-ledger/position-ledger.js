@@ -0,0 +1,170 @@
+/**
+ * 持仓台账模块
+ * 记录当前品种的每笔买入/卖出，跨次运行保存在 POSITION_LEDGER_CONFIG.FILE_PATH（如 gold_positions.json）：
+ *   { symbol, trades: [{ id, side: 'buy'|'sell', time(毫秒), quantity(克), price(品种报价), rate(USD/CNY|null) }] }
+ *
+ * 按移动加权平均成本核算：
+ * - 买入：持仓成本累加，平均成本 = 持仓成本 / 持仓数量；持仓时间按数量加权
+ * - 卖出：按当前平均成本结转成本，差额计入已实现收益；平均成本不变
+ * - 清仓后重新开始计算成本与持仓时间，已实现收益累计保留
+ * 金额同时按品种报价币种与人民币核算；有交易缺少汇率时人民币部分为 null
+ */
+
+const fs = require('fs');
+const { POSITION_LEDGER_CONFIG, INSTRUMENT_CONFIG } = require('../config/config');
+const { writeFileAtomic, withFileLock } = require('../file-lock/file-lock');
+const { toCnyPerGram } = require('../valuation/valuation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 读取台账
+ * @param {string} [filePath] - 台账文件，默认 POSITION_LEDGER_CONFIG.FILE_PATH
+ * @returns {{ symbol: string, trades: Array }} 文件不存在时返回空台账
+ */
+function loadLedger(filePath = POSITION_LEDGER_CONFIG.FILE_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { symbol: INSTRUMENT_CONFIG.SYMBOL, trades: [] };
+  }
+  let ledger;
+  try {
+    ledger = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`持仓台账 ${filePath} 不是有效的 JSON: ${e.message}`);
+  }
+  if (!ledger || !Array.isArray(ledger.trades)) {
+    throw new Error(`持仓台账 ${filePath} 缺少 trades 数组`);
+  }
+  return ledger;
+}
+
+/**
+ * 逐笔回放交易，得到持仓状态
+ * @param {Array} trades - 交易记录（按时间升序）
+ * @param {Object} [instrument] - 品种配置，默认当前品种
+ * @returns {Object} { quantity, cost, costCny, realized, realizedCny, openedAt, avgOpenTime }
+ *   quantity 为克，cost/realized 为报价币种金额，costCny/realizedCny 为人民币金额（无法核算时为 null）
+ */
+function replayTrades(trades, instrument = INSTRUMENT_CONFIG) {
+  const state = { quantity: 0, cost: 0, costCny: 0, realized: 0, realizedCny: 0, openedAt: null, avgOpenTime: null };
+  trades.forEach(trade => {
+    const units = trade.quantity / instrument.GRAMS_PER_UNIT;
+    const cnyPerGram = toCnyPerGram(trade.price, trade.rate, instrument);
+    if (trade.side === 'buy') {
+      state.avgOpenTime = state.quantity > 0
+        ? (state.avgOpenTime * state.quantity + trade.time * trade.quantity) / (state.quantity + trade.quantity)
+        : trade.time;
+      if (state.openedAt === null) state.openedAt = trade.time;
+      state.quantity += trade.quantity;
+      state.cost += units * trade.price;
+      state.costCny = state.costCny !== null && cnyPerGram !== null ? state.costCny + trade.quantity * cnyPerGram : null;
+      return;
+    }
+
+    // 卖出：按平均成本结转
+    const share = trade.quantity / state.quantity;
+    const costOut = state.cost * share;
+    state.realized += units * trade.price - costOut;
+    state.cost -= costOut;
+    if (state.costCny !== null && cnyPerGram !== null && state.realizedCny !== null) {
+      const costOutCny = state.costCny * share;
+      state.realizedCny += trade.quantity * cnyPerGram - costOutCny;
+      state.costCny -= costOutCny;
+    } else {
+      state.realizedCny = null;
+      if (state.costCny !== null) state.costCny -= state.costCny * share;
+    }
+    state.quantity -= trade.quantity;
+
+    // 清仓后重新开始（浮点误差视为 0）
+    if (state.quantity < 1e-9) {
+      state.quantity = 0;
+      state.cost = 0;
+      state.costCny = 0;
+      state.openedAt = null;
+      state.avgOpenTime = null;
+    }
+  });
+  return state;
+}
+
+/**
+ * 汇总台账：平均成本、浮动/已实现收益与持仓时间
+ * @param {Array} trades - 交易记录
+ * @param {Object} market - 当前行情 { price, rate, now }
+ * @param {Object} [instrument] - 品种配置，默认当前品种
+ * @returns {Object|null} 无交易记录时返回 null
+ */
+function summarizeLedger(trades, { price, rate = null, now = Date.now() }, instrument = INSTRUMENT_CONFIG) {
+  if (!trades || trades.length === 0) return null;
+  const state = replayTrades(trades, instrument);
+  const units = state.quantity / instrument.GRAMS_PER_UNIT;
+  const marketValue = units * price;
+  const cnyPerGram = toCnyPerGram(price, rate, instrument);
+  const hasCny = state.costCny !== null && cnyPerGram !== null;
+  const open = state.quantity > 0;
+
+  return {
+    trades: trades.length,
+    quantity: state.quantity,
+    avgCost: open ? state.cost / units : null,
+    avgCostCny: open && state.costCny !== null ? state.costCny / state.quantity : null,
+    marketValue,
+    unrealized: marketValue - state.cost,
+    unrealizedPct: open && state.cost > 0 ? (marketValue / state.cost - 1) * 100 : null,
+    unrealizedCny: hasCny ? state.quantity * cnyPerGram - state.costCny : null,
+    realized: state.realized,
+    realizedCny: state.realizedCny,
+    openedAt: state.openedAt,
+    holdingDays: open ? (now - state.avgOpenTime) / DAY_MS : null
+  };
+}
+
+/**
+ * 记录一笔交易（持有文件锁读-改-写，卖出数量不得超过当时持仓）
+ * @param {Object} trade - { side: 'buy'|'sell', quantity(克), price, rate?, time? }
+ * @param {string} [filePath] - 台账文件，默认 POSITION_LEDGER_CONFIG.FILE_PATH
+ * @returns {Object} 写入的交易记录（含 id）
+ */
+function recordTrade(trade, filePath = POSITION_LEDGER_CONFIG.FILE_PATH) {
+  if (trade.side !== 'buy' && trade.side !== 'sell') {
+    throw new Error(`无效的交易方向: ${trade.side}`);
+  }
+  if (!(trade.quantity > 0) || !(trade.price > 0)) {
+    throw new Error('交易数量与价格必须为正数');
+  }
+  return withFileLock(filePath, () => {
+    const ledger = loadLedger(filePath);
+    if (ledger.symbol && ledger.symbol !== INSTRUMENT_CONFIG.SYMBOL) {
+      throw new Error(`持仓台账 ${filePath} 属于 ${ledger.symbol}，与当前品种 ${INSTRUMENT_CONFIG.SYMBOL} 不符`);
+    }
+    const record = {
+      id: ledger.trades.reduce((max, t) => Math.max(max, t.id || 0), 0) + 1,
+      side: trade.side,
+      time: trade.time || Date.now(),
+      quantity: trade.quantity,
+      price: trade.price,
+      rate: trade.rate || null
+    };
+    const trades = ledger.trades.concat(record).sort((a, b) => a.time - b.time || a.id - b.id);
+
+    // 按时间回放，确认任何时刻都不会卖出超过持仓
+    let quantity = 0;
+    trades.forEach(t => {
+      quantity += t.side === 'buy' ? t.quantity : -t.quantity;
+      if (quantity < -1e-9) {
+        throw new Error(`卖出数量超过持仓（${new Date(t.time).toLocaleString('zh-CN')} 卖出 ${t.quantity} 克）`);
+      }
+    });
+
+    writeFileAtomic(filePath, JSON.stringify({ symbol: INSTRUMENT_CONFIG.SYMBOL, trades }, null, 2));
+    return record;
+  });
+}
+
+module.exports = {
+  loadLedger,
+  replayTrades,
+  summarizeLedger,
+  recordTrade
+};
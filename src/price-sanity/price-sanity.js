@@ -0,0 +1,78 @@
+/**
+ * 实时报价合理性检查模块
+ * 以最近的1小时K线为基准判断报价是否可信，代替写死的价格区间：
+ * - 偏离最近收盘价超过 MAX_ATR_MULTIPLE×ATR×√(距最近K线的小时数) 视为坏报价（休市、断档越久允许的偏离越大）
+ * - 报价时间早于 MAX_QUOTE_AGE_MS 视为过期
+ * - 历史K线不足以计算 ATR（冷启动），或最近K线早于 MAX_REFERENCE_AGE_MS（长期未更新，√时间放宽的偏离已失去意义）时，
+ *   退回当前品种的 PRICE_BOUNDS 区间
+ */
+
+const { PRICE_SANITY_CONFIG, INSTRUMENT_CONFIG } = require('../config/config');
+const { computeTrailingATR } = require('../data-quality/data-quality');
+
+/**
+ * 由最近的K线计算报价检查基准
+ * @param {Array} bars - 标准K线数组（按时间升序，至少 ATR_PERIOD+1 根）
+ * @param {Object} [options] - { atrPeriod, intervalMinutes }
+ * @returns {{ lastClose: number, lastTime: number, atr: number, intervalMs: number }|null} K线不足或 ATR 为 0 时返回 null
+ */
+function buildPriceReference(bars, options = {}) {
+  const period = options.atrPeriod ?? PRICE_SANITY_CONFIG.ATR_PERIOD;
+  const intervalMs = (options.intervalMinutes ?? 60) * 60000;
+  if (!Array.isArray(bars) || bars.length <= period) return null;
+
+  const recent = bars.slice(-(period + 1));
+  const { atr } = computeTrailingATR(recent, period);
+  const last = recent[recent.length - 1];
+  const lastAtr = atr[atr.length - 1];
+  if (!lastAtr || !(last.close > 0)) return null;
+  return { lastClose: last.close, lastTime: last.time, atr: lastAtr, intervalMs };
+}
+
+/**
+ * 检查报价是否可信
+ * @param {{ price: number, time: number }} quote - 报价（time 为毫秒）
+ * @param {Object|null} reference - buildPriceReference 的返回值，null 或早于 maxReferenceAgeMs 时按 PRICE_BOUNDS 检查
+ * @param {Object} [options] - { maxAtrMultiple, maxQuoteAgeMs, maxReferenceAgeMs, now }
+ * @returns {string|null} 不可信的原因，可信返回 null
+ */
+function checkQuotePlausibility(quote, reference, options = {}) {
+  const maxAtrMultiple = options.maxAtrMultiple ?? PRICE_SANITY_CONFIG.MAX_ATR_MULTIPLE;
+  const maxQuoteAgeMs = options.maxQuoteAgeMs ?? PRICE_SANITY_CONFIG.MAX_QUOTE_AGE_MS;
+  const maxReferenceAgeMs = options.maxReferenceAgeMs ?? PRICE_SANITY_CONFIG.MAX_REFERENCE_AGE_MS;
+  const now = options.now ?? Date.now();
+  const { price, time } = quote;
+
+  if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+    return `价格无效（${price}）`;
+  }
+  if (time && maxQuoteAgeMs && now - time > maxQuoteAgeMs) {
+    return `报价时间过期（${new Date(time).toLocaleString('zh-CN')}）`;
+  }
+
+  const referenceAge = reference ? (time || now) - reference.lastTime : null;
+  if (!reference || referenceAge > maxReferenceAgeMs) {
+    const { MIN, MAX } = INSTRUMENT_CONFIG.PRICE_BOUNDS;
+    if (price < MIN || price > MAX) {
+      const reason = reference
+        ? `最近K线已是 ${(referenceAge / 86400000).toFixed(1)} 天前`
+        : '历史K线不足';
+      return `${reason}，且超出${INSTRUMENT_CONFIG.NAME}冷启动区间 ${MIN}-${MAX}`;
+    }
+    return null;
+  }
+
+  const elapsedBars = Math.max(1, referenceAge / reference.intervalMs);
+  const allowed = maxAtrMultiple * reference.atr * Math.sqrt(elapsedBars);
+  const deviation = Math.abs(price - reference.lastClose);
+  if (deviation > allowed) {
+    return `偏离最近收盘价 ${reference.lastClose.toFixed(2)} 达 ${deviation.toFixed(2)}` +
+      `（${(deviation / reference.atr).toFixed(1)}×ATR，允许 ${allowed.toFixed(2)}）`;
+  }
+  return null;
+}
+
+module.exports = {
+  buildPriceReference,
+  checkQuotePlausibility
+};
@@ -0,0 +1,297 @@
+/**
+ * 实时价格数据源模块
+ * 数据源注册表 + 内置数据源实现（fixed 手动/固定、jijinhao、json-http、file-tail）
+ *
+ * 每个数据源实现统一接口：
+ *   { name, type, live, fetchQuote(context) => Promise<{ price, time, label }|null> }
+ * - 返回 null 表示该数据源当前不适用（如未提供手动价格），直接尝试下一个
+ * - 抛出异常表示获取失败，记录原因后回退到下一个
+ * - live 为 true 的数据源（真实行情）获取成功后由调用者追加到K线文件
+ * - 调用者可通过 context.checkQuote 做合理性检查（见 src/price-sanity）：实时报价不合理时丢弃并回退，
+ *   手动/固定价格只提示不拒绝
+ */
+
+const fs = require('fs');
+const { PRICE_SOURCE_CONFIG } = require('../config/config');
+const { requestURL } = require('../http/http');
+
+// 数据源类型 -> 工厂函数
+const providerFactories = {};
+
+/**
+ * 注册数据源类型
+ * @param {string} type - 类型名称（对应配置中的 TYPE）
+ * @param {Function} factory - 工厂函数 (name, options) => provider
+ */
+function registerPriceProvider(type, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`数据源 ${type} 的工厂函数无效`);
+  }
+  providerFactories[type] = factory;
+}
+
+/**
+ * 校验价格是否为有效数值（是否合理由 context.checkQuote 按历史K线判断，这里不设价格上限）
+ * @param {*} value - 待校验的值
+ * @returns {number|null} 有效价格或 null
+ */
+function toValidPrice(value) {
+  const price = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+    return null;
+  }
+  return price;
+}
+
+/**
+ * 按路径读取对象字段，如 "data.price"、"rates.0.value"
+ * @param {Object} obj - 源对象
+ * @param {string} fieldPath - 字段路径
+ * @returns {*} 字段值，不存在返回 undefined
+ */
+function getValueByPath(obj, fieldPath) {
+  if (!fieldPath) return obj;
+  return String(fieldPath).split('.').reduce((cur, key) => (cur == null ? undefined : cur[key]), obj);
+}
+
+/**
+ * 解析 jijinhao 的 var hq_str 响应
+ * 响应格式: var hq_str = "现货黄金,0,4775.63,4965.87,4971.42,4654.29,0,...,2026-02-07,05:59:07,";
+ * 字段索引：2 昨收、3 当前价格、4 最高、5 最低、38 今开
+ * @param {string} text - 响应正文
+ * @returns {{ price: number, prevClose: number, high: number, low: number, open: number }}
+ */
+function parseJijinhaoQuote(text) {
+  if (typeof text !== 'string' || !text.startsWith('var hq_str = ')) {
+    throw new Error('jijinhao API响应格式异常');
+  }
+  const hqStr = text.trim().replace(/^var hq_str = /, '').replace(/;$/, '').replace(/^"|"$/g, '');
+  const dataArray = hqStr.split(',');
+  if (dataArray.length < 39) {
+    throw new Error(`jijinhao响应字段数不足（${dataArray.length}）`);
+  }
+  const price = toValidPrice(dataArray[3]);
+  if (price === null) {
+    throw new Error('jijinhao响应中未找到有效的价格字段');
+  }
+  return {
+    price,
+    prevClose: parseFloat(dataArray[2]),
+    high: parseFloat(dataArray[4]),
+    low: parseFloat(dataArray[5]),
+    open: parseFloat(dataArray[38])
+  };
+}
+
+/**
+ * 解析行情文件中的一行
+ * 支持：{"price":4820.5,"time":1770793052687} / "2026-02-11 06:57:32,4820.5" / "4820.5"
+ * @param {string} line - 一行文本
+ * @returns {{ price: number|null, time: number|null }}
+ */
+function parseTickLine(line) {
+  const text = line.trim();
+  if (text.startsWith('{')) {
+    const json = JSON.parse(text);
+    const t = json.time ?? json.timestamp;
+    let time = null;
+    if (typeof t === 'number') time = t > 1e12 ? t : t * 1000;
+    else if (typeof t === 'string') time = new Date(t).getTime();
+    return { price: toValidPrice(json.price ?? json.close), time: isNaN(time) ? null : time };
+  }
+  const parts = text.split(/[,\t]/).map(s => s.trim());
+  if (parts.length >= 2) {
+    const time = new Date(parts[0].replace(' ', 'T')).getTime();
+    return { price: toValidPrice(parts[parts.length - 1]), time: isNaN(time) ? null : time };
+  }
+  return { price: toValidPrice(text), time: null };
+}
+
+/**
+ * 读取文件最后一个非空行（只读取尾部，避免大文件全量读取）
+ * @param {string} filePath - 文件路径
+ * @param {number} [tailBytes] - 读取尾部字节数
+ * @returns {string|null}
+ */
+function readLastLine(filePath, tailBytes = 4096) {
+  const stat = fs.statSync(filePath);
+  const length = Math.min(stat.size, tailBytes);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, stat.size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const lines = buffer.toString('utf-8').split(/\r?\n/).filter(l => l.trim());
+  return lines.length > 0 ? lines[lines.length - 1] : null;
+}
+
+// ==================== 内置数据源 ====================
+
+// 手动/固定价格：context.manualPrice（--price）> 环境变量 > 配置 PRICE
+registerPriceProvider('fixed', (name, options) => ({
+  name,
+  type: 'fixed',
+  live: false,
+  async fetchQuote(context = {}) {
+    const cliPrice = toValidPrice(context.manualPrice);
+    if (cliPrice !== null) {
+      return { price: cliPrice, time: Date.now(), label: '手动输入' };
+    }
+    const envVar = options.ENV_VAR;
+    if (envVar && process.env[envVar]) {
+      const envPrice = parseFloat(process.env[envVar]);
+      if (!isNaN(envPrice) && envPrice > 0) {
+        return { price: envPrice, time: Date.now(), label: '环境变量' };
+      }
+    }
+    const fixedPrice = toValidPrice(options.PRICE);
+    if (fixedPrice !== null) {
+      return { price: fixedPrice, time: Date.now(), label: '固定配置' };
+    }
+    return null;
+  }
+}));
+
+// 金投网 jijinhao.com
+registerPriceProvider('jijinhao', (name, options) => ({
+  name,
+  type: 'jijinhao',
+  live: true,
+  async fetchQuote() {
+    // 未配置行情代码的品种（见 INSTRUMENT_CATALOG）不适用该数据源
+    if (!options.CODE) return null;
+    // 时间戳参数避免缓存
+    const url = `${options.URL}?code=${encodeURIComponent(options.CODE)}&_=${Date.now()}`;
+    const res = await requestURL(url, options.HEADERS || {});
+    if (res.statusCode !== 200) {
+      throw new Error(`HTTP ${res.statusCode}${res.statusCode === 666 ? '（缺少Referer或被拦截）' : ''}`);
+    }
+    const quote = parseJijinhaoQuote(res.body);
+    return { price: quote.price, time: Date.now(), label: 'jijinhao' };
+  }
+}));
+
+// 通用 JSON HTTP 接口
+registerPriceProvider('json-http', (name, options) => ({
+  name,
+  type: 'json-http',
+  live: true,
+  async fetchQuote() {
+    if (!options.URL) return null;
+    const res = await requestURL(options.URL, options.HEADERS || {});
+    if (res.statusCode !== 200) {
+      throw new Error(`HTTP ${res.statusCode}`);
+    }
+    let json;
+    try {
+      json = JSON.parse(res.body);
+    } catch (e) {
+      throw new Error(`响应不是有效JSON: ${e.message}`);
+    }
+    const price = toValidPrice(getValueByPath(json, options.PRICE_PATH));
+    if (price === null) {
+      throw new Error(`字段 ${options.PRICE_PATH} 中未找到有效价格`);
+    }
+    let time = Date.now();
+    if (options.TIME_PATH) {
+      const t = getValueByPath(json, options.TIME_PATH);
+      const ms = typeof t === 'number' ? (t > 1e12 ? t : t * 1000) : new Date(t).getTime();
+      if (!isNaN(ms)) time = ms;
+    }
+    return { price, time, label: name };
+  }
+}));
+
+// 文件尾部读取
+registerPriceProvider('file-tail', (name, options) => ({
+  name,
+  type: 'file-tail',
+  live: true,
+  async fetchQuote() {
+    if (!options.FILE_PATH || !fs.existsSync(options.FILE_PATH)) return null;
+    const line = readLastLine(options.FILE_PATH);
+    if (!line) {
+      throw new Error(`${options.FILE_PATH} 为空`);
+    }
+    const { price, time } = parseTickLine(line);
+    if (price === null) {
+      throw new Error(`无法解析最后一行: ${line.slice(0, 80)}`);
+    }
+    const quoteTime = time ?? fs.statSync(options.FILE_PATH).mtime.getTime();
+    if (options.MAX_AGE_MS && Date.now() - quoteTime > options.MAX_AGE_MS) {
+      throw new Error(`行情已过期（${new Date(quoteTime).toLocaleString('zh-CN')}）`);
+    }
+    return { price, time: quoteTime, label: name };
+  }
+}));
+
+// ==================== 数据源调度 ====================
+
+/**
+ * 根据配置创建单个数据源
+ * @param {string} name - 数据源名称（PROVIDERS 的键）
+ * @param {Object} [config] - 价格数据源配置，默认 PRICE_SOURCE_CONFIG
+ * @returns {Object} provider
+ */
+function createPriceProvider(name, config = PRICE_SOURCE_CONFIG) {
+  const options = config.PROVIDERS && config.PROVIDERS[name];
+  if (!options) {
+    throw new Error(`未配置的价格数据源: ${name}`);
+  }
+  const factory = providerFactories[options.TYPE];
+  if (!factory) {
+    throw new Error(`未知的价格数据源类型: ${options.TYPE}（${name}）`);
+  }
+  return factory(name, options);
+}
+
+/**
+ * 按配置顺序依次尝试各数据源，返回第一个成功的报价
+ * @param {Object} [context] - 调用上下文 { manualPrice, checkQuote }
+ *   checkQuote(quote) 返回不合理的原因（字符串）或 null
+ * @param {Object} [config] - 价格数据源配置，默认 PRICE_SOURCE_CONFIG
+ * @returns {Promise<{ price: number, time: number, label: string, source: string, live: boolean, suspect: string|null }>}
+ *   suspect 为手动/固定价格未通过合理性检查的原因
+ */
+async function fetchQuoteFromSources(context = {}, config = PRICE_SOURCE_CONFIG) {
+  const failures = [];
+  for (const name of config.ORDER) {
+    let provider;
+    try {
+      provider = createPriceProvider(name, config);
+    } catch (e) {
+      failures.push(`${name}: ${e.message}`);
+      continue;
+    }
+    try {
+      const quote = await provider.fetchQuote(context);
+      if (quote) {
+        const rejection = context.checkQuote ? context.checkQuote(quote) : null;
+        if (rejection && provider.live) {
+          console.warn(`⚠️ 丢弃${name}报价 ${quote.price}：${rejection}`);
+          failures.push(`${name}: ${rejection}`);
+          continue;
+        }
+        if (rejection) {
+          console.warn(`⚠️ ${quote.label}价格 ${quote.price} 可能有误：${rejection}`);
+        }
+        return { ...quote, source: provider.name, live: provider.live, suspect: rejection || null };
+      }
+    } catch (e) {
+      failures.push(`${name}: ${e.message}`);
+    }
+  }
+  const detail = failures.length > 0 ? failures.join('；') : `未配置可用数据源（${config.ORDER.join(',') || '空'}）`;
+  throw new Error(`无法获取真实价格（${detail}）。${config.MANUAL_HINT || PRICE_SOURCE_CONFIG.MANUAL_HINT}`);
+}
+
+module.exports = {
+  registerPriceProvider,
+  createPriceProvider,
+  fetchQuoteFromSources,
+  parseJijinhaoQuote,
+  parseTickLine,
+  getValueByPath
+};
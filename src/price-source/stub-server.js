@@ -0,0 +1,89 @@
+/**
+ * 本地价格数据源替身服务（离线测试用）
+ * 模拟 jijinhao 的 var hq_str 接口和通用 JSON 价格接口，配合环境变量把数据源指向本机：
+ *
+ *   node src/price-source/stub-server.js --port 18080 --price 4820.5
+ *   JIJINHAO_QUOTE_URL=http://127.0.0.1:18080/sQuoteCenter/realTime.htm node goldWaveAnalysis.js
+ *   PRICE_SOURCE_ORDER=json-http PRICE_JSON_URL=http://127.0.0.1:18080/price node goldWaveAnalysis.js
+ *
+ * 可用接口：
+ *   GET /sQuoteCenter/realTime.htm  jijinhao 格式（未带 Referer 时返回 666，与真实接口一致）
+ *   GET /price                      {"price": 4820.5, "time": 1770793052687}
+ *   GET /price?fail=1               返回 500，用于验证回退
+ */
+
+const http = require('http');
+
+/**
+ * 生成 jijinhao 格式的响应正文
+ * @param {number} price - 当前价格
+ * @returns {string}
+ */
+function buildJijinhaoBody(price) {
+  const now = new Date();
+  const date = now.toISOString().slice(0, 10);
+  const time = now.toISOString().slice(11, 19);
+  const fields = new Array(39).fill('0');
+  fields[0] = '现货黄金';
+  fields[2] = (price - 10).toFixed(2);   // 昨收
+  fields[3] = price.toFixed(2);          // 当前价格
+  fields[4] = (price + 15).toFixed(2);   // 最高
+  fields[5] = (price - 20).toFixed(2);   // 最低
+  fields[30] = date;
+  fields[31] = time;
+  fields[38] = (price - 5).toFixed(2);   // 今开
+  return `var hq_str = "${fields.join(',')},${date},${time},";`;
+}
+
+/**
+ * 创建替身服务（未监听端口）
+ * @param {Object} [options] - { price: 当前价格 }
+ * @returns {http.Server}
+ */
+function createPriceStubServer(options = {}) {
+  const state = { price: options.price || 4820.5 };
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (url.pathname === '/sQuoteCenter/realTime.htm') {
+      if (!req.headers.referer) {
+        res.writeHead(666, { 'Content-Type': 'text/plain' });
+        res.end('');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/javascript; charset=utf-8' });
+      res.end(buildJijinhaoBody(state.price));
+      return;
+    }
+    if (url.pathname === '/price') {
+      if (url.searchParams.get('fail')) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('stub failure');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ price: state.price, time: Date.now() }));
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('not found');
+  });
+  server.stubState = state;
+  return server;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIdx = args.indexOf('--port');
+  const priceIdx = args.indexOf('--price');
+  const port = portIdx !== -1 ? parseInt(args[portIdx + 1], 10) : 18080;
+  const price = priceIdx !== -1 ? parseFloat(args[priceIdx + 1]) : undefined;
+  const server = createPriceStubServer({ price });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`🧪 价格替身服务已启动: http://127.0.0.1:${port}（当前价格 ${server.stubState.price}）`);
+  });
+}
+
+module.exports = {
+  createPriceStubServer,
+  buildJijinhaoBody
+};
@@ -0,0 +1,166 @@
+/**
+ * K线重采样模块
+ * 由1小时K线合成4小时、日线、周线K线，交易日边界由时段锚点决定（如纽约17:00收盘、北京时间0点），
+ * 新的1小时K线到达时只重算最后一个（未收盘的）周期
+ */
+
+const { SESSION_CONFIG } = require('../config/config');
+const { createNormalizedBar } = require('../kline/kline');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Intl 格式化器缓存（按时区）
+const formatterCache = {};
+// 偏移缓存（按时区+整点，时区切换总发生在整点，按小时缓存不影响精度）
+const offsetCache = new Map();
+
+/**
+ * 获取时区在某时刻相对UTC的偏移（毫秒，东八区为 +8h）
+ * @param {number} timeMs - 时间（毫秒）
+ * @param {string} timeZone - IANA 时区，如 America/New_York
+ * @returns {number} 偏移毫秒数
+ */
+function getTimezoneOffsetMs(timeMs, timeZone) {
+  if (!timeZone || timeZone === 'UTC') return 0;
+  const cacheKey = `${timeZone}:${Math.floor(timeMs / HOUR_MS)}`;
+  if (offsetCache.has(cacheKey)) return offsetCache.get(cacheKey);
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  const parts = {};
+  formatterCache[timeZone].formatToParts(new Date(timeMs)).forEach(p => { parts[p.type] = p.value; });
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  const offset = asUtc - Math.floor(timeMs / 1000) * 1000;
+  offsetCache.set(cacheKey, offset);
+  return offset;
+}
+
+/**
+ * 解析时段锚点配置
+ * @param {string|Object} [anchor] - 锚点名称（SESSION_CONFIG.ANCHORS 的键）或锚点对象，默认 SESSION_CONFIG.ANCHOR
+ * @returns {{ NAME: string, TIME_ZONE: string, HOUR: number }}
+ */
+function resolveSessionAnchor(anchor = SESSION_CONFIG.ANCHOR) {
+  if (anchor && typeof anchor === 'object') return anchor;
+  const resolved = SESSION_CONFIG.ANCHORS[anchor];
+  if (!resolved) {
+    throw new Error(`未知的时段锚点: ${anchor}（可选: ${Object.keys(SESSION_CONFIG.ANCHORS).join(', ')}）`);
+  }
+  return resolved;
+}
+
+/**
+ * 计算某时刻所属交易日的起始时间（锚点时区的 HOUR 点）
+ * @param {number} timeMs - 时间（毫秒）
+ * @param {string|Object} [anchor] - 时段锚点
+ * @returns {number} 交易日起始时间（毫秒）
+ */
+function getSessionStart(timeMs, anchor) {
+  const { TIME_ZONE, HOUR } = resolveSessionAnchor(anchor);
+  const offset = getTimezoneOffsetMs(timeMs, TIME_ZONE);
+  const local = timeMs + offset;
+  const localStart = Math.floor((local - HOUR * HOUR_MS) / DAY_MS) * DAY_MS + HOUR * HOUR_MS;
+  // 用起点时刻的偏移换算回UTC（夏令时切换日也能对齐到当地 HOUR 点）
+  const start = localStart - getTimezoneOffsetMs(localStart - offset, TIME_ZONE);
+  return start > timeMs ? start - DAY_MS : start;
+}
+
+/**
+ * 计算某时刻所属重采样周期的起始时间
+ * - 小于1天：从交易日起点按周期等分（如4小时：纽约 17、21、1、5、9、13 点）
+ * - 1天：交易日起点
+ * - 1周：本周第一个交易日（周一）的起点
+ * @param {number} timeMs - 时间（毫秒）
+ * @param {number} intervalMinutes - 周期（分钟）
+ * @param {string|Object} [anchor] - 时段锚点
+ * @returns {number} 周期起始时间（毫秒）
+ */
+function getResampleBucketStart(timeMs, intervalMinutes, anchor) {
+  const sessionStart = getSessionStart(timeMs, anchor);
+  const intervalMs = intervalMinutes * 60000;
+  if (intervalMs < DAY_MS) {
+    return sessionStart + Math.floor((timeMs - sessionStart) / intervalMs) * intervalMs;
+  }
+  if (intervalMs === DAY_MS) {
+    return sessionStart;
+  }
+  // 周线：交易日所在日期取起点后12小时（纽约17:00开盘的交易日归属次日）
+  const { TIME_ZONE } = resolveSessionAnchor(anchor);
+  const tradingDate = new Date(sessionStart + 12 * HOUR_MS + getTimezoneOffsetMs(sessionStart, TIME_ZONE));
+  const daysSinceMonday = (tradingDate.getUTCDay() + 6) % 7;
+  if (daysSinceMonday === 0) return sessionStart;
+  return getSessionStart(sessionStart - daysSinceMonday * DAY_MS + 12 * HOUR_MS, anchor);
+}
+
+/**
+ * 将细周期K线重采样为粗周期K线
+ * @param {Array} sourceBars - 源标准K线（如1小时，按时间升序）
+ * @param {number} intervalMinutes - 目标周期（分钟）
+ * @param {string|Object} [anchor] - 时段锚点
+ * @returns {Array} 目标周期标准K线（按时间升序，最后一根可能未收盘）
+ */
+function resampleBars(sourceBars, intervalMinutes, anchor) {
+  if (!sourceBars || sourceBars.length === 0) return [];
+  const result = [];
+  let current = null;
+  for (const bar of sourceBars) {
+    const bucket = getResampleBucketStart(bar.time, intervalMinutes, anchor);
+    if (!current || current.time !== bucket) {
+      current = createNormalizedBar(bucket, bar.open, bar.high, bar.low, bar.close, bar.volume);
+      result.push(current);
+      continue;
+    }
+    current.high = Math.max(current.high, bar.high);
+    current.low = Math.min(current.low, bar.low);
+    current.close = bar.close;
+    current.price = bar.close;
+    current.volume += bar.volume;
+  }
+  return result;
+}
+
+/**
+ * 增量更新重采样K线：保留已收盘的周期，只重算最后一个周期及之后的数据
+ * 已有数据的最后一根未对齐到周期起点（旧版直接追加的K线）时全量重算
+ * @param {Array} existingBars - 已有的目标周期标准K线
+ * @param {Array} sourceBars - 源标准K线（如1小时）
+ * @param {number} intervalMinutes - 目标周期（分钟）
+ * @param {string|Object} [anchor] - 时段锚点
+ * @returns {Array} 更新后的目标周期K线
+ */
+function updateResampledBars(existingBars, sourceBars, intervalMinutes, anchor) {
+  if (!existingBars || existingBars.length === 0) {
+    return resampleBars(sourceBars, intervalMinutes, anchor);
+  }
+  const lastTime = existingBars[existingBars.length - 1].time;
+  const lastBucket = getResampleBucketStart(lastTime, intervalMinutes, anchor);
+  if (lastBucket !== lastTime) {
+    return resampleBars(sourceBars, intervalMinutes, anchor);
+  }
+
+  const freshSource = (sourceBars || []).filter(bar => bar.time >= lastBucket);
+  if (freshSource.length === 0) {
+    return existingBars;
+  }
+  const kept = existingBars.filter(bar => bar.time < lastBucket);
+  return kept.concat(resampleBars(freshSource, intervalMinutes, anchor));
+}
+
+module.exports = {
+  getTimezoneOffsetMs,
+  resolveSessionAnchor,
+  getSessionStart,
+  getResampleBucketStart,
+  resampleBars,
+  updateResampledBars
+};
@@ -0,0 +1,119 @@
+/**
+ * 风险与仓位计算模块
+ * 把 analyzeWave2 的波浪推理转换为可执行的做多交易计划：
+ * - 止损：当前价格下方最近的波浪失效位（第二浪低点 → 生命线 → 第一浪起点），再下移 STOP_BUFFER_TICKS 个最小变动价位
+ *   第二浪不能跌破第一浪起点（驱动浪铁律），跌破即整个计数失效，不再给出计划
+ * - 仓位：账户规模 × 最大风险% ÷ 每单位止损亏损（含价差与双边手续费）
+ * - 盈亏比：到 immediateTarget 与 1.618 延伸位
+ * - 保本价：覆盖价差与双边手续费所需的卖出价
+ */
+
+const { RISK_CONFIG, INSTRUMENT_CONFIG } = require('../config/config');
+
+// 失效位候选（由近到远），键为 monitorPoints 字段
+const INVALIDATION_LEVELS = [
+  { KEY: 'WAVE_2_LOW', LABEL: '第二浪低点' },
+  { KEY: 'LIFE_LINE', LABEL: '生命线（0.8回撤）' },
+  { KEY: 'WAVE_1_START', LABEL: '第一浪起点' }
+];
+
+/**
+ * 选择止损所依据的失效位：当前价格下方最近的一个
+ * @param {Object} monitorPoints - analyzeWave2 返回的 monitorPoints
+ * @param {number} price - 当前价格
+ * @returns {{ key: string, label: string, price: number }|null} 已跌破第一浪起点时返回 null
+ */
+function selectInvalidationLevel(monitorPoints, price) {
+  if (!monitorPoints) return null;
+  const level = INVALIDATION_LEVELS
+    .filter(({ KEY }) => Number.isFinite(monitorPoints[KEY]) && monitorPoints[KEY] < price)
+    .sort((a, b) => monitorPoints[b.KEY] - monitorPoints[a.KEY])[0];
+  if (!level) return null;
+  return { key: level.KEY, label: level.LABEL, price: monitorPoints[level.KEY] };
+}
+
+/**
+ * 计算盈亏比
+ * @param {number|null} target - 目标价
+ * @param {number} entry - 入场价
+ * @param {number} lossPerUnit - 每单位止损亏损
+ * @param {number} feeRate - 单边手续费率
+ * @returns {number|null} 目标不在入场价上方时返回 null
+ */
+function rewardRisk(target, entry, lossPerUnit, feeRate) {
+  if (!Number.isFinite(target) || target <= entry) return null;
+  return (target * (1 - feeRate) - entry * (1 + feeRate)) / lossPerUnit;
+}
+
+/**
+ * 生成做多交易计划
+ * @param {Object} input - 输入
+ * @param {Object} input.analysis - analyzeWave2 返回值（含 monitorPoints、extensionLevels）
+ * @param {Object} [input.trend] - judgeTrend 返回值（含 immediateTarget）
+ * @param {number} input.price - 当前价格（入场价）
+ * @param {number} [input.accountSize] - 账户规模（报价币种），默认 RISK_CONFIG.ACCOUNT_SIZE
+ * @param {number} [input.riskPct] - 单笔最大风险%，默认 RISK_CONFIG.MAX_RISK_PCT
+ * @param {Object} [options] - 覆盖 RISK_CONFIG 的 { stopBufferTicks, spreadTicks, feeRate }
+ * @returns {Object} 交易计划；没有波浪结构或波浪计数已失效时 { valid: false, reason }
+ */
+function buildTradePlan({ analysis, trend, price, accountSize, riskPct }, options = {}) {
+  const tick = INSTRUMENT_CONFIG.TICK_SIZE;
+  const stopBuffer = (options.stopBufferTicks ?? RISK_CONFIG.STOP_BUFFER_TICKS) * tick;
+  const spread = (options.spreadTicks ?? RISK_CONFIG.SPREAD_TICKS) * tick;
+  const feeRate = options.feeRate ?? RISK_CONFIG.FEE_RATE;
+  const account = accountSize ?? RISK_CONFIG.ACCOUNT_SIZE;
+  const maxRiskPct = riskPct ?? RISK_CONFIG.MAX_RISK_PCT;
+
+  if (!analysis || !analysis.monitorPoints) {
+    return { valid: false, reason: '未识别出波浪结构，无法按波浪失效位制定交易计划' };
+  }
+  const invalidation = selectInvalidationLevel(analysis.monitorPoints, price);
+  if (!invalidation) {
+    return { valid: false, reason: '当前价格已跌破第一浪起点，波浪计数失效，不建议按该计数做多' };
+  }
+
+  // 买入成交于 price + 价差，止损卖出成交于 stop；双边手续费
+  const entry = price + spread;
+  const stop = invalidation.price - stopBuffer;
+  const lossPerUnit = entry * (1 + feeRate) - stop * (1 - feeRate);
+  const breakEven = entry * (1 + feeRate) / (1 - feeRate);
+
+  const immediateTarget = trend && trend.immediateTarget ? trend.immediateTarget : null;
+  const extension = analysis.extensionLevels ? analysis.extensionLevels[1.618] : null;
+  const targets = [
+    immediateTarget && { label: immediateTarget.label, price: immediateTarget.price },
+    Number.isFinite(extension) && { label: '1.618延伸位', price: extension }
+  ].filter(Boolean).map(t => ({ ...t, rewardRisk: rewardRisk(t.price, entry, lossPerUnit, feeRate) }));
+
+  const plan = {
+    valid: true,
+    entry,
+    stop,
+    invalidation,
+    lossPerUnit,
+    stopDistancePct: (entry - stop) / entry * 100,
+    breakEven,
+    targets,
+    accountSize: account || null,
+    riskPct: maxRiskPct,
+    riskAmount: null,
+    units: null,
+    grams: null,
+    notional: null,
+    leverage: null
+  };
+  if (account > 0) {
+    plan.riskAmount = account * maxRiskPct / 100;
+    plan.units = plan.riskAmount / lossPerUnit;
+    plan.grams = plan.units * INSTRUMENT_CONFIG.GRAMS_PER_UNIT;
+    plan.notional = plan.units * entry;
+    plan.leverage = plan.notional / account;
+  }
+  return plan;
+}
+
+module.exports = {
+  INVALIDATION_LEVELS,
+  selectInvalidationLevel,
+  buildTradePlan
+};
@@ -0,0 +1,185 @@
+/**
+ * 本地 UDF 历史K线替身服务（离线测试用）
+ * 按时间生成确定性的黄金K线（休市时段无数据），配合环境变量把历史K线接口指向本机：
+ *
+ *   node src/udf-history/stub-server.js --port 18081
+ *   HISTORY_API_URL=http://127.0.0.1:18081 node goldWaveAnalysis.js
+ *
+ * 可用接口（路径前缀任意，如 /<token>/6/6/28/history 同样可用）：
+ *   GET /config                                   UDF 配置
+ *   GET /time                                     服务器时间（秒）
+ *   GET /history?symbol=&resolution=&from=&to=    UDF 历史K线
+ *
+ * 故障注入（验证重试、节流与断点续传）：
+ *   --fail-every N        每第 N 个 history 请求返回 500
+ *   --fail-after N        第 N 个 history 请求之后全部返回 500（模拟中途断线）
+ *   --min-interval MS     两次 history 请求间隔小于 MS 时返回 429（带 Retry-After）
+ *   --require-header K:V  缺少该请求头时返回 403
+ */
+
+const http = require('http');
+const { isMarketClosed } = require('../data-quality/data-quality');
+
+// UDF resolution → 周期（秒）
+const RESOLUTION_SECONDS = {
+  '1': 60,
+  '5': 300,
+  '15': 900,
+  '30': 1800,
+  '60': 3600,
+  '240': 14400,
+  'D': 86400,
+  '1D': 86400,
+  'W': 604800,
+  '1W': 604800
+};
+
+/**
+ * 生成某时刻的确定性价格（多个正弦叠加，便于重复测试）
+ * @param {number} timeSec - 时间（秒）
+ * @returns {number}
+ */
+function syntheticPrice(timeSec) {
+  const hours = timeSec / 3600;
+  return 4500 +
+    400 * Math.sin(hours / 900) +
+    60 * Math.sin(hours / 37) +
+    8 * Math.sin(hours / 3.1);
+}
+
+/**
+ * 生成 UDF history 响应数据
+ * @param {string} resolution - UDF resolution
+ * @param {number} from - 开始时间（秒）
+ * @param {number} to - 结束时间（秒）
+ * @returns {Object} { s, t, o, h, l, c, v } 或 { s: 'no_data' }
+ */
+function buildHistoryPayload(resolution, from, to) {
+  const step = RESOLUTION_SECONDS[resolution];
+  if (!step) {
+    return { s: 'error', errmsg: `unsupported resolution ${resolution}` };
+  }
+  const payload = { s: 'ok', t: [], o: [], h: [], l: [], c: [], v: [] };
+  for (let t = Math.ceil(from / step) * step; t <= to; t += step) {
+    if (step < 86400 && isMarketClosed(t * 1000)) continue;
+    const open = syntheticPrice(t);
+    const close = syntheticPrice(t + step);
+    const wick = Math.abs(Math.sin(t / 7200)) * 3 + 0.5;
+    payload.t.push(t);
+    payload.o.push(+open.toFixed(2));
+    payload.h.push(+(Math.max(open, close) + wick).toFixed(2));
+    payload.l.push(+(Math.min(open, close) - wick).toFixed(2));
+    payload.c.push(+close.toFixed(2));
+    payload.v.push(Math.round(1000 + 500 * Math.abs(Math.sin(t / 5000))));
+  }
+  return payload.t.length > 0 ? payload : { s: 'no_data' };
+}
+
+/**
+ * 发送 JSON 响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} statusCode - 状态码
+ * @param {Object} body - 正文
+ * @param {Object} [headers] - 额外响应头
+ */
+function sendJSON(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 创建替身服务（未监听端口）
+ * @param {Object} [options] - { failEvery, failAfter, minIntervalMs, requireHeader: { name, value } }
+ * @returns {http.Server} server.stubState 记录请求次数，便于测试断言
+ */
+function createUdfStubServer(options = {}) {
+  const state = { historyRequests: 0, lastHistoryAt: 0, rejected: 0 };
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const endpoint = url.pathname.split('/').pop();
+
+    if (endpoint === 'config') {
+      sendJSON(res, 200, {
+        supported_resolutions: Object.keys(RESOLUTION_SECONDS),
+        supports_search: false,
+        supports_group_request: false,
+        supports_marks: false,
+        supports_timescale_marks: false,
+        supports_time: true
+      });
+      return;
+    }
+    if (endpoint === 'time') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(String(Math.floor(Date.now() / 1000)));
+      return;
+    }
+    if (endpoint !== 'history') {
+      sendJSON(res, 404, { s: 'error', errmsg: 'not found' });
+      return;
+    }
+
+    state.historyRequests++;
+    const now = Date.now();
+    const sinceLast = now - state.lastHistoryAt;
+    state.lastHistoryAt = now;
+
+    const required = options.requireHeader;
+    if (required && req.headers[required.name.toLowerCase()] !== required.value) {
+      state.rejected++;
+      sendJSON(res, 403, { s: 'error', errmsg: 'forbidden' });
+      return;
+    }
+    if (options.minIntervalMs && sinceLast < options.minIntervalMs) {
+      state.rejected++;
+      sendJSON(res, 429, { s: 'error', errmsg: 'too many requests' }, {
+        'Retry-After': String(Math.ceil(options.minIntervalMs / 1000))
+      });
+      return;
+    }
+    if ((options.failEvery && state.historyRequests % options.failEvery === 0) ||
+        (options.failAfter && state.historyRequests > options.failAfter)) {
+      state.rejected++;
+      sendJSON(res, 500, { s: 'error', errmsg: 'stub failure' });
+      return;
+    }
+
+    const from = parseInt(url.searchParams.get('from'), 10);
+    const to = parseInt(url.searchParams.get('to'), 10);
+    const resolution = url.searchParams.get('resolution') || '60';
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+      sendJSON(res, 200, { s: 'error', errmsg: 'invalid from/to' });
+      return;
+    }
+    sendJSON(res, 200, buildHistoryPayload(resolution, from, to));
+  });
+  server.stubState = state;
+  return server;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const readArg = (name) => {
+    const idx = args.indexOf(name);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+  const port = parseInt(readArg('--port') || '18081', 10);
+  const header = readArg('--require-header');
+  const options = {
+    failEvery: parseInt(readArg('--fail-every'), 10) || 0,
+    failAfter: parseInt(readArg('--fail-after'), 10) || 0,
+    minIntervalMs: parseInt(readArg('--min-interval'), 10) || 0,
+    requireHeader: header && header.includes(':')
+      ? { name: header.slice(0, header.indexOf(':')), value: header.slice(header.indexOf(':') + 1) }
+      : null
+  };
+  const server = createUdfStubServer(options);
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`🧪 UDF 历史K线替身服务已启动: http://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = {
+  createUdfStubServer,
+  buildHistoryPayload
+};
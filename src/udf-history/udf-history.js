@@ -0,0 +1,386 @@
+/**
+ * UDF 历史K线接口模块
+ * 按 TradingView UDF `/history` 协议分页拉取历史K线（与 datafeed.js 的 getBars 同款协议）：
+ *   GET {URL}/history?symbol=XAUUSD&resolution=60&from=<秒>&to=<秒>
+ *   → { s: 'ok'|'no_data'|'error', t: [...], o: [...], h: [...], l: [...], c: [...], v: [...], nb?, errmsg? }
+ *
+ * - 时间范围按 BATCH_DAYS 切分为多个批次依次请求（与 fetch_year_data.js 的 getBatchRanges 一致）
+ * - 两次请求之间至少间隔 REQUEST_INTERVAL_MS；429 时按 Retry-After 等待，网络错误/5xx 按指数退避重试
+ * - 每完成一个批次写入断点文件，中途失败后再次运行从未完成的批次继续，全部完成后删除断点文件
+ */
+
+const fs = require('fs');
+const { HISTORY_API_CONFIG } = require('../config/config');
+const { requestURL } = require('../http/http');
+const { createNormalizedBar, normalizeBars } = require('../kline/kline');
+const { writeFileAtomic } = require('../file-lock/file-lock');
+
+// K线周期（分钟）→ UDF resolution
+const INTERVAL_TO_RESOLUTION = {
+  1: '1',
+  5: '5',
+  15: '15',
+  30: '30',
+  60: '60',
+  240: '240',
+  1440: 'D',
+  10080: 'W'
+};
+
+/**
+ * K线周期（分钟）转换为 UDF resolution
+ * @param {number} intervalMinutes - 周期（分钟）
+ * @returns {string} resolution，如 '60'、'D'
+ */
+function intervalToResolution(intervalMinutes) {
+  const resolution = INTERVAL_TO_RESOLUTION[intervalMinutes];
+  if (!resolution) {
+    throw new Error(`UDF 接口不支持的K线周期: ${intervalMinutes} 分钟`);
+  }
+  return resolution;
+}
+
+/**
+ * 把时间范围切分为多个批次
+ * @param {number} from - 开始时间（秒）
+ * @param {number} to - 结束时间（秒）
+ * @param {number} [batchDays] - 每批天数
+ * @returns {Array<{from: number, to: number}>} 批次时间范围（秒，首尾相接不重叠）
+ */
+function getBatchRanges(from, to, batchDays = HISTORY_API_CONFIG.BATCH_DAYS) {
+  const batchSeconds = batchDays * 24 * 3600;
+  const ranges = [];
+  let currentFrom = from;
+  while (currentFrom < to) {
+    const currentTo = Math.min(currentFrom + batchSeconds, to);
+    ranges.push({ from: currentFrom, to: currentTo });
+    currentFrom = currentTo + 1;
+  }
+  return ranges;
+}
+
+/**
+ * 拼接 UDF history 请求地址
+ * @param {string} baseUrl - UDF 服务根地址（可带路径前缀，如 https://host/<token>/6/6/28）
+ * @param {Object} params - { symbol, resolution, from, to }
+ * @returns {string} 完整请求地址
+ */
+function buildHistoryURL(baseUrl, { symbol, resolution, from, to }) {
+  const query = new URLSearchParams({
+    symbol: String(symbol),
+    resolution: String(resolution),
+    from: String(from),
+    to: String(to)
+  });
+  return `${baseUrl.replace(/\/+$/, '')}/history?${query.toString()}`;
+}
+
+/**
+ * 解析 UDF history 响应
+ * @param {string|Object} body - 响应正文（JSON 字符串或已解析对象）
+ * @returns {{ status: 'ok'|'no_data', batch: Object|null, nextTime: number|null }}
+ * @throws {Error} 非 JSON、s=error 或数组长度不一致时抛出
+ */
+function parseHistoryResponse(body) {
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      throw new Error(`UDF 响应不是有效 JSON: ${body.slice(0, 80)}`);
+    }
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error('UDF 响应为空');
+  }
+  if (data.s === 'no_data') {
+    return { status: 'no_data', batch: null, nextTime: data.nb || data.nextTime || null };
+  }
+  if (data.s !== 'ok') {
+    throw new Error(`UDF 接口返回错误: ${data.errmsg || data.s || '未知状态'}`);
+  }
+  if (!Array.isArray(data.t) || !Array.isArray(data.c) || data.t.length !== data.c.length) {
+    throw new Error('UDF 响应缺少 t/c 数组或长度不一致');
+  }
+  return { status: 'ok', batch: data, nextTime: null };
+}
+
+/**
+ * 把 UDF 批次数据转换为标准K线
+ * 缺少 o/h/l 时用 close 补齐，缺少 v 时成交量记为 0（与 datafeed.js getBars 一致）
+ * @param {Object} batch - UDF 数据 { t, o, h, l, c, v }
+ * @returns {Array} 标准K线数组（按时间升序）
+ */
+function udfBatchToBars(batch) {
+  if (!batch || !Array.isArray(batch.t)) return [];
+  const ohlPresent = Array.isArray(batch.o) && Array.isArray(batch.h) && Array.isArray(batch.l);
+  const volumePresent = Array.isArray(batch.v);
+  const bars = [];
+  for (let i = 0; i < batch.t.length; i++) {
+    const close = +batch.c[i];
+    const open = ohlPresent ? +batch.o[i] : close;
+    const high = ohlPresent ? +batch.h[i] : close;
+    const low = ohlPresent ? +batch.l[i] : close;
+    const volume = volumePresent && Number.isFinite(+batch.v[i]) ? +batch.v[i] : 0;
+    if (![close, open, high, low].every(Number.isFinite)) continue;
+    bars.push(createNormalizedBar(batch.t[i] * 1000, open, high, low, close, volume));
+  }
+  return normalizeBars(bars);
+}
+
+/**
+ * 把标准K线转换回 UDF 批次数据（供按 UDF 格式处理的脚本复用，如 fetch_year_data.js 的 processData）
+ * @param {Array} bars - 标准K线数组
+ * @returns {Object} { t, o, h, l, c, v }
+ */
+function barsToUdfBatch(bars) {
+  const batch = { t: [], o: [], h: [], l: [], c: [], v: [] };
+  (bars || []).forEach(bar => {
+    batch.t.push(Math.floor(bar.time / 1000));
+    batch.o.push(bar.open);
+    batch.h.push(bar.high);
+    batch.l.push(bar.low);
+    batch.c.push(bar.close);
+    batch.v.push(bar.volume);
+  });
+  return batch;
+}
+
+/**
+ * 合并多批K线：按时间去重（后到的批次覆盖先到的），按时间升序返回
+ * @param {Array<Array>} barGroups - 多批标准K线
+ * @returns {Array} 合并后的标准K线
+ */
+function mergeBars(barGroups) {
+  const byTime = new Map();
+  barGroups.forEach(group => {
+    (group || []).forEach(bar => byTime.set(bar.time, bar));
+  });
+  return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 等待指定毫秒
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 创建请求节流器：保证两次请求开始时间至少间隔 minIntervalMs
+ * @param {number} minIntervalMs - 最小间隔（毫秒）
+ * @returns {{ wait: function(): Promise<void>, delay: function(number): void }}
+ *   wait 在每次请求前调用；delay 用于服务端要求退让（如 Retry-After）时推迟下一次请求
+ */
+function createRateLimiter(minIntervalMs) {
+  let nextAllowed = 0;
+  return {
+    async wait() {
+      const now = Date.now();
+      if (nextAllowed > now) {
+        await sleep(nextAllowed - now);
+      }
+      nextAllowed = Date.now() + minIntervalMs;
+    },
+    delay(ms) {
+      nextAllowed = Math.max(nextAllowed, Date.now() + ms);
+    }
+  };
+}
+
+/**
+ * 读取 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {Object} headers - 响应头
+ * @returns {number|null} 需等待的毫秒数
+ */
+function parseRetryAfter(headers) {
+  const value = headers && headers['retry-after'];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = new Date(value).getTime();
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 请求单个批次（带节流与重试）
+ * - 网络错误、超时、429、5xx：重试，等待时间按 retryBaseDelayMs × 2^n 递增（429 优先使用 Retry-After）
+ * - 其他 4xx、s=error、响应格式错误：不重试，直接抛出
+ * @param {string} url - 请求地址
+ * @param {Object} options - { headers, timeoutMs, maxRetries, retryBaseDelayMs, limiter }
+ * @returns {Promise<{ status: string, batch: Object|null, nextTime: number|null }>}
+ */
+async function fetchHistoryBatch(url, options) {
+  const { headers = {}, timeoutMs, maxRetries, retryBaseDelayMs, limiter } = options;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) {
+      const backoff = retryBaseDelayMs * Math.pow(2, attempt - 1);
+      limiter.delay(Math.max(backoff, lastError.retryAfterMs || 0));
+    }
+    await limiter.wait();
+
+    let response;
+    try {
+      response = await requestURL(url, headers, timeoutMs);
+    } catch (e) {
+      lastError = e;
+      continue;
+    }
+
+    const { statusCode } = response;
+    if (statusCode === 429 || statusCode >= 500) {
+      lastError = new Error(`HTTP ${statusCode}`);
+      lastError.retryAfterMs = parseRetryAfter(response.headers);
+      continue;
+    }
+    if (statusCode !== 200) {
+      throw new Error(`HTTP ${statusCode}: ${String(response.body).slice(0, 80)}`);
+    }
+    return parseHistoryResponse(response.body);
+  }
+
+  throw new Error(`重试 ${maxRetries} 次后仍失败: ${lastError ? lastError.message : '未知错误'}`);
+}
+
+/**
+ * 断点文件的任务标识（同一接口、品种、周期的任务可以续传）
+ * @param {Object} params - { baseUrl, symbol, resolution }
+ * @returns {string}
+ */
+function getCheckpointKey({ baseUrl, symbol, resolution }) {
+  return `${baseUrl}|${symbol}|${resolution}`;
+}
+
+/**
+ * 读取断点文件
+ * @param {string} checkpointFile - 断点文件路径
+ * @param {string} key - 任务标识
+ * @returns {Object|null} { key, from, completed: ['from-to', ...], bars: [...] }，不存在或任务不同返回 null
+ */
+function loadCheckpoint(checkpointFile, key) {
+  if (!checkpointFile || !fs.existsSync(checkpointFile)) return null;
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf-8'));
+    if (checkpoint.key !== key || !Array.isArray(checkpoint.completed)) return null;
+    checkpoint.bars = normalizeBars(checkpoint.bars);
+    return checkpoint;
+  } catch (e) {
+    console.warn('⚠️  断点文件损坏，将重新开始获取:', e.message);
+    return null;
+  }
+}
+
+/**
+ * 写入断点文件
+ * @param {string} checkpointFile - 断点文件路径
+ * @param {Object} checkpoint - 断点数据
+ */
+function saveCheckpoint(checkpointFile, checkpoint) {
+  if (!checkpointFile) return;
+  writeFileAtomic(checkpointFile, JSON.stringify(checkpoint));
+}
+
+/**
+ * 分页获取历史K线
+ * 断点续传：断点文件中同一任务（接口+品种+周期）已完成的批次不再请求，
+ * 并沿用上次的起始时间，使已完成批次的时间范围与本次切分结果一致
+ * @param {Object} options - 选项（未提供的项取 HISTORY_API_CONFIG）
+ * @param {string} [options.baseUrl] - UDF 服务根地址
+ * @param {string} [options.symbol] - 品种代码
+ * @param {string} options.resolution - UDF resolution
+ * @param {number} options.from - 开始时间（秒）
+ * @param {number} options.to - 结束时间（秒）
+ * @param {Object} [options.headers] - 请求头
+ * @param {number} [options.batchDays] - 每批天数
+ * @param {number} [options.requestIntervalMs] - 两次请求最小间隔（毫秒）
+ * @param {number} [options.maxRetries] - 单批最大重试次数
+ * @param {number} [options.retryBaseDelayMs] - 重试退避基数（毫秒）
+ * @param {number} [options.timeoutMs] - 单次请求超时（毫秒）
+ * @param {string|null} [options.checkpointFile] - 断点文件路径，null 表示不续传
+ * @param {boolean} [options.silent] - 是否静默
+ * @param {function(Object): void} [options.onBatch] - 每完成一个批次的回调 { index, total, range, bars }
+ * @returns {Promise<Array>} 标准K线数组（按时间升序）
+ * @throws {Error} 某批次重试后仍失败时抛出（已完成的批次保留在断点文件中）
+ */
+async function fetchUdfHistory(options) {
+  const config = {
+    baseUrl: HISTORY_API_CONFIG.URL,
+    symbol: HISTORY_API_CONFIG.SYMBOL,
+    headers: HISTORY_API_CONFIG.HEADERS,
+    batchDays: HISTORY_API_CONFIG.BATCH_DAYS,
+    requestIntervalMs: HISTORY_API_CONFIG.REQUEST_INTERVAL_MS,
+    maxRetries: HISTORY_API_CONFIG.MAX_RETRIES,
+    retryBaseDelayMs: HISTORY_API_CONFIG.RETRY_BASE_DELAY_MS,
+    timeoutMs: HISTORY_API_CONFIG.TIMEOUT_MS,
+    checkpointFile: HISTORY_API_CONFIG.CHECKPOINT_FILE,
+    silent: false,
+    ...options
+  };
+  if (!config.baseUrl) {
+    throw new Error('未配置 UDF 历史K线接口地址（HISTORY_API_URL）');
+  }
+
+  const key = getCheckpointKey(config);
+  const checkpoint = loadCheckpoint(config.checkpointFile, key);
+  const from = checkpoint && checkpoint.from < config.from ? checkpoint.from : config.from;
+  const completed = new Set(checkpoint ? checkpoint.completed : []);
+  const barGroups = checkpoint ? [checkpoint.bars] : [];
+  const ranges = getBatchRanges(from, config.to, config.batchDays);
+  const limiter = createRateLimiter(config.requestIntervalMs);
+
+  if (checkpoint && !config.silent) {
+    console.log(`🔧 从断点继续获取历史K线（已完成 ${completed.size} 批，共 ${ranges.length} 批）`);
+  }
+
+  for (let i = 0; i < ranges.length; i++) {
+    const range = ranges[i];
+    const rangeKey = `${range.from}-${range.to}`;
+    if (completed.has(rangeKey)) continue;
+
+    const url = buildHistoryURL(config.baseUrl, {
+      symbol: config.symbol,
+      resolution: config.resolution,
+      from: range.from,
+      to: range.to
+    });
+    const result = await fetchHistoryBatch(url, { ...config, limiter });
+    const bars = udfBatchToBars(result.batch);
+    barGroups.push(bars);
+    completed.add(rangeKey);
+    saveCheckpoint(config.checkpointFile, {
+      key,
+      from,
+      completed: Array.from(completed),
+      bars: mergeBars(barGroups)
+    });
+
+    if (!config.silent) {
+      console.log(`🔍 批次 ${i + 1}/${ranges.length}: ${result.status === 'ok' ? `${bars.length} 条` : '无数据'}`);
+    }
+    if (config.onBatch) {
+      config.onBatch({ index: i, total: ranges.length, range, bars, status: result.status });
+    }
+  }
+
+  if (config.checkpointFile && fs.existsSync(config.checkpointFile)) {
+    fs.unlinkSync(config.checkpointFile);
+  }
+  return mergeBars(barGroups).filter(bar => bar.time >= config.from * 1000);
+}
+
+module.exports = {
+  intervalToResolution,
+  getBatchRanges,
+  buildHistoryURL,
+  parseHistoryResponse,
+  udfBatchToBars,
+  barsToUdfBatch,
+  mergeBars,
+  createRateLimiter,
+  fetchHistoryBatch,
+  fetchUdfHistory
+};
@@ -0,0 +1,220 @@
+/**
+ * UDF 标注生成模块
+ * 把波浪分析结果转换为 TradingView UDF 的 marks / timescale_marks 格式，任何接入 UDF 的图表都能原生显示浪点：
+ * - 浪点：assignWaveLabelsToKeyPoints 的标签（起点、浪1-5、浪a-c、延续浪1'-5'、子浪点）
+ * - W-X-Y：identifyWXY 识别出的联合形调整浪终点
+ * - 监测点穿越：收盘价上穿/下穿 monitorPoints（生命线 LIFE_LINE、(v)浪高点 RISE_V_HIGH 等）的K线
+ *
+ * marks 格式：{ id, time(秒), color, text, label, labelFontColor, minSize }
+ * timescale_marks 格式：{ id, time(秒), color, label, tooltip: [...] }
+ */
+
+const { assignWaveLabelsToKeyPoints, identifyWXY } = require('../wave/wave');
+
+// 标注配色（color 可为预设色名或 { border, background }）
+const MARK_COLORS = {
+  IMPULSE_HIGH: { border: '#c62828', background: '#ef5350' },
+  IMPULSE_LOW: { border: '#2e7d32', background: '#66bb6a' },
+  CORRECTIVE: { border: '#1565c0', background: '#42a5f5' },
+  CONTINUATION: { border: '#ef6c00', background: '#ffa726' },
+  SUB_WAVE: { border: '#757575', background: '#bdbdbd' },
+  WXY: { border: '#6a1b9a', background: '#ab47bc' },
+  CROSS_UP: { border: '#2e7d32', background: '#a5d6a7' },
+  CROSS_DOWN: { border: '#c62828', background: '#ef9a9a' }
+};
+
+// 默认生成穿越标注的监测点（名称用于提示文字，LABEL 为标注上的单字）
+const DEFAULT_MONITOR_LEVELS = {
+  LIFE_LINE: { NAME: '生命线', LABEL: 'L' },
+  RISE_V_HIGH: { NAME: '(v)浪高点', LABEL: 'V' }
+};
+
+/**
+ * 格式化标注提示中的时间（北京时间）
+ * @param {number} timeMs - 时间（毫秒）
+ * @returns {string}
+ */
+function formatMarkTime(timeMs) {
+  return new Date(timeMs).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai', hour12: false });
+}
+
+/**
+ * 把浪点标签转换为标注用的短标签（起点 → 0，浪1 → 1，浪a → A，浪3' → 3，浪3·2 / 高 / 低 → ·）
+ * @param {string} label - assignWaveLabelsToKeyPoints 的标签
+ * @returns {string}
+ */
+function toShortLabel(label) {
+  if (label.includes('·') || label === '高' || label === '低') return '·';
+  if (label === '起点') return '0';
+  const body = label.replace(/^浪/, '').replace(/'$/, '');
+  return /^[abc]$/.test(body) ? body.toUpperCase() : body.charAt(0);
+}
+
+/**
+ * 选择浪点标注颜色
+ * @param {string} label - 浪点标签
+ * @param {string} type - 'high' | 'low'
+ * @returns {Object}
+ */
+function pickWaveColor(label, type) {
+  if (label.includes('·') || label === '高' || label === '低') return MARK_COLORS.SUB_WAVE;
+  if (/^浪[abc]$/.test(label)) return MARK_COLORS.CORRECTIVE;
+  if (label.endsWith("'")) return MARK_COLORS.CONTINUATION;
+  return type === 'high' ? MARK_COLORS.IMPULSE_HIGH : MARK_COLORS.IMPULSE_LOW;
+}
+
+/**
+ * 由浪点标签生成标注
+ * @param {Array} keyPoints - 关键点位（已按时间排序）
+ * @param {Object} waveResult - identifyWaves12345AndABC 返回值
+ * @returns {{ marks: Array, timescaleMarks: Array }} 子浪点只出现在 marks 中
+ */
+function buildWaveLabelMarks(keyPoints, waveResult) {
+  const marks = [];
+  const timescaleMarks = [];
+  assignWaveLabelsToKeyPoints(keyPoints, waveResult).forEach(({ point, label }) => {
+    const time = Math.floor(point.time / 1000);
+    // 未归入任何浪的关键点标签为「高」「低」，按子浪点显示
+    const isPlain = label === '高' || label === '低';
+    const isSub = isPlain || label.includes('·');
+    const color = pickWaveColor(label, point.type);
+    const pointText = `${point.type === 'high' ? '高点' : '低点'} ${point.price.toFixed(2)}`;
+    const text = isPlain ? pointText : `${label} ${pointText}`;
+    const id = `wave-${time}-${point.type}`;
+
+    marks.push({
+      id,
+      time,
+      color,
+      text: `${text}\n${formatMarkTime(point.time)}`,
+      label: toShortLabel(label),
+      labelFontColor: 'white',
+      minSize: isSub ? 8 : 20
+    });
+    if (!isSub) {
+      timescaleMarks.push({ id: `ts-${id}`, time, color, label: toShortLabel(label), tooltip: [text] });
+    }
+  });
+  return { marks, timescaleMarks };
+}
+
+/**
+ * 由 W-X-Y 联合形生成标注（W、X、Y 终点，三重横向整理另有 XX、Z）
+ * @param {Object|null} wxy - identifyWXY 返回值 { waveW, waveX, waveY, waveXX?, waveZ? }
+ * @returns {{ marks: Array, timescaleMarks: Array }}
+ */
+function buildWxyMarks(wxy) {
+  const marks = [];
+  const timescaleMarks = [];
+  if (!wxy) return { marks, timescaleMarks };
+
+  [['W', wxy.waveW], ['X', wxy.waveX], ['Y', wxy.waveY], ['XX', wxy.waveXX], ['Z', wxy.waveZ]].forEach(([name, wave]) => {
+    if (!wave || !wave.end || wave.end.time == null) return;
+    const time = Math.floor(wave.end.time / 1000);
+    const change = wave.endPrice - wave.startPrice;
+    const text = `浪${name}（${wxy.label || 'W-X-Y'}）${wave.startPrice.toFixed(2)} → ${wave.endPrice.toFixed(2)}（${change >= 0 ? '+' : ''}${change.toFixed(2)}）`;
+    marks.push({
+      id: `wxy-${name}-${time}`,
+      time,
+      color: MARK_COLORS.WXY,
+      text: `${text}\n${formatMarkTime(wave.end.time)}`,
+      label: name,
+      labelFontColor: 'white',
+      minSize: 20
+    });
+    timescaleMarks.push({ id: `ts-wxy-${name}-${time}`, time, color: MARK_COLORS.WXY, label: name, tooltip: [text] });
+  });
+  return { marks, timescaleMarks };
+}
+
+/**
+ * 查找收盘价穿越某价位的K线
+ * 前一根收盘在价位下方、当前收盘在价位上或上方为上穿，反之为下穿
+ * @param {Array} bars - 标准K线数组（按时间升序）
+ * @param {number} level - 价位
+ * @returns {Array<{ time: number, direction: 'up'|'down', close: number }>} time 为毫秒
+ */
+function findLevelCrossings(bars, level) {
+  const crossings = [];
+  if (!Number.isFinite(level)) return crossings;
+  for (let i = 1; i < bars.length; i++) {
+    const prev = bars[i - 1].close;
+    const cur = bars[i].close;
+    if (prev < level && cur >= level) {
+      crossings.push({ time: bars[i].time, direction: 'up', close: cur });
+    } else if (prev >= level && cur < level) {
+      crossings.push({ time: bars[i].time, direction: 'down', close: cur });
+    }
+  }
+  return crossings;
+}
+
+/**
+ * 由监测点穿越生成标注
+ * @param {Array} bars - 标准K线数组
+ * @param {Object} monitorPoints - analyzeWave2 返回的 monitorPoints
+ * @param {Object} [levels] - 需要标注的监测点 { 键: { NAME, LABEL } }，默认生命线与(v)浪高点
+ * @returns {{ marks: Array, timescaleMarks: Array }}
+ */
+function buildCrossingMarks(bars, monitorPoints, levels = DEFAULT_MONITOR_LEVELS) {
+  const marks = [];
+  const timescaleMarks = [];
+  if (!monitorPoints || !bars || bars.length < 2) return { marks, timescaleMarks };
+
+  Object.entries(levels).forEach(([key, { NAME, LABEL }]) => {
+    const level = monitorPoints[key];
+    findLevelCrossings(bars, level).forEach(({ time: timeMs, direction, close }) => {
+      const time = Math.floor(timeMs / 1000);
+      const color = direction === 'up' ? MARK_COLORS.CROSS_UP : MARK_COLORS.CROSS_DOWN;
+      const text = `${direction === 'up' ? '上穿' : '下穿'}${NAME} ${level.toFixed(2)}（收盘 ${close.toFixed(2)}）`;
+      marks.push({
+        id: `cross-${key}-${time}`,
+        time,
+        color,
+        text: `${text}\n${formatMarkTime(timeMs)}`,
+        label: LABEL,
+        labelFontColor: 'black',
+        minSize: 14
+      });
+      timescaleMarks.push({ id: `ts-cross-${key}-${time}`, time, color, label: LABEL, tooltip: [text] });
+    });
+  });
+  return { marks, timescaleMarks };
+}
+
+/**
+ * 生成全部 UDF 标注（浪点 + W-X-Y + 监测点穿越），按时间升序
+ * @param {Object} input - 输入
+ * @param {Object|null} input.waveResult - identifyWaves12345AndABC 返回值
+ * @param {Object|null} [input.wxy] - identifyWXY 返回值，不传时取 waveResult.wxy 或重新识别
+ * @param {Array} [input.bars] - 标准K线数组（用于监测点穿越）
+ * @param {Object|null} [input.monitorPoints] - analyzeWave2 返回的 monitorPoints
+ * @param {Object} [input.levels] - 需要标注穿越的监测点
+ * @returns {{ marks: Array, timescaleMarks: Array }}
+ */
+function generateUdfMarks({ waveResult, wxy, bars, monitorPoints, levels }) {
+  const groups = [];
+  if (waveResult && waveResult.keyPoints) {
+    groups.push(buildWaveLabelMarks(waveResult.keyPoints, waveResult));
+    const wxyResult = wxy !== undefined
+      ? wxy
+      : (waveResult.wxy || (waveResult.impulse ? identifyWXY(waveResult.keyPoints, waveResult.impulse) : null));
+    groups.push(buildWxyMarks(wxyResult));
+  }
+  groups.push(buildCrossingMarks(bars, monitorPoints, levels));
+
+  const byTime = (a, b) => a.time - b.time;
+  return {
+    marks: groups.flatMap(g => g.marks).sort(byTime),
+    timescaleMarks: groups.flatMap(g => g.timescaleMarks).sort(byTime)
+  };
+}
+
+module.exports = {
+  MARK_COLORS,
+  findLevelCrossings,
+  buildWaveLabelMarks,
+  buildWxyMarks,
+  buildCrossingMarks,
+  generateUdfMarks
+};
@@ -0,0 +1,314 @@
+/**
+ * UDF 数据源服务模块
+ * 按 TradingView UDF 协议提供本地K线文件（gold_price_1h.json 等）与波浪标注，
+ * 图表前端通过 datafeed.js（UDFCompatibleDatafeed）直接接入：
+ *
+ *   node goldWaveAnalysis.js --serve [--port 8090]
+ *   new Datafeeds.UDFCompatibleDatafeed('http://127.0.0.1:8090')
+ *
+ * 接口：
+ *   GET /config                                        服务配置（支持的周期、marks 等）
+ *   GET /symbols?symbol=XAUUSD                         品种信息
+ *   GET /search?query=&limit=                          品种搜索
+ *   GET /history?symbol=&resolution=&from=&to=[&countback=]  K线（60 / 240 / 1D 对应 H1 / H4 / D1）
+ *   GET /time                                          服务器时间（秒）
+ *   GET /marks?symbol=&resolution=&from=&to=           K线上的标注：浪点、W-X-Y、监测点穿越（见 src/udf-marks）
+ *   GET /timescale_marks?symbol=&resolution=&from=&to= 时间轴上的标注：主浪点、W-X-Y、监测点穿越
+ *
+ * K线按分段目录（src/kline-store）的修改时间缓存，watch 模式追加价格后下一次请求即可取到最新数据
+ */
+
+const http = require('http');
+const { TIMEFRAME_CONFIG, UDF_SERVER_CONFIG } = require('../config/config');
+const { loadKlineDataFromFile } = require('../data/data');
+const { openKlineStore, getStoreMtime } = require('../kline-store/kline-store');
+const { updateResampledBars } = require('../resample/resample');
+const { identifyWaves12345AndABC, inferWaveStructure, analyzeWave2, waveResultToStructure } = require('../wave/wave');
+const { generateUdfMarks } = require('../udf-marks/udf-marks');
+
+// UDF resolution → 周期键
+const RESOLUTION_TO_TIMEFRAME = {
+  '60': 'H1',
+  '240': 'H4',
+  'D': 'D1',
+  '1D': 'D1'
+};
+
+/**
+ * UDF resolution 转换为周期键
+ * @param {string} resolution - UDF resolution
+ * @returns {string|null} 'H1' | 'H4' | 'D1'，不支持返回 null
+ */
+function resolveTimeframe(resolution) {
+  return RESOLUTION_TO_TIMEFRAME[String(resolution || '').toUpperCase()] || null;
+}
+
+/**
+ * 去掉品种名的交易所前缀（如 FX:XAUUSD → XAUUSD）并转为大写
+ * @param {string} symbol - 品种名
+ * @returns {string}
+ */
+function normalizeSymbolName(symbol) {
+  const name = String(symbol || '');
+  return name.slice(name.indexOf(':') + 1).toUpperCase();
+}
+
+/**
+ * 生成 UDF 品种信息
+ * @param {Object} symbolConfig - UDF_SERVER_CONFIG.SYMBOL
+ * @returns {Object}
+ */
+function buildSymbolInfo(symbolConfig) {
+  return {
+    name: symbolConfig.NAME,
+    ticker: symbolConfig.NAME,
+    description: symbolConfig.DESCRIPTION,
+    type: symbolConfig.TYPE,
+    'exchange-listed': symbolConfig.EXCHANGE,
+    'exchange-traded': symbolConfig.EXCHANGE,
+    session: symbolConfig.SESSION,
+    'session-regular': symbolConfig.SESSION,
+    timezone: symbolConfig.TIMEZONE,
+    minmov: 1,
+    minmov2: 0,
+    pricescale: symbolConfig.PRICE_SCALE,
+    pointvalue: 1,
+    has_intraday: true,
+    'has-intraday': true,
+    has_daily: true,
+    has_weekly_and_monthly: false,
+    has_no_volume: false,
+    'has-no-volume': false,
+    intraday_multipliers: ['60', '240'],
+    supported_resolutions: Object.keys(RESOLUTION_TO_TIMEFRAME).filter(r => r !== 'D'),
+    volume_precision: 0
+  };
+}
+
+/**
+ * 生成 UDF history 响应
+ * @param {Array} bars - 标准K线数组（按时间升序）
+ * @param {number} from - 开始时间（秒）
+ * @param {number} to - 结束时间（秒）
+ * @param {number} [countback] - 需要的K线数量（指定时忽略 from，取 to 之前最近的 countback 根）
+ * @returns {Object} { s: 'ok', t, o, h, l, c, v } 或 { s: 'no_data', nextTime? }
+ */
+function buildHistoryResponse(bars, from, to, countback) {
+  const toMs = to * 1000;
+  let selected;
+  if (countback > 0) {
+    selected = bars.filter(bar => bar.time <= toMs).slice(-countback);
+  } else {
+    const fromMs = from * 1000;
+    selected = bars.filter(bar => bar.time >= fromMs && bar.time <= toMs);
+  }
+
+  if (selected.length === 0) {
+    const earlier = bars.filter(bar => bar.time < from * 1000);
+    return earlier.length > 0
+      ? { s: 'no_data', nextTime: Math.floor(earlier[earlier.length - 1].time / 1000) }
+      : { s: 'no_data' };
+  }
+
+  return {
+    s: 'ok',
+    t: selected.map(bar => Math.floor(bar.time / 1000)),
+    o: selected.map(bar => bar.open),
+    h: selected.map(bar => bar.high),
+    l: selected.map(bar => bar.low),
+    c: selected.map(bar => bar.close),
+    v: selected.map(bar => bar.volume)
+  };
+}
+
+/**
+ * 创建K线与波浪结果缓存（按文件修改时间失效）
+ * 重采样周期（H4/D1）在周期文件基础上由源周期增量重算（与 fetchKlineData 一致），文件缺失或过期时也能返回完整数据
+ * @param {Object} [timeframes] - 周期配置，默认 TIMEFRAME_CONFIG
+ * @param {Object} [waveWindow] - 波浪识别窗口 { days: 最近 N 天, minBars: 至少 N 根 }
+ * @returns {{ getBars: function(string): Array, getMarks: function(string): Object }}
+ */
+function createBarStore(timeframes = TIMEFRAME_CONFIG, waveWindow = {}) {
+  const waveDays = waveWindow.days || UDF_SERVER_CONFIG.WAVE_DAYS;
+  const waveMinBars = waveWindow.minBars || UDF_SERVER_CONFIG.WAVE_MIN_BARS;
+  const cache = {};
+
+  const getBars = (timeframe) => {
+    const config = timeframes[timeframe];
+    if (!config) return [];
+    const filePath = config.FILE_PATH;
+    const mtimeMs = getStoreMtime(openKlineStore(filePath));
+    const sourceBars = config.RESAMPLE_FROM ? getBars(config.RESAMPLE_FROM) : null;
+    const entry = cache[timeframe];
+    if (entry && entry.mtimeMs === mtimeMs && entry.sourceBars === sourceBars) return entry.bars;
+
+    const fileBars = mtimeMs ? loadKlineDataFromFile(filePath) : [];
+    const bars = sourceBars ? updateResampledBars(fileBars, sourceBars, config.INTERVAL) : fileBars;
+    cache[timeframe] = { mtimeMs, sourceBars, bars, marks: null };
+    return bars;
+  };
+
+  // 标注：浪点与 W-X-Y 用最近窗口识别（与 --wave 一致），监测点由全部K线推理（与趋势报告一致）
+  const getMarks = (timeframe) => {
+    const bars = getBars(timeframe);
+    const entry = cache[timeframe];
+    if (!entry) return { marks: [], timescaleMarks: [] };
+    if (entry.marks) return entry.marks;
+
+    const barsPerDay = Math.round(1440 / timeframes[timeframe].INTERVAL);
+    const waveBars = Math.min(bars.length, Math.max(barsPerDay * waveDays, waveMinBars));
+    const waveResult = identifyWaves12345AndABC(bars.slice(-waveBars));
+    const structure = waveResultToStructure(identifyWaves12345AndABC(bars)) || inferWaveStructure(bars);
+    const analysis = bars.length > 0 ? analyzeWave2(bars[bars.length - 1].close, structure) : null;
+    const monitorPoints = analysis ? analysis.monitorPoints : null;
+    entry.marks = generateUdfMarks({ waveResult, bars, monitorPoints });
+    return entry.marks;
+  };
+
+  return { getBars, getMarks };
+}
+
+/**
+ * 发送 JSON 响应（允许跨域，图表前端通常与数据源不同源）
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} statusCode - 状态码
+ * @param {*} body - 正文
+ */
+function sendJSON(res, statusCode, body) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 创建 UDF 数据源服务（未监听端口）
+ * @param {Object} [options] - { timeframes, symbol, waveWindow }
+ * @returns {http.Server}
+ */
+function createUdfServer(options = {}) {
+  const symbolConfig = options.symbol || UDF_SERVER_CONFIG.SYMBOL;
+  const store = createBarStore(options.timeframes || TIMEFRAME_CONFIG, options.waveWindow);
+  const symbolInfo = buildSymbolInfo(symbolConfig);
+
+  // 按 symbol/resolution 参数取周期，参数无效时直接返回错误响应
+  const resolveRequest = (params, res) => {
+    if (normalizeSymbolName(params.get('symbol')) !== symbolConfig.NAME) {
+      sendJSON(res, 200, { s: 'error', errmsg: `unknown_symbol ${params.get('symbol')}` });
+      return null;
+    }
+    const timeframe = resolveTimeframe(params.get('resolution'));
+    if (!timeframe) {
+      sendJSON(res, 200, { s: 'error', errmsg: `unsupported resolution ${params.get('resolution')}` });
+      return null;
+    }
+    return timeframe;
+  };
+
+  // 标注只返回 [from, to] 范围内的
+  const filterByRange = (items, params) => {
+    const from = parseInt(params.get('from'), 10) || 0;
+    const to = parseInt(params.get('to'), 10) || Infinity;
+    return items.filter(item => item.time >= from && item.time <= to);
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const params = url.searchParams;
+
+    try {
+      switch (url.pathname) {
+        case '/config':
+          sendJSON(res, 200, {
+            supported_resolutions: symbolInfo.supported_resolutions,
+            supports_search: true,
+            supports_group_request: false,
+            supports_marks: true,
+            supports_timescale_marks: true,
+            supports_time: true,
+            exchanges: [{ value: symbolConfig.EXCHANGE, name: symbolConfig.EXCHANGE, desc: symbolConfig.EXCHANGE }],
+            symbols_types: [{ name: symbolConfig.TYPE, value: symbolConfig.TYPE }]
+          });
+          return;
+        case '/time':
+          res.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+          res.end(String(Math.floor(Date.now() / 1000)));
+          return;
+        case '/symbols':
+          if (normalizeSymbolName(params.get('symbol')) !== symbolConfig.NAME) {
+            sendJSON(res, 404, { s: 'error', errmsg: 'unknown_symbol' });
+            return;
+          }
+          sendJSON(res, 200, symbolInfo);
+          return;
+        case '/search': {
+          const query = String(params.get('query') || '').toUpperCase();
+          const matched = symbolConfig.NAME.includes(query) || symbolConfig.DESCRIPTION.includes(query);
+          sendJSON(res, 200, matched ? [{
+            symbol: symbolConfig.NAME,
+            full_name: `${symbolConfig.EXCHANGE}:${symbolConfig.NAME}`,
+            description: symbolConfig.DESCRIPTION,
+            exchange: symbolConfig.EXCHANGE,
+            ticker: symbolConfig.NAME,
+            type: symbolConfig.TYPE
+          }] : []);
+          return;
+        }
+        case '/history': {
+          const timeframe = resolveRequest(params, res);
+          if (!timeframe) return;
+          const from = parseInt(params.get('from'), 10);
+          const to = parseInt(params.get('to'), 10);
+          if (!Number.isFinite(from) || !Number.isFinite(to)) {
+            sendJSON(res, 200, { s: 'error', errmsg: 'from/to 必须为 Unix 秒' });
+            return;
+          }
+          const countback = parseInt(params.get('countback'), 10) || 0;
+          sendJSON(res, 200, buildHistoryResponse(store.getBars(timeframe), from, to, countback));
+          return;
+        }
+        case '/marks':
+        case '/timescale_marks': {
+          const timeframe = resolveRequest(params, res);
+          if (!timeframe) return;
+          const { marks, timescaleMarks } = store.getMarks(timeframe);
+          sendJSON(res, 200, filterByRange(url.pathname === '/marks' ? marks : timescaleMarks, params));
+          return;
+        }
+        default:
+          sendJSON(res, 404, { s: 'error', errmsg: 'not found' });
+      }
+    } catch (e) {
+      console.error('❌ UDF 请求处理失败:', req.url, e.message);
+      sendJSON(res, 500, { s: 'error', errmsg: e.message });
+    }
+  });
+}
+
+/**
+ * 启动 UDF 数据源服务
+ * @param {Object} [options] - { host, port } 及 createUdfServer 的选项
+ * @returns {Promise<http.Server>}
+ */
+function startUdfServer(options = {}) {
+  const host = options.host || UDF_SERVER_CONFIG.HOST;
+  const port = options.port || UDF_SERVER_CONFIG.PORT;
+  const server = createUdfServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      console.log(`✅ UDF 数据源服务已启动: http://${host}:${port}`);
+      console.log(`   品种: ${(options.symbol || UDF_SERVER_CONFIG.SYMBOL).NAME}，周期: 60 / 240 / 1D，标注: /marks、/timescale_marks`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  resolveTimeframe,
+  buildHistoryResponse,
+  createBarStore,
+  createUdfServer,
+  startUdfServer
+};
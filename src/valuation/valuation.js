@@ -0,0 +1,133 @@
+/**
+ * 持仓估值模块（含汇率）
+ * 国内黄金账户按人民币/克计价，而国际金价按美元/盎司报价，持仓收益同时受金价与 USD/CNY 汇率影响：
+ * - 汇率来源：FX_RATE_CONFIG（手动 --usdcny / USD_CNY、JSON 接口、本地文件），复用 src/price-source 的数据源
+ * - 价格折算：当前品种报价 ↔ 美元/盎司 ↔ 人民币/克
+ * - 收益拆分：总收益 = 金价部分（按买入汇率计）+ 汇率部分（按当前金价计），两部分之和等于总收益
+ */
+
+const { FX_RATE_CONFIG, GRAMS_PER_TROY_OUNCE, INSTRUMENT_CONFIG } = require('../config/config');
+const { fetchQuoteFromSources } = require('../price-source/price-source');
+
+/**
+ * 获取 USD/CNY 汇率
+ * @param {Object} [options] - 选项
+ * @param {number} [options.manualRate] - 手动输入汇率（--usdcny）
+ * @param {boolean} [options.silent] - 获取失败时不输出警告
+ * @returns {Promise<{ rate: number, time: number, source: string }|null>} 所有数据源都不可用时返回 null
+ */
+async function fetchUsdCnyRate(options = {}) {
+  try {
+    const quote = await fetchQuoteFromSources({ manualPrice: options.manualRate }, FX_RATE_CONFIG);
+    return { rate: quote.price, time: quote.time, source: quote.label };
+  } catch (e) {
+    if (!options.silent) {
+      console.warn(`⚠️ 未获取到 USD/CNY 汇率: ${e.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * 品种报价折算为美元/盎司
+ * @param {number} price - 品种报价（单位见 INSTRUMENT_CONFIG.UNIT）
+ * @param {number|null} rate - USD/CNY 汇率（人民币计价的品种必需）
+ * @param {Object} [instrument] - 品种配置，默认当前品种
+ * @returns {number|null} 缺少汇率无法折算时返回 null
+ */
+function toUsdPerOunce(price, rate, instrument = INSTRUMENT_CONFIG) {
+  const perGram = price / instrument.GRAMS_PER_UNIT;
+  if (instrument.CURRENCY === 'USD') return perGram * GRAMS_PER_TROY_OUNCE;
+  return rate ? perGram / rate * GRAMS_PER_TROY_OUNCE : null;
+}
+
+/**
+ * 品种报价折算为人民币/克
+ * @param {number} price - 品种报价
+ * @param {number|null} rate - USD/CNY 汇率（美元计价的品种必需）
+ * @param {Object} [instrument] - 品种配置，默认当前品种
+ * @returns {number|null} 缺少汇率无法折算时返回 null
+ */
+function toCnyPerGram(price, rate, instrument = INSTRUMENT_CONFIG) {
+  const perGram = price / instrument.GRAMS_PER_UNIT;
+  if (instrument.CURRENCY === 'CNY') return perGram;
+  return rate ? perGram * rate : null;
+}
+
+/**
+ * 计算持仓收益并拆分为金价与汇率两部分
+ * 成本可按美元/盎司（costUsd）或人民币/克（costCny）输入；两者都给出时由其推出买入汇率，
+ * 只给出一个且未提供 costRate 时按当前汇率作为买入汇率（汇率部分为 0，fxAssumed 为 true）
+ * @param {Object} position - 持仓
+ * @param {number} position.price - 当前品种报价
+ * @param {number|null} position.rate - 当前 USD/CNY 汇率
+ * @param {number} position.amountCny - 买入金额（人民币）
+ * @param {number} [position.costUsd] - 成本价（美元/盎司）
+ * @param {number} [position.costCny] - 成本价（人民币/克）
+ * @param {number} [position.costRate] - 买入时 USD/CNY 汇率
+ * @param {Object} [instrument] - 品种配置，默认当前品种
+ * @returns {Object|null} 估值结果 { costUsd, costCny, costRate, grams, valueCny, pnlCny, pnlPct, goldPnlCny, fxPnlCny, fxAssumed }；
+ *   缺少汇率时退化为按报价涨跌计算（无拆分），仍无法计算返回 null
+ */
+function computePositionPnl(position, instrument = INSTRUMENT_CONFIG) {
+  const { price, rate, amountCny } = position;
+  let { costUsd = null, costCny = null, costRate = null } = position;
+  if (!amountCny || (!costUsd && !costCny)) return null;
+
+  if (!rate) {
+    // 没有汇率：只能在成本与报价同币种时按报价涨跌计算（即假设汇率不变）
+    const costInQuote = instrument.CURRENCY === 'USD'
+      ? (costUsd ? costUsd / GRAMS_PER_TROY_OUNCE * instrument.GRAMS_PER_UNIT : null)
+      : (costCny ? costCny * instrument.GRAMS_PER_UNIT : null);
+    if (!costInQuote) return null;
+    const ratio = price / costInQuote;
+    return {
+      costUsd, costCny, costRate,
+      grams: null,
+      valueCny: amountCny * ratio,
+      pnlCny: amountCny * (ratio - 1),
+      pnlPct: (ratio - 1) * 100,
+      goldPnlCny: null,
+      fxPnlCny: null,
+      fxAssumed: true
+    };
+  }
+
+  let fxAssumed = false;
+  if (!costRate) {
+    if (costUsd && costCny) {
+      costRate = costCny * GRAMS_PER_TROY_OUNCE / costUsd;
+    } else {
+      costRate = rate;
+      fxAssumed = true;
+    }
+  }
+  if (!costUsd) costUsd = costCny * GRAMS_PER_TROY_OUNCE / costRate;
+  if (!costCny) costCny = costUsd * costRate / GRAMS_PER_TROY_OUNCE;
+
+  const priceUsd = toUsdPerOunce(price, rate, instrument);
+  const grams = amountCny / costCny;
+  const ounces = grams / GRAMS_PER_TROY_OUNCE;
+  const valueCny = ounces * priceUsd * rate;
+  const goldPnlCny = ounces * (priceUsd - costUsd) * costRate;
+  const fxPnlCny = ounces * priceUsd * (rate - costRate);
+  return {
+    costUsd,
+    costCny,
+    costRate,
+    grams,
+    valueCny,
+    pnlCny: valueCny - amountCny,
+    pnlPct: (valueCny / amountCny - 1) * 100,
+    goldPnlCny,
+    fxPnlCny,
+    fxAssumed
+  };
+}
+
+module.exports = {
+  fetchUsdCnyRate,
+  toUsdPerOunce,
+  toCnyPerGram,
+  computePositionPnl
+};
@@ -0,0 +1,355 @@
+/**
+ * 波浪计数枚举模块
+ * identifyWaves12345AndABC 按时间顺序贪心取第一个符合条件的点位，只给出一个计数；
+ * 本模块在最近的摆动点上枚举所有可行的 0-1-2-3-4-5-a-b-c 标注，保留首选计数与备选计数：
+ * - 计数为推动浪 0-1-2-3-4-5(-a-b-c) 或单独的调整浪 0-a-b-c
+ * - 每一浪跨越 1、3 或 5 个摆动段，起点与终点分别是该段内的两个极值
+ * - 计数必须延续到最近一个摆动点（即描述当前所处的位置）
+ * - 剔除违反驱动浪铁律（validateImpulseRules，4浪切入1浪时按楔形复核）以及 a-b-c 不能归类为锯齿/平台形的计数
+ * - 按斐波那契比率、2/4浪交替（陡直与横向）、2-4 平行通道与覆盖度打分排序，并给出置信度
+ * - 每个计数附失效位（buildInvalidationLevels），并注明失效后由哪个备选计数接替
+ */
+
+const { WAVE_COUNT_CONFIG, INSTRUMENT_CONFIG } = require('../config/config');
+const { validateImpulseRules, buildInvalidationLevels } = require('../wave/wave');
+const { toSwings, classifyZigzag, classifyFlat, buildElliottChannel, priceOnLine } = require('../corrective/corrective');
+
+// 计数中各点的标注：0 为起点，其后依次为各浪终点
+// 推动浪计数 0-1-2-3-4-5(-a-b-c)；调整浪计数 0-a-b-c（前一段推动浪已在枚举窗口之外）
+const COUNT_LABELS = ['0', '1', '2', '3', '4', '5', 'a', 'b', 'c'];
+const CORRECTIVE_COUNT_LABELS = ['0', 'a', 'b', 'c'];
+const WAVE_KEYS = {
+  1: 'wave1', 2: 'wave2', 3: 'wave3', 4: 'wave4', 5: 'wave5',
+  a: 'waveA', b: 'waveB', c: 'waveC'
+};
+
+// 各比率的常见斐波那契关系（ratio 为该浪长度与参照浪长度之比）
+const FIB_GUIDELINES = [
+  { WAVE: '2', BASE: '1', TARGETS: [0.5, 0.618] },
+  { WAVE: '3', BASE: '1', TARGETS: [1.618, 2.618, 1] },
+  { WAVE: '4', BASE: '3', TARGETS: [0.382, 0.236, 0.5] },
+  { WAVE: '5', BASE: '1', TARGETS: [1, 0.618, 1.618] },
+  { WAVE: 'b', BASE: 'a', TARGETS: [0.5, 0.618, 1] },
+  { WAVE: 'c', BASE: 'a', TARGETS: [1, 0.618, 1.618] }
+];
+
+/**
+ * 判断 swings[i..j] 能否作为一浪：起点、终点分别是区间内的两个极值
+ * @param {Array} swings - 高低交替的摆动点
+ * @param {number} i - 起点下标
+ * @param {number} j - 终点下标
+ * @returns {boolean}
+ */
+function isExtremeLeg(swings, i, j) {
+  const up = swings[j].price > swings[i].price;
+  for (let k = i + 1; k < j; k++) {
+    const p = swings[k].price;
+    if (up ? p < swings[i].price || p > swings[j].price : p > swings[i].price || p < swings[j].price) return false;
+  }
+  return true;
+}
+
+/**
+ * 由标注点生成各浪结构
+ * @param {Array} points - [{ label, point, index }]
+ * @returns {Object} { wave1..wave5, waveA..waveC }，未出现的浪不含
+ */
+function buildWaves(points) {
+  const waves = {};
+  for (let k = 1; k < points.length; k++) {
+    const start = points[k - 1].point;
+    const end = points[k].point;
+    waves[WAVE_KEYS[points[k].label]] = { start, end, startPrice: start.price, endPrice: end.price };
+  }
+  return waves;
+}
+
+/**
+ * 对标注点做铁律检查
+ * @param {Array} points - [{ label, point, index }]
+ * @param {boolean} isUptrend - 推动浪方向（调整浪计数为被调整的走势方向）
+ * @param {Object} options - { subPoints }
+ * @returns {Object|null} 通过时返回 { waves, ruleValidation, classification }，否则 null
+ */
+function checkHardRules(points, isUptrend, options) {
+  const waves = buildWaves(points);
+  const len = key => Math.abs(waves[key].endPrice - waves[key].startPrice);
+
+  let ruleValidation = null;
+  if (waves.wave3) {
+    const impulse = { wave1: waves.wave1, wave2: waves.wave2, wave3: waves.wave3, wave4: waves.wave4 || null, wave5: waves.wave5 || null };
+    ruleValidation = validateImpulseRules(impulse, isUptrend, { subPoints: options.subPoints });
+    if (!ruleValidation.valid) return null;
+  } else if (waves.wave2 && len('wave2') >= len('wave1')) {
+    // 2浪不能折返1浪的100%
+    return null;
+  }
+
+  let classification = null;
+  if (waves.waveC) {
+    const abc = [waves.waveA.start, waves.waveA.end, waves.waveB.end, waves.waveC.end];
+    classification = classifyZigzag(abc, options) || classifyFlat(abc, options);
+    if (!classification) return null;
+  } else if (waves.waveB && len('waveB') >= 2 * len('waveA')) {
+    // b浪必须小于a浪的2倍（平台形的上限）
+    return null;
+  }
+  return { waves, ruleValidation, classification };
+}
+
+/**
+ * 斐波那契比率吻合度：每个比率取与最近目标的相对误差，误差达到 tolerance 时得0分
+ * @param {Object} waves - 各浪结构
+ * @param {number} tolerance - 相对误差上限
+ * @returns {{ score: number|null, ratios: Object }}
+ */
+function scoreFibonacci(waves, tolerance) {
+  const ratios = {};
+  const scores = [];
+  FIB_GUIDELINES.forEach(({ WAVE, BASE, TARGETS }) => {
+    const wave = waves[WAVE_KEYS[WAVE]];
+    const base = waves[WAVE_KEYS[BASE]];
+    if (!wave || !base) return;
+    const baseLen = Math.abs(base.endPrice - base.startPrice);
+    if (baseLen === 0) return;
+    const ratio = Math.abs(wave.endPrice - wave.startPrice) / baseLen;
+    const error = Math.min(...TARGETS.map(t => Math.abs(ratio / t - 1)));
+    ratios[`${WAVE}/${BASE}`] = ratio;
+    scores.push(Math.max(0, 1 - error / tolerance));
+  });
+  return { score: scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : null, ratios };
+}
+
+/**
+ * 2浪、4浪交替（陡直与横向）：回撤深度相差越大、内部摆动段数不同，得分越高；楔形不考虑交替
+ * @param {Array} points - 标注点（含 index）
+ * @param {Object} waves - 各浪结构
+ * @param {number} depth - 视为深浅交替的回撤比率差
+ * @returns {number|null}
+ */
+function scoreAlternation(points, waves, depth) {
+  if (!waves.wave4) return null;
+  const retrace = (wave, base) => Math.abs(wave.endPrice - wave.startPrice) / Math.abs(base.endPrice - base.startPrice);
+  const depthDiff = Math.abs(retrace(waves.wave2, waves.wave1) - retrace(waves.wave4, waves.wave3));
+  const segments = k => points[k].index - points[k - 1].index;
+  return 0.5 * Math.min(1, depthDiff / depth) + 0.5 * (segments(2) !== segments(4) ? 1 : 0);
+}
+
+/**
+ * 平行通道：5浪终点与过3浪终点、平行于 2-4 连线的通道线的距离
+ * @param {Object} waves - 各浪结构
+ * @param {number} tolerance - 偏离达到3浪长度的该比例时得0分
+ * @returns {number|null}
+ */
+function scoreChannel(waves, tolerance) {
+  if (!waves.wave5) return null;
+  const { bd } = buildElliottChannel([waves.wave1.end, waves.wave2.end, waves.wave3.end, waves.wave4.end]);
+  const channelPrice = priceOnLine({ start: waves.wave3.end, slope: bd.slope }, waves.wave5.end.time);
+  const len3 = Math.abs(waves.wave3.endPrice - waves.wave3.startPrice);
+  return Math.max(0, 1 - Math.abs(waves.wave5.endPrice - channelPrice) / (tolerance * len3));
+}
+
+/**
+ * 计数的失效位：推动浪计数按驱动浪规则推导；单独的调整浪计数在c浪出现前以 b浪不超过a浪2倍（平台形上限）为失效位
+ * @param {Object} count - 计数（含 sequence、waves、direction、diagonal）
+ * @returns {Array} 同 buildInvalidationLevels
+ */
+function countInvalidation(count) {
+  const isUptrend = count.direction === 'up';
+  if (count.sequence !== CORRECTIVE_COUNT_LABELS) {
+    return buildInvalidationLevels(count.waves, isUptrend, { pattern: count.diagonal ? 'diagonal' : 'impulse' });
+  }
+  const a = count.waves.waveA;
+  if (count.waves.waveC) return [];
+  const aLen = a.endPrice - a.startPrice;
+  return [{
+    key: 'B_LIMIT',
+    rule: 'b浪不能超过a浪的2倍',
+    price: a.endPrice - 2 * aLen,
+    side: aLen < 0 ? 'above' : 'below',
+    takeover: `a浪改判为${isUptrend ? '下跌' : '上升'}推动浪的1浪`
+  }];
+}
+
+/**
+ * 为失效位注明接替的备选计数：价格越过失效位一个最小变动价位后，排序最靠前、自身失效位都未被打破的其他计数
+ * @param {Array} levels - 失效位（buildInvalidationLevels 返回值）
+ * @param {Object} ranking - rankWaveCounts 返回值
+ * @param {Object|null} [exclude] - 排除的计数（失效位所属的计数本身）
+ * @returns {Array} 每个失效位增加 alternate: { rank, label }|null
+ */
+function linkAlternateCounts(levels, ranking, exclude = null) {
+  if (!levels) return [];
+  const counts = ranking ? [ranking.primary, ...ranking.alternates].filter(c => c && c !== exclude) : [];
+  const broken = (level, price) => (level.side === 'below' ? price < level.price : price > level.price);
+  return levels.map(level => {
+    const price = level.price + (level.side === 'below' ? -1 : 1) * INSTRUMENT_CONFIG.TICK_SIZE;
+    const alternate = counts.find(c => !c.invalidation.some(l => broken(l, price)));
+    return { ...level, alternate: alternate ? { rank: alternate.rank, label: alternate.label } : null };
+  });
+}
+
+/**
+ * 生成计数描述
+ * @param {Object} count - 计数
+ * @returns {string} 如 "上升推动浪 0-1-2-3-4-5 + 调整浪 a-b，当前处于c浪"
+ */
+function describeCount(count) {
+  const labels = count.points.map(p => p.label);
+  const corrective = labels.filter(l => /[abc]/.test(l));
+  const correctiveName = `${count.classification ? count.classification.label : '调整浪'} ${corrective.join('-')}`;
+  const next = count.sequence[labels.length];
+  const position = next ? `当前处于${next}浪` : '调整浪已完成';
+  if (count.sequence === CORRECTIVE_COUNT_LABELS) {
+    return `${count.direction === 'up' ? '上升' : '下跌'}趋势的${correctiveName}，${position}`;
+  }
+  const motive = labels.filter(l => /\d/.test(l));
+  const name = `${count.direction === 'up' ? '上升' : '下跌'}${count.diagonal ? count.diagonal.label : '推动浪'} ${motive.join('-')}`;
+  return `${name}${corrective.length > 0 ? ` + ${correctiveName}` : ''}，${position}`;
+}
+
+/**
+ * 枚举最近摆动点上的所有可行波浪计数
+ * @param {Array} keyPoints - 关键点位数组（如 identifyWaves12345AndABC 返回的 keyPoints）
+ * @param {Object} [options] - { subPoints: 统计子浪的细级别高低点, complete: 只保留从第一个摆动点开始的完整 0-1-2-3-4-5 或 0-a-b-c,
+ *   sequences: 参与枚举的标注序列（默认推动浪与调整浪两种） }，其余覆盖 WAVE_COUNT_CONFIG 的小驼峰字段
+ * @returns {Array} 通过铁律检查的计数（未排序），每个含 points、waves、direction、priorLeg、scores
+ */
+function enumerateWaveCounts(keyPoints, options = {}) {
+  if (!keyPoints || keyPoints.length < 3) return [];
+  const maxSwings = options.maxSwings ?? WAVE_COUNT_CONFIG.MAX_SWINGS;
+  const maxSegments = options.maxSegments ?? WAVE_COUNT_CONFIG.MAX_SEGMENTS;
+  const minWaves = options.minWaves ?? WAVE_COUNT_CONFIG.MIN_WAVES;
+  const fibTolerance = options.fibTolerance ?? WAVE_COUNT_CONFIG.FIB_TOLERANCE;
+  const alternationDepth = options.alternationDepth ?? WAVE_COUNT_CONFIG.ALTERNATION_DEPTH;
+  const channelTolerance = options.channelTolerance ?? WAVE_COUNT_CONFIG.CHANNEL_TOLERANCE;
+
+  const complete = options.complete === true;
+  const sequences = options.sequences || [COUNT_LABELS, CORRECTIVE_COUNT_LABELS];
+  // 完整计数须保留第一个摆动点，不截取最近的 maxSwings 个
+  const swings = toSwings([...keyPoints].sort((a, b) => a.time - b.time)).slice(complete ? 0 : -maxSwings);
+  const last = swings.length - 1;
+  const counts = [];
+  // 完整计数中推动浪止于 5 浪，不再延伸 a-b-c
+  const terminalLength = sequence => (complete && sequence === COUNT_LABELS ? 6 : sequence.length);
+
+  const walk = (points, isUptrend, sequence) => {
+    const prev = points[points.length - 1];
+    if (prev.index === last) {
+      if (points.length - 1 < minWaves) return;
+      if (complete && points.length !== terminalLength(sequence)) return;
+      const checked = checkHardRules(points, isUptrend, options);
+      if (!checked) return;
+      const { waves, ruleValidation, classification } = checked;
+      const diagonal = ruleValidation && ruleValidation.pattern === 'diagonal' ? ruleValidation.diagonal : null;
+      const fibonacci = scoreFibonacci(waves, fibTolerance);
+      const start = points[0].index;
+      counts.push({
+        direction: isUptrend ? 'up' : 'down',
+        sequence,
+        points: points.map(({ label, point }) => ({ label, point })),
+        // 进入起点的前一段走势长度（起点之前没有摆动点时为 null）
+        priorLeg: start > 0 ? Math.abs(swings[start].price - swings[start - 1].price) : null,
+        waves,
+        diagonal,
+        classification,
+        ratios: fibonacci.ratios,
+        scores: {
+          fibonacci: fibonacci.score,
+          alternation: diagonal ? null : scoreAlternation(points, waves, alternationDepth),
+          channel: scoreChannel(waves, channelTolerance),
+          coverage: (last - points[0].index) / last
+        }
+      });
+      return;
+    }
+    if (points.length === terminalLength(sequence)) return;
+    for (let step = 1; step <= maxSegments && prev.index + step <= last; step += 2) {
+      const index = prev.index + step;
+      if (!isExtremeLeg(swings, prev.index, index)) continue;
+      const next = points.concat({ label: sequence[points.length], point: swings[index], index });
+      // 已有的浪先做铁律检查，违规时不再向后延伸
+      if (next.length > 2 && !checkHardRules(next, isUptrend, options)) continue;
+      walk(next, isUptrend, sequence);
+    }
+  };
+
+  for (let i = 0; i < (complete ? Math.min(1, last) : last); i++) {
+    const start = [{ label: '0', point: swings[i], index: i }];
+    sequences.forEach(sequence => {
+      // 推动浪从低点起为上升趋势；调整浪从高点起为上升趋势中的回调
+      walk(start, swings[i].type === (sequence === CORRECTIVE_COUNT_LABELS ? 'high' : 'low'), sequence);
+    });
+  }
+  return counts;
+}
+
+/**
+ * 同一组摆动点既可标为推动浪 0-1-2…，也可标为调整浪 0-a-b…，两者得分往往相同。
+ * 按进入起点的前一段走势分出先后：前一段长于第一浪时，第一浪更像是对前一段的调整，调整浪标注优先；
+ * 否则（或起点之前没有摆动点）推动浪标注优先。落后的一种得分乘以 penalty
+ * @param {Array} counts - enumerateWaveCounts 返回的计数（已含 score）
+ * @param {number} penalty - 落后标注的得分系数
+ */
+function resolveLabelConflicts(counts, penalty) {
+  const groups = new Map();
+  counts.forEach(count => {
+    const key = count.points.map(p => p.point.time).join(',');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(count);
+  });
+  groups.forEach(group => {
+    const impulse = group.find(c => c.sequence === COUNT_LABELS);
+    const corrective = group.find(c => c.sequence === CORRECTIVE_COUNT_LABELS);
+    if (!impulse || !corrective) return;
+    const [p0, p1] = impulse.points;
+    const firstLeg = Math.abs(p1.point.price - p0.point.price);
+    const correctiveFirst = impulse.priorLeg !== null && impulse.priorLeg > firstLeg;
+    (correctiveFirst ? impulse : corrective).score *= penalty;
+  });
+}
+
+/**
+ * 枚举并排序波浪计数，给出首选计数与备选计数
+ * 总分为各项得分（无法计算的项按0分）的加权平均，同一组摆动点的推动浪与调整浪两种标注按前一段走势分出先后；置信度为总分在输出的前 MAX_COUNTS 个计数中的占比；
+ * 每个计数附失效位 invalidation（含接替的备选计数）
+ * @param {Array} keyPoints - 关键点位数组
+ * @param {Object} [options] - 同 enumerateWaveCounts，另可传 maxCounts
+ * @returns {{ primary: Object|null, alternates: Array, total: number }} total 为通过铁律检查的计数总数
+ */
+function rankWaveCounts(keyPoints, options = {}) {
+  const maxCounts = options.maxCounts ?? WAVE_COUNT_CONFIG.MAX_COUNTS;
+  const weights = WAVE_COUNT_CONFIG.WEIGHTS;
+  const counts = enumerateWaveCounts(keyPoints, options);
+
+  // 无法计算的项（如只含1-2浪的计数没有交替与通道）按0分计入，分母始终为全部权重之和，避免短计数因比率少而得分虚高
+  const weightSum = Object.values(weights).reduce((a, b) => a + b, 0);
+  counts.forEach(count => {
+    const sum = Object.entries(count.scores)
+      .reduce((s, [key, value]) => s + weights[key.toUpperCase()] * (value ?? 0), 0);
+    count.score = sum / weightSum;
+  });
+  resolveLabelConflicts(counts, options.labelConflictPenalty ?? WAVE_COUNT_CONFIG.LABEL_CONFLICT_PENALTY);
+
+  const ranked = counts.sort((a, b) => b.score - a.score).slice(0, maxCounts);
+  const total = ranked.reduce((s, c) => s + c.score, 0);
+  ranked.forEach((count, i) => {
+    count.rank = i + 1;
+    count.confidence = total > 0 ? count.score / total : 1 / ranked.length;
+    count.label = describeCount(count);
+    count.invalidation = countInvalidation(count);
+  });
+  const result = { primary: ranked[0] || null, alternates: ranked.slice(1), total: counts.length };
+  ranked.forEach(count => {
+    count.invalidation = linkAlternateCounts(count.invalidation, result, count);
+  });
+  return result;
+}
+
+module.exports = {
+  COUNT_LABELS,
+  CORRECTIVE_COUNT_LABELS,
+  enumerateWaveCounts,
+  rankWaveCounts,
+  linkAlternateCounts
+};
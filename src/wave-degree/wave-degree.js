@@ -0,0 +1,188 @@
+/**
+ * 多级别波浪标注模块
+ * 文档 1.5 节：每一浪都由低一级的子浪组成（推动浪含 5 个子浪，调整浪含 3 个子浪，三角形含 5 个子浪）。
+ * identifyWaves12345AndABC 与 rankWaveCounts 只在一个级别上计数，本模块自高到低递归细分：
+ * - 最高一级取 rankWaveCounts 的首选计数
+ * - 每细分一层，关键点回看周期减半，在该浪起止点之间的细级别摆动点上寻找完整的子浪结构：
+ *   推动方向的浪（1、3、5浪，锯齿形的a、c浪，平台形的c浪）按 0-1-2-3-4-5 计数（含楔形）；
+ *   调整方向的浪（2、4浪，b浪，平台形的a浪，三角形与联合形的各浪）依次尝试 0-a-b-c（锯齿形/平台形）、三角形、联合形
+ * - 下一层找不到完整子浪结构时继续用更细的关键点尝试，直到最细一层仍找不到（或摆动点不足）时不再细分
+ * - 各级按 WAVE_DEGREE_CONFIG 的级别记号标注，如中浪 (1)、小浪 1、小细浪 (i)
+ */
+
+const { WAVE_DEGREE_CONFIG } = require('../config/config');
+const { identifyKeyPoints, adaptiveLookback } = require('../wave/wave');
+const { COUNT_LABELS, CORRECTIVE_COUNT_LABELS, rankWaveCounts } = require('../wave-count/wave-count');
+const { toSwings, classifyTriangle, identifyCombination } = require('../corrective/corrective');
+
+const ROMAN_NUMERALS = { 1: 'i', 2: 'ii', 3: 'iii', 4: 'iv', 5: 'v' };
+
+// 各形态中子浪的性质：motive 推动方向（5浪结构），corrective 调整方向（3浪结构），any 两者都尝试
+const SUBWAVE_ROLES = {
+  impulse: { 1: 'motive', 2: 'corrective', 3: 'motive', 4: 'corrective', 5: 'motive' },
+  diagonal: { 1: 'any', 2: 'corrective', 3: 'any', 4: 'corrective', 5: 'any' },
+  zigzag: { a: 'motive', b: 'corrective', c: 'motive' },
+  flat: { a: 'corrective', b: 'corrective', c: 'motive' },
+  triangle: { a: 'corrective', b: 'corrective', c: 'corrective', d: 'corrective', e: 'corrective' },
+  combination: { w: 'corrective', x: 'corrective', y: 'corrective', xx: 'corrective', z: 'corrective' }
+};
+
+/**
+ * 按级别记号格式化浪名
+ * @param {string} wave - 浪名（'1'..'5'、'a'..'e'、'w'、'x'、'y'、'xx'、'z'）
+ * @param {Object} degree - WAVE_DEGREE_CONFIG.DEGREES 中的一项
+ * @returns {string} 如 '[1]'、'(A)'、'3'、'(iv)'、'b'
+ */
+function formatDegreeLabel(wave, degree) {
+  const arabic = degree.NUMERALS === 'arabic';
+  let text;
+  if (/^\d$/.test(wave)) {
+    text = arabic ? wave : ROMAN_NUMERALS[wave];
+  } else {
+    text = arabic ? wave.toUpperCase() : wave.toLowerCase();
+  }
+  return degree.WRAP ? `${degree.WRAP[0]}${text}${degree.WRAP[1]}` : text;
+}
+
+/**
+ * 由计数标注点生成相邻两点之间的各浪
+ * @param {Array} points - [{ label, point }]
+ * @returns {Array} [{ wave, start, end }]
+ */
+function countToWaves(points) {
+  return points.slice(1).map((p, k) => ({ wave: p.label, start: points[k].point, end: p.point }));
+}
+
+/**
+ * 在 [start, end] 之间的细级别摆动点上寻找完整的子浪结构
+ * @param {Object} start - 该浪起点
+ * @param {Object} end - 该浪终点
+ * @param {string} role - 'motive' | 'corrective' | 'any'
+ * @param {Array} keyPoints - 细级别关键点位
+ * @param {Object} options - { subPoints }
+ * @returns {Object|null} { pattern, label, waves: [{ wave, start, end }] }
+ */
+function fitSubwaves(start, end, role, keyPoints, options) {
+  const inner = keyPoints.filter(p => p.time > start.time && p.time < end.time);
+  const swings = toSwings([start, ...inner, end]);
+  // 区间内出现比起止点更极端的摆动点时，起止点不是该浪的端点，无法细分
+  if (swings.length < 4 || swings[0] !== start || swings[swings.length - 1] !== end) return null;
+
+  const rankOptions = { complete: true, maxCounts: 1, subPoints: options.subPoints };
+  if (role !== 'corrective') {
+    const { primary } = rankWaveCounts(swings, { ...rankOptions, sequences: [COUNT_LABELS] });
+    if (primary) {
+      return {
+        pattern: primary.diagonal ? 'diagonal' : 'impulse',
+        label: primary.diagonal ? primary.diagonal.label : '推动浪',
+        waves: countToWaves(primary.points)
+      };
+    }
+  }
+  if (role === 'motive') return null;
+
+  const { primary } = rankWaveCounts(swings, { ...rankOptions, sequences: [CORRECTIVE_COUNT_LABELS] });
+  if (primary) {
+    return { pattern: primary.classification.pattern, label: primary.classification.label, waves: countToWaves(primary.points) };
+  }
+  const triangle = swings.length === 6 ? classifyTriangle(swings) : null;
+  if (triangle) {
+    return {
+      pattern: 'triangle',
+      label: triangle.label,
+      waves: ['a', 'b', 'c', 'd', 'e'].map((wave, k) => ({ wave, start: swings[k], end: swings[k + 1] }))
+    };
+  }
+  const combination = identifyCombination(swings, start);
+  const last = combination && (combination.waveZ || combination.waveY);
+  if (last && last.end === end) {
+    return {
+      pattern: 'combination',
+      label: combination.label,
+      waves: ['w', 'x', 'y', 'xx', 'z']
+        .map(wave => ({ wave, leg: combination[`wave${wave.toUpperCase()}`] }))
+        .filter(({ leg }) => leg)
+        .map(({ wave, leg }) => ({ wave, start: leg.start, end: leg.end }))
+    };
+  }
+  return null;
+}
+
+/**
+ * 多级别波浪标注
+ * @param {Array} klineData - 标准K线数组
+ * @param {Object} [options] - { lookback: 最高一级的关键点回看周期（默认按数据量自适应）, topDegree: 最高一级的级别 KEY }
+ * @returns {Object|null} 标注树 { degree, degreeName, lookback, lookbacks, label, count, children }，count 为最高一级的首选计数；
+ *   children 中每个节点 { wave, label, degree, degreeName, start, end, startPrice, endPrice, pattern, patternLabel, children }，
+ *   pattern 为该浪内部的子浪结构（未能细分时为 null，children 为空）。无可行计数时返回 null
+ */
+function buildWaveDegreeTree(klineData, options = {}) {
+  if (!klineData || klineData.length === 0) return null;
+  const topDegree = options.topDegree ?? WAVE_DEGREE_CONFIG.TOP_DEGREE;
+  const topIndex = WAVE_DEGREE_CONFIG.DEGREES.findIndex(d => d.KEY === topDegree);
+  if (topIndex < 0) {
+    throw new Error(`未知的波浪级别: ${topDegree}`);
+  }
+  const degrees = WAVE_DEGREE_CONFIG.DEGREES.slice(topIndex);
+
+  // 每细分一层回看周期减半，层数不超过可用的级别数
+  const lookbacks = [];
+  for (let lb = options.lookback ?? adaptiveLookback(klineData.length);
+    lb >= WAVE_DEGREE_CONFIG.MIN_LOOKBACK && lookbacks.length < degrees.length;
+    lb = Math.floor(lb / 2)) {
+    lookbacks.push(lb);
+  }
+  const levels = lookbacks.map(lb => identifyKeyPoints(klineData, lb));
+  const subPoints = identifyKeyPoints(klineData, 1);
+
+  const { primary } = rankWaveCounts(levels[0], { subPoints });
+  if (!primary) return null;
+
+  const makeNode = ({ wave, start, end }, depth) => ({
+    wave,
+    label: formatDegreeLabel(wave, degrees[depth]),
+    degree: degrees[depth].KEY,
+    degreeName: degrees[depth].NAME,
+    start,
+    end,
+    startPrice: start.price,
+    endPrice: end.price,
+    pattern: null,
+    patternLabel: null,
+    children: []
+  });
+
+  // depth 为节点的级别层数，level 为识别该节点所用的关键点层；下一层细分不出时继续尝试更细的关键点
+  const subdivide = (node, role, depth, level) => {
+    for (let next = level + 1; next < levels.length; next++) {
+      const fit = fitSubwaves(node.start, node.end, role, levels[next], { subPoints });
+      if (!fit) continue;
+      node.pattern = fit.pattern;
+      node.patternLabel = fit.label;
+      node.children = fit.waves.map(w => makeNode(w, depth + 1));
+      node.children.forEach(child => subdivide(child, SUBWAVE_ROLES[fit.pattern][child.wave], depth + 1, next));
+      return;
+    }
+  };
+
+  // 最高一级：推动浪部分按驱动浪分配子浪性质，a-b-c 部分按其锯齿/平台形归类（未完成时两者都尝试）
+  const correctiveRoles = primary.classification ? SUBWAVE_ROLES[primary.classification.pattern] : {};
+  const motiveRoles = SUBWAVE_ROLES[primary.diagonal ? 'diagonal' : 'impulse'];
+  const children = countToWaves(primary.points).map(w => makeNode(w, 0));
+  children.forEach(child => subdivide(child, motiveRoles[child.wave] || correctiveRoles[child.wave] || 'any', 0, 0));
+
+  return {
+    degree: degrees[0].KEY,
+    degreeName: degrees[0].NAME,
+    lookback: lookbacks[0],
+    lookbacks,
+    label: primary.label,
+    count: primary,
+    children
+  };
+}
+
+module.exports = {
+  formatDegreeLabel,
+  buildWaveDegreeTree
+};
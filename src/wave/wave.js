@@ -3,12 +3,25 @@
  * 包含识别波浪结构和分析波浪的函数
  */
 
-const { REFERENCE_POINTS } = require('../config/config');
+const { REFERENCE_POINTS, INSTRUMENT_CONFIG } = require('../config/config');
 const { calculateRetracementLevels, calculateBounceLevels, calculateExtensionLevels } = require('../fibonacci/fibonacci');
+const { assertNormalizedBars } = require('../kline/kline');
+const {
+  countSubwaves,
+  classifyZigzag,
+  identifyZigzag,
+  classifyFlat,
+  identifyFlat,
+  identifyTriangle,
+  identifyContractingTriangle,
+  validateContractingTriangle,
+  buildElliottChannel,
+  identifyCombination
+} = require('../corrective/corrective');
 
 /**
  * 从K线数据中识别关键高低点（用于波浪识别）
- * @param {Array} klineData - K线数据数组（已按时间排序）
+ * @param {Array} klineData - 标准K线数组（已按时间排序）
  * @param {number} lookbackPeriod - 回看周期（用于识别局部高低点）
  * @returns {Array} 关键点位数组 [{type: 'high'|'low', price, time, index}]
  */
@@ -16,18 +29,15 @@ function identifyKeyPoints(klineData, lookbackPeriod = 5) {
   if (!klineData || klineData.length < lookbackPeriod * 2) {
     return [];
   }
+  assertNormalizedBars(klineData, 'identifyKeyPoints');
   
   const keyPoints = [];
-  const sorted = [...klineData].sort((a, b) => {
-    const timeA = a.time || new Date(a.timestamp).getTime();
-    const timeB = b.time || new Date(b.timestamp).getTime();
-    return timeA - timeB;
-  });
+  const sorted = [...klineData].sort((a, b) => a.time - b.time);
   
   for (let i = lookbackPeriod; i < sorted.length - lookbackPeriod; i++) {
     const current = sorted[i];
-    const currentHigh = current.high || current.close || current.price;
-    const currentLow = current.low || current.close || current.price;
+    const currentHigh = current.high;
+    const currentLow = current.low;
     
     // 检查是否为局部高点
     let isLocalHigh = true;
@@ -35,8 +45,8 @@ function identifyKeyPoints(klineData, lookbackPeriod = 5) {
     
     for (let j = i - lookbackPeriod; j <= i + lookbackPeriod; j++) {
       if (j === i) continue;
-      const compareHigh = sorted[j].high || sorted[j].close || sorted[j].price;
-      const compareLow = sorted[j].low || sorted[j].close || sorted[j].price;
+      const compareHigh = sorted[j].high;
+      const compareLow = sorted[j].low;
       
       if (compareHigh >= currentHigh) isLocalHigh = false;
       if (compareLow <= currentLow) isLocalLow = false;
@@ -46,7 +56,7 @@ function identifyKeyPoints(klineData, lookbackPeriod = 5) {
       keyPoints.push({
         type: 'high',
         price: currentHigh,
-        time: current.time || new Date(current.timestamp).getTime(),
+        time: current.time,
         timestamp: current.timestamp,
         index: i
       });
@@ -56,7 +66,7 @@ function identifyKeyPoints(klineData, lookbackPeriod = 5) {
       keyPoints.push({
         type: 'low',
         price: currentLow,
-        time: current.time || new Date(current.timestamp).getTime(),
+        time: current.time,
         timestamp: current.timestamp,
         index: i
       });
@@ -72,19 +82,16 @@ function identifyKeyPoints(klineData, lookbackPeriod = 5) {
 /**
  * 从关键点位中识别第一浪（寻找最大的上升推动浪）
  * @param {Array} keyPoints - 关键点位数组
- * @param {Array} klineData - K线数据数组
+ * @param {Array} klineData - 标准K线数组
  * @returns {Object|null} 第一浪结构 {start, end, startTime, endTime, range}
  */
 function identifyWave1(keyPoints, klineData) {
   if (!keyPoints || keyPoints.length < 2) {
     return null;
   }
+  assertNormalizedBars(klineData, 'identifyWave1');
   
-  const sorted = [...klineData].sort((a, b) => {
-    const timeA = a.time || new Date(a.timestamp).getTime();
-    const timeB = b.time || new Date(b.timestamp).getTime();
-    return timeA - timeB;
-  });
+  const sorted = [...klineData].sort((a, b) => a.time - b.time);
   
   // 找到全局最低点和最高点
   let globalLow = Infinity;
@@ -93,8 +100,8 @@ function identifyWave1(keyPoints, klineData) {
   let highIndex = -1;
   
   sorted.forEach((item, index) => {
-    const low = item.low || item.close || item.price;
-    const high = item.high || item.close || item.price;
+    const low = item.low;
+    const high = item.high;
     
     if (low < globalLow) {
       globalLow = low;
@@ -116,8 +123,8 @@ function identifyWave1(keyPoints, klineData) {
   const wave1 = {
     start: globalLow,
     end: globalHigh,
-    startTime: sorted[lowIndex].time || new Date(sorted[lowIndex].timestamp).getTime(),
-    endTime: sorted[highIndex].time || new Date(sorted[highIndex].timestamp).getTime(),
+    startTime: sorted[lowIndex].time,
+    endTime: sorted[highIndex].time,
     range: globalHigh - globalLow
   };
   
@@ -219,7 +226,9 @@ function inferWaveStructure(klineData) {
     wave2: wave2,
     triangle: triangle,
     keyPoints: keyPoints,
-    dataPoints: klineData.length
+    dataPoints: klineData.length,
+    // 计数失效位：2浪不能折返1浪起点
+    invalidation: buildInvalidationLevels({ wave1: { startPrice: wave1.start, endPrice: wave1.end } }, wave1.end > wave1.start)
   };
   
   return structure;
@@ -229,11 +238,15 @@ function inferWaveStructure(klineData) {
  * 分析第二浪
  * @param {number} currentPrice - 当前价格
  * @param {Object} waveStructure - 波浪结构
- * @returns {Object} 分析结果
+ * @returns {Object|null} 分析结果；未识别出波浪结构且当前品种未配置参考点位时返回 null
  */
 function analyzeWave2(currentPrice, waveStructure) {
   // 如果没有波浪结构，使用参考点位
   if (!waveStructure || !waveStructure.wave1) {
+    if (!REFERENCE_POINTS) {
+      console.warn(`⚠️  ${INSTRUMENT_CONFIG.NAME}未识别出波浪结构且未配置参考点位，只显示价格（可用 --import 导入K线数据）`);
+      return null;
+    }
     console.log('📌 使用参考点位进行分析');
     
     const wave1Start = REFERENCE_POINTS.WAVE_1.START;
@@ -277,6 +290,7 @@ function analyzeWave2(currentPrice, waveStructure) {
         RISE_V_HIGH: riseVHigh,
         IV_LOW: ivLow
       },
+      invalidation: buildInvalidationLevels({ wave1: { startPrice: wave1Start, endPrice: wave1End } }, wave1End > wave1Start),
       keyLevels: [
         { price: wave1Start, type: 'support', label: '第一浪起点' },
         { price: retracementLevels[0.236], type: 'support', label: '0.236回撤位' },
@@ -359,178 +373,35 @@ function analyzeWave2(currentPrice, waveStructure) {
     extensionLevels: extensionLevels,
     monitorPoints: monitorPoints,
     keyLevels: keyLevels,
+    invalidation: waveStructure.invalidation ||
+      buildInvalidationLevels({ wave1: { startPrice: wave1.start, endPrice: wave1.end } }, wave1.end > wave1.start),
     inferred: true
   };
 }
 
 /**
- * 识别收缩三角形
- * @param {Array} keyPoints - 关键点位数组
- * @param {Array} klineData - K线数据数组
- * @returns {Object|null} 收缩三角形结构
- */
-function identifyContractingTriangle(keyPoints, klineData) {
-  if (!keyPoints || keyPoints.length < 5) {
-    return null;
-  }
-  
-  // 按时间排序
-  const sortedPoints = [...keyPoints].sort((a, b) => a.time - b.time);
-  
-  // 尝试识别a-b-c-d-e结构
-  for (let i = 0; i <= sortedPoints.length - 5; i++) {
-    const a = sortedPoints[i];
-    const b = sortedPoints[i + 1];
-    const c = sortedPoints[i + 2];
-    const d = sortedPoints[i + 3];
-    const e = sortedPoints[i + 4];
-    
-    // 验证收缩三角形的基本结构
-    if (validateContractingTriangle([a, b, c, d, e])) {
-      // 计算各浪的价格范围
-      const aPrice = Math.abs(a.price - b.price);
-      const bPrice = Math.abs(b.price - c.price);
-      const cPrice = Math.abs(c.price - d.price);
-      const dPrice = Math.abs(d.price - e.price);
-      
-      // 构建三角形结构
-      const triangle = {
-        type: a.price > b.price ? 'regular' : 'running',
-        a: a,
-        b: b,
-        c: c,
-        d: d,
-        e: e,
-        prices: {
-          a: aPrice,
-          b: bPrice,
-          c: cPrice,
-          d: dPrice
-        },
-        isValid: true
-      };
-      
-      return triangle;
-    }
-  }
-  
-  return null;
-}
-
-/**
- * 验证收缩三角形
- * @param {Array} points - 5个关键点的数组 [a, b, c, d, e]
- * @returns {boolean} 是否为有效的收缩三角形
- */
-function validateContractingTriangle(points) {
-  if (!points || points.length !== 5) {
-    return false;
-  }
-  
-  const [a, b, c, d, e] = points;
-  
-  // 验证价格走势
-  // 规则1: a和c同方向，b和d同方向，且方向相反
-  const aToBUp = b.price > a.price;
-  const bToCUp = c.price > b.price;
-  const cToDUp = d.price > c.price;
-  const dToEUp = e.price > d.price;
-  
-  if (aToBUp === bToCUp || bToCUp === cToDUp || cToDUp === dToEUp) {
-    return false;
-  }
-  
-  // 规则2: 价格范围应该逐渐缩小
-  const aPrice = Math.abs(a.price - b.price);
-  const bPrice = Math.abs(b.price - c.price);
-  const cPrice = Math.abs(c.price - d.price);
-  const dPrice = Math.abs(d.price - e.price);
-  
-  if (aPrice < bPrice || bPrice < cPrice || cPrice < dPrice) {
-    return false;
-  }
-  
-  // 规则3: b浪价格不能超过a浪的1.382倍
-  if (bPrice > aPrice * 1.382) {
-    return false;
-  }
-  
-  // 规则4: c浪价格不能超过b浪的1倍
-  if (cPrice > bPrice) {
-    return false;
-  }
-  
-  // 规则5: d浪价格不能超过c浪的1倍
-  if (dPrice > cPrice) {
-    return false;
-  }
-  
-  // 规则6: e浪价格不能超过d浪的1倍
-  if (Math.abs(e.price - d.price) > dPrice) {
-    return false;
-  }
-  
-  // 规则7: e浪终点必须在a浪的价格范围内
-  const aRangeMin = Math.min(a.price, b.price);
-  const aRangeMax = Math.max(a.price, b.price);
-  if (e.price < aRangeMin || e.price > aRangeMax) {
-    return false;
-  }
-  
-  return true;
-}
-
-/**
- * 构建艾略特通道
- * @param {Array} points - 关键点位数组
- * @returns {Object|null} 艾略特通道
+ * 根据K线数量自适应关键点回看周期
+ * 数据量少时用小 lookback，否则高低点过少导致识别失败（如 160 条用 8 只得 2 个高点）
+ * 修复：< 100 条用 3（识别更密集的小波动），100-300 条用 4，> 300 条用 6
+ * @param {number} length - K线数量
+ * @returns {number}
  */
-function buildElliottChannel(points) {
-  if (points.length < 4) {
-    return null;
-  }
-  
-  const a = points[0];
-  const b = points[1];
-  const c = points[2];
-  const d = points[3];
-  
-  // 计算上轨和下轨的斜率
-  const upperSlope = (b.price - d.price) / (b.time - d.time);
-  const lowerSlope = (a.price - c.price) / (a.time - c.time);
-  
-  // 验证通道是否收缩
-  const isContracting = Math.abs(upperSlope) > Math.abs(lowerSlope) || 
-                       Math.sign(upperSlope) !== Math.sign(lowerSlope);
-  
-  return {
-    upper: {
-      start: b,
-      end: d,
-      slope: upperSlope
-    },
-    lower: {
-      start: a,
-      end: c,
-      slope: lowerSlope
-    },
-    isContracting: isContracting
-  };
+function adaptiveLookback(length) {
+  return length < 100 ? 3 : length < 300 ? 4 : 6;
 }
 
 /**
  * 识别推动浪 1-2-3-4-5 和调整浪 a-b-c
  * 基于关键点位，按照艾略特波浪规则识别
- * @param {Array} klineData - K线数据
+ * @param {Array} klineData - 标准K线数组
  * @param {number} [lookbackPeriod] - 局部高低点回看周期，不传则根据数据量自适应
- * @returns {Object|null} { impulse: { wave1..wave5 }, corrective: { waveA, waveB, waveC }, keyPoints }
+ * @returns {Object|null} { impulse: { wave1..wave5 }, corrective: { waveA, waveB, waveC, classification }, wxy, zigzag, flat, triangle, correctiveCandidates, keyPoints, invalidation }
  */
 function identifyWaves12345AndABC(klineData, lookbackPeriod) {
   if (!klineData || klineData.length < 32) return null;
+  assertNormalizedBars(klineData, 'identifyWaves12345AndABC');
 
-  // 数据量少时用小 lookback，否则高低点过少导致识别失败（如 160 条用 8 只得 2 个高点）
-  // 修复：< 100 条用 3（识别更密集的小波动），100-300 条用 4，> 300 条用 6
-  const lp = lookbackPeriod != null ? lookbackPeriod : (klineData.length < 100 ? 3 : klineData.length < 300 ? 4 : 6);
+  const lp = lookbackPeriod != null ? lookbackPeriod : adaptiveLookback(klineData.length);
 
   const keyPoints = identifyKeyPoints(klineData, lp);
   if (keyPoints.length < 6) return null;
@@ -581,19 +452,18 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
     }
     // 若关键点中无标准浪2，从 K 线数据中直接寻找浪1终点之后最低的 low（更准确）
     if (!w2End && klineData && klineData.length > 0) {
-      const w1Time = w1End.time || w1End.timestamp * 1000;
-      const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-      const afterW1 = klineData.filter(d => getT(d) > w1Time);
+      const w1Time = w1End.time;
+      const afterW1 = klineData.filter(d => d.time > w1Time);
       if (afterW1.length > 0) {
         // 取后续 K 线中最低的 low（不超过20根，避免跨度太大）
         const searchRange = afterW1.slice(0, 20);
         const minLow = searchRange.reduce((min, d) => {
-          const low = d.low ?? d.close ?? d.price;
-          return (low < (min.low ?? min.close ?? min.price)) ? d : min;
+          const low = d.low;
+          return low < min.low ? d : min;
         }, searchRange[0]);
-        const lowPrice = minLow.low ?? minLow.close ?? minLow.price;
+        const lowPrice = minLow.low;
         if (lowPrice < w1End.price) {
-          w2End = { type: 'low', price: lowPrice, time: getT(minLow), timestamp: minLow.timestamp };
+          w2End = { type: 'low', price: lowPrice, time: minLow.time, timestamp: minLow.timestamp };
           // 找到对应的关键点索引（用于后续浪3识别）
           const w2KeyPoint = pointsAfterLow.find(p => Math.abs(p.price - lowPrice) < 0.01 && p.time > w1Time);
           if (w2KeyPoint) {
@@ -646,18 +516,17 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
           }
           // K线补充寻找浪2
           if (!w2End && klineData && klineData.length > 0) {
-            const w1Time = w1End.time || (w1End.timestamp > 1e12 ? w1End.timestamp : w1End.timestamp * 1000);
-            const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-            const afterW1 = klineData.filter(d => getT(d) > w1Time);
+            const w1Time = w1End.time;
+            const afterW1 = klineData.filter(d => d.time > w1Time);
             if (afterW1.length > 0) {
               const searchRange = afterW1.slice(0, 20);
               const minLow = searchRange.reduce((min, d) => {
-                const low = d.low ?? d.close ?? d.price;
-                return (low < (min.low ?? min.close ?? min.price)) ? d : min;
+                const low = d.low;
+                return low < min.low ? d : min;
               }, searchRange[0]);
-              const lowPrice = minLow.low ?? minLow.close ?? minLow.price;
+              const lowPrice = minLow.low;
               if (lowPrice < w1End.price) {
-                w2End = { type: 'low', price: lowPrice, time: getT(minLow), timestamp: minLow.timestamp };
+                w2End = { type: 'low', price: lowPrice, time: minLow.time, timestamp: minLow.timestamp };
                 const w2KeyPoint = pointsAfterLow.find(p => Math.abs(p.price - lowPrice) < 0.01 && p.time > w1Time);
                 if (w2KeyPoint) cursor = pointsAfterLow.indexOf(w2KeyPoint);
               }
@@ -718,18 +587,17 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
     }
     // 若关键点中未找到浪3，从K线数据取浪2之后的最高点（高于浪1终点）
     if (!w3End && w2End && klineData && klineData.length > 0) {
-      const w2Time = w2End.time || (w2End.timestamp > 1e12 ? w2End.timestamp : w2End.timestamp * 1000);
-      const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-      const after2Kline = klineData.filter(d => getT(d) > w2Time);
+      const w2Time = w2End.time;
+      const after2Kline = klineData.filter(d => d.time > w2Time);
       if (after2Kline.length > 0) {
         const maxCandle = after2Kline.reduce((max, d) => {
-          const h = d.high ?? d.close ?? d.price;
-          const mH = max.high ?? max.close ?? max.price;
+          const h = d.high;
+          const mH = max.high;
           return h > mH ? d : max;
         }, after2Kline[0]);
-        const maxPrice = maxCandle.high ?? maxCandle.close ?? maxCandle.price;
+        const maxPrice = maxCandle.high;
         if (maxPrice > w1End.price) {
-          w3End = { type: 'high', price: maxPrice, time: getT(maxCandle), timestamp: maxCandle.timestamp };
+          w3End = { type: 'high', price: maxPrice, time: maxCandle.time, timestamp: maxCandle.timestamp };
         }
       }
     }
@@ -770,18 +638,17 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
     }
     // 若关键点中未找到，从K线数据取浪4之后的最高点
     if (!w5End && w4End && klineData && klineData.length > 0) {
-      const w4Time = w4End.time || (w4End.timestamp > 1e12 ? w4End.timestamp : w4End.timestamp * 1000);
-      const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-      const after4Kline = klineData.filter(d => getT(d) > w4Time);
+      const w4Time = w4End.time;
+      const after4Kline = klineData.filter(d => d.time > w4Time);
       if (after4Kline.length > 0) {
         const maxCandle = after4Kline.reduce((max, d) => {
-          const h = d.high ?? d.close ?? d.price;
-          const mH = max.high ?? max.close ?? max.price;
+          const h = d.high;
+          const mH = max.high;
           return h > mH ? d : max;
         }, after4Kline[0]);
-        const maxPrice = maxCandle.high ?? maxCandle.close ?? maxCandle.price;
+        const maxPrice = maxCandle.high;
         if (maxPrice > w4End.price) {
-          w5End = { type: 'high', price: maxPrice, time: getT(maxCandle), timestamp: maxCandle.timestamp };
+          w5End = { type: 'high', price: maxPrice, time: maxCandle.time, timestamp: maxCandle.timestamp };
         }
       }
     }
@@ -814,15 +681,14 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
         }
         // 从 K 线补充：若存在更低点（如 2/7 07:00 的 4702），取浪b之后最低的低点
         if (klineData && klineData.length > 0) {
-          const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-          const bTime = bEnd.time || bEnd.timestamp * 1000;
-          const kSorted = [...klineData].sort((a, b) => getT(a) - getT(b));
-          const afterBKline = kSorted.filter(d => getT(d) > bTime);
+          const bTime = bEnd.time;
+          const kSorted = [...klineData].sort((a, b) => a.time - b.time);
+          const afterBKline = kSorted.filter(d => d.time > bTime);
           let minLow = null;
           for (const d of afterBKline) {
-            const low = d.low ?? d.close ?? d.price;
+            const low = d.low;
             if (low != null && low < aEnd.price && (!minLow || low < minLow.price)) {
-              minLow = { type: 'low', price: low, time: getT(d) };
+              minLow = { type: 'low', price: low, time: d.time };
             }
           }
           if (minLow && (!cEnd || minLow.price < cEnd.price)) {
@@ -945,18 +811,17 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
     }
     // 若关键点中未找到创新低的浪5，从K线数据取浪4之后低于浪3的最低点
     if (!w5End && w4End && w3End && klineData && klineData.length > 0) {
-      const w4Time = w4End.time || (w4End.timestamp > 1e12 ? w4End.timestamp : w4End.timestamp * 1000);
-      const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-      const after4Kline = klineData.filter(d => getT(d) > w4Time);
+      const w4Time = w4End.time;
+      const after4Kline = klineData.filter(d => d.time > w4Time);
       if (after4Kline.length > 0) {
         const minCandle = after4Kline.reduce((min, d) => {
-          const l = d.low ?? d.close ?? d.price;
-          const mL = min.low ?? min.close ?? min.price;
+          const l = d.low;
+          const mL = min.low;
           return l < mL ? d : min;
         }, after4Kline[0]);
-        const minPrice = minCandle.low ?? minCandle.close ?? minCandle.price;
+        const minPrice = minCandle.low;
         if (minPrice < w3End.price) {
-          w5End = { type: 'low', price: minPrice, time: getT(minCandle), timestamp: minCandle.timestamp };
+          w5End = { type: 'low', price: minPrice, time: minCandle.time, timestamp: minCandle.timestamp };
         }
       }
     }
@@ -967,7 +832,6 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
     if (!w5End && w3End && w4End && w2End) {
       console.log('[波浪识别] 🔄 浪5未创新低，尝试回溯重新划分浪3/4/5（目标：浪5覆盖全局最低）...');
       const origW3 = w3End; // 保留原浪3终点（即全局最低点附近）
-      const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
       let candidateHighsFromKline = []; // K线补充的候选高点
       
       // 收集浪2终点到原浪3终点之间所有的关键低点作为候选浪3
@@ -977,10 +841,10 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
       
       // 同时从K线数据补充更多候选点（用 lookback=1 识别更多极值点，确保急跌行情中也能找到反弹段）
       if (klineData && klineData.length > 0) {
-        const w2Time = w2End.time || (w2End.timestamp > 1e12 ? w2End.timestamp : w2End.timestamp * 1000);
-        const w3Time = origW3.time || (origW3.timestamp > 1e12 ? origW3.timestamp : origW3.timestamp * 1000);
-        const kSorted = [...klineData].sort((a, b) => getT(a) - getT(b));
-        const segKline = kSorted.filter(d => getT(d) > w2Time && getT(d) <= w3Time);
+        const w2Time = w2End.time;
+        const w3Time = origW3.time;
+        const kSorted = [...klineData].sort((a, b) => a.time - b.time);
+        const segKline = kSorted.filter(d => d.time > w2Time && d.time <= w3Time);
         if (segKline.length >= 3) {
           const segPoints = identifyKeyPoints(segKline, 1);
           // 合并到候选列表（去重）
@@ -1020,14 +884,14 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
           );
           // 也从K线数据搜索浪5（使用K线的 low 字段，因为全局最低可能在影线中）
           if (klineData && klineData.length > 0) {
-            const kSorted = [...klineData].sort((a, b) => getT(a) - getT(b));
-            const after4Kline = kSorted.filter(d => getT(d) > candW4.time);
+            const kSorted = [...klineData].sort((a, b) => a.time - b.time);
+            const after4Kline = kSorted.filter(d => d.time > candW4.time);
             // 找K线中 low 最低的那根蜡烛
             let klineMinLow = null;
             for (const d of after4Kline) {
-              const low = d.low ?? d.close ?? d.price;
+              const low = d.low;
               if (low < candW3.price && (!klineMinLow || low < klineMinLow.price)) {
-                klineMinLow = { type: 'low', price: low, time: getT(d) };
+                klineMinLow = { type: 'low', price: low, time: d.time };
               }
             }
             if (klineMinLow) {
@@ -1037,13 +901,13 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
           }
           // 同样从原浪3终点区域往后的K线数据里搜索（覆盖更大范围）
           if (klineData && klineData.length > 0) {
-            const kSorted = [...klineData].sort((a, b) => getT(a) - getT(b));
+            const kSorted = [...klineData].sort((a, b) => a.time - b.time);
             // 搜索 candW4 之后到数据末尾的全部 low 值
-            const after4All = kSorted.filter(d => getT(d) > candW4.time);
+            const after4All = kSorted.filter(d => d.time > candW4.time);
             for (const d of after4All) {
-              const low = d.low ?? d.close ?? d.price;
+              const low = d.low;
               if (low < candW3.price) {
-                candW5Arr.push({ type: 'low', price: low, time: getT(d) });
+                candW5Arr.push({ type: 'low', price: low, time: d.time });
               }
             }
           }
@@ -1087,18 +951,17 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
     if (!w4End && w3End) {
       // 若浪4完全未找到，从K线数据取浪3之后的最高点（仅限低于浪1终点）
       if (klineData && klineData.length > 0) {
-        const t3 = w3End.time || w3End.timestamp * 1000;
-        const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-        const after3Kline = klineData.filter(d => getT(d) > t3);
+        const t3 = w3End.time;
+        const after3Kline = klineData.filter(d => d.time > t3);
         if (after3Kline.length > 0) {
           const maxCandle = after3Kline.reduce((m, d) => {
-            const h = d.high ?? d.close ?? d.price;
-            const mH = m.high ?? m.close ?? m.price;
+            const h = d.high;
+            const mH = m.high;
             return (h || 0) > (mH || 0) ? d : m;
           }, after3Kline[0]);
-          const h = maxCandle.high ?? maxCandle.close ?? maxCandle.price;
+          const h = maxCandle.high;
           if (h != null && h < w1End.price) {
-            w4End = { type: 'high', price: h, time: getT(maxCandle) };
+            w4End = { type: 'high', price: h, time: maxCandle.time };
           }
         }
       }
@@ -1125,15 +988,14 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
           cEnd = firstHigh;
         }
         if (klineData && klineData.length > 0) {
-          const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-          const bTime = bEnd.time || bEnd.timestamp * 1000;
-          const kSorted = [...klineData].sort((a, b) => getT(a) - getT(b));
-          const afterBKline = kSorted.filter(d => getT(d) > bTime);
+          const bTime = bEnd.time;
+          const kSorted = [...klineData].sort((a, b) => a.time - b.time);
+          const afterBKline = kSorted.filter(d => d.time > bTime);
           let maxHigh = null;
           for (const d of afterBKline) {
-            const high = d.high ?? d.close ?? d.price;
+            const high = d.high;
             if (high != null && high > aEnd.price && (!maxHigh || high > maxHigh.price)) {
-              maxHigh = { type: 'high', price: high, time: getT(d) };
+              maxHigh = { type: 'high', price: high, time: d.time };
             }
           }
           if (maxHigh && (!cEnd || maxHigh.price > cEnd.price)) {
@@ -1147,21 +1009,54 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
     }
   }
 
-  // 驱动浪规则验证
-  const ruleValidation = validateImpulseRules(impulse, isUptrend);
-  // 尝试识别 W-X-Y 联合形（在 a-b-c 之上或替代）
+  // lookback=1 的细级别高低点，用于统计子浪数
+  const subPoints = identifyKeyPoints(klineData, 1);
+  // 驱动浪规则验证（4浪切入1浪时统计子浪，判断是否为楔形）
+  const ruleValidation = validateImpulseRules(impulse, isUptrend, { subPoints });
+  // 贪心识别的 a-b-c 按锯齿/平台规则归类，报告中显示具体形态而非笼统的 a-b-c
+  if (corrective.waveC) {
+    const abc = [corrective.waveA.start, corrective.waveA.end, corrective.waveB.end, corrective.waveC.end];
+    corrective.classification = classifyZigzag(abc, { subPoints }) || classifyFlat(abc) || null;
+  }
+  // 尝试识别 W-X-Y(-X-Z) 联合形（在 a-b-c 之上或替代）
   const wxy = identifyWXY(keyPoints, { wave5: impulse.wave5 });
+  // 锯齿类 a-b-c（5-3-5）及双锯齿 w-x-y、三锯齿 w-x-y-xx-z
+  const zigzag = impulse.wave5 ? identifyZigzag(sorted, impulse.wave5.end, { subPoints }) : null;
+  // 平台形 a-b-c（3-3-5，b浪回撤a浪90%以上）
+  const flat = impulse.wave5 ? identifyFlat(sorted, impulse.wave5.end) : null;
+  // 三角形 a-b-c-d-e（紧随5浪终点的5个摆动点）
+  const triangle = impulse.wave5 ? identifyTriangle(sorted, impulse.wave5.end) : null;
+  // 5浪之后的调整浪候选：贪心识别的 a-b-c、锯齿类、平台形、三角形、W-X-Y 联合形
+  const correctiveCandidates = [
+    corrective.waveC && {
+      pattern: 'abc',
+      label: corrective.classification ? `调整浪 a-b-c（${corrective.classification.label}）` : '调整浪 a-b-c',
+      structure: corrective
+    },
+    zigzag && { pattern: 'zigzag', label: zigzag.label, structure: zigzag },
+    flat && { pattern: 'flat', label: flat.label, structure: flat },
+    triangle && { pattern: 'triangle', label: triangle.label, structure: triangle },
+    wxy && { pattern: 'wxy', label: wxy.label ? `联合形 ${wxy.waveZ ? 'W-X-Y-XX-Z' : 'W-X-Y'}（${wxy.label}）` : '联合形 W-X-Y', structure: wxy }
+  ].filter(Boolean);
   // 浪c 之后的延续浪（新浪 1'-2'-3'-4'-5'，覆盖 2/6、2/7 等后续日期）
   const continuation = identifyContinuationAfterC(corrective, sorted, isUptrend, klineData);
+  // 计数失效位：浪c 之后已有延续浪 1'-2' 时按延续浪计算，否则按主推动浪
+  const current = continuation.wave1 && continuation.wave2 ? continuation : impulse;
+  const invalidation = buildInvalidationLevels(current, isUptrend, { pattern: current === impulse ? ruleValidation.pattern : 'impulse' });
 
   return {
     impulse,
     corrective,
     wxy,
+    zigzag,
+    flat,
+    triangle,
+    correctiveCandidates,
     continuation,
     keyPoints,
     isUptrend,
-    ruleValidation
+    ruleValidation,
+    invalidation
   };
 }
 
@@ -1171,31 +1066,30 @@ function identifyWaves12345AndABC(klineData, lookbackPeriod) {
  * @param {Object} corrective - 调整浪 { waveA, waveB, waveC }
  * @param {Array} sorted - 按时间排序的关键点位
  * @param {boolean} isUptrend - 主趋势方向（与原推动浪一致）
- * @param {Array} [klineData] - K线数据，用于补充关键点位不足时的极值点
+ * @param {Array} [klineData] - 标准K线数组，用于补充关键点位不足时的极值点
  * @returns {Object} { wave1, wave2, wave3, wave4?, wave5? } 或空对象
  */
 function identifyContinuationAfterC(corrective, sorted, isUptrend, klineData) {
   const c = corrective?.waveC;
   if (!c || !c.end) return {};
-  const cTime = c.end.time || c.end.timestamp * 1000;
+  const cTime = c.end.time;
   const cPrice = c.endPrice != null ? c.endPrice : (c.end?.price ?? c.end?.close);
   let afterC = sorted.filter(p => p.time > cTime);
   // 从 K 线补充浪c之后的极值点，确保 2/6、2/7 等后续日期有足够点位
   if (klineData && klineData.length > 0) {
-    const kSorted = [...klineData].sort((a, b) => (a.time || a.timestamp * 1000) - (b.time || b.timestamp * 1000));
-    const getT = (d) => d.time || (d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000);
-    const afterCKline = kSorted.filter(d => getT(d) > cTime);
+    const kSorted = [...klineData].sort((a, b) => a.time - b.time);
+    const afterCKline = kSorted.filter(d => d.time > cTime);
     const lp = 3; // 小 lookback 以捕捉更多极值
     for (let i = lp; i < afterCKline.length - lp; i++) {
       const d = afterCKline[i];
-      const t = getT(d);
-      const high = d.high ?? d.close ?? d.price;
-      const low = d.low ?? d.close ?? d.price;
+      const t = d.time;
+      const high = d.high;
+      const low = d.low;
       let isHigh = true, isLow = true;
       for (let j = i - lp; j <= i + lp; j++) {
         if (j === i) continue;
-        const h = afterCKline[j]?.high ?? afterCKline[j]?.close ?? afterCKline[j]?.price;
-        const l = afterCKline[j]?.low ?? afterCKline[j]?.close ?? afterCKline[j]?.price;
+        const h = afterCKline[j]?.high;
+        const l = afterCKline[j]?.low;
         if (h >= high) isHigh = false;
         if (l <= low) isLow = false;
       }
@@ -1255,11 +1149,13 @@ function identifyContinuationAfterC(corrective, sorted, isUptrend, klineData) {
 
 /**
  * 验证驱动浪（推动浪）铁律（基于黄金波浪理论推理文档 5.7 节）
+ * 唯一的违规是"4浪切入1浪"且符合楔形规则时，改判为楔形（楔形的4浪必须切入2浪），不再视为违规
  * @param {Object} impulse - 推动浪结构 { wave1..wave5 }
  * @param {boolean} isUptrend - 是否上升趋势
- * @returns {Object} { valid: boolean, violations: string[] }
+ * @param {Object} [options] - 传给 identifyDiagonal 的 { subPoints, position }
+ * @returns {Object} { valid: boolean, violations: string[], pattern: 'impulse'|'diagonal', diagonal? }
  */
-function validateImpulseRules(impulse, isUptrend) {
+function validateImpulseRules(impulse, isUptrend, options = {}) {
   const violations = [];
   const w1 = impulse.wave1;
   const w2 = impulse.wave2;
@@ -1291,11 +1187,12 @@ function validateImpulseRules(impulse, isUptrend) {
   }
 
   // 规则3：推动浪4浪不能切入1浪（仅推动浪，楔形允许）
+  const overlapViolation = '4浪切入1浪价格区间（推动浪不允许）';
   if (w4 && p4End != null) {
     if (isUptrend) {
-      if (p4End < p1End) violations.push('4浪切入1浪价格区间（推动浪不允许）');
+      if (p4End < p1End) violations.push(overlapViolation);
     } else {
-      if (p4End > p1End) violations.push('4浪切入1浪价格区间（推动浪不允许）');
+      if (p4End > p1End) violations.push(overlapViolation);
     }
   }
 
@@ -1336,23 +1233,167 @@ function validateImpulseRules(impulse, isUptrend) {
     }
   }
 
-  return { valid: violations.length === 0, violations };
+  // 仅因 4浪切入1浪 而违规时，检查是否为楔形
+  if (violations.length === 1 && violations[0] === overlapViolation) {
+    const diagonal = identifyDiagonal(impulse, isUptrend, options);
+    if (diagonal) {
+      return { valid: true, violations: [], pattern: 'diagonal', diagonal };
+    }
+  }
+
+  return { valid: violations.length === 0, violations, pattern: 'impulse' };
 }
 
 /**
- * 识别 W-X-Y 联合形调整（双锯齿/双重横向整理）
- * 基于关键点位识别 w-x-y 三段结构
+ * 由驱动浪规则（validateImpulseRules）推导当前计数的失效价位：价格越过失效位即说明该计数错误
+ * 按计数当前所处的位置给出仍可能被打破的规则：
+ * - 处于2浪/3浪初期：2浪不能折返1浪起点
+ * - 处于4浪/5浪：4浪不能切入1浪终点（楔形除外）、4浪不能折返3浪起点；5浪进行中且3浪短于1浪时，5浪不能长于3浪
+ * - 5浪已完成（处于调整浪）：调整浪作为更高一级的2浪，不能折返整个推动浪的起点
+ * @param {Object} impulse - 推动浪结构 { wave1..wave5 }（至少含1浪；各浪含 start/end 或 startPrice/endPrice）
+ * @param {boolean} isUptrend - 推动浪方向
+ * @param {Object} [options] - { pattern: 'impulse'|'diagonal' }，楔形允许4浪切入1浪
+ * @returns {Array} [{ key, rule, price, side: 'below'|'above', takeover }]，side 为失效方向，takeover 为失效后改判的计数
+ */
+function buildInvalidationLevels(impulse, isUptrend, options = {}) {
+  if (!impulse || !impulse.wave1) return [];
+  const startOf = w => (w.startPrice != null ? w.startPrice : w.start?.price ?? w.start);
+  const endOf = w => (w.endPrice != null ? w.endPrice : w.end?.price ?? w.end);
+  const { wave1: w1, wave3: w3, wave4: w4, wave5: w5 } = impulse;
+  const against = isUptrend ? 'below' : 'above';
+  const levels = [];
+
+  if (w5) {
+    levels.push({
+      key: 'IMPULSE_START',
+      rule: '调整浪（更高一级的2浪）不能折返推动浪起点',
+      price: startOf(w1),
+      side: against,
+      takeover: `1-5 浪改判为${isUptrend ? '下跌' : '上升'}趋势中的调整浪，按反向重新计数`
+    });
+    return levels;
+  }
+
+  if (!w3) {
+    levels.push({
+      key: 'WAVE_1_START',
+      rule: '2浪不能折返1浪起点',
+      price: startOf(w1),
+      side: against,
+      takeover: '1-2 浪改判为调整浪 a-b，c浪将继续运行'
+    });
+    return levels;
+  }
+
+  if (options.pattern !== 'diagonal') {
+    levels.push({
+      key: 'WAVE_1_END',
+      rule: '4浪不能切入1浪终点',
+      price: endOf(w1),
+      side: against,
+      takeover: '改判为楔形（4浪切入2浪区间，1-3、2-4 通道收缩或扩散）'
+    });
+  }
+  levels.push({
+    key: 'WAVE_3_START',
+    rule: '4浪不能折返3浪起点',
+    price: startOf(w3),
+    side: against,
+    takeover: '1-2-3 浪改判为调整浪 a-b-c'
+  });
+
+  // 5浪进行中：3浪不能是最短浪
+  const len1 = Math.abs(endOf(w1) - startOf(w1));
+  const len3 = Math.abs(endOf(w3) - startOf(w3));
+  if (w4 && len3 < len1) {
+    levels.push({
+      key: 'WAVE_5_MAX',
+      rule: '3浪不能是最短浪（5浪不能长于3浪）',
+      price: endOf(w4) + (isUptrend ? len3 : -len3),
+      side: isUptrend ? 'above' : 'below',
+      takeover: '3浪实为1浪延长中的子浪，需重新划分'
+    });
+  }
+  return levels;
+}
+
+/**
+ * 识别楔形（引导楔形 / 终结楔形，基于 波浪理论核心算法提炼/01-核心概念与算法基础.md 1.4.4、1.4.5 节）
+ * - 驱动浪共同规则：2浪不折返1浪100%，3浪超过1浪终点，4浪不折返3浪100%，3浪不是最短
+ * - 楔形特有：4浪必须切入2浪（即与1浪价格区间重叠）
+ * - 收缩楔形：1-3、2-4 通道线收缩，且 1 > 3 > 5、2 > 4；扩散楔形：通道扩散，且 1 < 3 < 5、2 < 4
+ * - 内部结构：终结楔形为 3-3-3-3-3；引导楔形为 5-3-5-3-5 或 3-3-3-3-3
+ *   未指定位置（options.position）时，1、3、5浪以5浪结构为主判为引导楔形，以3浪结构为主判为终结楔形；
+ *   子浪数不足以判断（无 subPoints、统计不出子浪或5浪与3浪各半）时 type 为 null，不猜测位置
+ * @param {Object} impulse - 驱动浪结构 { wave1..wave5 }（需含 start/end 点）
+ * @param {boolean} isUptrend - 是否上升
+ * @param {Object} [options] - { subPoints: 用于统计子浪的更细关键点位, position: 'leading'|'ending' }
+ * @returns {Object|null} 楔形结构 { type: 'leading'|'ending'|null, shape, label, structure, ... }，不满足规则时返回 null
+ */
+function identifyDiagonal(impulse, isUptrend, options = {}) {
+  const keys = ['wave1', 'wave2', 'wave3', 'wave4', 'wave5'];
+  if (!impulse || keys.some(k => !impulse[k] || !impulse[k].start || !impulse[k].end)) return null;
+  const dir = isUptrend ? 1 : -1;
+  const [p0, p1, p2, p3, p4, p5] = [impulse.wave1.start, ...keys.map(k => impulse[k].end)];
+  const [len1, len2, len3, len4, len5] = keys.map(k => Math.abs(impulse[k].end.price - impulse[k].start.price));
+
+  if ((p2.price - p0.price) * dir <= 0) return null;
+  if ((p3.price - p1.price) * dir <= 0) return null;
+  if ((p4.price - p2.price) * dir <= 0) return null;
+  if (len3 < len1 && len3 < len5) return null;
+  // 4浪必须切入2浪
+  if ((p4.price - p1.price) * dir >= 0) return null;
+
+  const channel = buildElliottChannel([p1, p2, p3, p4]);
+  let shape = null;
+  if (channel.isContracting && len1 > len3 && len3 > len5 && len2 > len4) shape = 'contracting';
+  else if (channel.isExpanding && len1 < len3 && len3 < len5 && len2 < len4) shape = 'expanding';
+  if (!shape) return null;
+
+  let subwaves = null;
+  let structure = null;
+  if (options.subPoints && options.subPoints.length > 0) {
+    subwaves = keys.map(k => countSubwaves(impulse[k].start, impulse[k].end, options.subPoints));
+    const motiveFives = [0, 2, 4].filter(i => subwaves[i] === 5).length;
+    const motiveThrees = [0, 2, 4].filter(i => subwaves[i] === 3).length;
+    if (motiveFives !== motiveThrees) structure = motiveFives > motiveThrees ? '5-3-5-3-5' : '3-3-3-3-3';
+  }
+  const type = options.position || (structure ? (structure === '5-3-5-3-5' ? 'leading' : 'ending') : null);
+  const typeLabel = type ? (type === 'leading' ? '引导楔形' : '终结楔形') : '楔形（引导/终结待定）';
+
+  return {
+    pattern: 'diagonal',
+    type,
+    shape,
+    label: `${shape === 'contracting' ? '收缩' : '扩散'}${typeLabel}`,
+    direction: isUptrend ? 'up' : 'down',
+    subwaves,
+    structure,
+    // 终结楔形只能是 3-3-3-3-3
+    structureMatches: structure === null || type !== 'ending' || structure === '3-3-3-3-3',
+    channel,
+    apex: shape === 'contracting' ? channel.apex : null
+  };
+}
+
+/**
+ * 识别 W-X-Y 联合形调整（双锯齿/双重横向整理，最多到 w-x-y-xx-z 三重横向整理）
+ * 优先用 identifyCombination 按 x浪 连接的简单调整浪逐浪识别（各浪标注锯齿/平台/三角形，并给出 z浪预期终点）；
+ * 识别不到时退回到 5浪之后最先出现的 w-x-y 三个摆动点
  * @param {Array} keyPoints - 关键点位（已按时间排序）
  * @param {Object} impulse - 推动浪结构（5浪终点之后为调整浪起点）
- * @returns {Object|null} { waveW, waveX, waveY } 或 null
+ * @returns {Object|null} { waveW, waveX, waveY }（联合形另含 waveXX、waveZ、legs、label、targets、zTargets）或 null
  */
 function identifyWXY(keyPoints, impulse) {
   if (!keyPoints || !impulse || !impulse.wave5) return null;
   const w5End = impulse.wave5.end || impulse.wave5;
   const w5Price = impulse.wave5.endPrice != null ? impulse.wave5.endPrice : w5End?.price;
-  const w5Time = impulse.wave5.end?.time || impulse.wave5.end?.timestamp * 1000;
+  const w5Time = impulse.wave5.end?.time;
 
   const sorted = [...keyPoints].sort((a, b) => a.time - b.time);
+  const combination = identifyCombination(sorted, w5End);
+  if (combination) return combination;
+
   const after5 = sorted.filter(p => p.time > w5Time);
   if (after5.length < 5) return null;
 
@@ -1415,9 +1456,9 @@ function assignWaveLabelsToKeyPoints(keyPoints, waveResult) {
   const tTol = 3600000; // 1 小时匹配容差
   const match = (kp, pt) => {
     if (!pt) return false;
-    const t = pt.time || pt.timestamp * 1000;
+    const t = pt.time;
     const p = pt.price ?? pt.close;
-    return Math.abs((kp.time || kp.timestamp * 1000) - t) < tTol &&
+    return Math.abs(kp.time - t) < tTol &&
       Math.abs((kp.price ?? kp.close) - p) < 1;
   };
 
@@ -1425,7 +1466,7 @@ function assignWaveLabelsToKeyPoints(keyPoints, waveResult) {
   const addTurn = (pt, label) => {
     if (!pt) return;
     const obj = pt.end || pt;
-    const t = obj.time || obj.timestamp * 1000;
+    const t = obj.time;
     const p = obj.price ?? obj.close ?? (pt.endPrice != null ? pt.endPrice : null);
     if (t != null && p != null) turnPoints.push({ t, p, label });
   };
@@ -1440,7 +1481,9 @@ function assignWaveLabelsToKeyPoints(keyPoints, waveResult) {
   turnPoints.sort((a, b) => a.t - b.t);
 
   const getLabel = (kp) => {
-    const kt = kp.time || kp.timestamp * 1000;
+    // 未识别出任何主浪点时只区分高低点
+    if (turnPoints.length === 0) return kp.type === 'high' ? '高' : '低';
+    const kt = kp.time;
     const kp_val = kp.price ?? kp.close;
     for (const tp of turnPoints) {
       if (Math.abs(kt - tp.t) < tTol && Math.abs(kp_val - tp.p) < 1) return tp.label;
@@ -1473,8 +1516,32 @@ function assignWaveLabelsToKeyPoints(keyPoints, waveResult) {
   });
 }
 
+/**
+ * 将 identifyWaves12345AndABC 的返回结果转换为 waveStructure 格式（供 analyzeWave2 使用）
+ * 支持识别出的推动浪 1-2-3-4-5 和调整浪 a-b-c
+ * @param {Object} waveResult - identifyWaves12345AndABC 的返回值
+ * @returns {Object|null} { wave1: { start, end }, wave2: { currentLow }, keyPoints, invalidation }
+ */
+function waveResultToStructure(waveResult) {
+  if (!waveResult || !waveResult.impulse || !waveResult.impulse.wave1) return null;
+  const imp = waveResult.impulse;
+  const corr = waveResult.corrective || {};
+  const w1Start = imp.wave1?.startPrice ?? imp.wave1?.start?.price;
+  const w1End = imp.wave5?.endPrice ?? imp.wave3?.endPrice ?? imp.wave1?.endPrice;
+  if (!w1Start || !w1End) return null;
+  const currentLow = corr.waveC?.endPrice ?? corr.waveA?.endPrice ?? imp.wave4?.endPrice ?? imp.wave2?.endPrice ?? w1End;
+  return {
+    wave1: { start: w1Start, end: w1End, range: w1End - w1Start },
+    wave2: { start: w1End, currentLow },
+    keyPoints: waveResult.keyPoints || [],
+    // 失效位按转换后的第一浪/第二浪推导：waveResult.invalidation 可能基于延续计数，与此处展示的更高一级计数不符
+    invalidation: buildInvalidationLevels({ wave1: { startPrice: w1Start, endPrice: w1End } }, w1End > w1Start)
+  };
+}
+
 module.exports = {
   identifyKeyPoints,
+  adaptiveLookback,
   identifyWave1,
   identifyWave2,
   identifyWaves12345AndABC,
@@ -1482,9 +1549,13 @@ module.exports = {
   inferWaveStructure,
   analyzeWave2,
   identifyContractingTriangle,
+  identifyTriangle,
   validateContractingTriangle,
   buildElliottChannel,
   validateWaveInternalStructure,
   validateImpulseRules,
-  identifyWXY
+  buildInvalidationLevels,
+  identifyDiagonal,
+  identifyWXY,
+  waveResultToStructure
 };
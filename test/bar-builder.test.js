@@ -0,0 +1,89 @@
+/**
+ * K线合成（src/bar-builder）行为检查：实时价格并入当前K线、跨周期边界开启新K线，以及数据文件中未对齐K线的合并
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TIMEFRAME_CONFIG } = require('../src/config/config');
+const { getBarStartTime, foldPriceIntoBars } = require('../src/bar-builder/bar-builder');
+const { appendCurrentPriceToFile } = require('../src/data/data');
+const { getStoreDir, writeBars, readBars } = require('../src/kline-store/kline-store');
+const { createNormalizedBar } = require('../src/kline/kline');
+const { HOUR_MS, BASE_TIME } = require('./helpers');
+
+const MINUTE_MS = 60000;
+const T10 = BASE_TIME + 10 * HOUR_MS;
+
+test('getBarStartTime：按周期边界对齐，支持边界偏移', () => {
+  assert.equal(getBarStartTime(T10 + 59 * MINUTE_MS, 60), T10);
+  assert.equal(getBarStartTime(T10 + 3 * HOUR_MS, 240), BASE_TIME + 12 * HOUR_MS);
+  // 日线以 UTC 22:00 为界：01-01 23:00 属于 01-01 22:00 开始的K线
+  assert.equal(getBarStartTime(BASE_TIME + 23 * HOUR_MS, 1440, 1320), BASE_TIME + 22 * HOUR_MS);
+  assert.equal(getBarStartTime(BASE_TIME + 21 * HOUR_MS, 1440, 1320), BASE_TIME - 2 * HOUR_MS);
+});
+
+test('同一周期内的价格并入最后一根K线，更新最高、最低与收盘', () => {
+  const bars = [createNormalizedBar(T10, 4800, 4810, 4795, 4805)];
+  assert.equal(foldPriceIntoBars(bars, 4820, T10 + 20 * MINUTE_MS, 60).action, 'update');
+  assert.equal(foldPriceIntoBars(bars, 4790, T10 + 40 * MINUTE_MS, 60).action, 'update');
+  assert.equal(bars.length, 1);
+  assert.deepEqual([bars[0].open, bars[0].high, bars[0].low, bars[0].close, bars[0].price], [4800, 4820, 4790, 4790, 4790]);
+});
+
+test('跨过周期边界开启新K线，早于最后一根K线周期的价格跳过', () => {
+  const bars = [createNormalizedBar(T10, 4800, 4810, 4795, 4805)];
+  const folded = foldPriceIntoBars(bars, 4812, T10 + HOUR_MS + 5 * MINUTE_MS, 60);
+  assert.equal(folded.action, 'new');
+  assert.equal(bars.length, 2);
+  assert.equal(folded.bar, bars[1]);
+  assert.deepEqual([folded.bar.time, folded.bar.open, folded.bar.high, folded.bar.low, folded.bar.close], [T10 + HOUR_MS, 4812, 4812, 4812, 4812]);
+
+  assert.deepEqual(foldPriceIntoBars(bars, 4700, T10 + 30 * MINUTE_MS, 60), { action: 'skip', bar: null });
+  assert.equal(bars.length, 2);
+
+  const empty = [];
+  assert.equal(foldPriceIntoBars(empty, 4800, T10 + 30 * MINUTE_MS, 60).bar.time, T10);
+});
+
+test('旧版追加的未对齐K线：合并时对齐到周期起点', () => {
+  const bars = [createNormalizedBar(T10 + 23 * MINUTE_MS, 4800, 4800, 4800, 4800)];
+  const folded = foldPriceIntoBars(bars, 4805, T10 + 50 * MINUTE_MS, 60);
+  assert.equal(folded.action, 'update');
+  assert.equal(folded.bar.time, T10);
+  assert.equal(folded.bar.timestamp, T10 / 1000);
+});
+
+test('appendCurrentPriceToFile：未对齐的最后一根K线按周期起点重写，并同步重采样周期', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-builder-'));
+  const originalPaths = Object.entries(TIMEFRAME_CONFIG).map(([key, config]) => [config, config.FILE_PATH]);
+  t.after(() => {
+    originalPaths.forEach(([config, filePath]) => { config.FILE_PATH = filePath; });
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  // 各周期数据文件指向临时目录
+  Object.entries(TIMEFRAME_CONFIG).forEach(([key, config]) => { config.FILE_PATH = path.join(root, `price_${key}.json`); });
+  const h1Store = getStoreDir(TIMEFRAME_CONFIG.H1.FILE_PATH);
+  writeBars(h1Store, [
+    createNormalizedBar(T10 - HOUR_MS, 4790, 4800, 4785, 4795),
+    createNormalizedBar(T10 + 23 * MINUTE_MS, 4800, 4800, 4800, 4800)
+  ]);
+
+  appendCurrentPriceToFile(4810, true, T10 + 50 * MINUTE_MS);
+  const merged = readBars(h1Store);
+  // 10:23 那一行被删除，合并后的K线记在 10:00
+  assert.deepEqual(merged.map(b => b.time), [T10 - HOUR_MS, T10]);
+  assert.deepEqual([merged[1].open, merged[1].high, merged[1].close], [4800, 4810, 4810]);
+
+  appendCurrentPriceToFile(4820, true, T10 + HOUR_MS + MINUTE_MS);
+  assert.deepEqual(readBars(h1Store).map(b => b.time), [T10 - HOUR_MS, T10, T10 + HOUR_MS]);
+
+  // 4小时线由1小时线重采样（以纽约17:00收盘为界，1月为 UTC 22:00）：09:00 属于 06:00 的桶，10:00、11:00 属于 10:00 的桶
+  const h4 = readBars(getStoreDir(TIMEFRAME_CONFIG.H4.FILE_PATH));
+  assert.deepEqual(h4.map(b => [b.time, b.open, b.high, b.low, b.close]), [
+    [BASE_TIME + 6 * HOUR_MS, 4790, 4800, 4785, 4795],
+    [T10, 4800, 4820, 4800, 4820]
+  ]);
+});
@@ -0,0 +1,291 @@
+/**
+ * 调整浪形态（src/corrective）行为检查：用手工构造的摆动点覆盖各比率的边界
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const corrective = require('../src/corrective/corrective');
+const { identifyWaves12345AndABC } = require('../src/wave/wave');
+const { formatWavePointsOutput } = require('../src/output/output');
+const { pivots, barsFromPath, HOUR_MS, BASE_TIME } = require('./helpers');
+
+const classify = (fn, prices) => fn(pivots(prices));
+
+test('平台形：b浪回撤下限 90% 与上限 2 倍', () => {
+  // a浪 100 → 90
+  assert.equal(classify(corrective.classifyFlat, [100, 90, 98.9, 89]), null);
+  const regular = classify(corrective.classifyFlat, [100, 90, 99, 89]);
+  assert.equal(regular.type, 'regular');
+  assert.equal(regular.ratios.b, 0.9);
+  assert.equal(regular.direction, 'down');
+  assert.equal(classify(corrective.classifyFlat, [100, 90, 100, 89]).type, 'regular');
+  assert.equal(classify(corrective.classifyFlat, [100, 90, 120, 85]), null);
+});
+
+test('平台形分类：b浪越过a浪起点后，c浪越过a浪终点为扩散平台形，否则为顺势平台形', () => {
+  assert.equal(classify(corrective.classifyFlat, [100, 90, 105, 85]).type, 'expanded');
+  assert.equal(classify(corrective.classifyFlat, [100, 90, 105, 92]).type, 'running');
+});
+
+test('平台形：c浪必须与a浪重叠，且不超过 min(2×max(a, b), 3×a)', () => {
+  assert.equal(classify(corrective.classifyFlat, [100, 90, 99, 100]), null);
+  // b浪 15、a浪 10：c浪上限 30
+  const flat = classify(corrective.classifyFlat, [100, 90, 105, 75]);
+  assert.equal(flat.cLimit, 75);
+  assert.equal(classify(corrective.classifyFlat, [100, 90, 105, 74.9]), null);
+});
+
+test('平台形：b浪时间不超过a浪的10倍', () => {
+  const [origin, a, b, c] = pivots([100, 90, 99, 89]);
+  const aTime = a.time - origin.time;
+  const withBTime = bTime => {
+    const bEnd = { ...b, time: a.time + bTime };
+    return corrective.classifyFlat([origin, a, bEnd, { ...c, time: bEnd.time + aTime }]);
+  };
+  assert.ok(withBTime(10 * aTime));
+  assert.equal(withBTime(10 * aTime + 1), null);
+});
+
+test('identifyFlat 在摆动点中找出平台形', () => {
+  const keyPoints = pivots([100, 90, 99, 95, 97, 89, 93]);
+  const flat = corrective.identifyFlat(keyPoints, keyPoints[0]);
+  assert.equal(flat.type, 'regular');
+  assert.equal(flat.waveC.endPrice, 89);
+});
+
+test('平台形的 a/b/c 浪、c浪目标位与艾略特通道', () => {
+  const points = pivots([100, 90, 105, 85]);
+  const flat = corrective.classifyFlat(points);
+  assert.deepEqual([flat.waveA.start, flat.waveA.end, flat.waveB.end, flat.waveC.end], points);
+  assert.deepEqual(flat.targets, [
+    { label: 'c=a', price: 95 },
+    { label: 'a浪终点', price: 90 },
+    { label: 'c=1.618a', price: 88.82 },
+    { label: 'a终点外扩0.618a', price: 83.82 },
+    { label: '%a外扩', price: 81 }
+  ]);
+  // 0-b 连线每10小时上涨5，过a点的平行线在c浪处为 95，恰好等于 c=a
+  assert.equal(flat.channel.priceAtC, 95);
+  assert.equal(flat.channel.priceAtC, flat.targets[0].price);
+});
+
+test('identifyWaves12345AndABC：5浪之后的平台形进入调整浪候选', () => {
+  // 1-2-3-4-5 之后 a浪 2000 → 1800，b浪回撤 90% 到 1980，c浪 1780
+  const result = identifyWaves12345AndABC(barsFromPath([1050, 1000, 1300, 1150, 1750, 1600, 2000, 1800, 1980, 1780, 1850], 4), 2);
+  assert.equal(result.impulse.wave5.endPrice, 2000);
+  assert.equal(result.flat.type, 'regular');
+  assert.deepEqual([result.flat.waveA.endPrice, result.flat.waveB.endPrice, result.flat.waveC.endPrice], [1800, 1980, 1780]);
+  const candidate = result.correctiveCandidates.find(c => c.pattern === 'flat');
+  assert.equal(candidate.label, corrective.FLAT_TYPE_LABELS.regular);
+  assert.equal(candidate.structure, result.flat);
+});
+
+test('收缩三角形：规则三角形的顶点与突破目标', () => {
+  // a浪 100 → 80，各浪依次收缩
+  const triangle = classify(corrective.classifyTriangle, [100, 80, 96, 84, 93, 88.5]);
+  assert.equal(triangle.type, 'regular');
+  assert.equal(triangle.longest, 'a');
+  assert.equal(triangle.apex.price, 90);
+  assert.ok(triangle.apex.time > triangle.waveE.end.time);
+  // 最宽处在0点：b-d 线 99、a-c 线 78
+  assert.equal(triangle.width, 21);
+  assert.deepEqual(triangle.thrust, { direction: 'up', target: 109.5 });
+  assert.ok(corrective.validateContractingTriangle(pivots([100, 80, 96, 84, 93, 88.5])));
+});
+
+test('收缩三角形：e浪下限 25%×d 与越过 a-c 线的上限', () => {
+  assert.equal(classify(corrective.classifyTriangle, [100, 80, 96, 84, 93, 90.75]).ratios.e, 0.25);
+  assert.equal(classify(corrective.classifyTriangle, [100, 80, 96, 84, 93, 90.76]), null);
+  // a-c 线在e浪处为 88，越过 1 > 0.1×d
+  assert.equal(classify(corrective.classifyTriangle, [100, 80, 96, 84, 93, 87]), null);
+});
+
+test('收缩三角形：c浪必须短于b浪', () => {
+  assert.equal(classify(corrective.classifyTriangle, [100, 80, 96, 80, 93, 88.5]), null);
+});
+
+test('障碍三角形：b、d 终点持平', () => {
+  const triangle = classify(corrective.classifyTriangle, [100, 80, 96, 84, 96, 88.5]);
+  assert.equal(triangle.type, 'barrier');
+  assert.equal(triangle.apex.price, 96);
+});
+
+test('扩散三角形：a→d 逐浪放大，e浪 ≥ 61.8%×d', () => {
+  const triangle = classify(corrective.classifyTriangle, [100, 95, 102, 92, 106, 96]);
+  assert.equal(triangle.type, 'expanding');
+  assert.equal(triangle.apex, null);
+  assert.equal(classify(corrective.classifyTriangle, [100, 95, 102, 92, 106, 97.35]), null);
+  assert.equal(corrective.validateContractingTriangle(pivots([100, 95, 102, 92, 106, 96])), false);
+});
+
+test('buildElliottChannel：a-c 线与 b-d 线的收缩、平行与扩散', () => {
+  // a 80、b 96、c 84、d 93（相隔5小时）：a-c 线每小时 +0.4，b-d 线每小时 -0.3，在第30小时交于 90
+  const contracting = corrective.buildElliottChannel(pivots([100, 80, 96, 84, 93]).slice(1));
+  assert.equal(contracting.isContracting, true);
+  assert.equal(contracting.upper, contracting.bd);
+  assert.equal(contracting.apex.time, BASE_TIME + 30 * HOUR_MS);
+  assert.equal(contracting.apex.price, 90);
+
+  const parallel = corrective.buildElliottChannel(pivots([80, 96, 82, 98]));
+  assert.equal(parallel.isParallel, true);
+  assert.equal(parallel.apex, null);
+  // 平行通道既不收缩也不扩散，不构成三角形
+  assert.equal(classify(corrective.classifyTriangle, [100, 80, 96, 82, 98, 90]), null);
+
+  const expanding = corrective.buildElliottChannel(pivots([95, 102, 92, 106]));
+  assert.equal(expanding.isExpanding, true);
+  assert.ok(expanding.apex.time < expanding.ac.start.time);
+});
+
+test('三角形突破目标：收缩三角形从0点处、扩散三角形从e浪终点处的通道宽度量起', () => {
+  const contracting = classify(corrective.classifyTriangle, [100, 80, 96, 84, 93, 88.5]);
+  assert.equal(contracting.channel.isContracting, true);
+  assert.equal(contracting.apex, contracting.channel.apex);
+  // e浪之后向上突破 21（0点处 b-d 线 99、a-c 线 78）
+  assert.equal(contracting.thrust.target, contracting.waveE.endPrice + contracting.width);
+
+  // 扩散三角形在e浪终点处最宽：b-d 线 108、a-c 线 89
+  const expanding = classify(corrective.classifyTriangle, [100, 95, 102, 92, 106, 96]);
+  assert.equal(expanding.width, 19);
+  assert.deepEqual(expanding.thrust, { direction: 'up', target: 115 });
+});
+
+test('identifyTriangle 由近及远扫描，identifyContractingTriangle 排除扩散三角形', () => {
+  // 最近的6个摆动点构成三角形，更早的 90 不参与
+  const keyPoints = pivots([90, 100, 80, 96, 84, 93, 88.5]);
+  assert.equal(corrective.identifyTriangle(keyPoints).type, 'regular');
+  assert.equal(corrective.identifyContractingTriangle(pivots([100, 95, 102, 92, 106, 96])), null);
+});
+
+test('单锯齿：b浪回撤 20%–100%', () => {
+  // a浪 100 → 80
+  assert.equal(classify(corrective.classifyZigzag, [100, 80, 84, 70]).ratios.b, 0.2);
+  assert.equal(classify(corrective.classifyZigzag, [100, 80, 83.9, 70]), null);
+  const deep = classify(corrective.classifyZigzag, [100, 80, 100, 70]);
+  assert.equal(deep.type, 'single');
+  assert.deepEqual(deep.notes, ['b浪回撤较深，也可能是平台形']);
+  assert.equal(classify(corrective.classifyZigzag, [100, 80, 100.1, 70]), null);
+});
+
+test('单锯齿：c浪 ≥ 90%×b，短于b浪时为失败的c浪', () => {
+  const failed = classify(corrective.classifyZigzag, [100, 80, 90, 81]);
+  assert.equal(failed.failedC, true);
+  assert.equal(classify(corrective.classifyZigzag, [100, 80, 90, 81.1]), null);
+  assert.equal(classify(corrective.classifyZigzag, [100, 80, 90, 70]).failedC, false);
+});
+
+test('双锯齿与三锯齿：各锯齿由 x浪 连接且逐个越过前一个终点', () => {
+  const double = pivots([100, 80, 90, 70, 80, 60, 68, 50]);
+  const zigzag = corrective.identifyZigzag(double, double[0]);
+  assert.equal(zigzag.type, 'double');
+  assert.equal(zigzag.label, corrective.ZIGZAG_TYPE_LABELS.double);
+  assert.equal(zigzag.waveX.endPrice, 80);
+  assert.deepEqual(zigzag.targets[0], { label: 'y=w', price: 50 });
+
+  const triple = pivots([100, 80, 90, 70, 80, 60, 68, 50, 58, 40, 46, 30]);
+  const tripleZigzag = corrective.identifyZigzag(triple, triple[0]);
+  assert.equal(tripleZigzag.type, 'triple');
+  assert.equal(tripleZigzag.waveZ.endPrice, 30);
+  assert.equal(tripleZigzag.targets[0].label, 'z=y');
+
+  // y 未越过 w 终点时只剩单锯齿
+  const failedY = pivots([100, 80, 90, 70, 80, 72, 76, 71]);
+  assert.equal(corrective.identifyZigzag(failedY, failedY[0]).type, 'single');
+});
+
+test('单锯齿内部结构：按细级别摆动点统计子浪，a、c 为5浪时为 5-3-5', () => {
+  // 0-a-b-c 相隔5小时；subLegs 在 fromHour 之后每小时一个、高低交替（先低后高）
+  const subLegs = (prices, fromHour) => prices.map((price, i) => ({
+    type: i % 2 === 0 ? 'low' : 'high',
+    price,
+    time: BASE_TIME + (fromHour + i + 1) * HOUR_MS
+  }));
+  const points = pivots([100, 80, 90, 70]);
+  const waveC = subLegs([82, 86, 76, 80], 10);
+
+  const impulsive = corrective.classifyZigzag(points, { subPoints: [...subLegs([92, 96, 86, 90], 0), ...waveC] });
+  assert.deepEqual(impulsive.subwaves, [5, null, 5]);
+  assert.equal(impulsive.structure, '5-3-5');
+  assert.deepEqual(impulsive.notes, []);
+
+  const threeWaveA = corrective.classifyZigzag(points, { subPoints: [...subLegs([90, 95], 0), ...waveC] });
+  assert.equal(threeWaveA.structure, '3-3-5');
+  assert.deepEqual(threeWaveA.notes, ['内部结构近似 3-3-5，不是典型的单锯齿 5-3-5']);
+});
+
+test('单锯齿：c浪超过 1.618×a 时提示可能是推动浪', () => {
+  const extended = classify(corrective.classifyZigzag, [100, 90, 98, 81]);
+  assert.equal(extended.ratios.c, 1.7);
+  assert.deepEqual(extended.notes, ['c浪远长于a浪，可能是推动浪而非锯齿']);
+  assert.deepEqual(classify(corrective.classifyZigzag, [100, 90, 98, 82]).notes, []);
+});
+
+test('报告中按形态显示双锯齿，而非笼统的 a-b-c', (t) => {
+  // 5浪 2000 之后：w 2000 → 1800 → 1900 → 1700，x 1800，y 1600 → 1680 → 1500
+  const result = identifyWaves12345AndABC(barsFromPath([1050, 1000, 1300, 1150, 1750, 1600, 2000, 1800, 1900, 1700, 1800, 1600, 1680, 1500, 1550]), 2);
+  assert.equal(result.zigzag.type, 'double');
+  assert.deepEqual([result.zigzag.waveW.endPrice, result.zigzag.waveX.endPrice, result.zigzag.waveY.endPrice], [1700, 1800, 1500]);
+  assert.equal(result.correctiveCandidates.find(c => c.pattern === 'zigzag').label, '双锯齿');
+
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(line));
+  formatWavePointsOutput(result);
+  assert.ok(lines.some(line => line.startsWith('\n📐 双锯齿 w-x-y（')));
+});
+
+test('联合形 w-x-y：各浪形态与 y浪目标', () => {
+  const keyPoints = pivots([100, 80, 90, 70, 85, 75, 84, 74]);
+  const combination = corrective.identifyCombination(keyPoints, keyPoints[0]);
+  assert.equal(combination.type, 'double');
+  assert.equal(combination.label, corrective.COMBINATION_TYPE_LABELS.double);
+  assert.deepEqual(combination.legs.map(l => l.pattern), ['zigzag', 'flat']);
+  assert.equal(combination.waveX.endPrice, 85);
+  // y浪以 0-w-x 作扩展：85 - 30
+  assert.deepEqual(combination.targets[0], { label: 'y=w', price: 55 });
+  assert.equal(combination.zTargets, null);
+});
+
+test('联合形：x浪最多到达前一浪的 1.5 倍', () => {
+  // w浪运行 30，x浪 45 恰好到上限
+  const atLimit = pivots([100, 80, 90, 70, 115, 105, 114, 104]);
+  assert.equal(corrective.identifyCombination(atLimit, atLimit[0]).waveY.endPrice, 104);
+  const beyond = pivots([100, 80, 90, 70, 115.01, 105.01, 114.01, 104.01]);
+  assert.equal(corrective.identifyCombination(beyond, beyond[0]), null);
+});
+
+test('联合形 w-x-y-xx-z 与 xx浪出现后的 z浪目标', () => {
+  const triple = pivots([100, 80, 90, 70, 85, 75, 84, 74, 80, 65, 70, 58]);
+  const combination = corrective.identifyCombination(triple, triple[0]);
+  assert.equal(combination.type, 'triple');
+  assert.equal(combination.waveXX.endPrice, 80);
+  assert.equal(combination.waveZ.endPrice, 58);
+  // z浪以 x-y-xx 作扩展：80 - 11
+  assert.deepEqual(combination.zTargets[0], { label: 'z=y', price: 69 });
+
+  const pending = pivots([100, 80, 90, 70, 85, 75, 84, 74, 80]);
+  const double = corrective.identifyCombination(pending, pending[0]);
+  assert.equal(double.type, 'double');
+  assert.equal(double.zTargets[0].price, 69);
+});
+
+test('联合形：三角形只作最后一浪，之后不再预期 z浪', () => {
+  // w 单锯齿 100 → 70，x 85，y 为收缩三角形 85-75-83-77-81-79；之后的 84 不作为 xx浪
+  const keyPoints = pivots([100, 80, 90, 70, 85, 75, 83, 77, 81, 79, 84]);
+  const combination = corrective.identifyCombination(keyPoints, keyPoints[0]);
+  assert.deepEqual(combination.legs.map(l => [l.wave, l.pattern, l.label]),
+    [['w', 'zigzag', '单锯齿'], ['y', 'triangle', corrective.TRIANGLE_TYPE_LABELS.regular]]);
+  assert.equal(combination.label, corrective.COMBINATION_TYPE_LABELS.double);
+  assert.equal(combination.waveY.endPrice, 79);
+  assert.equal(combination.zTargets, null);
+});
+
+test('报告中列出联合形各浪的子形态与 z浪预期终点', (t) => {
+  const keyPoints = pivots([100, 80, 90, 70, 85, 75, 84, 74, 80]);
+  const wxy = corrective.identifyCombination(keyPoints, keyPoints[0]);
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(line));
+  formatWavePointsOutput({ impulse: {}, corrective: {}, wxy, isUptrend: true });
+  assert.ok(lines.some(line => line.includes('浪W: 100.00 → 70.00') && line.endsWith('[单锯齿]')));
+  assert.ok(lines.some(line => line.includes('浪Y: 85.00 → 74.00') && line.endsWith('[规则平台形]')));
+  assert.ok(lines.some(line => line.startsWith('   z浪预期终点（y浪之后已出现xx浪）: z=y→69.00')));
+});
@@ -0,0 +1,126 @@
+/**
+ * K线数据质量（src/data-quality）行为检查：按休市时段判定缺口、按 ATR 倍数判定尖刺，以及重复/乱序与修复
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isMarketClosed,
+  computeTrailingATR,
+  validateKlineData,
+  repairKlineData,
+  summarizeQualityReport
+} = require('../src/data-quality/data-quality');
+const { createNormalizedBar } = require('../src/kline/kline');
+const { HOUR_MS } = require('./helpers');
+
+const MON_JAN_5 = Date.UTC(2026, 0, 5);   // 2026-01-05 周一 00:00 UTC（纽约冬令时，每日 22:00 UTC 休市1小时）
+const MON_MAR_9 = Date.UTC(2026, 2, 9);   // 2026-03-09 周一 00:00 UTC（纽约夏令时，每日 21:00 UTC 休市1小时）
+
+// 从 start 起按小时生成K线（跳过 skipHours 中的小时序号），开收盘 4800、波幅 2
+function hourlyBars(start, hours, skipHours = []) {
+  const bars = [];
+  for (let h = 0; h < hours; h++) {
+    if (!skipHours.includes(h)) bars.push(createNormalizedBar(start + h * HOUR_MS, 4800, 4801, 4799, 4800, 10));
+  }
+  return bars;
+}
+
+test('isMarketClosed：外汇按纽约时间周末与每日 17:00 休市，上金所按北京时间交易时段', () => {
+  assert.equal(isMarketClosed(MON_JAN_5 + 10 * HOUR_MS, 'FX'), false);
+  assert.equal(isMarketClosed(MON_JAN_5 + 22.5 * HOUR_MS, 'FX'), true);
+  assert.equal(isMarketClosed(MON_MAR_9 + 21.5 * HOUR_MS, 'FX'), true);
+  assert.equal(isMarketClosed(MON_MAR_9 + 22.5 * HOUR_MS, 'FX'), false);
+  // 周五 22:00 UTC（纽约17:00）收市，周日 23:00 UTC（纽约18:00）开市
+  assert.equal(isMarketClosed(MON_JAN_5 + (4 * 24 + 21.5) * HOUR_MS, 'FX'), false);
+  assert.equal(isMarketClosed(MON_JAN_5 + (4 * 24 + 22.5) * HOUR_MS, 'FX'), true);
+  assert.equal(isMarketClosed(MON_JAN_5 - 1.5 * HOUR_MS, 'FX'), true);
+  assert.equal(isMarketClosed(MON_JAN_5 - 0.5 * HOUR_MS, 'FX'), false);
+
+  // 北京时间周一 10:00 开市、12:00 午休、21:00 夜盘
+  assert.equal(isMarketClosed(MON_JAN_5 + 2 * HOUR_MS, 'SGE'), false);
+  assert.equal(isMarketClosed(MON_JAN_5 + 4 * HOUR_MS, 'SGE'), true);
+  assert.equal(isMarketClosed(MON_JAN_5 + 13 * HOUR_MS, 'SGE'), false);
+  assert.throws(() => isMarketClosed(MON_JAN_5, 'NYSE'), /未知的休市规则: NYSE/);
+});
+
+test('缺口：交易时段内缺少的K线计入缺口，周末与每日休市不算', () => {
+  // 周一 00:00 至下周一 00:00：缺周一 22:00（每日休市）与周五 22:00 至周日 22:00（周末）
+  const weekendHours = Array.from({ length: 49 }, (_, i) => 4 * 24 + 22 + i);
+  const clean = validateKlineData(hourlyBars(MON_JAN_5, 7 * 24, [22, ...weekendHours]));
+  assert.deepEqual(clean.issues.gaps, []);
+  assert.equal(clean.issueCount, 0);
+
+  // 周二 10:00-12:00 缺 3 根
+  const report = validateKlineData(hourlyBars(MON_JAN_5, 48, [34, 35, 36]));
+  assert.deepEqual(report.issues.gaps, [{ from: MON_JAN_5 + 33 * HOUR_MS, to: MON_JAN_5 + 37 * HOUR_MS, missingBars: 3 }]);
+  assert.equal(summarizeQualityReport(report), '1缺口');
+
+  // 缺口跨过每日休市时，休市那一小时不计
+  const acrossBreak = validateKlineData(hourlyBars(MON_JAN_5, 48, [21, 22, 23]));
+  assert.equal(acrossBreak.issues.gaps[0].missingBars, 2);
+});
+
+test('缺口：每日休市随纽约夏令时移动', () => {
+  assert.deepEqual(validateKlineData(hourlyBars(MON_MAR_9, 24, [21])).issues.gaps, []);
+  assert.deepEqual(validateKlineData(hourlyBars(MON_MAR_9, 24, [22])).issues.gaps,
+    [{ from: MON_MAR_9 + 21 * HOUR_MS, to: MON_MAR_9 + 23 * HOUR_MS, missingBars: 1 }]);
+
+  // 4小时周期按周期中点判断
+  const h4 = validateKlineData([0, 4, 12].map(h => createNormalizedBar(MON_JAN_5 + h * HOUR_MS, 1, 2, 0.5, 1.5)), { intervalMinutes: 240 });
+  assert.deepEqual(h4.issues.gaps, [{ from: MON_JAN_5 + 4 * HOUR_MS, to: MON_JAN_5 + 12 * HOUR_MS, missingBars: 1 }]);
+});
+
+test('尖刺：真实波幅超过前 N 根 ATR 的若干倍，ATR 不含当前K线', () => {
+  const bars = hourlyBars(MON_JAN_5, 20);
+  // 平稳时 ATR 为 2：第 15 根波幅 9 未超过 5×2；第 17 根波幅 20，前 10 根含第 15 根，ATR 为 2.7
+  bars[15] = createNormalizedBar(bars[15].time, 4800, 4804.5, 4795.5, 4800);
+  bars[17] = createNormalizedBar(bars[17].time, 4800, 4810, 4790, 4800);
+
+  const { spikes } = validateKlineData(bars, { atrPeriod: 10 }).issues;
+  assert.equal(spikes.length, 1);
+  assert.equal(spikes[0].index, 17);
+  assert.equal(spikes[0].range, 20);
+  assert.ok(Math.abs(spikes[0].atr - 2.7) < 1e-9);
+  assert.ok(Math.abs(spikes[0].multiple - 20 / 2.7) < 1e-9);
+
+  // 倍数调低后波幅 9 的K线也算尖刺
+  assert.deepEqual(validateKlineData(bars, { atrPeriod: 10, spikeAtrMultiple: 3 }).issues.spikes.map(s => s.index), [15, 17]);
+
+  // 跳空计入真实波幅；前 period 根没有 ATR，不判定
+  const gapped = hourlyBars(MON_JAN_5, 12);
+  gapped[11] = createNormalizedBar(gapped[11].time, 4830, 4831, 4829, 4830);
+  assert.deepEqual(validateKlineData(gapped, { atrPeriod: 10 }).issues.spikes.map(s => [s.index, s.range]), [[11, 31]]);
+  assert.deepEqual(validateKlineData(gapped, { atrPeriod: 12 }).issues.spikes, []);
+  assert.deepEqual(computeTrailingATR(gapped.slice(0, 3), 2).atr, [null, null, 2]);
+});
+
+test('重复、乱序、零波幅与时间格式混用', () => {
+  const bars = hourlyBars(MON_JAN_5, 5);
+  const raw = [
+    bars[0],
+    bars[2],
+    bars[1],
+    { ...bars[2], close: 4801 },
+    { timestamp: bars[3].timestamp, open: 1, high: 1, low: 1, close: 1 },
+    { time: 'yesterday', close: 1 }
+  ];
+  const report = validateKlineData(raw);
+  assert.deepEqual(report.issues.outOfOrder.map(i => i.index), [2]);
+  assert.deepEqual(report.issues.duplicates, [{ index: 3, firstIndex: 1, time: bars[2].time }]);
+  assert.deepEqual(report.issues.zeroRange.map(i => i.index), [4]);
+  assert.deepEqual(report.issues.invalid, [{ index: 5, reason: '时间无法解析' }]);
+  assert.deepEqual(report.issues.mixedUnits.map(i => i.signature), ['timestamp:s,time:ms', 'timestamp:s', 'time:invalid']);
+  assert.equal(summarizeQualityReport(report), '1无效、1重复、1乱序、1零波幅、3种时间格式混用');
+
+  // 修复：排序、合并重复（末根收盘）、统一时间格式、修正最高/最低
+  const { bars: repaired, stats } = repairKlineData([...raw, { timestamp: bars[4].timestamp + 1800, open: 5, high: 4, low: 3, close: 3.5 }], { align: true });
+  assert.deepEqual(repaired.map(b => [b.time, b.high, b.low, b.close]), [
+    [bars[0].time, 4801, 4799, 4800],
+    [bars[1].time, 4801, 4799, 4800],
+    [bars[2].time, 4801, 4799, 4801],
+    [bars[3].time, 1, 1, 1],
+    [bars[4].time, 5, 3, 3.5]
+  ]);
+  assert.deepEqual(stats, { input: 7, output: 5, dropped: 1, merged: 1, reformatted: 2, fixedRange: 1 });
+});
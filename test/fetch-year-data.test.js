@@ -0,0 +1,107 @@
+/**
+ * 历史数据抓取脚本（fetch_year_data.js）行为检查：token 与认证请求头配置、经本地 UDF 替身服务分批拉取并由 processData 合并
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseStartDate,
+  convertToChinaTime,
+  formatChinaTimeString,
+  generateMockData,
+  processData,
+  resolveBaseUrl,
+  resolveHeaders,
+  fetchDataViaHttp
+} = require('../fetch_year_data');
+const { createUdfStubServer } = require('../src/udf-history/stub-server');
+
+const HOUR_S = 3600;
+const MON_JAN_5 = Date.UTC(2026, 0, 5) / 1000;   // 2026-01-05 周一 00:00 UTC（秒）
+
+test('parseStartDate 取本地零点，convertToChinaTime 加 8 小时，formatChinaTimeString 输出 yyyy/MM/dd HH:mm:ss', () => {
+  const from = parseStartDate('2025-01-01');
+  const start = new Date(from * 1000);
+  assert.deepEqual([start.getFullYear(), start.getMonth(), start.getDate(), start.getHours()], [2025, 0, 1, 0]);
+
+  assert.equal(convertToChinaTime(MON_JAN_5).getTime() - MON_JAN_5 * 1000, 8 * HOUR_S * 1000);
+  assert.equal(formatChinaTimeString(new Date(2026, 1, 10, 16, 0, 5)), '2026/02/10 16:00:05');
+});
+
+test('resolveBaseUrl 替换 token 占位符，缺少 token 时抛错', () => {
+  const config = { BASE_URL: 'https://host/{tokenPart1}/{tokenPart2}/6/6/28', TOKENS: { tokenPart1: 'abc', tokenPart2: 'a/b' } };
+  assert.equal(resolveBaseUrl(config), 'https://host/abc/a%2Fb/6/6/28');
+  assert.throws(() => resolveBaseUrl({ ...config, TOKENS: { tokenPart1: 'abc' } }), /TOKENS 缺少 tokenPart2/);
+  assert.equal(resolveBaseUrl({ BASE_URL: 'http://127.0.0.1:18081', TOKENS: {} }), 'http://127.0.0.1:18081');
+});
+
+test('resolveHeaders 合并配置与 TVC_HEADERS 环境变量', (t) => {
+  const config = { HEADERS: { Referer: 'https://a.example/', Cookie: 'x=1' } };
+  t.after(() => { delete process.env.TVC_HEADERS; });
+
+  assert.deepEqual(resolveHeaders(config), config.HEADERS);
+  process.env.TVC_HEADERS = '{"Authorization":"Bearer t","Cookie":"x=2"}';
+  assert.deepEqual(resolveHeaders(config), { Referer: 'https://a.example/', Cookie: 'x=2', Authorization: 'Bearer t' });
+  assert.equal(config.HEADERS.Cookie, 'x=1');
+
+  process.env.TVC_HEADERS = '{bad';
+  assert.throws(() => resolveHeaders(config), /TVC_HEADERS 不是有效 JSON/);
+});
+
+test('generateMockData 逐小时生成且 OHLC 自洽', () => {
+  const data = generateMockData(MON_JAN_5, MON_JAN_5 + 5 * HOUR_S);
+  assert.deepEqual(data.map(d => d.timestamp), [0, 1, 2, 3, 4, 5].map(i => MON_JAN_5 + i * HOUR_S));
+  assert.ok(data.every(d => d.high >= d.open && d.low <= d.open && d.close >= d.low && d.close <= d.high));
+});
+
+test('processData 合并批次：缺少 v 时记为 n/a，元数据取首尾时间', () => {
+  const result = processData([
+    { t: [MON_JAN_5], o: [1], h: [2], l: [0.5], c: [1.5], v: [10] },
+    { t: [], o: [], h: [], l: [], c: [] },
+    { t: [MON_JAN_5 + HOUR_S], o: [1.5], h: [3], l: [1], c: [2] }
+  ], { symbol: 'XAGUSD', resolution: 240 });
+  assert.equal(result.symbol, 'XAGUSD');
+  assert.equal(result.resolution, 240);
+  assert.deepEqual([result.from, result.to], [MON_JAN_5, MON_JAN_5 + HOUR_S]);
+  assert.deepEqual(result.data.map(d => [d.timestamp, d.close, d.volume]), [[MON_JAN_5, 1.5, 10], [MON_JAN_5 + HOUR_S, 2, 'n/a']]);
+  assert.equal(result.data[0].chinaTime, convertToChinaTime(MON_JAN_5).toISOString());
+
+  assert.deepEqual(processData([]), { symbol: 68, resolution: 60, from: 0, to: 0, data: [] });
+});
+
+test('fetchDataViaHttp 经替身服务拉取：token 拼入路径、认证请求头随请求发送，结果交给 processData', async (t) => {
+  const server = createUdfStubServer({ requireHeader: { name: 'Authorization', value: 'Bearer stub' } });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-year-data-'));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const config = {
+    BASE_URL: `http://127.0.0.1:${server.address().port}/{tokenPart1}/{tokenPart2}/6/6/28`,
+    TOKENS: { tokenPart1: 'tok1', tokenPart2: 'tok2' },
+    SYMBOL: '68',
+    RESOLUTION: '60',
+    HEADERS: { Authorization: 'Bearer stub' },
+    CHECKPOINT_FILE: path.join(dir, 'checkpoint.json')
+  };
+  const to = MON_JAN_5 + 24 * HOUR_S;
+  const batches = await fetchDataViaHttp(MON_JAN_5, to, config);
+  assert.equal(batches.length, 1);
+  assert.equal(server.stubState.historyRequests, 1);
+  assert.equal(fs.existsSync(config.CHECKPOINT_FILE), false);
+
+  const result = processData(batches, { symbol: 68, resolution: 60 });
+  assert.equal(result.from, MON_JAN_5);
+  assert.equal(result.to, to);
+  assert.ok(result.data.every((d, i) => i === 0 || d.timestamp > result.data[i - 1].timestamp));
+
+  // 认证请求头缺失时服务端返回 403，不重试
+  await assert.rejects(fetchDataViaHttp(MON_JAN_5, to, { ...config, HEADERS: {} }), /HTTP 403/);
+  assert.equal(server.stubState.historyRequests, 2);
+});
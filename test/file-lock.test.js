@@ -0,0 +1,63 @@
+/**
+ * 文件锁与原子写入（src/file-lock）行为检查：可重入、残留锁清除、等待超时
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, getLockPath, acquireLock, releaseLock, withFileLock } = require('../src/file-lock/file-lock');
+const { FILE_LOCK_CONFIG } = require('../src/config/config');
+
+function tempTarget(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return path.join(root, 'data.json');
+}
+
+test('writeFileAtomic 覆盖目标且不留临时文件', t => {
+  const target = tempTarget(t);
+  writeFileAtomic(target, 'old');
+  writeFileAtomic(target, 'new');
+  assert.equal(fs.readFileSync(target, 'utf-8'), 'new');
+  assert.deepEqual(fs.readdirSync(path.dirname(target)), ['data.json']);
+});
+
+test('同一进程内可重入，最外层释放时删除锁文件', t => {
+  const target = tempTarget(t);
+  const lockPath = getLockPath(target);
+  const result = withFileLock(target, () => {
+    assert.ok(fs.existsSync(lockPath));
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).pid, process.pid);
+    return withFileLock(target, () => {
+      assert.ok(fs.existsSync(lockPath));
+      return 42;
+    });
+  });
+  assert.equal(result, 42);
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test('fn 抛出异常时同样释放锁', t => {
+  const target = tempTarget(t);
+  assert.throws(() => withFileLock(target, () => { throw new Error('boom'); }), /boom/);
+  assert.equal(fs.existsSync(getLockPath(target)), false);
+});
+
+test('超过 STALE_MS 的残留锁被清除', t => {
+  const target = tempTarget(t);
+  const lockPath = getLockPath(target);
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), time: Date.now() - FILE_LOCK_CONFIG.STALE_MS - 1000 }));
+  const warn = t.mock.method(console, 'warn', () => {});
+  acquireLock(target);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).time > Date.now() - 1000, true);
+  releaseLock(target);
+});
+
+test('其他主机持有的有效锁：等待超时后抛出错误', t => {
+  const target = tempTarget(t);
+  fs.writeFileSync(getLockPath(target), JSON.stringify({ pid: 1, host: `${os.hostname()}-other`, time: Date.now() }));
+  assert.throws(() => acquireLock(target, { timeoutMs: 50, retryMs: 10 }), /获取文件锁超时/);
+});
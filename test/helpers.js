@@ -0,0 +1,52 @@
+/**
+ * 测试辅助：由价格序列构造高低交替的关键点位，或沿价格路径构造小时K线
+ */
+
+const { createNormalizedBar } = require('../src/kline/kline');
+
+const HOUR_MS = 3600000;
+const BASE_TIME = Date.UTC(2026, 0, 1);
+
+/**
+ * 由价格序列生成高低交替的关键点位（第二个价格高于第一个时从低点开始）
+ * @param {Array<number>} prices - 价格序列
+ * @param {number} [stepHours] - 相邻两点的间隔（小时）
+ * @returns {Array} [{ type, price, time, index }]
+ */
+function pivots(prices, stepHours = 5) {
+  const firstType = prices[1] > prices[0] ? 'low' : 'high';
+  const otherType = firstType === 'low' ? 'high' : 'low';
+  return prices.map((price, i) => ({
+    type: i % 2 === 0 ? firstType : otherType,
+    price,
+    time: BASE_TIME + i * stepHours * HOUR_MS,
+    index: i * stepHours
+  }));
+}
+
+/**
+ * 沿价格路径构造小时K线：相邻摆动点之间各插 barsPerLeg 根，开盘价偏离上一根收盘 1%，避免相邻K线高低点相等
+ * @param {Array<number>} path - 摆动点价格序列
+ * @param {number} [barsPerLeg] - 每段的K线根数
+ * @returns {Array} 标准K线数组
+ */
+function barsFromPath(path, barsPerLeg = 3) {
+  const bars = [];
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const leg = path[i] - from;
+    for (let k = 1; k <= barsPerLeg; k++) {
+      const open = from + leg * (k - 1) / barsPerLeg + leg * 0.01;
+      const close = from + leg * k / barsPerLeg;
+      bars.push(createNormalizedBar(BASE_TIME + bars.length * HOUR_MS, open, Math.max(open, close), Math.min(open, close), close));
+    }
+  }
+  return bars;
+}
+
+module.exports = {
+  HOUR_MS,
+  BASE_TIME,
+  pivots,
+  barsFromPath
+};
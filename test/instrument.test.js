@@ -0,0 +1,48 @@
+/**
+ * 多品种（INSTRUMENT_CATALOG）行为检查：以现货白银运行，手动价格变量按品种区分，未配置数据源与参考点位时降级而不报错
+ */
+
+// 品种在加载 config 时确定，须在 require 之前设置（node --test 每个测试文件在独立进程中运行）
+process.env.WAVE_SYMBOL = 'XAGUSD';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INSTRUMENT_CONFIG, PRICE_SOURCE_CONFIG } = require('../src/config/config');
+const { fetchQuoteFromSources } = require('../src/price-source/price-source');
+const { analyzeWave2 } = require('../src/wave/wave');
+const { judgeTrend } = require('../src/trend/trend');
+const { buildTradePlan } = require('../src/risk/risk');
+
+test('品种配置：数据文件前缀与手动价格环境变量按品种区分', () => {
+  assert.equal(INSTRUMENT_CONFIG.SYMBOL, 'XAGUSD');
+  assert.equal(INSTRUMENT_CONFIG.FILE_PREFIX, 'silver');
+  assert.equal(PRICE_SOURCE_CONFIG.PROVIDERS.manual.ENV_VAR, 'SILVER_PRICE');
+  assert.match(PRICE_SOURCE_CONFIG.MANUAL_HINT, /SILVER_PRICE/);
+});
+
+test('手动价格只读当前品种的环境变量，未配置行情代码的金投网数据源跳过', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const config = { ...PRICE_SOURCE_CONFIG, ORDER: ['manual', 'jijinhao'] };
+  process.env.GOLD_PRICE = '5000';
+  t.after(() => {
+    delete process.env.GOLD_PRICE;
+    delete process.env.SILVER_PRICE;
+  });
+  await assert.rejects(fetchQuoteFromSources({}, config), /SILVER_PRICE/);
+
+  process.env.SILVER_PRICE = '31.5';
+  const quote = await fetchQuoteFromSources({}, config);
+  assert.equal(quote.price, 31.5);
+  assert.equal(quote.source, 'manual');
+});
+
+test('未识别出波浪结构且没有参考点位：分析与交易计划降级而不抛错', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const analysis = analyzeWave2(31.5, null);
+  assert.equal(analysis, null);
+  const trend = judgeTrend(31.5, analysis);
+  assert.equal(trend.trend, '未知');
+  const plan = buildTradePlan({ analysis, trend, price: 31.5 });
+  assert.equal(plan.valid, false);
+  assert.match(plan.reason, /未识别出波浪结构/);
+});
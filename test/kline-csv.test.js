@@ -0,0 +1,160 @@
+/**
+ * CSV / MetaTrader 历史导入导出（src/kline-csv）行为检查：表头映射、时区换算、格式错误的行，以及 HST 与导出
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDateTime,
+  parseCsvLine,
+  parseColumnSpec,
+  parseKlineCsv,
+  parseHst,
+  detectIntervalMinutes,
+  formatKlineCsv
+} = require('../src/kline-csv/kline-csv');
+const { HOUR_MS } = require('./helpers');
+
+const T10 = Date.UTC(2026, 0, 5, 10);   // 2026-01-05 10:00 UTC
+
+// K线的 [time, open, high, low, close, volume]
+const rows = bars => bars.map(b => [b.time, b.open, b.high, b.low, b.close, b.volume]);
+
+test('表头映射：大小写与别名、引号字段、分号分隔，单列 time 视为完整日期时间', () => {
+  const { bars, skipped, format } = parseKlineCsv([
+    'Time;Open;High;Low;Close;Tick Volume',
+    '2026-01-05 11:00;"4801.5";4810;4800;4805;12',
+    '2026-01-05 10:00;4790;4802;4785;4801.5;8'
+  ].join('\n'));
+  assert.equal(format, 'csv');
+  assert.equal(skipped, 0);
+  assert.deepEqual(rows(bars), [[T10, 4790, 4802, 4785, 4801.5, 8], [T10 + HOUR_MS, 4801.5, 4810, 4800, 4805, 12]]);
+  // 引号内的分隔符与转义引号
+  assert.deepEqual(parseCsvLine('a,"b,""c""",d', ','), ['a', 'b,"c"', 'd']);
+
+  // 日期、时间分两列；未给出成交量时记为 0
+  const split = parseKlineCsv('Date,Hour,O,H,L,C\n2026.01.05,10:00,1,2,0.5,1.5');
+  assert.deepEqual(rows(split.bars), [[T10, 1, 2, 0.5, 1.5, 0]]);
+});
+
+test('MT5 导出：<DATE>/<TIME> 分列，<TICKVOL> 优先于 <VOL>', () => {
+  const { bars, format } = parseKlineCsv([
+    '<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\t<TICKVOL>\t<VOL>\t<SPREAD>',
+    '2026.01.05\t10:00:00\t4790.10\t4802.20\t4785.30\t4801.40\t356\t0\t20'
+  ].join('\n'));
+  assert.equal(format, 'mt5');
+  assert.deepEqual(rows(bars), [[T10, 4790.1, 4802.2, 4785.3, 4801.4, 356]]);
+});
+
+test('--columns 按列名或列号覆盖映射，缺少必需列时提示用 --columns 指定', () => {
+  const csv = 'when,first,top,bottom,last,price\n2026-01-05 10:00,1,2,0.5,1.5,9';
+  assert.throws(() => parseKlineCsv(csv), /CSV 缺少 date 列，请用 --columns 指定/);
+
+  // price 是 close 的别名：不指定时取 price 列（9），指定 close=last 后取 last 列
+  const mapped = parseKlineCsv(csv, { columns: 'date=when,open=2,high=top,low=bottom,close=last' });
+  assert.deepEqual(rows(mapped.bars), [[T10, 1, 2, 0.5, 1.5, 0]]);
+
+  assert.deepEqual(parseColumnSpec('date=Date, open=3'), { date: 'Date', open: 3 });
+  assert.deepEqual(parseColumnSpec(''), {});
+  assert.throws(() => parseColumnSpec('open'), /列映射格式错误: open/);
+  assert.throws(() => parseColumnSpec('bid=3'), /未知的列映射字段: bid/);
+  assert.throws(() => parseKlineCsv(csv, { columns: 'date=missing' }), /找不到列映射 date=missing/);
+  // 无表头文件只能按列号映射
+  assert.throws(() => parseKlineCsv('2026.01.05,10:00,1,2,0.5,1.5,3', { columns: 'close=Close' }), /文件没有表头，只能按列号映射/);
+});
+
+test('无表头文件：日期、时间分列按 MT4 历史中心布局，合为一列时整体后移', () => {
+  const mt4 = parseKlineCsv('2026.01.05,10:00,1,2,0.5,1.5,3\n2026.01.05,11:00,1.5,2.5,1,2,4');
+  assert.equal(mt4.format, 'mt4');
+  assert.deepEqual(rows(mt4.bars), [[T10, 1, 2, 0.5, 1.5, 3], [T10 + HOUR_MS, 1.5, 2.5, 1, 2, 4]]);
+
+  const merged = parseKlineCsv('2026-01-05T10:00,1,2,0.5,1.5,3');
+  assert.deepEqual(rows(merged.bars), [[T10, 1, 2, 0.5, 1.5, 3]]);
+  assert.equal(detectIntervalMinutes(mt4.bars), 60);
+  assert.equal(detectIntervalMinutes(merged.bars), null);
+});
+
+test('时区：当地时间按 IANA 时区（含夏令时）或固定偏移换算为 UTC，时间戳与带偏移的 ISO 时间不受影响', () => {
+  // 雅典冬令时 UTC+2、夏令时 UTC+3
+  assert.equal(parseDateTime('2026.01.05', '12:00', 'Europe/Athens'), T10);
+  assert.equal(parseDateTime('2026.07.06 13:00', undefined, 'Europe/Athens'), Date.UTC(2026, 6, 6, 10));
+  assert.equal(parseDateTime('05.01.2026 18:00', undefined, 'UTC+8'), T10);
+  assert.equal(parseDateTime('20260105 05:00', undefined, '-05:00'), T10);
+  assert.equal(parseDateTime('2026/01/05 10:00', undefined, 'GMT'), T10);
+
+  assert.equal(parseDateTime(String(T10 / 1000), undefined, '+02:00'), T10);
+  assert.equal(parseDateTime(String(T10), undefined, '+02:00'), T10);
+  assert.equal(parseDateTime('2026-01-05T12:00:00+02:00', undefined, 'Asia/Shanghai'), T10);
+  assert.equal(parseDateTime('2026-01-05 10:00Z', undefined, '+08:00'), T10);
+
+  const { bars } = parseKlineCsv('time,open,high,low,close\n2026-01-05 12:00,1,2,0.5,1.5', { tz: 'Europe/Athens', scale: 10 });
+  assert.deepEqual(rows(bars), [[T10, 10, 20, 5, 15, 0]]);
+});
+
+test('格式错误的行：日期或价格无法解析的行计入 skipped，BOM 与空行忽略，同一时间保留靠后的一行', () => {
+  const { bars, skipped } = parseKlineCsv([
+    '\uFEFFtime,open,high,low,close',
+    '2026-01-05 11:00,2,3,1,2.5',
+    '',
+    'not a date,1,2,0.5,1.5',
+    '2026-01-05 10:00,1,2,0.5,1.5',
+    '2026-01-05 12:00,abc,2,0.5,1.5',
+    '2026-01-05 13:00,1,2',
+    '2026-01-05 10:00,1,2.2,0.5,2',
+    ''
+  ].join('\r\n'));
+  assert.equal(skipped, 3);
+  assert.deepEqual(rows(bars), [[T10, 1, 2.2, 0.5, 2, 0], [T10 + HOUR_MS, 2, 3, 1, 2.5, 0]]);
+
+  assert.deepEqual(parseKlineCsv('\n\n'), { bars: [], skipped: 0, format: 'csv' });
+});
+
+// 构造 HST 文件：148 字节文件头 + 定长记录
+function buildHst(version, records) {
+  const recordSize = version === 401 ? 60 : 44;
+  const buffer = Buffer.alloc(148 + records.length * recordSize);
+  buffer.writeInt32LE(version, 0);
+  buffer.write('XAUUSD', 68, 'latin1');
+  buffer.writeInt32LE(60, 80);
+  buffer.writeInt32LE(2, 84);
+  records.forEach(([sec, open, high, low, close, volume], i) => {
+    const offset = 148 + i * recordSize;
+    if (version === 401) {
+      buffer.writeBigInt64LE(BigInt(sec), offset);
+      [open, high, low, close].forEach((v, k) => buffer.writeDoubleLE(v, offset + 8 + k * 8));
+      buffer.writeBigInt64LE(BigInt(volume), offset + 40);
+    } else {
+      buffer.writeInt32LE(sec, offset);
+      [open, low, high, close, volume].forEach((v, k) => buffer.writeDoubleLE(v, offset + 4 + k * 8));
+    }
+  });
+  return buffer;
+}
+
+test('HST：400、401 两种记录布局，时间按服务器时区换算，无效记录计入 skipped', () => {
+  const wall = Date.UTC(2026, 0, 5, 12) / 1000;
+  const records = [[wall + 3600, 2, 3, 1, 2.5, 7], [wall, 1, 2, 0.5, 1.5, 5], [0, 1, 2, 0.5, 1.5, 5]];
+  const expected = [[T10, 1, 2, 0.5, 1.5, 5], [T10 + HOUR_MS, 2, 3, 1, 2.5, 7]];
+
+  const v401 = parseHst(buildHst(401, records), { tz: '+02:00' });
+  assert.deepEqual([v401.symbol, v401.period, v401.digits, v401.skipped], ['XAUUSD', 60, 2, 1]);
+  assert.deepEqual(rows(v401.bars), expected);
+  assert.deepEqual(rows(parseHst(buildHst(400, records), { tz: '+02:00' }).bars), expected);
+
+  assert.throws(() => parseHst(Buffer.alloc(10)), /HST 文件过短/);
+  assert.throws(() => parseHst(buildHst(401, []).fill(0, 0, 4)), /不支持的 HST 版本: 0/);
+});
+
+test('导出：csv、mt4、mt5 按时区输出当地时间，导出后可原样导入', () => {
+  const bars = parseKlineCsv('time,open,high,low,close,volume\n2026-01-05 10:00,4790.1,4802.2,4785.3,4801.4,356').bars;
+
+  assert.equal(formatKlineCsv(bars), 'time,open,high,low,close,volume\n2026-01-05 10:00:00,4790.10,4802.20,4785.30,4801.40,356\n');
+  assert.equal(formatKlineCsv(bars, { format: 'mt4', tz: 'Europe/Athens' }), '2026.01.05,12:00,4790.10,4802.20,4785.30,4801.40,356\n');
+  const mt5 = formatKlineCsv(bars, { format: 'mt5', tz: '+08:00', digits: 1 });
+  assert.equal(mt5.split('\n')[1], '2026.01.05\t18:00:00\t4790.1\t4802.2\t4785.3\t4801.4\t356\t0\t0');
+  assert.throws(() => formatKlineCsv(bars, { format: 'xlsx' }), /未知的导出格式: xlsx/);
+
+  for (const [format, tz] of [['csv', 'Asia/Shanghai'], ['mt4', 'Europe/Athens'], ['mt5', 'UTC']]) {
+    assert.deepEqual(rows(parseKlineCsv(formatKlineCsv(bars, { format, tz }), { tz }).bars), rows(bars));
+  }
+});
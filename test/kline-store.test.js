@@ -0,0 +1,258 @@
+/**
+ * K线分段存储（src/kline-store）行为检查：按月分段、范围读取、追加覆盖、数量限制与 JSON 导入
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ks = require('../src/kline-store/kline-store');
+const { KLINE_STORE_CONFIG } = require('../src/config/config');
+const { createNormalizedBar } = require('../src/kline/kline');
+const { HOUR_MS } = require('./helpers');
+
+const JAN_30 = Date.UTC(2026, 0, 30);
+
+// 从 startMs 起逐小时生成K线，close 为序号
+function hourlyBars(startMs, count) {
+  return Array.from({ length: count }, (_, i) => createNormalizedBar(startMs + i * HOUR_MS, i, i + 1, i - 1, i, 0));
+}
+
+// 每个用例使用独立的临时目录
+function tempStore(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'kline-store-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return { root, storeDir: path.join(root, 'gold_price_1h.kline') };
+}
+
+test('分段名与目录名', () => {
+  assert.equal(ks.getSegmentName(Date.UTC(2026, 1, 28, 23)), '2026-02');
+  assert.equal(ks.getStoreDir('/data/gold_price_1h.json'), '/data/gold_price_1h.kline');
+});
+
+test('writeBars 按 UTC 月份分段，readBars 按范围只读重叠的分段', t => {
+  const { storeDir } = tempStore(t);
+  // 1-30 00:00 起 72 根，跨 1 月与 2 月
+  ks.writeBars(storeDir, hourlyBars(JAN_30, 72));
+  assert.deepEqual(ks.listSegments(storeDir).map(s => s.name), ['2026-01', '2026-02']);
+  assert.equal(ks.readBars(storeDir).length, 72);
+  const feb = ks.readBars(storeDir, { fromMs: Date.UTC(2026, 1, 1) });
+  assert.equal(feb.length, 24);
+  assert.equal(feb[0].time, Date.UTC(2026, 1, 1));
+  const window = ks.readBars(storeDir, { fromMs: JAN_30 + 10 * HOUR_MS, toMs: JAN_30 + 12 * HOUR_MS });
+  assert.deepEqual(window.map(b => b.close), [10, 11, 12]);
+  assert.deepEqual(ks.readLastBars(storeDir, 2).map(b => b.close), [70, 71]);
+});
+
+test('upsertBars 同一时间以最后一行为准，deleteBars 追加删除标记', t => {
+  const { storeDir } = tempStore(t);
+  ks.writeBars(storeDir, hourlyBars(JAN_30, 3));
+  ks.upsertBars(storeDir, [createNormalizedBar(JAN_30 + HOUR_MS, 5, 9, 4, 8, 1)]);
+  ks.upsertBars(storeDir, [createNormalizedBar(JAN_30 + 3 * HOUR_MS, 8, 8, 8, 8, 0)]);
+  assert.deepEqual(ks.readBars(storeDir).map(b => b.close), [0, 8, 2, 8]);
+  ks.deleteBars(storeDir, [JAN_30]);
+  assert.deepEqual(ks.readBars(storeDir).map(b => b.close), [8, 2, 8]);
+  const lines = fs.readFileSync(path.join(storeDir, '2026-01.ndjson'), 'utf-8').trim().split('\n');
+  assert.equal(lines[lines.length - 1], JSON.stringify([JAN_30]));
+});
+
+test('被覆盖的行超过 COMPACT_THRESHOLD 时重写分段', t => {
+  const { storeDir } = tempStore(t);
+  const bar = hourlyBars(JAN_30, 1)[0];
+  const file = path.join(storeDir, '2026-01.ndjson');
+  const lineCount = () => fs.readFileSync(file, 'utf-8').trim().split('\n').length;
+  // 共 THRESHOLD + 1 行时被覆盖的行恰好等于阈值，不重写
+  for (let i = 0; i <= KLINE_STORE_CONFIG.COMPACT_THRESHOLD; i++) {
+    ks.upsertBars(storeDir, [{ ...bar, close: i }]);
+  }
+  assert.equal(lineCount(), KLINE_STORE_CONFIG.COMPACT_THRESHOLD + 1);
+  ks.upsertBars(storeDir, [{ ...bar, close: -1 }]);
+  assert.equal(lineCount(), 1);
+  assert.equal(ks.readBars(storeDir)[0].close, -1);
+});
+
+test('trimOldestBars 从最早的K线删起，单次不超过 maxRemove', t => {
+  const { storeDir } = tempStore(t);
+  ks.writeBars(storeDir, hourlyBars(JAN_30, 72));
+  // 超出 22 根，但本次只允许删 1 根
+  assert.equal(ks.trimOldestBars(storeDir, 50, 1), 1);
+  assert.equal(ks.readBars(storeDir)[0].close, 1);
+  assert.equal(ks.trimOldestBars(storeDir, 100), 0);
+  // 1 月只剩 47 根，全部删除时连同分段文件一起删除
+  assert.equal(ks.trimOldestBars(storeDir, 24), 47);
+  assert.deepEqual(ks.listSegments(storeDir).map(s => s.name), ['2026-02']);
+  assert.equal(ks.readBars(storeDir).length, 24);
+});
+
+// 记录读取过的分段文件名（meta.json 等其他文件不计）
+function trackSegmentReads(t) {
+  const reads = [];
+  const readFileSync = fs.readFileSync;
+  t.mock.method(fs, 'readFileSync', (file, ...args) => {
+    if (String(file).endsWith('.ndjson')) reads.push(path.basename(String(file)));
+    return readFileSync(file, ...args);
+  });
+  return reads;
+}
+
+test('分段统计：追加新K线或覆盖最后一根时不重读分段，补写更早的K线时重新统计', t => {
+  const { storeDir } = tempStore(t);
+  ks.writeBars(storeDir, hourlyBars(JAN_30, 72));
+  const reads = trackSegmentReads(t);
+
+  const [last] = hourlyBars(JAN_30 + 72 * HOUR_MS, 1);
+  ks.upsertBars(storeDir, [last]);
+  ks.upsertBars(storeDir, [{ ...last, close: 100 }]);
+  assert.deepEqual(reads, []);
+  const meta = () => JSON.parse(fs.readFileSync(path.join(storeDir, KLINE_STORE_CONFIG.META_FILE), 'utf-8')).segments['2026-02'];
+  assert.deepEqual([meta().lines, meta().bars, meta().lastTime], [26, 25, last.time]);
+
+  // 早于最后一根：是否覆盖已有K线只能重读分段确定
+  ks.upsertBars(storeDir, [createNormalizedBar(Date.UTC(2026, 1, 1, 5), 1, 2, 0, 1, 0)]);
+  assert.deepEqual(reads, ['2026-02.ndjson']);
+  assert.deepEqual([meta().lines, meta().bars], [27, 25]);
+  assert.equal(ks.readBars(storeDir).length, 73);
+});
+
+test('分段统计：覆盖的行按统计累计，超过阈值时重写分段', t => {
+  const { storeDir } = tempStore(t);
+  ks.writeBars(storeDir, hourlyBars(JAN_30, 2));
+  const file = path.join(storeDir, '2026-01.ndjson');
+  const bar = hourlyBars(JAN_30 + HOUR_MS, 1)[0];
+  const reads = trackSegmentReads(t);
+  for (let i = 0; i < KLINE_STORE_CONFIG.COMPACT_THRESHOLD; i++) {
+    ks.upsertBars(storeDir, [{ ...bar, close: i }]);
+  }
+  assert.deepEqual(reads, []);
+  ks.upsertBars(storeDir, [{ ...bar, close: -1 }]);
+  // 只在重写时读取一次
+  assert.deepEqual(reads, ['2026-01.ndjson']);
+  assert.equal(fs.readFileSync(file, 'utf-8').trim().split('\n').length, 2);
+});
+
+test('trimOldestBars 只读取需要部分删除的最早分段', t => {
+  const { storeDir } = tempStore(t);
+  // 1 月 48 根、2 月 24 根、3 月 24 根
+  ks.writeBars(storeDir, [...hourlyBars(JAN_30, 72), ...hourlyBars(Date.UTC(2026, 2, 1), 24)]);
+  const reads = trackSegmentReads(t);
+  assert.equal(ks.trimOldestBars(storeDir, 90, 1), 1);
+  assert.deepEqual(reads, ['2026-01.ndjson']);
+  // 删除整个 1 月分段不需要读取
+  assert.equal(ks.trimOldestBars(storeDir, 48), 47);
+  assert.deepEqual(reads, ['2026-01.ndjson']);
+  assert.deepEqual(ks.listSegments(storeDir).map(s => s.name), ['2026-02', '2026-03']);
+});
+
+test('分段统计与文件不符（统计之外的写入）或统计文件缺失时重新统计', t => {
+  const { storeDir } = tempStore(t);
+  ks.writeBars(storeDir, hourlyBars(JAN_30, 72));
+  const [extra] = hourlyBars(JAN_30 + 72 * HOUR_MS, 1);
+  fs.appendFileSync(path.join(storeDir, '2026-02.ndjson'), `${JSON.stringify([extra.time, 1, 2, 0, 1, 0])}\n`);
+  // 共 73 根，保留 70 根
+  assert.equal(ks.trimOldestBars(storeDir, 70), 3);
+
+  fs.rmSync(path.join(storeDir, KLINE_STORE_CONFIG.META_FILE));
+  assert.equal(ks.trimOldestBars(storeDir, 69), 1);
+  assert.equal(ks.readBars(storeDir).length, 69);
+});
+
+test('migrateJsonFile 导入旧 JSON 文件，原文件保持不变且只导入一次', t => {
+  const { root, storeDir } = tempStore(t);
+  const jsonFile = path.join(root, 'gold_price_1h.json');
+  const raw = hourlyBars(JAN_30, 5).map(b => ({ timestamp: b.timestamp, open: b.open, high: b.high, low: b.low, close: b.close }));
+  fs.writeFileSync(jsonFile, JSON.stringify(raw));
+  const before = fs.readFileSync(jsonFile, 'utf-8');
+  t.mock.method(console, 'log', () => {});
+
+  assert.equal(ks.migrateJsonFile(jsonFile), 5);
+  assert.equal(fs.readFileSync(jsonFile, 'utf-8'), before);
+  assert.equal(ks.readBars(storeDir).length, 5);
+  assert.equal(ks.migrateJsonFile(jsonFile), null);
+  assert.equal(ks.openKlineStore(jsonFile), storeDir);
+  assert.ok(ks.klineDataExists(jsonFile));
+});
+
+test('导入记录：原文件在导入后被修改时 openKlineStore 提示一次，只改修改时间不提示', t => {
+  const { root, storeDir } = tempStore(t);
+  const jsonFile = path.join(root, 'gold_price_1h.json');
+  fs.writeFileSync(jsonFile, JSON.stringify(hourlyBars(JAN_30, 5)));
+  t.mock.method(console, 'log', () => {});
+  const warnings = [];
+  t.mock.method(console, 'warn', line => warnings.push(line));
+
+  ks.openKlineStore(jsonFile);
+  const { source } = JSON.parse(fs.readFileSync(path.join(storeDir, KLINE_STORE_CONFIG.META_FILE), 'utf-8'));
+  assert.deepEqual([source.file, source.bars], ['gold_price_1h.json', 5]);
+  assert.deepEqual(ks.checkSourceFile(jsonFile), { modified: false, changed: false });
+
+  // 内容不变、修改时间变化（如重新检出）：记录新的修改时间，不提示
+  const later = new Date(Date.now() + 60000);
+  fs.utimesSync(jsonFile, later, later);
+  assert.deepEqual(ks.checkSourceFile(jsonFile), { modified: false, changed: false });
+  ks.upsertBars(storeDir, hourlyBars(JAN_30 + 5 * HOUR_MS, 1));
+  assert.deepEqual(ks.checkSourceFile(jsonFile), { modified: false, changed: false });
+
+  // 内容被修改：提示一次，之后不再重复；不重新导入
+  fs.writeFileSync(jsonFile, JSON.stringify(hourlyBars(JAN_30, 3)));
+  ks.openKlineStore(jsonFile);
+  ks.openKlineStore(jsonFile);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /gold_price_1h\.json 在导入 gold_price_1h\.kline\/ 后被修改/);
+  assert.deepEqual(ks.checkSourceFile(jsonFile), { modified: true, changed: false });
+  assert.equal(ks.readBars(storeDir).length, 6);
+
+  // 再次修改时重新提示
+  fs.writeFileSync(jsonFile, JSON.stringify(hourlyBars(JAN_30, 2)));
+  ks.openKlineStore(jsonFile);
+  assert.equal(warnings.length, 2);
+
+  // 早于导入记录的分段目录没有 source：不检查
+  fs.rmSync(path.join(storeDir, KLINE_STORE_CONFIG.META_FILE));
+  assert.equal(ks.checkSourceFile(jsonFile), null);
+});
+
+test('分段最后一行不完整（追加中断）时去掉该行', t => {
+  const { storeDir } = tempStore(t);
+  ks.writeBars(storeDir, hourlyBars(JAN_30, 3));
+  const file = path.join(storeDir, '2026-01.ndjson');
+  fs.appendFileSync(file, '[1769745600000,1,2');
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(ks.readBars(storeDir).length, 3);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.ok(fs.readFileSync(file, 'utf-8').endsWith('\n'));
+  assert.equal(fs.existsSync(`${file}${KLINE_STORE_CONFIG.CORRUPT_SUFFIX}`), false);
+
+  // 追加删除标记前同样先去掉不完整的行
+  fs.appendFileSync(file, '[1769745600000,1,2');
+  ks.deleteBars(storeDir, [JAN_30]);
+  assert.deepEqual(ks.readBars(storeDir).map(b => b.close), [1, 2]);
+  assert.equal(warn.mock.callCount(), 2);
+});
+
+test('分段损坏时由快照与仍可解析的行恢复，损坏文件留存为 .corrupt', t => {
+  const { storeDir } = tempStore(t);
+  ks.writeBars(storeDir, hourlyBars(JAN_30, 3));
+  // 快照之后追加的K线
+  ks.upsertBars(storeDir, [createNormalizedBar(JAN_30 + 3 * HOUR_MS, 3, 4, 2, 3, 0)]);
+  const file = path.join(storeDir, '2026-01.ndjson');
+  const lines = fs.readFileSync(file, 'utf-8').split('\n');
+  lines[1] = '\u0000\u0000garbage';
+  fs.writeFileSync(file, lines.join('\n'));
+  t.mock.method(console, 'warn', () => {});
+
+  // 第 2 行已损坏，但快照中有该K线；第 4 行只在分段文件中
+  assert.deepEqual(ks.readBars(storeDir).map(b => b.close), [0, 1, 2, 3]);
+  assert.ok(fs.existsSync(`${file}${KLINE_STORE_CONFIG.CORRUPT_SUFFIX}`));
+  assert.ok(!fs.readFileSync(file, 'utf-8').includes('garbage'));
+});
+
+test('没有快照的损坏分段只保留可解析的行', t => {
+  const { storeDir } = tempStore(t);
+  fs.mkdirSync(storeDir, { recursive: true });
+  const file = path.join(storeDir, '2026-01.ndjson');
+  const [a, , c] = hourlyBars(JAN_30, 3).map(b => JSON.stringify([b.time, b.open, b.high, b.low, b.close, b.volume]));
+  fs.writeFileSync(file, `${a}\n{"broken": true}\n${c}\n`);
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(ks.readBars(storeDir).map(b => b.close), [0, 2]);
+});
@@ -0,0 +1,87 @@
+/**
+ * 标准K线结构（src/kline）行为检查：时间格式识别、一次性转换为标准K线与分析入口的结构断言
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectTimeFormat,
+  toEpochMs,
+  readBarTime,
+  normalizeBar,
+  normalizeBars,
+  createNormalizedBar,
+  assertNormalizedBars
+} = require('../src/kline/kline');
+const { getKlineTimeMs, filterKlineByTimeRange } = require('../goldWaveAnalysis');
+
+const T = Date.UTC(2026, 1, 10, 8);   // 2026-02-10 16:00 北京时间
+
+test('时间格式识别与换算：毫秒、秒、ISO 与按北京时间解析的日期字符串', () => {
+  assert.equal(detectTimeFormat(T), 'ms');
+  assert.equal(detectTimeFormat(T / 1000), 's');
+  assert.equal(detectTimeFormat('2026-02-10T08:00:00.000Z'), 'iso');
+  assert.equal(detectTimeFormat('2026/02/10 16:00:00'), 'datetime');
+  assert.equal(detectTimeFormat('2026-02-10 16:00'), 'datetime');
+  assert.equal(detectTimeFormat('yesterday'), 'invalid');
+  assert.equal(detectTimeFormat(0), 'invalid');
+  assert.equal(detectTimeFormat(undefined), null);
+
+  assert.equal(toEpochMs(T / 1000), T);
+  assert.equal(toEpochMs('2026-02-10T08:00:00.000Z'), T);
+  assert.equal(toEpochMs('2026/02/10 16:00:00'), T);
+  assert.equal(toEpochMs('2026-02-10 16:00'), T);
+  assert.ok(isNaN(toEpochMs('yesterday')));
+});
+
+test('多个时间字段：毫秒优先于秒，同格式时 time 优先，并给出格式签名', () => {
+  assert.deepEqual(readBarTime({ timestamp: T / 1000, time: T }), { timeMs: T, signature: 'timestamp:s,time:ms' });
+  assert.deepEqual(readBarTime({ timestamp: '2026-02-10T08:00:00.000Z', time: '2026/02/10 17:00:00' }),
+    { timeMs: T, signature: 'timestamp:iso,time:datetime' });
+  assert.equal(readBarTime({}).signature, '无时间字段');
+});
+
+test('normalizeBar：数值字符串、缺失字段补齐，价格为 0 不回退', () => {
+  assert.deepEqual(
+    normalizeBar({ timestamp: T / 1000, open: '10', high: '12', low: '9', close: '11', volume: 'n/a' }),
+    { timestamp: T / 1000, time: T, open: 10, high: 12, low: 9, close: 11, volume: 0, price: 11 }
+  );
+  // 只有 price 的报价行：OHLC 均取 price
+  const tick = normalizeBar({ time: T, price: 4820 });
+  assert.deepEqual([tick.open, tick.high, tick.low, tick.close], [4820, 4820, 4820, 4820]);
+  // low 为 0 是有效价格
+  assert.equal(normalizeBar({ time: T, open: 1, high: 2, low: 0, close: 1 }).low, 0);
+
+  assert.equal(normalizeBar({ time: 'yesterday', close: 1 }), null);
+  assert.equal(normalizeBar({ time: T, close: 'abc' }), null);
+  assert.equal(normalizeBar(null), null);
+});
+
+test('normalizeBars：丢弃无法解析的K线并按时间升序排列，标准K线重复转换结果不变', () => {
+  const bars = normalizeBars([
+    { time: T + 3600000, close: 2 },
+    { time: 'bad', close: 0 },
+    { timestamp: T / 1000, close: 1 },
+    { timestamp: new Date(T + 3600000).toISOString(), close: 3 }
+  ]);
+  assert.deepEqual(bars.map(b => [b.time, b.close]), [[T, 1], [T + 3600000, 2], [T + 3600000, 3]]);
+  assert.deepEqual(normalizeBars(bars), bars);
+  assert.deepEqual(normalizeBars(null), []);
+});
+
+test('assertNormalizedBars：拒绝未经转换的原始K线', () => {
+  const bar = createNormalizedBar(T, 1, 2, 0.5, 1.5);
+  assert.doesNotThrow(() => assertNormalizedBars([bar], 'test'));
+  assert.throws(() => assertNormalizedBars([bar, { timestamp: T / 1000, close: 1 }], 'identify'),
+    /identify: 第 1 条K线不是标准结构/);
+  assert.throws(() => assertNormalizedBars({}, 'identify'), /必须是数组/);
+  assert.throws(() => filterKlineByTimeRange([{ time: '2026/02/10', close: 1 }], 0), /filterKlineByTimeRange/);
+});
+
+test('getKlineTimeMs：兼容原有接口，转调标准时间解析', () => {
+  assert.equal(getKlineTimeMs({ timestamp: T / 1000 }), T);
+  assert.equal(getKlineTimeMs({ timestamp: '2026-02-10T08:00:00.000Z' }), T);
+  assert.equal(getKlineTimeMs({ time: T }), T);
+  assert.equal(getKlineTimeMs({ time: '2026/02/10 16:00:00' }), T);
+  assert.equal(getKlineTimeMs({}), 0);
+});
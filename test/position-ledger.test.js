@@ -0,0 +1,125 @@
+/**
+ * 持仓台账（src/position-ledger）行为检查：记录交易、移动加权平均成本、已实现与浮动收益（报价币种与人民币）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GRAMS_PER_TROY_OUNCE, INSTRUMENT_CATALOG, INSTRUMENT_CONFIG } = require('../src/config/config');
+const { loadLedger, replayTrades, summarizeLedger, recordTrade } = require('../src/position-ledger/position-ledger');
+const { BASE_TIME } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const XAUUSD = INSTRUMENT_CATALOG.XAUUSD;
+// 按克报价的人民币品种：金额即 数量 × 价格
+const AU9999 = INSTRUMENT_CATALOG.AU9999;
+
+const trade = (side, day, quantity, price, rate = null) => ({ side, time: BASE_TIME + day * DAY_MS, quantity, price, rate });
+
+// 浮点比较：逐字段相差不超过 1e-6
+function assertClose(actual, expected) {
+  Object.entries(expected).forEach(([key, value]) => {
+    if (typeof value !== 'number') {
+      assert.equal(actual[key], value, key);
+      return;
+    }
+    assert.ok(Math.abs(actual[key] - value) < 1e-6, `${key}: ${actual[key]} ≠ ${value}`);
+  });
+}
+
+test('平均成本：买入按数量加权，卖出按平均成本结转且平均成本不变', () => {
+  const trades = [trade('buy', 0, 10, 900), trade('buy', 2, 10, 1000), trade('sell', 3, 5, 1100)];
+  const summary = summarizeLedger(trades, { price: 1000, now: BASE_TIME + 5 * DAY_MS }, AU9999);
+  assertClose(summary, {
+    trades: 3,
+    quantity: 15,
+    avgCost: 950,
+    avgCostCny: 950,
+    marketValue: 15000,
+    realized: 750,
+    realizedCny: 750,
+    unrealized: 750,
+    unrealizedPct: 750 / 14250 * 100,
+    unrealizedCny: 750,
+    openedAt: BASE_TIME,
+    // 持仓时间按买入数量加权：第 0、2 天各 10 克，平均第 1 天买入
+    holdingDays: 4
+  });
+
+  assert.equal(summarizeLedger([], { price: 1000 }, AU9999), null);
+});
+
+test('清仓后重新计算成本与持仓时间，已实现收益累计保留', () => {
+  const trades = [trade('buy', 0, 10, 900), trade('sell', 1, 10, 950)];
+  const closed = summarizeLedger(trades, { price: 1000, now: BASE_TIME + 2 * DAY_MS }, AU9999);
+  assertClose(closed, { quantity: 0, avgCost: null, unrealized: 0, unrealizedPct: null, realized: 500, openedAt: null, holdingDays: null });
+
+  const reopened = summarizeLedger([...trades, trade('buy', 3, 2, 1200)], { price: 1100, now: BASE_TIME + 4 * DAY_MS }, AU9999);
+  assertClose(reopened, { quantity: 2, avgCost: 1200, unrealized: -200, realized: 500, openedAt: BASE_TIME + 3 * DAY_MS, holdingDays: 1 });
+});
+
+test('按盎司报价的品种：人民币收益按各笔交易的汇率核算，缺少汇率时为 null', () => {
+  // 1 盎司 4000 美元（汇率 7.0），半盎司以 4400 美元（汇率 7.2）卖出
+  const trades = [trade('buy', 0, GRAMS_PER_TROY_OUNCE, 4000, 7), trade('sell', 1, GRAMS_PER_TROY_OUNCE / 2, 4400, 7.2)];
+  const summary = summarizeLedger(trades, { price: 4400, rate: 7.2 }, XAUUSD);
+  assertClose(summary, {
+    avgCost: 4000,
+    avgCostCny: 28000 / GRAMS_PER_TROY_OUNCE,
+    realized: 200,
+    realizedCny: 0.5 * (4400 * 7.2 - 28000),
+    unrealized: 200,
+    unrealizedCny: 0.5 * (4400 * 7.2 - 28000)
+  });
+
+  // 当前汇率未知：浮动收益只有美元部分
+  assertClose(summarizeLedger(trades, { price: 4400 }, XAUUSD), { unrealized: 200, unrealizedCny: null, realizedCny: 1840 });
+  // 卖出缺少汇率：已实现的人民币收益无法核算，之后一直为 null
+  const missing = replayTrades([trades[0], { ...trades[1], rate: null }, trade('sell', 2, 1, 4500, 7.2)], XAUUSD);
+  assert.equal(missing.realizedCny, null);
+  assertClose(missing, { costCny: (GRAMS_PER_TROY_OUNCE / 2 - 1) * 28000 / GRAMS_PER_TROY_OUNCE });
+  // 买入缺少汇率：人民币成本未知
+  assert.equal(replayTrades([{ ...trades[0], rate: null }], XAUUSD).costCny, null);
+});
+
+test('recordTrade：写入台账文件、按时间排序并分配递增 id，卖出不得超过当时持仓', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'position-ledger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'positions.json');
+
+  assert.deepEqual(loadLedger(file), { symbol: INSTRUMENT_CONFIG.SYMBOL, trades: [] });
+  const first = recordTrade(trade('buy', 2, 10, 4000, 7), file);
+  assert.equal(first.id, 1);
+  // 补录更早的买入：排在前面，id 仍递增
+  recordTrade({ side: 'buy', time: BASE_TIME, quantity: 5, price: 3900 }, file);
+  recordTrade(trade('sell', 3, 15, 4100), file);
+
+  const ledger = loadLedger(file);
+  assert.equal(ledger.symbol, INSTRUMENT_CONFIG.SYMBOL);
+  assert.deepEqual(ledger.trades.map(tr => [tr.id, tr.side, tr.quantity, tr.rate]), [[2, 'buy', 5, null], [1, 'buy', 10, 7], [3, 'sell', 15, null]]);
+
+  // 第 1 天只持有 5 克：补录第 1 天卖出 6 克会使当时持仓为负
+  const before = fs.readFileSync(file, 'utf-8');
+  assert.throws(() => recordTrade(trade('sell', 1, 6, 4000), file), /卖出数量超过持仓/);
+  assert.throws(() => recordTrade(trade('sell', 4, 1, 4000), file), /卖出数量超过持仓/);
+  assert.equal(fs.readFileSync(file, 'utf-8'), before);
+
+  assert.throws(() => recordTrade(trade('hold', 4, 1, 4000), file), /无效的交易方向: hold/);
+  assert.throws(() => recordTrade(trade('buy', 4, 0, 4000), file), /交易数量与价格必须为正数/);
+  assert.throws(() => recordTrade(trade('buy', 4, 1, -1), file), /交易数量与价格必须为正数/);
+});
+
+test('台账文件属于其他品种或格式错误时拒绝读写', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'position-ledger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'positions.json');
+
+  fs.writeFileSync(file, JSON.stringify({ symbol: 'AU9999', trades: [] }));
+  assert.throws(() => recordTrade(trade('buy', 0, 1, 900), file), new RegExp(`属于 AU9999，与当前品种 ${INSTRUMENT_CONFIG.SYMBOL} 不符`));
+
+  fs.writeFileSync(file, '{bad');
+  assert.throws(() => loadLedger(file), /不是有效的 JSON/);
+  fs.writeFileSync(file, '{"symbol":"XAUUSD"}');
+  assert.throws(() => loadLedger(file), /缺少 trades 数组/);
+});
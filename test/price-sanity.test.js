@@ -0,0 +1,65 @@
+/**
+ * 报价合理性检查（src/price-sanity）行为检查：ATR 偏离、报价过期与K线过期时退回冷启动区间
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INSTRUMENT_CONFIG, PRICE_SANITY_CONFIG } = require('../src/config/config');
+const { buildPriceReference, checkQuotePlausibility } = require('../src/price-sanity/price-sanity');
+const { createNormalizedBar } = require('../src/kline/kline');
+const { HOUR_MS, BASE_TIME } = require('./helpers');
+
+// 每根K线波幅 10、收盘价在 5000 附近来回，ATR 为 10
+function steadyBars(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = i % 2 === 0 ? 5000 : 5002;
+    return createNormalizedBar(BASE_TIME + i * HOUR_MS, close, close + 5, close - 5, close);
+  });
+}
+
+const reference = buildPriceReference(steadyBars(PRICE_SANITY_CONFIG.ATR_PERIOD + 1));
+const lastTime = BASE_TIME + PRICE_SANITY_CONFIG.ATR_PERIOD * HOUR_MS;
+const quoteAt = (price, hours) => {
+  const time = lastTime + hours * HOUR_MS;
+  return checkQuotePlausibility({ price, time }, reference, { now: time, maxAtrMultiple: 8 });
+};
+
+test('buildPriceReference：K线不足 ATR_PERIOD+1 根时返回 null', () => {
+  assert.equal(buildPriceReference(steadyBars(PRICE_SANITY_CONFIG.ATR_PERIOD)), null);
+  assert.equal(reference.lastClose, 5000);
+  assert.equal(reference.lastTime, lastTime);
+  assert.equal(reference.atr, 10);
+});
+
+test('最近K线未过期：按 MAX_ATR_MULTIPLE×ATR×√小时数 判断偏离', () => {
+  // 1小时内允许 8×10 = 80
+  assert.equal(quoteAt(5080, 1), null);
+  assert.match(quoteAt(5080.5, 1), /偏离最近收盘价/);
+  // 4小时后允许 80×√4 = 160
+  assert.equal(quoteAt(5160, 4), null);
+  assert.match(quoteAt(5161, 4), /偏离最近收盘价/);
+});
+
+test('报价时间早于 MAX_QUOTE_AGE_MS 视为过期', () => {
+  const time = lastTime + HOUR_MS;
+  const now = time + PRICE_SANITY_CONFIG.MAX_QUOTE_AGE_MS + 1;
+  assert.match(checkQuotePlausibility({ price: 5000, time }, reference, { now }), /过期/);
+});
+
+test('最近K线早于 MAX_REFERENCE_AGE_MS：不再按时间放宽偏离，退回 PRICE_BOUNDS', () => {
+  const { MIN, MAX } = INSTRUMENT_CONFIG.PRICE_BOUNDS;
+  const staleHours = PRICE_SANITY_CONFIG.MAX_REFERENCE_AGE_MS / HOUR_MS + 1;
+  // 8个月后按 √时间放宽的允许偏离已超过 6000，区间外的价格也会被接受；过期后改按区间检查
+  assert.equal(quoteAt(MAX + 1, 240 * 24), `最近K线已是 240.0 天前，且超出${INSTRUMENT_CONFIG.NAME}冷启动区间 ${MIN}-${MAX}`);
+  assert.match(quoteAt(MIN - 1, staleHours), /冷启动区间/);
+  assert.equal(quoteAt(MAX, staleHours), null);
+  // 恰好在期限内仍按 ATR 检查
+  assert.match(quoteAt(MAX, PRICE_SANITY_CONFIG.MAX_REFERENCE_AGE_MS / HOUR_MS), /偏离最近收盘价/);
+});
+
+test('没有基准时按 PRICE_BOUNDS 检查，非正数价格无效', () => {
+  const { MIN, MAX } = INSTRUMENT_CONFIG.PRICE_BOUNDS;
+  assert.equal(checkQuotePlausibility({ price: MIN }, null), null);
+  assert.match(checkQuotePlausibility({ price: MAX + 1 }, null), /历史K线不足/);
+  assert.match(checkQuotePlausibility({ price: 0 }, null), /价格无效/);
+});
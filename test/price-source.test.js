@@ -0,0 +1,144 @@
+/**
+ * 价格数据源注册表（src/price-source）行为检查：按配置顺序尝试、失败回退与手动价格，实时数据源指向本地替身服务
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PRICE_SOURCE_CONFIG } = require('../src/config/config');
+const {
+  registerPriceProvider,
+  createPriceProvider,
+  fetchQuoteFromSources,
+  parseJijinhaoQuote,
+  parseTickLine
+} = require('../src/price-source/price-source');
+const { createPriceStubServer, buildJijinhaoBody } = require('../src/price-source/stub-server');
+
+let baseUrl;
+const server = createPriceStubServer({ price: 4820.5 });
+
+test.before(() => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// 数据源指向替身服务的配置；ORDER 由各用例指定
+function stubConfig(order, overrides = {}) {
+  const { manual, jijinhao } = PRICE_SOURCE_CONFIG.PROVIDERS;
+  return {
+    ORDER: order,
+    MANUAL_HINT: '请手动指定价格',
+    PROVIDERS: {
+      manual: { ...manual, ENV_VAR: 'STUB_TEST_PRICE' },
+      jijinhao: { ...jijinhao, URL: `${baseUrl}/sQuoteCenter/realTime.htm` },
+      'json-http': { TYPE: 'json-http', URL: `${baseUrl}/price`, PRICE_PATH: 'price', TIME_PATH: 'time', HEADERS: {} },
+      broken: { TYPE: 'json-http', URL: `${baseUrl}/price?fail=1`, PRICE_PATH: 'price', HEADERS: {} },
+      // 不带 Referer 的 jijinhao 请求被拦截（666）
+      blocked: { ...jijinhao, URL: `${baseUrl}/sQuoteCenter/realTime.htm`, HEADERS: {} },
+      ...overrides
+    }
+  };
+}
+
+test('按 ORDER 顺序取第一个成功的数据源', async () => {
+  const json = await fetchQuoteFromSources({}, stubConfig(['json-http', 'jijinhao']));
+  assert.equal(json.source, 'json-http');
+  assert.equal(json.price, 4820.5);
+  assert.equal(json.live, true);
+
+  const jijinhao = await fetchQuoteFromSources({}, stubConfig(['jijinhao', 'json-http']));
+  assert.equal(jijinhao.source, 'jijinhao');
+  assert.equal(jijinhao.label, 'jijinhao');
+  assert.equal(jijinhao.price, 4820.5);
+});
+
+test('前一个数据源失败（HTTP 500、666 拦截、未配置）时回退到下一个', async () => {
+  const config = stubConfig(['broken', 'blocked', 'missing', 'json-http']);
+  const quote = await fetchQuoteFromSources({}, config);
+  assert.equal(quote.source, 'json-http');
+
+  await assert.rejects(
+    fetchQuoteFromSources({}, stubConfig(['broken', 'blocked'])),
+    err => /broken: HTTP 500/.test(err.message) && /blocked: HTTP 666（缺少Referer或被拦截）/.test(err.message) &&
+      err.message.endsWith('请手动指定价格')
+  );
+});
+
+test('手动价格：--price 优先于环境变量，无效时回退到实时数据源', async (t) => {
+  const config = stubConfig(['manual', 'json-http']);
+  process.env.STUB_TEST_PRICE = '4700';
+  t.after(() => { delete process.env.STUB_TEST_PRICE; });
+
+  const cli = await fetchQuoteFromSources({ manualPrice: 4800 }, config);
+  assert.deepEqual([cli.source, cli.label, cli.price, cli.live], ['manual', '手动输入', 4800, false]);
+
+  const env = await fetchQuoteFromSources({ manualPrice: null }, config);
+  assert.deepEqual([env.label, env.price], ['环境变量', 4700]);
+
+  // --price abc 解析为 NaN：手动数据源不适用，由实时数据源给出报价
+  delete process.env.STUB_TEST_PRICE;
+  const live = await fetchQuoteFromSources({ manualPrice: NaN }, config);
+  assert.deepEqual([live.source, live.live], ['json-http', true]);
+
+  const fixed = stubConfig(['manual'], { manual: { TYPE: 'fixed', PRICE: 4750 } });
+  assert.equal((await fetchQuoteFromSources({}, fixed)).label, '固定配置');
+});
+
+test('checkQuote：实时报价不合理时丢弃并回退，手动价格只标记 suspect', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const checkQuote = q => (q.price > 4810 ? '偏离过大' : null);
+
+  const rejected = fetchQuoteFromSources({ checkQuote }, stubConfig(['json-http']));
+  await assert.rejects(rejected, /json-http: 偏离过大/);
+
+  const fallback = await fetchQuoteFromSources({ manualPrice: 4820, checkQuote }, stubConfig(['json-http', 'manual']));
+  assert.equal(fallback.source, 'manual');
+  assert.equal(fallback.suspect, '偏离过大');
+});
+
+test('registerPriceProvider：自定义类型可在配置中使用', async () => {
+  registerPriceProvider('constant-test', (name, options) => ({
+    name,
+    type: 'constant-test',
+    live: true,
+    async fetchQuote() { return { price: options.VALUE, time: 0, label: name }; }
+  }));
+  const config = stubConfig(['custom'], { custom: { TYPE: 'constant-test', VALUE: 42 } });
+  assert.equal((await fetchQuoteFromSources({}, config)).price, 42);
+  assert.throws(() => createPriceProvider('nope', config), /未配置的价格数据源/);
+  assert.throws(() => registerPriceProvider('bad', null), /工厂函数无效/);
+});
+
+test('file-tail：读取行情文件最后一行，过期时回退', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-source-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'ticks.log');
+  fs.writeFileSync(file, `{"price":4800,"time":${Date.now() - 3600000}}\n{"price":4811.5,"time":${Date.now()}}\n`);
+  const tail = { TYPE: 'file-tail', FILE_PATH: file, MAX_AGE_MS: 600000 };
+  assert.equal((await fetchQuoteFromSources({}, stubConfig(['tail'], { tail }))).price, 4811.5);
+
+  fs.appendFileSync(file, `2020-01-01 00:00:00,4700\n`);
+  const quote = await fetchQuoteFromSources({}, stubConfig(['tail', 'json-http'], { tail }));
+  assert.equal(quote.source, 'json-http');
+});
+
+test('解析 jijinhao 与行情文件格式', () => {
+  const quote = parseJijinhaoQuote(buildJijinhaoBody(4820.5));
+  assert.deepEqual(quote, { price: 4820.5, prevClose: 4810.5, high: 4835.5, low: 4800.5, open: 4815.5 });
+  assert.throws(() => parseJijinhaoQuote('var other = ""'), /格式异常/);
+  assert.throws(() => parseJijinhaoQuote('var hq_str = "a,b,c";'), /字段数不足/);
+
+  assert.deepEqual(parseTickLine('{"price":4820.5,"timestamp":1770793052}'), { price: 4820.5, time: 1770793052000 });
+  assert.equal(parseTickLine('2026-02-11 06:57:32,4820.5').price, 4820.5);
+  assert.deepEqual(parseTickLine('4820.5'), { price: 4820.5, time: null });
+});
@@ -0,0 +1,85 @@
+/**
+ * K线重采样（src/resample）行为检查：交易日锚点、夏令时切换日、4小时/日线/周线分桶与增量更新
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getSessionStart,
+  getResampleBucketStart,
+  resampleBars,
+  updateResampledBars
+} = require('../src/resample/resample');
+const { createNormalizedBar } = require('../src/kline/kline');
+
+const HOUR_MS = 3600000;
+
+// 从 startMs 起逐小时生成K线，第 i 根的 open=100+i、close=101+i
+function hourlyBars(startMs, count) {
+  return Array.from({ length: count }, (_, i) =>
+    createNormalizedBar(startMs + i * HOUR_MS, 100 + i, 102 + i, 99 + i, 101 + i, 1));
+}
+
+test('纽约17:00收盘：冬令时交易日起点为 22:00 UTC，夏令时为 21:00 UTC', () => {
+  assert.equal(getSessionStart(Date.UTC(2026, 0, 14, 23), 'NY_CLOSE'), Date.UTC(2026, 0, 14, 22));
+  assert.equal(getSessionStart(Date.UTC(2026, 0, 14, 22), 'NY_CLOSE'), Date.UTC(2026, 0, 14, 22));
+  assert.equal(getSessionStart(Date.UTC(2026, 0, 14, 21), 'NY_CLOSE'), Date.UTC(2026, 0, 13, 22));
+  assert.equal(getSessionStart(Date.UTC(2026, 6, 15, 21), 'NY_CLOSE'), Date.UTC(2026, 6, 15, 21));
+  assert.equal(getSessionStart(Date.UTC(2026, 6, 15, 20), 'NY_CLOSE'), Date.UTC(2026, 6, 14, 21));
+});
+
+test('夏令时切换日（2026-03-08）：切换前的交易日只有23小时，之后对齐到 21:00 UTC', () => {
+  assert.equal(getSessionStart(Date.UTC(2026, 2, 8, 20), 'NY_CLOSE'), Date.UTC(2026, 2, 7, 22));
+  assert.equal(getSessionStart(Date.UTC(2026, 2, 8, 21), 'NY_CLOSE'), Date.UTC(2026, 2, 8, 21));
+  // 冬令时恢复（2026-11-01）：前一交易日有25小时
+  assert.equal(getSessionStart(Date.UTC(2026, 10, 1, 21), 'NY_CLOSE'), Date.UTC(2026, 9, 31, 21));
+  assert.equal(getSessionStart(Date.UTC(2026, 10, 1, 22), 'NY_CLOSE'), Date.UTC(2026, 10, 1, 22));
+});
+
+test('北京时间0点与 UTC 0点锚点', () => {
+  assert.equal(getSessionStart(Date.UTC(2026, 0, 15, 15), 'BEIJING_MIDNIGHT'), Date.UTC(2026, 0, 14, 16));
+  assert.equal(getSessionStart(Date.UTC(2026, 0, 15, 16), 'BEIJING_MIDNIGHT'), Date.UTC(2026, 0, 15, 16));
+  assert.equal(getSessionStart(Date.UTC(2026, 0, 15, 23, 30), 'UTC_MIDNIGHT'), Date.UTC(2026, 0, 15));
+});
+
+test('未知锚点抛出错误', () => {
+  assert.throws(() => getSessionStart(Date.UTC(2026, 0, 15), 'MARS'), /未知的时段锚点/);
+});
+
+test('4小时、日线与周线分桶', () => {
+  // 冬令时纽约 17、21、1、5、9、13 点 = 22、2、6、10、14、18 点 UTC
+  assert.equal(getResampleBucketStart(Date.UTC(2026, 0, 15, 1), 240, 'NY_CLOSE'), Date.UTC(2026, 0, 14, 22));
+  assert.equal(getResampleBucketStart(Date.UTC(2026, 0, 15, 2), 240, 'NY_CLOSE'), Date.UTC(2026, 0, 15, 2));
+  assert.equal(getResampleBucketStart(Date.UTC(2026, 0, 15, 13), 1440, 'NY_CLOSE'), Date.UTC(2026, 0, 14, 22));
+  // 周线：2026-01-12（周一）交易日从周日 17:00 纽约时间开始
+  assert.equal(getResampleBucketStart(Date.UTC(2026, 0, 14, 12), 10080, 'NY_CLOSE'), Date.UTC(2026, 0, 11, 22));
+  assert.equal(getResampleBucketStart(Date.UTC(2026, 0, 11, 22), 10080, 'NY_CLOSE'), Date.UTC(2026, 0, 11, 22));
+});
+
+test('resampleBars 合成 OHLCV', () => {
+  const bars = hourlyBars(Date.UTC(2026, 0, 14, 22), 6);
+  const h4 = resampleBars(bars, 240, 'NY_CLOSE');
+  assert.equal(h4.length, 2);
+  assert.deepEqual(
+    { time: h4[0].time, open: h4[0].open, high: h4[0].high, low: h4[0].low, close: h4[0].close, volume: h4[0].volume },
+    { time: Date.UTC(2026, 0, 14, 22), open: 100, high: 105, low: 99, close: 104, volume: 4 }
+  );
+  assert.equal(h4[1].time, Date.UTC(2026, 0, 15, 2));
+  assert.equal(h4[1].close, 106);
+  assert.equal(h4[1].price, 106);
+  assert.deepEqual(resampleBars([], 240), []);
+});
+
+test('updateResampledBars 只重算最后一个周期', () => {
+  const source = hourlyBars(Date.UTC(2026, 0, 14, 22), 6);
+  const existing = resampleBars(source.slice(0, 5), 240, 'NY_CLOSE');
+  const closed = existing[0];
+  const updated = updateResampledBars(existing, source, 240, 'NY_CLOSE');
+  assert.equal(updated.length, 2);
+  assert.equal(updated[0], closed);
+  assert.equal(updated[1].close, 106);
+  assert.equal(updated[1].volume, 2);
+  // 最后一根未对齐到周期起点（旧版追加的K线）时全量重算
+  const misaligned = existing.concat(createNormalizedBar(Date.UTC(2026, 0, 15, 3), 1, 1, 1, 1, 0));
+  assert.deepEqual(updateResampledBars(misaligned, source, 240, 'NY_CLOSE'), resampleBars(source, 240, 'NY_CLOSE'));
+});
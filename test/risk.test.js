@@ -0,0 +1,109 @@
+/**
+ * 交易计划（src/risk）行为检查：按波浪失效位选择止损、按账户风险计算仓位、盈亏比与保本价
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RISK_CONFIG, INSTRUMENT_CONFIG } = require('../src/config/config');
+const { selectInvalidationLevel, buildTradePlan } = require('../src/risk/risk');
+const { analyzeWave2 } = require('../src/wave/wave');
+const { judgeTrend } = require('../src/trend/trend');
+const { buildTradePlanLines } = require('../src/output/output');
+
+const tick = INSTRUMENT_CONFIG.TICK_SIZE;
+const monitorPoints = { WAVE_1_START: 4000, LIFE_LINE: 4160, WAVE_2_LOW: 4200, WAVE_1_END: 4500 };
+const analysis = { monitorPoints, extensionLevels: { 1.618: 4800 } };
+const trend = { immediateTarget: { label: '第一浪终点', price: 4500 } };
+// 止损下移 1、价差 0.5、不计手续费
+const simple = { stopBufferTicks: 1 / tick, spreadTicks: 0.5 / tick, feeRate: 0 };
+
+// 浮点比较：逐字段相差不超过 1e-6
+function assertClose(actual, expected) {
+  Object.entries(expected).forEach(([key, value]) => {
+    if (typeof value !== 'number') {
+      assert.deepEqual(actual[key], value, key);
+      return;
+    }
+    assert.ok(Math.abs(actual[key] - value) < 1e-6, `${key}: ${actual[key]} ≠ ${value}`);
+  });
+}
+
+test('selectInvalidationLevel：取当前价格下方最近的失效位，跌破第一浪起点时为 null', () => {
+  assert.deepEqual(selectInvalidationLevel(monitorPoints, 4300), { key: 'WAVE_2_LOW', label: '第二浪低点', price: 4200 });
+  assert.equal(selectInvalidationLevel(monitorPoints, 4190).key, 'LIFE_LINE');
+  assert.equal(selectInvalidationLevel(monitorPoints, 4100).key, 'WAVE_1_START');
+  assert.equal(selectInvalidationLevel(monitorPoints, 3990), null);
+  // 缺少的失效位跳过
+  assert.equal(selectInvalidationLevel({ WAVE_1_START: 4000, WAVE_2_LOW: null }, 4300).key, 'WAVE_1_START');
+  assert.equal(selectInvalidationLevel(null, 4300), null);
+});
+
+test('止损、盈亏比与仓位：账户 × 风险% ÷ 每单位止损亏损', () => {
+  const plan = buildTradePlan({ analysis, trend, price: 4300, accountSize: 10000, riskPct: 1 }, simple);
+  const units = 100 / 101.5;
+  assertClose(plan, {
+    valid: true,
+    entry: 4300.5,
+    stop: 4199,
+    lossPerUnit: 101.5,
+    stopDistancePct: 101.5 / 4300.5 * 100,
+    breakEven: 4300.5,
+    riskAmount: 100,
+    units,
+    grams: units * INSTRUMENT_CONFIG.GRAMS_PER_UNIT,
+    notional: units * 4300.5,
+    leverage: units * 4300.5 / 10000
+  });
+  assert.deepEqual(plan.invalidation, { key: 'WAVE_2_LOW', label: '第二浪低点', price: 4200 });
+  assert.deepEqual(plan.targets.map(t => [t.label, t.price]), [['第一浪终点', 4500], ['1.618延伸位', 4800]]);
+  assertClose(plan.targets[0], { rewardRisk: 199.5 / 101.5 });
+  assertClose(plan.targets[1], { rewardRisk: 499.5 / 101.5 });
+
+  // 价格跌到第二浪低点下方：止损移到生命线下方；目标在入场价下方时没有盈亏比
+  const deeper = buildTradePlan({ analysis, trend: { immediateTarget: { label: '0.382反弹位', price: 4180 } }, price: 4190, accountSize: 0 }, simple);
+  assertClose(deeper, { stop: 4159, accountSize: null, units: null, riskAmount: null });
+  assert.equal(deeper.targets[0].rewardRisk, null);
+});
+
+test('手续费计入止损亏损与保本价', () => {
+  const plan = buildTradePlan({ analysis, price: 4300, accountSize: 0 }, { stopBufferTicks: 0, spreadTicks: 0, feeRate: 0.001 });
+  assertClose(plan, {
+    entry: 4300,
+    stop: 4200,
+    lossPerUnit: 4300 * 1.001 - 4200 * 0.999,
+    breakEven: 4300 * 1.001 / 0.999
+  });
+  assertClose(plan.targets[0], { label: '1.618延伸位', rewardRisk: (4800 * 0.999 - 4300 * 1.001) / plan.lossPerUnit });
+
+  // 默认按 RISK_CONFIG 的止损缓冲、价差与手续费
+  const defaults = buildTradePlan({ analysis, price: 4300, accountSize: 0 });
+  assertClose(defaults, {
+    entry: 4300 + RISK_CONFIG.SPREAD_TICKS * tick,
+    stop: 4200 - RISK_CONFIG.STOP_BUFFER_TICKS * tick,
+    breakEven: (4300 + RISK_CONFIG.SPREAD_TICKS * tick) * (1 + RISK_CONFIG.FEE_RATE) / (1 - RISK_CONFIG.FEE_RATE)
+  });
+});
+
+test('没有波浪结构或计数已失效时不给出计划', () => {
+  assert.deepEqual(buildTradePlan({ analysis: null, price: 4300 }), { valid: false, reason: '未识别出波浪结构，无法按波浪失效位制定交易计划' });
+  const broken = buildTradePlan({ analysis, price: 3990 });
+  assert.equal(broken.valid, false);
+  assert.match(broken.reason, /跌破第一浪起点/);
+  assert.deepEqual(buildTradePlanLines(broken), [`🧮 交易计划: ${broken.reason}`]);
+});
+
+test('由 analyzeWave2、judgeTrend 的结果生成计划并输出', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const waveAnalysis = analyzeWave2(4300, { wave1: { start: 4000, end: 4500, range: 500 }, wave2: { currentLow: 4200 } });
+  const plan = buildTradePlan({ analysis: waveAnalysis, trend: judgeTrend(4300, waveAnalysis), price: 4300, accountSize: 10000, riskPct: 1 }, simple);
+  assert.equal(plan.invalidation.key, 'WAVE_2_LOW');
+  assert.equal(plan.targets.at(-1).price, 4500 + 500 * 1.618);
+
+  assert.deepEqual(buildTradePlanLines(plan, true), ['🧮 止损 4199.00 | 保本 4300.50 | 盈亏比 0.14R / 9.94R | 仓位 0.985 盎司（30.64 克）']);
+  assert.deepEqual(buildTradePlanLines(plan), [
+    '🧮 交易计划（做多，止损于第二浪低点 4200.00 下方）:',
+    '   入场 4300.50 | 止损 4199.00（-2.36%）| 保本 4300.50',
+    '   仓位: 账户 10000.00 USD × 1% = 风险 100.00 USD → 0.985 盎司（30.64 克），名义 4236.95 USD（0.42 倍）',
+    '   盈亏比: 0.382反弹位 4314.60 → 0.14R | 1.618延伸位 5309.00 → 9.94R'
+  ]);
+});
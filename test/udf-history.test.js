@@ -0,0 +1,155 @@
+/**
+ * UDF 历史K线接口（src/udf-history）行为检查：分页、重试、错误与空响应、断点续传，请求指向本地替身服务
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getBatchRanges,
+  parseHistoryResponse,
+  udfBatchToBars,
+  fetchUdfHistory
+} = require('../src/udf-history/udf-history');
+const { createUdfStubServer } = require('../src/udf-history/stub-server');
+
+const DAY_S = 86400;
+const MON_JAN_5 = Date.UTC(2026, 0, 5) / 1000;   // 2026-01-05 周一 00:00 UTC（秒）
+const SAT_JAN_10 = Date.UTC(2026, 0, 10) / 1000; // 纽约时间全天休市
+
+// 在临时端口启动替身服务，用例结束时关闭
+function startStub(t, options) {
+  const server = createUdfStubServer(options);
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}/token/6/6/28` }));
+  });
+}
+
+// 不节流、快速重试、不写断点文件的请求选项
+function fastOptions(baseUrl, overrides = {}) {
+  return {
+    baseUrl,
+    symbol: 'XAUUSD',
+    resolution: '60',
+    headers: {},
+    batchDays: 3,
+    requestIntervalMs: 0,
+    maxRetries: 2,
+    retryBaseDelayMs: 5,
+    timeoutMs: 5000,
+    checkpointFile: null,
+    silent: true,
+    ...overrides
+  };
+}
+
+test('getBatchRanges：按天数切分，首尾相接不重叠', () => {
+  assert.deepEqual(getBatchRanges(0, 7 * DAY_S, 3), [
+    { from: 0, to: 3 * DAY_S },
+    { from: 3 * DAY_S + 1, to: 6 * DAY_S + 1 },
+    { from: 6 * DAY_S + 2, to: 7 * DAY_S }
+  ]);
+  assert.deepEqual(getBatchRanges(100, 100, 3), []);
+});
+
+test('分页：每批一个请求，合并后的K线按时间升序、无重复且落在请求范围内', async (t) => {
+  const { server, baseUrl } = await startStub(t);
+  const batches = [];
+  const bars = await fetchUdfHistory(fastOptions(baseUrl, {
+    from: MON_JAN_5,
+    to: MON_JAN_5 + 4 * DAY_S,
+    onBatch: batch => batches.push(batch.range)
+  }));
+
+  assert.equal(server.stubState.historyRequests, 2);
+  assert.deepEqual(batches, getBatchRanges(MON_JAN_5, MON_JAN_5 + 4 * DAY_S, 3));
+  assert.equal(bars[0].time, MON_JAN_5 * 1000);
+  assert.equal(bars[bars.length - 1].time, (MON_JAN_5 + 4 * DAY_S) * 1000);
+  assert.equal(new Set(bars.map(b => b.time)).size, bars.length);
+  assert.ok(bars.every((b, i) => i === 0 || b.time > bars[i - 1].time));
+  assert.ok(bars.every(b => b.high >= Math.max(b.open, b.close) && b.low <= Math.min(b.open, b.close)));
+});
+
+test('5xx 按退避重试后成功；4xx 不重试直接抛出', async (t) => {
+  const flaky = await startStub(t, { failEvery: 2 });
+  const bars = await fetchUdfHistory(fastOptions(flaky.baseUrl, { from: MON_JAN_5, to: MON_JAN_5 + 4 * DAY_S }));
+  // 第 2 个请求 500 后重试：共 3 个请求
+  assert.equal(flaky.server.stubState.historyRequests, 3);
+  assert.equal(flaky.server.stubState.rejected, 1);
+  assert.ok(bars.length > 0);
+
+  const guarded = await startStub(t, { requireHeader: { name: 'Referer', value: 'https://example.com' } });
+  await assert.rejects(
+    fetchUdfHistory(fastOptions(guarded.baseUrl, { from: MON_JAN_5, to: MON_JAN_5 + DAY_S })),
+    /HTTP 403/
+  );
+  assert.equal(guarded.server.stubState.historyRequests, 1);
+
+  const ok = await fetchUdfHistory(fastOptions(guarded.baseUrl, {
+    from: MON_JAN_5,
+    to: MON_JAN_5 + DAY_S,
+    headers: { Referer: 'https://example.com' }
+  }));
+  assert.ok(ok.length > 0);
+});
+
+test('错误响应：s=error 与格式错误不重试', async (t) => {
+  const { server, baseUrl } = await startStub(t);
+  await assert.rejects(
+    fetchUdfHistory(fastOptions(baseUrl, { resolution: '7', from: MON_JAN_5, to: MON_JAN_5 + DAY_S })),
+    /UDF 接口返回错误: unsupported resolution 7/
+  );
+  assert.equal(server.stubState.historyRequests, 1);
+
+  assert.throws(() => parseHistoryResponse('<html>'), /不是有效 JSON/);
+  assert.throws(() => parseHistoryResponse({ s: 'ok', t: [1, 2], c: [1] }), /长度不一致/);
+  await assert.rejects(fetchUdfHistory(fastOptions('', { from: 0, to: 1 })), /未配置 UDF 历史K线接口地址/);
+});
+
+test('空响应：休市时段返回 no_data，结果为空数组；缺少 o/h/l/v 时用 close 补齐', async (t) => {
+  const { baseUrl } = await startStub(t);
+  const statuses = [];
+  const bars = await fetchUdfHistory(fastOptions(baseUrl, {
+    from: SAT_JAN_10,
+    to: SAT_JAN_10 + 20 * 3600,
+    onBatch: batch => statuses.push(batch.status)
+  }));
+  assert.deepEqual(bars, []);
+  assert.deepEqual(statuses, ['no_data']);
+  assert.deepEqual(parseHistoryResponse({ s: 'no_data', nb: 1767830400 }), { status: 'no_data', batch: null, nextTime: 1767830400 });
+
+  const [bar] = udfBatchToBars({ t: [MON_JAN_5], c: [4800] });
+  assert.deepEqual([bar.open, bar.high, bar.low, bar.close, bar.volume], [4800, 4800, 4800, 4800, 0]);
+});
+
+test('断点续传：中途失败保留已完成批次，再次运行只请求未完成的批次', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udf-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const checkpointFile = path.join(dir, 'checkpoint.json');
+  const range = { from: MON_JAN_5, to: MON_JAN_5 + 4 * DAY_S };
+
+  // 第 1 个请求之后全部 500：第 2 批重试 1 次后放弃
+  const broken = await startStub(t, { failAfter: 1 });
+  await assert.rejects(
+    fetchUdfHistory(fastOptions(broken.baseUrl, { ...range, checkpointFile, maxRetries: 1 })),
+    /重试 1 次后仍失败: HTTP 500/
+  );
+  const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf-8'));
+  assert.equal(checkpoint.completed.length, 1);
+
+  // 同一接口地址的任务才能续传：用新的替身服务时沿用断点中的任务标识
+  const resumed = await startStub(t);
+  fs.writeFileSync(checkpointFile, JSON.stringify({ ...checkpoint, key: `${resumed.baseUrl}|XAUUSD|60` }));
+  const bars = await fetchUdfHistory(fastOptions(resumed.baseUrl, { ...range, checkpointFile }));
+  assert.equal(resumed.server.stubState.historyRequests, 1);
+  assert.equal(fs.existsSync(checkpointFile), false);
+
+  const fresh = await startStub(t);
+  assert.deepEqual(bars, await fetchUdfHistory(fastOptions(fresh.baseUrl, range)));
+});
@@ -0,0 +1,74 @@
+/**
+ * UDF 标注（src/udf-marks）行为检查：浪点标注与识别出的波浪一致、监测点穿越，以及数据源服务中标注缓存随新K线失效
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { identifyWaves12345AndABC } = require('../src/wave/wave');
+const { MARK_COLORS, findLevelCrossings, generateUdfMarks } = require('../src/udf-marks/udf-marks');
+const { createBarStore } = require('../src/udf-server/udf-server');
+const { getStoreDir, writeBars, upsertBars, listSegments } = require('../src/kline-store/kline-store');
+const { barsFromPath } = require('./helpers');
+
+// 1-2-3-4-5 之后 a-b-c：浪5 2000，a 1800，b 1980，c 1780
+const bars = barsFromPath([1050, 1000, 1300, 1150, 1750, 1600, 2000, 1800, 1980, 1780, 1850], 4);
+const sec = point => Math.floor(point.time / 1000);
+
+test('浪点标注与识别出的推动浪、调整浪终点一一对应', () => {
+  const waveResult = identifyWaves12345AndABC(bars);
+  const { marks, timescaleMarks } = generateUdfMarks({ waveResult, bars, wxy: null });
+  const { impulse, corrective } = waveResult;
+
+  const expected = [
+    ['0', impulse.wave1.start],
+    ...['1', '2', '3', '4', '5'].map(n => [n, impulse[`wave${n}`].end]),
+    ['A', corrective.waveA.end],
+    ['B', corrective.waveB.end],
+    ['C', corrective.waveC.end]
+  ].map(([label, point]) => [label, sec(point)]);
+  assert.deepEqual(timescaleMarks.map(m => [m.label, m.time]), expected);
+  assert.deepEqual(marks.filter(m => m.minSize === 20).map(m => [m.label, m.time]), expected);
+
+  const wave5 = marks.find(m => m.label === '5');
+  assert.equal(wave5.color, MARK_COLORS.IMPULSE_HIGH);
+  assert.ok(wave5.text.startsWith('浪5 高点 2000.00\n'));
+  assert.equal(marks.find(m => m.label === 'A').color, MARK_COLORS.CORRECTIVE);
+  assert.deepEqual(timescaleMarks.find(m => m.label === 'C').tooltip, ['浪c 低点 1780.00']);
+});
+
+test('监测点穿越：收盘价上穿、下穿生命线各生成一个标注', () => {
+  const crossings = findLevelCrossings(bars, 1700);
+  assert.deepEqual(crossings.map(c => c.direction), ['up', 'down', 'up']);
+
+  const { marks } = generateUdfMarks({ waveResult: null, bars, monitorPoints: { LIFE_LINE: 1700 } });
+  assert.deepEqual(marks.map(m => [m.label, m.time, m.color]), crossings.map(c =>
+    ['L', c.time / 1000, c.direction === 'up' ? MARK_COLORS.CROSS_UP : MARK_COLORS.CROSS_DOWN]));
+  assert.ok(marks[1].text.startsWith('下穿生命线 1700.00（收盘 1675.00）'));
+});
+
+test('getMarks：K线未变时复用缓存，追加新K线后重新识别', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'udf-marks-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const timeframes = { H1: { NAME: '1小时', FILE_PATH: path.join(root, 'price_1h.json'), INTERVAL: 60 } };
+  const storeDir = getStoreDir(timeframes.H1.FILE_PATH);
+  const store = createBarStore(timeframes);
+
+  // 先只写到 b浪途中：已有浪a，还没有浪b、浪c
+  writeBars(storeDir, bars.slice(0, 32));
+  const before = store.getMarks('H1');
+  assert.equal(store.getMarks('H1'), before);
+  const labels = marks => marks.timescaleMarks.map(m => m.label);
+  assert.deepEqual(labels(before).filter(l => /[ABC]/.test(l)), ['A']);
+
+  upsertBars(storeDir, bars.slice(32));
+  // 分段文件的修改时间是缓存键：保证与首次写入不同
+  const future = new Date(Date.now() + 60000);
+  listSegments(storeDir).forEach(seg => fs.utimesSync(seg.file, future, future));
+  const after = store.getMarks('H1');
+  assert.notEqual(after, before);
+  assert.deepEqual(labels(after).filter(l => /[ABC]/.test(l)), ['A', 'B', 'C']);
+  assert.equal(after.timescaleMarks.find(m => m.label === 'C').time, sec(bars[35]));
+});
@@ -0,0 +1,131 @@
+/**
+ * UDF 数据源服务（src/udf-server）行为检查：在临时端口上请求 /config、/symbols、/history（60、240、1D），K线来自临时目录中的分段存储
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { UDF_SERVER_CONFIG } = require('../src/config/config');
+const { createUdfServer } = require('../src/udf-server/udf-server');
+const { getStoreDir, writeBars } = require('../src/kline-store/kline-store');
+const { createNormalizedBar } = require('../src/kline/kline');
+const { HOUR_MS } = require('./helpers');
+
+const MON_JAN_5 = Date.UTC(2026, 0, 5);   // 2026-01-05 周一 00:00 UTC
+const MON_S = MON_JAN_5 / 1000;
+const HOUR_S = HOUR_MS / 1000;
+const SYMBOL = UDF_SERVER_CONFIG.SYMBOL.NAME;
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'udf-server-'));
+// 4小时线、日线文件不存在，由1小时线重采样
+const timeframes = {
+  H1: { NAME: '1小时', FILE_PATH: path.join(root, 'price_1h.json'), INTERVAL: 60 },
+  H4: { NAME: '4小时', FILE_PATH: path.join(root, 'price_4h.json'), INTERVAL: 240, RESAMPLE_FROM: 'H1' },
+  D1: { NAME: '日线', FILE_PATH: path.join(root, 'price_d1.json'), INTERVAL: 1440, RESAMPLE_FROM: 'H1' }
+};
+// 周一 00:00 起 48 根1小时K线，第 i 根开盘/收盘为 4800+i，最高 +1，最低 -1
+writeBars(getStoreDir(timeframes.H1.FILE_PATH), Array.from({ length: 48 }, (_, i) =>
+  createNormalizedBar(MON_JAN_5 + i * HOUR_MS, 4800 + i, 4801 + i, 4799 + i, 4800 + i, 10)));
+
+let baseUrl;
+const server = createUdfServer({ timeframes });
+
+test.before(() => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// GET 请求，返回 { statusCode, headers, body }（body 为解析后的 JSON）
+function get(pathAndQuery) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${pathAndQuery}`, res => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: JSON.parse(raw) }));
+    }).on('error', reject);
+  });
+}
+
+const history = query => get(`/history?${new URLSearchParams({ symbol: SYMBOL, ...query })}`);
+
+test('/config：支持的周期与标注能力，允许跨域', async () => {
+  const { statusCode, headers, body } = await get('/config');
+  assert.equal(statusCode, 200);
+  assert.equal(headers['access-control-allow-origin'], '*');
+  assert.deepEqual(body.supported_resolutions, ['60', '240', '1D']);
+  assert.equal(body.supports_marks, true);
+  assert.equal(body.supports_timescale_marks, true);
+});
+
+test('/symbols：带交易所前缀的品种名，未知品种返回 404', async () => {
+  const { statusCode, body } = await get(`/symbols?symbol=${UDF_SERVER_CONFIG.SYMBOL.EXCHANGE}:${SYMBOL.toLowerCase()}`);
+  assert.equal(statusCode, 200);
+  assert.equal(body.name, SYMBOL);
+  assert.equal(body.pricescale, UDF_SERVER_CONFIG.SYMBOL.PRICE_SCALE);
+  assert.deepEqual(body.intraday_multipliers, ['60', '240']);
+
+  assert.equal((await get('/symbols?symbol=BTCUSD')).statusCode, 404);
+  assert.equal((await get('/unknown')).statusCode, 404);
+});
+
+test('/history 60：按 [from, to] 返回1小时K线，countback 取 to 之前最近的 N 根', async () => {
+  const { body } = await history({ resolution: '60', from: MON_S + 2 * HOUR_S, to: MON_S + 4 * HOUR_S });
+  assert.deepEqual(body, {
+    s: 'ok',
+    t: [2, 3, 4].map(i => MON_S + i * HOUR_S),
+    o: [4802, 4803, 4804],
+    h: [4803, 4804, 4805],
+    l: [4801, 4802, 4803],
+    c: [4802, 4803, 4804],
+    v: [10, 10, 10]
+  });
+
+  const countback = (await history({ resolution: '60', from: MON_S + 40 * HOUR_S, to: MON_S + 10 * HOUR_S, countback: 2 })).body;
+  assert.deepEqual(countback.t, [9, 10].map(i => MON_S + i * HOUR_S));
+});
+
+test('/history 240：由1小时线重采样，4小时桶以纽约17:00收盘为界（1月为 UTC 22:00）', async () => {
+  const { body } = await history({ resolution: '240', from: MON_S - 2 * HOUR_S, to: MON_S + 6 * HOUR_S });
+  // 周日 22:00 的桶只有 00:00、01:00 两根；02:00 的桶为 02:00-05:00；06:00 的桶为 06:00-09:00
+  assert.deepEqual(body.t, [MON_S - 2 * HOUR_S, MON_S + 2 * HOUR_S, MON_S + 6 * HOUR_S]);
+  assert.deepEqual(body.o, [4800, 4802, 4806]);
+  assert.deepEqual(body.h, [4802, 4806, 4810]);
+  assert.deepEqual(body.l, [4799, 4801, 4805]);
+  assert.deepEqual(body.c, [4801, 4805, 4809]);
+  assert.deepEqual(body.v, [20, 40, 40]);
+});
+
+test('/history 1D 与 D：日线由1小时线重采样，最后一根未收盘', async () => {
+  const query = { from: MON_S - 2 * HOUR_S, to: MON_S + 2 * 24 * HOUR_S };
+  const { body } = await history({ ...query, resolution: '1D' });
+  // 周日 22:00 开始的日线含 00:00-21:00，周一 22:00 开始的含 22:00-次日21:00，其后只有 22:00、23:00
+  assert.deepEqual(body.t, [-2, 22, 46].map(h => MON_S + h * HOUR_S));
+  assert.deepEqual(body.o, [4800, 4822, 4846]);
+  assert.deepEqual(body.c, [4821, 4845, 4847]);
+  assert.deepEqual(body.h, [4822, 4846, 4848]);
+  assert.deepEqual((await history({ ...query, resolution: 'D' })).body, body);
+});
+
+test('/history：无数据时给出 nextTime，参数无效时返回 s=error', async () => {
+  const later = (await history({ resolution: '60', from: MON_S + 100 * HOUR_S, to: MON_S + 200 * HOUR_S })).body;
+  assert.deepEqual(later, { s: 'no_data', nextTime: MON_S + 47 * HOUR_S });
+  const earlier = (await history({ resolution: '60', from: MON_S - 100 * HOUR_S, to: MON_S - HOUR_S })).body;
+  assert.deepEqual(earlier, { s: 'no_data' });
+
+  assert.deepEqual((await history({ resolution: '15', from: MON_S, to: MON_S + HOUR_S })).body,
+    { s: 'error', errmsg: 'unsupported resolution 15' });
+  assert.equal((await get(`/history?symbol=BTCUSD&resolution=60&from=${MON_S}&to=${MON_S}`)).body.errmsg, 'unknown_symbol BTCUSD');
+  assert.equal((await history({ resolution: '60', from: 'yesterday', to: MON_S })).body.s, 'error');
+});
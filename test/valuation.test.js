@@ -0,0 +1,106 @@
+/**
+ * 持仓估值（src/valuation）行为检查：美元/盎司与人民币/克互相折算、收益拆分为金价与汇率两部分，以及汇率数据源
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FX_RATE_CONFIG, GRAMS_PER_TROY_OUNCE, INSTRUMENT_CATALOG } = require('../src/config/config');
+const { fetchUsdCnyRate, toUsdPerOunce, toCnyPerGram, computePositionPnl } = require('../src/valuation/valuation');
+
+const XAUUSD = INSTRUMENT_CATALOG.XAUUSD;
+const AU9999 = INSTRUMENT_CATALOG.AU9999;
+
+// 浮点比较：逐字段相差不超过 1e-6
+function assertClose(actual, expected) {
+  Object.entries(expected).forEach(([key, value]) => {
+    if (typeof value !== 'number') {
+      assert.equal(actual[key], value, key);
+      return;
+    }
+    assert.ok(Math.abs(actual[key] - value) < 1e-6, `${key}: ${actual[key]} ≠ ${value}`);
+  });
+}
+
+test('价格折算：美元/盎司品种需要汇率才能得到人民币/克，人民币/克品种反之', () => {
+  assert.equal(toUsdPerOunce(4400, null, XAUUSD), 4400);
+  assertClose({ v: toCnyPerGram(4400, 7.2, XAUUSD) }, { v: 4400 * 7.2 / GRAMS_PER_TROY_OUNCE });
+  assert.equal(toCnyPerGram(4400, null, XAUUSD), null);
+
+  assert.equal(toCnyPerGram(990, null, AU9999), 990);
+  assertClose({ v: toUsdPerOunce(990, 7.2, AU9999) }, { v: 990 / 7.2 * GRAMS_PER_TROY_OUNCE });
+  assert.equal(toUsdPerOunce(990, null, AU9999), null);
+});
+
+test('收益拆分：金价部分按买入汇率、汇率部分按当前金价计算，两部分之和等于总收益', () => {
+  // 1 盎司：4000 美元 × 7.0 买入 28000 元，现价 4400 × 7.2
+  const result = computePositionPnl({ price: 4400, rate: 7.2, amountCny: 28000, costUsd: 4000, costRate: 7 }, XAUUSD);
+  assertClose(result, {
+    costCny: 28000 / GRAMS_PER_TROY_OUNCE,
+    grams: GRAMS_PER_TROY_OUNCE,
+    valueCny: 31680,
+    pnlCny: 3680,
+    pnlPct: 3680 / 28000 * 100,
+    goldPnlCny: 2800,
+    fxPnlCny: 880,
+    fxAssumed: false
+  });
+
+  // 同时给出美元、人民币成本时由两者推出买入汇率
+  const derived = computePositionPnl({ price: 4400, rate: 7.2, amountCny: 28000, costUsd: 4000, costCny: 28000 / GRAMS_PER_TROY_OUNCE }, XAUUSD);
+  assertClose(derived, { costRate: 7, goldPnlCny: 2800, fxPnlCny: 880 });
+});
+
+test('未给出买入汇率时按当前汇率计，汇率部分为 0 并标记 fxAssumed', () => {
+  const costCny = 4000 * 7.2 / GRAMS_PER_TROY_OUNCE;
+  const result = computePositionPnl({ price: 4400, rate: 7.2, amountCny: 28800, costCny }, XAUUSD);
+  assertClose(result, { costUsd: 4000, costRate: 7.2, pnlCny: 2880, goldPnlCny: 2880, fxPnlCny: 0, fxAssumed: true });
+});
+
+test('人民币/克品种：按买入、当前汇率折算为美元金价后同样拆分', () => {
+  // 10 克 × 900 元，买入汇率 7.0；现价 990 元/克，汇率 7.2
+  const result = computePositionPnl({ price: 990, rate: 7.2, amountCny: 9000, costCny: 900, costRate: 7 }, AU9999);
+  assertClose(result, { grams: 10, valueCny: 9900, pnlCny: 900, goldPnlCny: 625, fxPnlCny: 275 });
+});
+
+test('缺少汇率：成本与报价同币种时按报价涨跌计算，不拆分；否则无法计算', () => {
+  const result = computePositionPnl({ price: 4400, rate: null, amountCny: 28000, costUsd: 4000 }, XAUUSD);
+  assertClose(result, { valueCny: 30800, pnlCny: 2800, pnlPct: 10, grams: null, goldPnlCny: null, fxPnlCny: null, fxAssumed: true });
+  assertClose(computePositionPnl({ price: 990, rate: null, amountCny: 9000, costCny: 900 }, AU9999), { pnlCny: 900 });
+
+  assert.equal(computePositionPnl({ price: 4400, rate: null, amountCny: 28000, costCny: 900 }, XAUUSD), null);
+  assert.equal(computePositionPnl({ price: 4400, rate: 7.2, amountCny: 0, costUsd: 4000 }, XAUUSD), null);
+  assert.equal(computePositionPnl({ price: 4400, rate: 7.2, amountCny: 28000 }, XAUUSD), null);
+});
+
+test('fetchUsdCnyRate：手动汇率优先，其次汇率文件，都不可用时警告并返回 null', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuation-'));
+  const tail = FX_RATE_CONFIG.PROVIDERS['file-tail'];
+  const saved = { order: FX_RATE_CONFIG.ORDER, file: tail.FILE_PATH, env: process.env.USD_CNY };
+  t.after(() => {
+    FX_RATE_CONFIG.ORDER = saved.order;
+    tail.FILE_PATH = saved.file;
+    if (saved.env === undefined) delete process.env.USD_CNY;
+    else process.env.USD_CNY = saved.env;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  delete process.env.USD_CNY;
+  FX_RATE_CONFIG.ORDER = ['manual', 'file-tail'];
+  tail.FILE_PATH = path.join(dir, 'usdcny_rate.log');
+
+  assertClose(await fetchUsdCnyRate({ manualRate: 7.1 }), { rate: 7.1, source: '手动输入' });
+
+  const time = Date.now() - 60000;
+  fs.writeFileSync(tail.FILE_PATH, `${JSON.stringify({ price: 7.15, time })}\n`);
+  assert.deepEqual(await fetchUsdCnyRate(), { rate: 7.15, time, source: 'file-tail' });
+
+  fs.rmSync(tail.FILE_PATH);
+  const warnings = [];
+  t.mock.method(console, 'warn', line => warnings.push(line));
+  assert.equal(await fetchUsdCnyRate(), null);
+  assert.equal(await fetchUsdCnyRate({ silent: true }), null);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /未获取到 USD\/CNY 汇率.*--usdcny/);
+});
@@ -0,0 +1,104 @@
+/**
+ * 波浪计数枚举（src/wave-count）行为检查：铁律过滤、b浪上限、完整计数与失效位接替
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COUNT_LABELS, enumerateWaveCounts, rankWaveCounts } = require('../src/wave-count/wave-count');
+const { pivots } = require('./helpers');
+
+const labelsOf = count => count.points.map(p => p.label).join('');
+const allCounts = ranking => [ranking.primary, ...ranking.alternates];
+
+test('推动浪计数：完整 0-1-2-3-4-5 与延续到最后一个摆动点', () => {
+  const counts = enumerateWaveCounts(pivots([100, 120, 110, 150, 140, 160]));
+  const full = counts.find(c => labelsOf(c) === '012345');
+  assert.ok(full);
+  assert.equal(full.direction, 'up');
+  assert.equal(full.scores.coverage, 1);
+  assert.equal(full.ratios['2/1'], 0.5);
+  // 每个计数都以最后一个摆动点结束
+  counts.forEach(c => assert.equal(c.points[c.points.length - 1].point.price, 160));
+});
+
+test('2浪不能折返1浪的100%', () => {
+  const fromStart = prices => enumerateWaveCounts(pivots(prices))
+    .filter(c => c.sequence === COUNT_LABELS && c.points[0].point.price === 100);
+  assert.equal(fromStart([100, 120, 100]).length, 0);
+  assert.equal(fromStart([100, 120, 100.1]).length, 1);
+});
+
+test('4浪进入1浪区间的推动浪被剔除', () => {
+  const counts = enumerateWaveCounts(pivots([100, 120, 110, 150, 118, 160]));
+  assert.ok(counts.every(c => labelsOf(c) !== '012345'));
+  assert.ok(enumerateWaveCounts(pivots([100, 120, 110, 150, 121, 160])).some(c => labelsOf(c) === '012345'));
+});
+
+test('调整浪 a-b：b浪达到a浪2倍时计数不成立，失效位为 B_LIMIT', () => {
+  const ranking = rankWaveCounts(pivots([200, 180, 219.9]));
+  assert.equal(ranking.total, 1);
+  assert.equal(labelsOf(ranking.primary), '0ab');
+  assert.deepEqual(
+    ranking.primary.invalidation.map(({ key, price, side }) => ({ key, price, side })),
+    [{ key: 'B_LIMIT', price: 220, side: 'above' }]
+  );
+  assert.equal(rankWaveCounts(pivots([200, 180, 220])).total, 0);
+});
+
+test('complete：只保留从第一个摆动点开始的完整计数', () => {
+  const prices = [100, 120, 110, 150, 140, 160];
+  const counts = enumerateWaveCounts(pivots(prices), { complete: true, sequences: [COUNT_LABELS] });
+  assert.deepEqual(counts.map(labelsOf), ['012345']);
+  // 最后一浪是 c浪但起点不能构成 a-b-c 时没有完整计数
+  assert.deepEqual(enumerateWaveCounts(pivots([...prices, 150, 155, 140]), { complete: true }), []);
+});
+
+test('rankWaveCounts：排序、置信度归一化与失效位接替', () => {
+  const ranking = rankWaveCounts(pivots([100, 120, 110, 150, 140, 160, 150, 155, 140]));
+  const counts = allCounts(ranking);
+  assert.deepEqual(counts.map(c => c.rank), [1, 2, 3, 4, 5]);
+  counts.slice(1).forEach((c, i) => assert.ok(c.score <= counts[i].score));
+  assert.ok(Math.abs(counts.reduce((s, c) => s + c.confidence, 0) - 1) < 1e-9);
+
+  const { primary } = ranking;
+  assert.equal(labelsOf(primary), '01234');
+  const wave1End = primary.invalidation.find(l => l.key === 'WAVE_1_END');
+  assert.equal(wave1End.price, 120);
+  assert.equal(wave1End.side, 'below');
+  // 跌破1浪终点后接替的是失效位（推动浪起点 100）仍未被打破的完整推动浪 + a-b-c
+  const alternate = counts.find(c => c.rank === wave1End.alternate.rank);
+  assert.equal(labelsOf(alternate), '012345abc');
+  assert.equal(alternate.invalidation[0].key, 'IMPULSE_START');
+});
+
+test('maxCounts 限制输出个数', () => {
+  const ranking = rankWaveCounts(pivots([100, 120, 110, 150, 140, 160, 150, 155, 140]), { maxCounts: 2 });
+  assert.equal(ranking.alternates.length, 1);
+  assert.ok(ranking.total > 2);
+});
+
+test('无法计算的得分项按0分计入：完整的5浪计数排在只含 0-1-2 的短计数之前', () => {
+  const full = rankWaveCounts(pivots([100, 120, 110, 142.36, 130, 150])).primary;
+  assert.equal(labelsOf(full), '012345');
+  // 前三个点单独构成的 0-1-2：2浪恰好回撤50%，但没有交替与通道得分
+  const prefix = rankWaveCounts(pivots([100, 120, 110]), { sequences: [COUNT_LABELS] }).primary;
+  assert.equal(labelsOf(prefix), '012');
+  assert.equal(prefix.scores.fibonacci, 1);
+  assert.equal(prefix.scores.alternation, null);
+  assert.ok(full.score > prefix.score);
+});
+
+test('同一组摆动点的推动浪与调整浪标注按前一段走势分出先后', () => {
+  const sameTimes = (a, b) => a.points.map(p => p.point.time).join() === b.points.map(p => p.point.time).join();
+  // 起点之前没有摆动点：推动浪 0-1-2 优先
+  const fresh = allCounts(rankWaveCounts(pivots([100, 120, 110])));
+  assert.deepEqual(fresh.map(labelsOf), ['012', '0ab']);
+  assert.ok(fresh[0].confidence > fresh[1].confidence);
+
+  // 进入起点的下跌（40）长于第一浪（20）：调整浪 0-a-b 优先
+  const ranking = rankWaveCounts(pivots([140, 100, 120, 110]));
+  const corrective = allCounts(ranking).find(c => labelsOf(c) === '0ab' && c.points[0].point.price === 100);
+  const impulse = allCounts(ranking).find(c => labelsOf(c) === '012' && sameTimes(c, corrective));
+  assert.ok(corrective.rank < impulse.rank);
+  assert.ok(corrective.confidence > impulse.confidence);
+});
@@ -0,0 +1,73 @@
+/**
+ * 多级别波浪标注（src/wave-degree）行为检查：级别记号，以及按 5-3-5 嵌套构造的K线逐级细分
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WAVE_DEGREE_CONFIG } = require('../src/config/config');
+const { formatDegreeLabel, buildWaveDegreeTree } = require('../src/wave-degree/wave-degree');
+const { barsFromPath } = require('./helpers');
+
+const degree = key => WAVE_DEGREE_CONFIG.DEGREES.find(d => d.KEY === key);
+
+// 推动浪各子浪终点占全程的比例（1浪 30%、2浪回撤一半、3浪到 75%、4浪回撤 20%），调整浪 a 到 70%、b 回到 40%
+function impulsePath(p0, p1, depth, out) {
+  if (depth === 0) { out.push(p1); return; }
+  const d = p1 - p0;
+  const pts = [p0, p0 + d * 0.3, p0 + d * 0.15, p0 + d * 0.75, p0 + d * 0.6, p1];
+  for (let k = 1; k < 6; k++) {
+    (k % 2 ? impulsePath : zigzagPath)(pts[k - 1], pts[k], depth - 1, out);
+  }
+}
+
+function zigzagPath(p0, p1, depth, out) {
+  if (depth === 0) { out.push(p1); return; }
+  const d = p1 - p0;
+  impulsePath(p0, p0 + d * 0.7, depth - 1, out);
+  zigzagPath(p0 + d * 0.7, p0 + d * 0.4, depth - 1, out);
+  impulsePath(p0 + d * 0.4, p1, depth - 1, out);
+}
+
+test('级别记号：括号、方括号与罗马数字', () => {
+  assert.equal(formatDegreeLabel('1', degree('PRIMARY')), '[1]');
+  assert.equal(formatDegreeLabel('a', degree('INTERMEDIATE')), '(A)');
+  assert.equal(formatDegreeLabel('5', degree('MINOR')), '5');
+  assert.equal(formatDegreeLabel('3', degree('MINUTE')), '(iii)');
+  assert.equal(formatDegreeLabel('B', degree('MINUETTE')), 'b');
+});
+
+test('未知的最高级别抛错，空数据返回 null', () => {
+  const bars = barsFromPath([100, 110, 105]);
+  assert.throws(() => buildWaveDegreeTree(bars, { topDegree: 'SUPERCYCLE' }), /未知的波浪级别/);
+  assert.equal(buildWaveDegreeTree([]), null);
+});
+
+test('5-3-5 嵌套K线逐级细分为中浪、小浪与小细浪', () => {
+  const path = [1000];
+  impulsePath(1000, 2000, 3, path);
+  const tree = buildWaveDegreeTree(barsFromPath(path), { lookback: 4 });
+
+  assert.equal(tree.degree, 'INTERMEDIATE');
+  assert.deepEqual(tree.lookbacks, [4, 2, 1]);
+  assert.deepEqual(tree.children.map(n => n.label), ['(1)', '(2)', '(3)', '(4)', '(5)']);
+
+  const [wave1, wave2, wave3] = tree.children;
+  assert.equal(wave1.pattern, 'impulse');
+  assert.deepEqual(wave1.children.map(n => n.label), ['1', '2', '3', '4', '5']);
+  assert.ok(wave1.children.every(n => n.degree === 'MINOR'));
+
+  // 2浪为锯齿形：A、C 浪细分为推动浪，B 浪细分为锯齿形
+  assert.equal(wave2.pattern, 'zigzag');
+  assert.deepEqual(wave2.children.map(n => n.label), ['A', 'B', 'C']);
+  const [waveA, waveB] = wave2.children;
+  assert.equal(waveA.pattern, 'impulse');
+  assert.deepEqual(waveA.children.map(n => n.label), ['(i)', '(ii)', '(iii)', '(iv)', '(v)']);
+  assert.ok(waveA.children.every(n => n.degree === 'MINUTE'));
+  assert.equal(waveB.pattern, 'zigzag');
+  assert.deepEqual(waveB.children.map(n => n.label), ['(a)', '(b)', '(c)']);
+
+  // 各级子浪首尾相接，且与上一级的起止点重合
+  assert.equal(wave3.children[0].start, wave3.start);
+  assert.equal(wave3.children[wave3.children.length - 1].end, wave3.end);
+  wave3.children.slice(1).forEach((n, k) => assert.equal(n.start, wave3.children[k].end));
+});
@@ -0,0 +1,164 @@
+/**
+ * 波浪识别（src/wave）行为检查：楔形的收缩/扩散、引导/终结与子浪结构，驱动浪规则对楔形的改判，以及按计数位置推导的失效位
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { identifyDiagonal, validateImpulseRules, buildInvalidationLevels, waveResultToStructure } = require('../src/wave/wave');
+const { pivots, HOUR_MS } = require('./helpers');
+
+// 由 0-1-2-3-4-5 关键点构造驱动浪结构（点数不足6个时只到已有的浪）
+function toImpulse(points) {
+  const impulse = {};
+  for (let k = 1; k < points.length; k++) {
+    const [start, end] = [points[k - 1], points[k]];
+    impulse[`wave${k}`] = { start, end, startPrice: start.price, endPrice: end.price };
+  }
+  return impulse;
+}
+
+// 一浪内部的细级别摆动点：5浪为 4 个、3浪为 2 个内部转折（相邻转折间隔1小时）
+function innerSwings(start, end, count) {
+  const up = end.price > start.price;
+  const fractions = count === 5 ? [0.4, 0.2, 0.8, 0.6] : [0.6, 0.3];
+  return fractions.map((f, i) => ({
+    type: (i % 2 === 0) === up ? 'high' : 'low',
+    price: start.price + (end.price - start.price) * f,
+    time: start.time + (i + 1) * HOUR_MS
+  }));
+}
+
+// 按 1-5 浪各自的子浪数生成 subPoints
+function subPointsFor(points, counts) {
+  return counts.flatMap((count, i) => innerSwings(points[i], points[i + 1], count));
+}
+
+// 收缩楔形：1 > 3 > 5、2 > 4，4浪 122 切入1浪终点 130
+const CONTRACTING = pivots([100, 130, 110, 135, 122, 140]);
+// 扩散楔形：1 < 3 < 5、2 < 4，4浪 108 切入1浪终点 110
+const EXPANDING = pivots([100, 110, 104, 120, 108, 130]);
+
+test('收缩楔形与扩散楔形：按 1-3、2-4 通道与各浪长度区分，收缩楔形给出顶点', () => {
+  const contracting = identifyDiagonal(toImpulse(CONTRACTING), true);
+  assert.equal(contracting.shape, 'contracting');
+  assert.equal(contracting.direction, 'up');
+  assert.equal(contracting.channel.isContracting, true);
+  assert.ok(contracting.apex.time > CONTRACTING[5].time);
+
+  const expanding = identifyDiagonal(toImpulse(EXPANDING), true);
+  assert.equal(expanding.shape, 'expanding');
+  assert.equal(expanding.apex, null);
+
+  // 下跌楔形：价格镜像
+  const falling = identifyDiagonal(toImpulse(pivots([200, 170, 190, 165, 178, 160])), false);
+  assert.equal(falling.shape, 'contracting');
+  assert.equal(falling.direction, 'down');
+
+  // 4浪未切入1浪、或各浪长度与通道方向不一致时不是楔形
+  assert.equal(identifyDiagonal(toImpulse(pivots([100, 130, 110, 135, 131, 140])), true), null);
+  assert.equal(identifyDiagonal(toImpulse(pivots([100, 130, 110, 135, 122, 150])), true), null);
+});
+
+test('5-3-5-3-5 判为引导楔形，3-3-3-3-3 判为终结楔形', () => {
+  const leading = identifyDiagonal(toImpulse(CONTRACTING), true, { subPoints: subPointsFor(CONTRACTING, [5, 3, 5, 3, 5]) });
+  assert.deepEqual(leading.subwaves, [5, 3, 5, 3, 5]);
+  assert.equal(leading.structure, '5-3-5-3-5');
+  assert.equal(leading.type, 'leading');
+  assert.equal(leading.label, '收缩引导楔形');
+  assert.equal(leading.structureMatches, true);
+
+  const ending = identifyDiagonal(toImpulse(EXPANDING), true, { subPoints: subPointsFor(EXPANDING, [3, 3, 3, 3, 3]) });
+  assert.equal(ending.structure, '3-3-3-3-3');
+  assert.equal(ending.type, 'ending');
+  assert.equal(ending.label, '扩散终结楔形');
+  assert.equal(ending.structureMatches, true);
+
+  // 指定为终结楔形时，5-3-5-3-5 的内部结构不符
+  const forced = identifyDiagonal(toImpulse(CONTRACTING), true, { subPoints: subPointsFor(CONTRACTING, [5, 3, 5, 3, 5]), position: 'ending' });
+  assert.equal(forced.type, 'ending');
+  assert.equal(forced.structureMatches, false);
+});
+
+test('子浪数不足以判断时不猜测引导/终结', () => {
+  const unknown = identifyDiagonal(toImpulse(CONTRACTING), true);
+  assert.equal(unknown.structure, null);
+  assert.equal(unknown.type, null);
+  assert.equal(unknown.label, '收缩楔形（引导/终结待定）');
+  assert.equal(unknown.structureMatches, true);
+
+  // 1浪为5浪结构、3浪为3浪结构、5浪统计不出：5浪与3浪各半
+  const points = CONTRACTING;
+  const subPoints = [...innerSwings(points[0], points[1], 5), ...innerSwings(points[2], points[3], 3)];
+  const tied = identifyDiagonal(toImpulse(points), true, { subPoints });
+  assert.deepEqual(tied.subwaves, [5, null, 3, null, null]);
+  assert.equal(tied.type, null);
+
+  assert.equal(identifyDiagonal(toImpulse(points), true, { position: 'leading' }).label, '收缩引导楔形');
+});
+
+test('validateImpulseRules：仅因4浪切入1浪而违规时改判为楔形，其他违规照常报告', () => {
+  const subPoints = subPointsFor(CONTRACTING, [5, 3, 5, 3, 5]);
+  const diagonal = validateImpulseRules(toImpulse(CONTRACTING), true, { subPoints });
+  assert.deepEqual([diagonal.valid, diagonal.violations, diagonal.pattern], [true, [], 'diagonal']);
+  assert.equal(diagonal.diagonal.type, 'leading');
+
+  const impulse = validateImpulseRules(toImpulse(pivots([100, 130, 110, 160, 140, 170])), true);
+  assert.deepEqual([impulse.valid, impulse.pattern], [true, 'impulse']);
+
+  // 切入1浪但通道平行：不是楔形，保留违规
+  const parallel = validateImpulseRules(toImpulse(pivots([100, 130, 110, 140, 120, 150])), true);
+  assert.equal(parallel.valid, false);
+  assert.deepEqual(parallel.violations, ['4浪切入1浪价格区间（推动浪不允许）']);
+
+  // 同时违反其他规则（4浪折返超过3浪起点）时不改判
+  const broken = validateImpulseRules(toImpulse(pivots([100, 130, 112, 135, 111, 140])), true);
+  assert.equal(broken.pattern, 'impulse');
+  assert.ok(broken.violations.includes('4浪折返超过3浪100%'));
+});
+
+// 失效位的 [key, price, side]
+const levelsOf = (points, isUptrend = true, options) =>
+  buildInvalidationLevels(toImpulse(points), isUptrend, options).map(l => [l.key, l.price, l.side]);
+
+test('失效位：2浪/3浪初期只有1浪起点', () => {
+  assert.deepEqual(levelsOf(pivots([100, 130])), [['WAVE_1_START', 100, 'below']]);
+  assert.deepEqual(levelsOf(pivots([100, 130, 110])), [['WAVE_1_START', 100, 'below']]);
+  assert.deepEqual(levelsOf(pivots([200, 170, 190]), false), [['WAVE_1_START', 200, 'above']]);
+  assert.deepEqual(buildInvalidationLevels(null, true), []);
+});
+
+test('失效位：4浪/5浪为1浪终点与3浪起点，楔形不设1浪终点', () => {
+  const rising = [['WAVE_1_END', 130, 'below'], ['WAVE_3_START', 110, 'below']];
+  assert.deepEqual(levelsOf(pivots([100, 130, 110, 160])), rising);
+  assert.deepEqual(levelsOf(pivots([100, 130, 110, 160, 140])), rising);
+  assert.deepEqual(levelsOf(pivots([200, 170, 190, 140, 160]), false), [['WAVE_1_END', 170, 'above'], ['WAVE_3_START', 190, 'above']]);
+
+  assert.deepEqual(levelsOf(pivots([100, 130, 110, 160, 122]), true, { pattern: 'diagonal' }), [['WAVE_3_START', 110, 'below']]);
+});
+
+test('失效位：3浪短于1浪时，5浪不能长于3浪', () => {
+  // 3浪 25 < 1浪 30：5浪从 122 起最多到 147
+  assert.deepEqual(levelsOf(pivots([100, 130, 110, 135, 122]), true, { pattern: 'diagonal' }),
+    [['WAVE_3_START', 110, 'below'], ['WAVE_5_MAX', 147, 'above']]);
+  assert.deepEqual(levelsOf(pivots([200, 170, 190, 165, 178]), false).at(-1), ['WAVE_5_MAX', 153, 'below']);
+  // 4浪未出现时不给出
+  assert.equal(levelsOf(pivots([100, 130, 110, 135])).some(([key]) => key === 'WAVE_5_MAX'), false);
+});
+
+test('失效位：5浪完成后只剩推动浪起点', () => {
+  assert.deepEqual(levelsOf(pivots([100, 130, 110, 160, 140, 170])), [['IMPULSE_START', 100, 'below']]);
+  assert.deepEqual(levelsOf(pivots([200, 170, 190, 140, 160, 130]), false), [['IMPULSE_START', 200, 'above']]);
+});
+
+test('waveResultToStructure：失效位按转换后的1浪推导，不沿用延续计数的失效位', () => {
+  const waveResult = {
+    impulse: toImpulse(pivots([100, 130, 110, 160, 140, 170])),
+    corrective: { waveA: { endPrice: 150 } },
+    keyPoints: [],
+    // 延续浪 1'-2' 的失效位，与报告中展示的更高一级计数无关
+    invalidation: [{ key: 'WAVE_3_START', price: 155, side: 'below' }]
+  };
+  const structure = waveResultToStructure(waveResult);
+  assert.deepEqual([structure.wave1.start, structure.wave1.end, structure.wave2.currentLow], [100, 170, 150]);
+  assert.deepEqual(structure.invalidation.map(l => [l.key, l.price, l.side]), [['WAVE_1_START', 100, 'below']]);
+});
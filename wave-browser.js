@@ -8,34 +8,67 @@
     BOUNCE: [0.236, 0.382, 0.5, 0.618, 0.786]
   };
 
-  function getKlineTime(d) {
-    if (d.timestamp != null) {
-      if (typeof d.timestamp === 'string') return new Date(d.timestamp).getTime();
-      return d.timestamp > 1e12 ? d.timestamp : d.timestamp * 1000;
-    }
-    const t = d.time;
-    return t != null && t > 1e12 ? t : (t || 0) * 1000;
+  // 标准K线转换（与 src/kline/kline.js 保持一致）：加载时转换一次，之后只读 time（毫秒）和数值 OHLCV
+  function toEpochMs(value) {
+    if (typeof value === 'number') return value > 1e12 ? value : value * 1000;
+    if (typeof value !== 'string') return NaN;
+    if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).getTime();
+    const m = value.match(/^(\d{4})[/-](\d{2})[/-](\d{2})(?: (\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!m) return NaN;
+    return new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4] || '00'}:${m[5] || '00'}:${m[6] || '00'}+08:00`).getTime();
+  }
+
+  function getBarTime(raw) {
+    const rank = v => (typeof v === 'number' ? (v > 1e12 ? 0 : 1) : (typeof v === 'string' ? (v.includes('T') ? 2 : 3) : 9));
+    const candidates = [raw.time, raw.timestamp].filter(v => v != null && rank(v) < 9);
+    candidates.sort((a, b) => rank(a) - rank(b));
+    return candidates.length > 0 ? toEpochMs(candidates[0]) : NaN;
+  }
+
+  function toNumber(v) {
+    if (typeof v === 'number') return v;
+    if (typeof v === 'string' && v.trim() !== '') return Number(v);
+    return NaN;
+  }
+
+  function normalizeBar(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const time = getBarTime(raw);
+    if (isNaN(time)) return null;
+    let close = toNumber(raw.close);
+    if (!Number.isFinite(close)) close = toNumber(raw.price);
+    if (!Number.isFinite(close)) return null;
+    const open = Number.isFinite(toNumber(raw.open)) ? toNumber(raw.open) : close;
+    const high = Number.isFinite(toNumber(raw.high)) ? toNumber(raw.high) : Math.max(open, close);
+    const low = Number.isFinite(toNumber(raw.low)) ? toNumber(raw.low) : Math.min(open, close);
+    const volume = Number.isFinite(toNumber(raw.volume)) ? toNumber(raw.volume) : 0;
+    return { timestamp: Math.floor(time / 1000), time, open, high, low, close, volume, price: close };
+  }
+
+  function normalizeBars(rawBars) {
+    if (!Array.isArray(rawBars)) return [];
+    return rawBars.map(normalizeBar).filter(Boolean).sort((a, b) => a.time - b.time);
   }
 
   function identifyKeyPoints(klineData, lookbackPeriod) {
     lookbackPeriod = lookbackPeriod || 5;
     if (!klineData || klineData.length < lookbackPeriod * 2) return [];
     const keyPoints = [];
-    const sorted = [...klineData].sort((a, b) => getKlineTime(a) - getKlineTime(b));
+    const sorted = [...klineData].sort((a, b) => a.time - b.time);
     for (let i = lookbackPeriod; i < sorted.length - lookbackPeriod; i++) {
       const current = sorted[i];
-      const currentHigh = current.high || current.close || current.price;
-      const currentLow = current.low || current.close || current.price;
+      const currentHigh = current.high;
+      const currentLow = current.low;
       let isLocalHigh = true, isLocalLow = true;
       for (let j = i - lookbackPeriod; j <= i + lookbackPeriod; j++) {
         if (j === i) continue;
-        const h = sorted[j].high || sorted[j].close || sorted[j].price;
-        const l = sorted[j].low || sorted[j].close || sorted[j].price;
+        const h = sorted[j].high;
+        const l = sorted[j].low;
         if (h >= currentHigh) isLocalHigh = false;
         if (l <= currentLow) isLocalLow = false;
       }
-      if (isLocalHigh) keyPoints.push({ type: 'high', price: currentHigh, time: getKlineTime(current), index: i });
-      if (isLocalLow) keyPoints.push({ type: 'low', price: currentLow, time: getKlineTime(current), index: i });
+      if (isLocalHigh) keyPoints.push({ type: 'high', price: currentHigh, time: current.time, index: i });
+      if (isLocalLow) keyPoints.push({ type: 'low', price: currentLow, time: current.time, index: i });
     }
     keyPoints.sort((a, b) => a.time - b.time);
     return keyPoints;
@@ -58,23 +91,23 @@
   function identifyContinuationAfterC(corrective, sorted, isUptrend, klineData) {
     const c = corrective?.waveC;
     if (!c || !c.end) return {};
-    const cTime = c.end.time || c.end.timestamp * 1000;
+    const cTime = c.end.time;
     const cPrice = c.endPrice != null ? c.endPrice : (c.end?.price ?? c.end?.close);
     let afterC = sorted.filter(p => p.time > cTime);
     if (klineData && klineData.length > 0) {
-      const kSorted = [...klineData].sort((a, b) => getKlineTime(a) - getKlineTime(b));
-      const afterCKline = kSorted.filter(d => getKlineTime(d) > cTime);
+      const kSorted = [...klineData].sort((a, b) => a.time - b.time);
+      const afterCKline = kSorted.filter(d => d.time > cTime);
       const lp = 3;
       for (let i = lp; i < afterCKline.length - lp; i++) {
         const d = afterCKline[i];
-        const t = getKlineTime(d);
-        const high = d.high ?? d.close ?? d.price;
-        const low = d.low ?? d.close ?? d.price;
+        const t = d.time;
+        const high = d.high;
+        const low = d.low;
         let isHigh = true, isLow = true;
         for (let j = i - lp; j <= i + lp; j++) {
           if (j === i) continue;
-          const h = afterCKline[j]?.high ?? afterCKline[j]?.close ?? afterCKline[j]?.price;
-          const l = afterCKline[j]?.low ?? afterCKline[j]?.close ?? afterCKline[j]?.price;
+          const h = afterCKline[j]?.high;
+          const l = afterCKline[j]?.low;
           if (h >= high) isHigh = false;
           if (l <= low) isLow = false;
         }
@@ -191,13 +224,13 @@
           if (!cEnd) cEnd = after5.find(p => p.time > bEnd.time && p.type === 'low');
           if (klineData && klineData.length > 0) {
             const bTime = bEnd.time;
-            const kSorted = [...klineData].sort((a, b) => getKlineTime(a) - getKlineTime(b));
-            const afterBKline = kSorted.filter(d => getKlineTime(d) > bTime);
+            const kSorted = [...klineData].sort((a, b) => a.time - b.time);
+            const afterBKline = kSorted.filter(d => d.time > bTime);
             let minLow = null;
             for (const d of afterBKline) {
-              const low = d.low ?? d.close ?? d.price;
+              const low = d.low;
               if (low != null && low < aEnd.price && (!minLow || low < minLow.price))
-                minLow = { type: 'low', price: low, time: getKlineTime(d) };
+                minLow = { type: 'low', price: low, time: d.time };
             }
             if (minLow && (!cEnd || minLow.price < cEnd.price)) cEnd = minLow;
           }
@@ -246,13 +279,13 @@
           if (!cEnd) cEnd = after5.find(p => p.time > bEnd.time && p.type === 'high');
           if (klineData && klineData.length > 0) {
             const bTime = bEnd.time;
-            const kSorted = [...klineData].sort((a, b) => getKlineTime(a) - getKlineTime(b));
-            const afterBKline = kSorted.filter(d => getKlineTime(d) > bTime);
+            const kSorted = [...klineData].sort((a, b) => a.time - b.time);
+            const afterBKline = kSorted.filter(d => d.time > bTime);
             let maxHigh = null;
             for (const d of afterBKline) {
-              const high = d.high ?? d.close ?? d.price;
+              const high = d.high;
               if (high != null && high > aEnd.price && (!maxHigh || high > maxHigh.price))
-                maxHigh = { type: 'high', price: high, time: getKlineTime(d) };
+                maxHigh = { type: 'high', price: high, time: d.time };
             }
             if (maxHigh && (!cEnd || maxHigh.price > cEnd.price)) cEnd = maxHigh;
           }
@@ -275,7 +308,7 @@
     const addTurn = (pt, label) => {
       if (!pt) return;
       const obj = pt.end || pt;
-      const t = obj.time || obj.timestamp * 1000;
+      const t = obj.time;
       const p = obj.price ?? obj.close ?? (pt.endPrice != null ? pt.endPrice : null);
       if (t != null && p != null) turnPoints.push({ t, p, label });
     };
@@ -290,7 +323,7 @@
     turnPoints.sort((a, b) => a.t - b.t);
 
     const getLabel = (kp) => {
-      const kt = kp.time || kp.timestamp * 1000;
+      const kt = kp.time;
       const kp_val = kp.price ?? kp.close;
       for (const tp of turnPoints) {
         if (Math.abs(kt - tp.t) < tTol && Math.abs(kp_val - tp.p) < 1) return tp.label;
@@ -323,6 +356,7 @@
     assignWaveLabelsToKeyPoints,
     calculateRetracementLevels,
     calculateBounceLevels,
-    getKlineTime
+    normalizeBar,
+    normalizeBars
   };
 })(typeof window !== 'undefined' ? window : this);